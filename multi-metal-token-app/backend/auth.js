@@ -322,6 +322,19 @@ function optionalAuth(req, res, next) {
     }
 }
 
+/**
+ * Require an admin role (use after authenticateJWT)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'ADMIN') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
 /**
  * Generate API key for user
  * @param {string} userId - User ID
@@ -454,6 +467,7 @@ module.exports = {
     generateSessionId,
     authenticateJWT,
     optionalAuth,
+    requireAdmin,
     generateAPIKey,
     validateAPIKey,
     checkAuthRateLimit,
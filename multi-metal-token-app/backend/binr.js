@@ -0,0 +1,435 @@
+// BINR Module for Multi-Metal Token App
+// Issuance of the BINR stablecoin: minting against confirmed INR deposits, burning back
+// to INR, the INR reserve behind it, daily attestations and peg monitoring
+
+const cron = require('node-cron');
+const { getStorage, withTransaction } = require('./storage');
+const { withLock, withUserLock } = require('./locks');
+const {
+    ACCOUNTS,
+    roundAmount,
+    getAccountBalances,
+    getUserBalances,
+    recordBINRMint,
+    recordBINRBurn
+} = require('./ledger');
+const { getPaymentById, updatePaymentStatus: savePaymentStatus } = require('./repository');
+const { getRefundSummary } = require('./refunds');
+const { onMarketRatesUpdate, getLatestRates } = require('./market-feed');
+const { createError } = require('./errors');
+
+// 1 BINR = 1 INR; the market price may drift inside this band before an alert is raised
+const PEG_TARGET = 1.0;
+const PEG_BAND = { lower: 0.99, upper: 1.01 };
+
+const PEG_ALERT_STATUSES = ['OPEN', 'RESOLVED'];
+
+// Below this the reserve and the supply are treated as equal
+const RESERVE_TOLERANCE = 1e-6;
+
+// Handlers called when a peg alert opens or resolves
+const pegHandlers = [];
+
+let jobRunning = false;
+let handlersRegistered = false;
+
+/**
+ * Round an INR amount to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Generate an ID with a prefix
+ * @param {string} prefix - ID prefix
+ * @returns {string} ID
+ */
+function generateId(prefix) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `${prefix}_${timestamp}_${random}`.toUpperCase();
+}
+
+// ==================== ISSUANCE ====================
+
+/**
+ * INR of a deposit that can still be minted into BINR (paid, not refunded, not yet minted)
+ * @param {Object} payment - Completed deposit payment
+ * @returns {Promise<number>} Mintable INR
+ */
+async function getMintableAmount(payment) {
+    const { refundableAmount } = await getRefundSummary(payment);
+    return roundInr(Math.max(0, refundableAmount - (payment.binrMinted || 0)));
+}
+
+/**
+ * Mint BINR against a confirmed INR deposit
+ * The INR is taken from the customer's balance (where the deposit was credited) into
+ * the BINR reserve. A deposit can be minted in parts up to its paid (and unrefunded) amount.
+ * @param {Object} params - Mint details
+ * @param {string} params.userId - User ID
+ * @param {string} params.paymentId - Completed deposit payment
+ * @param {number} params.amount - BINR to mint (defaults to the deposit's mintable remainder)
+ * @returns {Promise<Object>} Issuance record
+ */
+async function mintBINR({ userId, paymentId, amount }) {
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+        throw createError('Amount must be a positive number');
+    }
+
+    return withUserLock(userId, () => withTransaction(async () => {
+        const payment = paymentId && await getPaymentById(paymentId);
+        if (!payment || payment.userId !== userId) {
+            throw createError('Payment not found', 404);
+        }
+        // Order payments paid for something else; only deposits credited as INR back BINR
+        if (payment.orderId || payment.status !== 'COMPLETED' || !payment.depositJournalId) {
+            throw createError('BINR can only be minted against a confirmed INR deposit', 409, {
+                paymentStatus: payment.status
+            });
+        }
+
+        const mintable = await getMintableAmount(payment);
+        const mintAmount = roundInr(amount === undefined ? mintable : amount);
+        if (mintAmount <= 0 || mintAmount > mintable) {
+            throw createError('Amount exceeds the unminted balance of this deposit', 400, { mintable });
+        }
+
+        const balances = await getUserBalances(userId);
+        if (balances.inr < mintAmount) {
+            throw createError('Insufficient INR balance', 400, { available: balances.inr });
+        }
+
+        const issuanceId = generateId('BINR');
+        const journal = await recordBINRMint({ userId, reference: issuanceId, amount: mintAmount });
+        await savePaymentStatus(payment.paymentId, payment.status, {
+            binrMinted: roundInr((payment.binrMinted || 0) + mintAmount)
+        });
+
+        const issuance = {
+            issuanceId,
+            userId,
+            type: 'MINT',
+            amount: mintAmount,
+            paymentId: payment.paymentId,
+            journalId: journal.journalId,
+            createdAt: new Date()
+        };
+        await getStorage().save('binr_issuances', issuance);
+        return issuance;
+    }));
+}
+
+/**
+ * Burn BINR for INR released from the reserve into the customer's INR balance
+ * (from where it is withdrawn to the bank)
+ * @param {Object} params - Burn details
+ * @param {string} params.userId - User ID
+ * @param {number} params.amount - BINR to burn
+ * @param {string} params.reference - What the INR is released for, e.g. a withdrawal ID
+ * @returns {Promise<Object>} Issuance record
+ */
+async function burnBINR({ userId, amount, reference }) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        throw createError('Amount must be a positive number');
+    }
+    const burnAmount = roundInr(amount);
+
+    return withUserLock(userId, () => withTransaction(async () => {
+        const balances = await getUserBalances(userId);
+        if (balances.stablecoin < burnAmount) {
+            throw createError('Insufficient BINR balance', 400, { available: balances.stablecoin });
+        }
+
+        const issuanceId = generateId('BINR');
+        const journal = await recordBINRBurn({ userId, reference: issuanceId, amount: burnAmount });
+
+        const issuance = {
+            issuanceId,
+            userId,
+            type: 'BURN',
+            amount: burnAmount,
+            reference: reference || null,
+            journalId: journal.journalId,
+            createdAt: new Date()
+        };
+        await getStorage().save('binr_issuances', issuance);
+        return issuance;
+    }));
+}
+
+/**
+ * A user's mints and burns, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Issuance records
+ */
+async function listIssuances(userId, { limit = 50 } = {}) {
+    return getStorage().find('binr_issuances', { userId }, { orderBy: 'createdAt', order: 'desc', limit });
+}
+
+// ==================== RESERVE & ATTESTATION ====================
+
+/**
+ * BINR supply against the INR reserve, read from the ledger
+ * Supply is what holders (customers and platform fee revenue) can redeem. It can
+ * differ from `issued` only by BINR credited before issuance went through the reserve.
+ * @returns {Promise<Object>} { supply, issued, holders, reserve, surplus, collateralRatio, fullyBacked }
+ */
+async function getReserveStatus() {
+    const rows = await getStorage().sum('ledger_lines', 'amount', { asset: 'stablecoin' }, ['account']);
+    const holders = { customers: 0, platform: 0 };
+    for (const row of rows) {
+        if (/^(user|reserved):/.test(row.account)) {
+            holders.customers += row.total;
+        } else if (row.account === ACCOUNTS.FEE_REVENUE) {
+            holders.platform += row.total;
+        }
+    }
+    holders.customers = roundAmount(holders.customers);
+    holders.platform = roundAmount(holders.platform);
+
+    const issuance = rows.find(row => row.account === ACCOUNTS.BINR_ISSUANCE);
+    const supply = roundAmount(holders.customers + holders.platform);
+    const reserve = (await getAccountBalances(ACCOUNTS.BINR_RESERVE)).inr;
+
+    return {
+        supply,
+        issued: issuance ? roundAmount(-issuance.total) : 0,
+        holders,
+        reserve,
+        surplus: roundAmount(reserve - supply),
+        collateralRatio: supply > 0 ? roundAmount(reserve / supply) : null,
+        fullyBacked: reserve + RESERVE_TOLERANCE >= supply
+    };
+}
+
+/**
+ * Publish an attestation of BINR supply against the reserve
+ * @returns {Promise<Object>} Attestation
+ */
+async function createAttestation() {
+    const status = await getReserveStatus();
+    const openAlerts = await getStorage().find('binr_peg_alerts', { status: 'OPEN' });
+    const rate = getLatestRates() && getLatestRates().stablecoin;
+    const createdAt = new Date();
+
+    const attestation = {
+        attestationId: generateId('ATT'),
+        date: createdAt.toISOString().slice(0, 10),
+        ...status,
+        peg: {
+            target: PEG_TARGET,
+            band: PEG_BAND,
+            price: rate ? rate.price : null,
+            openAlerts: openAlerts.length
+        },
+        createdAt
+    };
+    await getStorage().save('binr_attestations', attestation);
+    return attestation;
+}
+
+/**
+ * Latest attestation (publishing the first one if none exists yet)
+ * @returns {Promise<Object>} Attestation
+ */
+async function getLatestAttestation() {
+    const [latest] = await getStorage().find('binr_attestations', {}, { orderBy: 'createdAt', order: 'desc', limit: 1 });
+    return latest || createAttestation();
+}
+
+/**
+ * Attestation history, newest first
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Attestations
+ */
+async function listAttestations({ limit = 30 } = {}) {
+    return getStorage().find('binr_attestations', {}, { orderBy: 'createdAt', order: 'desc', limit });
+}
+
+// ==================== PEG MONITOR ====================
+
+/**
+ * Register a handler for peg alerts
+ * Called with the alert when it opens and again when it resolves.
+ * @param {Function} handler - async (alert) => void
+ */
+function onPegDeviation(handler) {
+    pegHandlers.push(handler);
+}
+
+/**
+ * Call every peg handler; one failing handler does not stop the others
+ * @param {Object} alert - Peg alert
+ */
+async function publishPegAlert(alert) {
+    for (const handler of pegHandlers) {
+        try {
+            await handler(alert);
+        } catch (error) {
+            console.error('Peg alert handler error:', error);
+        }
+    }
+}
+
+/**
+ * Whether a BINR price is inside the peg band
+ * @param {number} price - Market price in INR
+ * @returns {boolean} Inside the band
+ */
+function isWithinPeg(price) {
+    return price >= PEG_BAND.lower && price <= PEG_BAND.upper;
+}
+
+/**
+ * Resolve an open alert
+ * @param {Object} alert - Open alert
+ * @param {number} price - Price back at (or across) the band
+ * @returns {Promise<Object>} Resolved alert
+ */
+async function resolvePegAlert(alert, price) {
+    const resolved = { ...alert, status: 'RESOLVED', resolvedPrice: price, resolvedAt: new Date() };
+    await getStorage().save('binr_peg_alerts', resolved);
+    await publishPegAlert(resolved);
+    return resolved;
+}
+
+/**
+ * Check the BINR market price against the peg band
+ * One alert stays open while the price is outside the band on the same side, tracking
+ * the worst price seen; it resolves when the price returns inside.
+ * @param {Object} rates - Market rates
+ * @returns {Promise<Object|null>} Alert opened, updated or resolved, or null
+ */
+async function checkPeg(rates) {
+    const rate = rates && rates.stablecoin;
+    if (!rate || typeof rate.price !== 'number') {
+        return null;
+    }
+    const { price } = rate;
+
+    return withLock('binr:peg', async () => {
+        let [open] = await getStorage().find('binr_peg_alerts', { status: 'OPEN' });
+        const direction = price > PEG_BAND.upper ? 'ABOVE' : price < PEG_BAND.lower ? 'BELOW' : null;
+
+        if (open && direction !== open.direction) {
+            const resolved = await resolvePegAlert(open, price);
+            if (!direction) return resolved;
+            open = null;
+        }
+        if (!direction) {
+            return null;
+        }
+
+        const deviation = roundAmount(price - PEG_TARGET);
+        if (open) {
+            const worse = Math.abs(deviation) > Math.abs(open.worstDeviation);
+            const updated = {
+                ...open,
+                lastPrice: price,
+                worstPrice: worse ? price : open.worstPrice,
+                worstDeviation: worse ? deviation : open.worstDeviation,
+                lastSeenAt: new Date()
+            };
+            await getStorage().save('binr_peg_alerts', updated);
+            return updated;
+        }
+
+        const alert = {
+            alertId: generateId('PEG'),
+            status: 'OPEN',
+            direction,
+            band: PEG_BAND,
+            price,
+            deviation,
+            lastPrice: price,
+            worstPrice: price,
+            worstDeviation: deviation,
+            source: rate.source || null,
+            createdAt: new Date(),
+            lastSeenAt: new Date()
+        };
+        await getStorage().save('binr_peg_alerts', alert);
+        await publishPegAlert(alert);
+        return alert;
+    });
+}
+
+/**
+ * List peg alerts, newest first
+ * @param {Object} filters - { status, limit }
+ * @returns {Promise<Array>} Alerts
+ */
+async function listPegAlerts({ status, limit = 50 } = {}) {
+    if (status && !PEG_ALERT_STATUSES.includes(status)) {
+        throw createError('Invalid alert status', 400, { allowed: PEG_ALERT_STATUSES });
+    }
+    return getStorage().find('binr_peg_alerts', status ? { status } : {}, { orderBy: 'createdAt', order: 'desc', limit });
+}
+
+/**
+ * Watch market updates for peg deviations (safe to call more than once)
+ */
+function registerBINRHandlers() {
+    if (!handlersRegistered) {
+        onMarketRatesUpdate(rates => checkPeg(rates));
+        onPegDeviation(alert => {
+            if (alert.status === 'OPEN') {
+                console.error(`BINR peg deviation: ${alert.price} is ${alert.direction} the ${PEG_BAND.lower}-${PEG_BAND.upper} band`);
+            } else {
+                console.log(`BINR back inside the peg band at ${alert.resolvedPrice} (worst ${alert.worstPrice})`);
+            }
+        });
+        handlersRegistered = true;
+    }
+}
+
+/**
+ * Schedule the daily attestation
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default BINR_ATTESTATION_SCHEDULE or daily at midnight)
+ * @returns {Object} Scheduled cron task
+ */
+function startBINRJobs({ schedule = process.env.BINR_ATTESTATION_SCHEDULE || '0 0 * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            const attestation = await createAttestation();
+            if (!attestation.fullyBacked) {
+                console.error('BINR attestation: reserve shortfall', {
+                    supply: attestation.supply,
+                    reserve: attestation.reserve
+                });
+            }
+        } catch (error) {
+            console.error('BINR attestation error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    });
+}
+
+module.exports = {
+    PEG_TARGET,
+    PEG_BAND,
+    PEG_ALERT_STATUSES,
+    getMintableAmount,
+    mintBINR,
+    burnBINR,
+    listIssuances,
+    getReserveStatus,
+    createAttestation,
+    getLatestAttestation,
+    listAttestations,
+    isWithinPeg,
+    checkPeg,
+    onPegDeviation,
+    listPegAlerts,
+    registerBINRHandlers,
+    startBINRJobs
+};
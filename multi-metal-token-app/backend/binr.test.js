@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { resetStorage, createTestUser, authHeader } = require('./test-utils');
+const { registerSettlementHandlers } = require('./settlement');
+const { updatePaymentStatus } = require('./payments');
+const { savePayment, getPaymentById } = require('./repository');
+const { mintBINR, burnBINR, getReserveStatus, createAttestation, checkPeg, onPegDeviation, listPegAlerts } = require('./binr');
+const { ACCOUNTS, postJournal, userAccount, getUserBalances, reconcileLedger } = require('./ledger');
+const app = require('./server');
+
+const pegEvents = [];
+let user;
+
+registerSettlementHandlers();
+onPegDeviation(alert => { pegEvents.push(alert); });
+
+/**
+ * Confirm an INR deposit for the user
+ * @param {string} paymentId - Payment ID
+ * @param {number} amount - INR
+ * @returns {Promise<Object>} Completed payment
+ */
+async function confirmDeposit(paymentId, amount) {
+    await savePayment({ paymentId, userId: user.userId, amount, method: 'UPI', status: 'INITIATED', createdAt: new Date() });
+    await updatePaymentStatus(paymentId, 'COMPLETED');
+    return getPaymentById(paymentId);
+}
+
+/**
+ * Market rates with a BINR price
+ * @param {number} price - BINR price in INR
+ * @returns {Object} Rates
+ */
+function binrAt(price) {
+    return { stablecoin: { price, source: 'TEST' } };
+}
+
+beforeEach(async () => {
+    resetStorage();
+    pegEvents.length = 0;
+    user = await createTestUser();
+});
+
+describe('mintBINR', () => {
+    test('mints against a confirmed deposit in parts, up to the deposit amount', async () => {
+        await confirmDeposit('PAY_BINR_1', 5000);
+
+        const first = await mintBINR({ userId: user.userId, paymentId: 'PAY_BINR_1', amount: 3000 });
+        expect(first).toMatchObject({ type: 'MINT', amount: 3000, paymentId: 'PAY_BINR_1' });
+        await expect(mintBINR({ userId: user.userId, paymentId: 'PAY_BINR_1', amount: 2500 }))
+            .rejects.toMatchObject({ statusCode: 400, details: { mintable: 2000 } });
+        expect((await mintBINR({ userId: user.userId, paymentId: 'PAY_BINR_1' })).amount).toBe(2000);
+
+        expect(await getUserBalances(user.userId)).toMatchObject({ inr: 0, stablecoin: 5000 });
+        expect((await getPaymentById('PAY_BINR_1')).binrMinted).toBe(5000);
+        expect(await getReserveStatus()).toMatchObject({ supply: 5000, issued: 5000, reserve: 5000, surplus: 0, collateralRatio: 1, fullyBacked: true });
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('refuses payments that are not confirmed deposits of the user', async () => {
+        await savePayment({ paymentId: 'PAY_BINR_PENDING', userId: user.userId, amount: 1000, method: 'UPI', status: 'INITIATED', createdAt: new Date() });
+        await expect(mintBINR({ userId: user.userId, paymentId: 'PAY_BINR_PENDING' })).rejects.toMatchObject({ statusCode: 409 });
+
+        await confirmDeposit('PAY_BINR_1', 1000);
+        const other = await createTestUser();
+        await expect(mintBINR({ userId: other.userId, paymentId: 'PAY_BINR_1' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('needs the deposited INR still in the balance', async () => {
+        await confirmDeposit('PAY_BINR_1', 1000);
+        // 600 of the deposit has already left the INR balance
+        await postJournal({
+            type: 'TEST_SPEND',
+            reference: 'SPEND_1',
+            userId: user.userId,
+            lines: [
+                { account: userAccount(user.userId), asset: 'inr', amount: -600 },
+                { account: ACCOUNTS.PAYMENT_CLEARING, asset: 'inr', amount: 600 }
+            ]
+        });
+
+        await expect(mintBINR({ userId: user.userId, paymentId: 'PAY_BINR_1' }))
+            .rejects.toMatchObject({ statusCode: 400, details: { available: 400 } });
+    });
+});
+
+describe('burnBINR', () => {
+    test('releases INR from the reserve at par', async () => {
+        await confirmDeposit('PAY_BINR_1', 1000);
+        await mintBINR({ userId: user.userId, paymentId: 'PAY_BINR_1' });
+
+        await expect(burnBINR({ userId: user.userId, amount: 1500 })).rejects.toMatchObject({ statusCode: 400, details: { available: 1000 } });
+        expect(await burnBINR({ userId: user.userId, amount: 400.004, reference: 'WD_1' })).toMatchObject({ type: 'BURN', amount: 400, reference: 'WD_1' });
+
+        expect(await getUserBalances(user.userId)).toMatchObject({ inr: 400, stablecoin: 600 });
+        expect(await getReserveStatus()).toMatchObject({ supply: 600, reserve: 600, fullyBacked: true });
+    });
+});
+
+describe('attestations', () => {
+    test('BINR credited outside issuance shows as a reserve shortfall', async () => {
+        await postJournal({
+            type: 'TEST_CREDIT',
+            reference: 'CREDIT_1',
+            userId: user.userId,
+            lines: [
+                { account: ACCOUNTS.VAULT_CUSTODY, asset: 'stablecoin', amount: -100 },
+                { account: userAccount(user.userId), asset: 'stablecoin', amount: 100 }
+            ]
+        });
+
+        const attestation = await createAttestation();
+        expect(attestation).toMatchObject({ supply: 100, issued: 0, reserve: 0, surplus: -100, fullyBacked: false });
+        expect(attestation.peg).toMatchObject({ target: 1, band: { lower: 0.99, upper: 1.01 }, openAlerts: 0 });
+    });
+
+    test('the latest attestation is public and publishing one is admin only', async () => {
+        const first = await request(app).get('/api/binr/attestation');
+        expect(first.status).toBe(200);
+        expect((await request(app).get('/api/binr/attestation')).body.attestationId).toBe(first.body.attestationId);
+
+        expect((await request(app).post('/api/binr/attestations').set('Authorization', authHeader(user))).status).toBe(403);
+        expect((await request(app).get('/api/binr/attestations?limit=0')).status).toBe(400);
+    });
+});
+
+describe('checkPeg', () => {
+    // The server logs every alert it hears about
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('opens one alert per excursion, tracks the worst price and resolves inside the band', async () => {
+        expect(await checkPeg(binrAt(1.005))).toBeNull();
+
+        const opened = await checkPeg(binrAt(0.985));
+        expect(opened).toMatchObject({ status: 'OPEN', direction: 'BELOW', deviation: -0.015 });
+        await checkPeg(binrAt(0.97));
+        expect(await checkPeg(binrAt(0.98))).toMatchObject({ alertId: opened.alertId, worstPrice: 0.97, lastPrice: 0.98 });
+
+        expect(await checkPeg(binrAt(1))).toMatchObject({ alertId: opened.alertId, status: 'RESOLVED', resolvedPrice: 1 });
+        // Handlers hear about the opening and the resolution only
+        expect(pegEvents.map(alert => alert.status)).toEqual(['OPEN', 'RESOLVED']);
+    });
+
+    test('crossing the band resolves the alert and opens one on the other side', async () => {
+        const below = await checkPeg(binrAt(0.98));
+        const above = await checkPeg(binrAt(1.02));
+
+        expect(above).toMatchObject({ status: 'OPEN', direction: 'ABOVE' });
+        expect(above.alertId).not.toBe(below.alertId);
+        expect((await listPegAlerts({ status: 'RESOLVED' })).map(alert => alert.alertId)).toEqual([below.alertId]);
+        await expect(listPegAlerts({ status: 'CLOSED' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,510 @@
+// Blockchain Module for Multi-Metal Token App
+// Mirrors settled metal and BINR movements as token mints, burns and transfers on
+// Hyperledger Fabric, and reconciles on-chain supply with the ledger
+
+const fs = require('fs');
+const cron = require('node-cron');
+const { Gateway, Wallets } = require('fabric-network');
+const { createMockContract } = require('./mock-chaincode');
+const { ACCOUNTS, onJournalPosted, roundAmount } = require('./ledger');
+const { saveTransaction } = require('./repository');
+const { getStorage, withTransaction } = require('./storage');
+const { withLock } = require('./locks');
+const { createError } = require('./errors');
+
+// Assets issued as tokens (INR stays off-chain)
+const TOKEN_ASSETS = ['gold', 'silver', 'platinum', 'stablecoin'];
+
+// Chaincode amounts are integers: 1 token (gram or BINR) = 1e8 units, the ledger's precision
+const UNITS_PER_TOKEN = 1e8;
+
+// PENDING -> SUBMITTED, or FAILED after MAX_ATTEMPTS (retryable)
+const CHAIN_OPERATION_STATUSES = ['PENDING', 'SUBMITTED', 'FAILED'];
+
+const MAX_ATTEMPTS = parseInt(process.env.CHAIN_MAX_ATTEMPTS || '5', 10);
+
+// On-chain and off-chain supply may differ by rounding noise only
+const DRIFT_TOLERANCE = 1e-6;
+
+// Handlers called when a reconciliation finds drift (alerting...)
+const driftHandlers = [];
+
+let tokenLedger = null;
+let handlersRegistered = false;
+let submitRunning = false;
+let reconcileRunning = false;
+
+/**
+ * Generate chain reconciliation ID
+ * @returns {string} Reconciliation ID
+ */
+function generateReconciliationId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `CRC_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Convert a token amount to chaincode units
+ * @param {number} amount - Amount
+ * @returns {string} Integer units
+ */
+function toUnits(amount) {
+    return String(Math.round(amount * UNITS_PER_TOKEN));
+}
+
+/**
+ * Convert chaincode units to a token amount
+ * @param {Buffer|string} units - Integer units
+ * @returns {number} Amount
+ */
+function fromUnits(units) {
+    return roundAmount(Number(units.toString()) / UNITS_PER_TOKEN);
+}
+
+// ==================== ADAPTERS ====================
+
+/**
+ * Token ledger over a chaincode Contract (fabric-network or the mock)
+ * @param {Object} contract - Contract exposing createTransaction and evaluateTransaction
+ * @param {Object} options - { name, close }
+ * @returns {Object} Token ledger
+ */
+function createTokenLedger(contract, { name = 'fabric', close = async () => {} } = {}) {
+    /**
+     * Apply a batch of operations in one chain transaction
+     * The reference makes a retry after an unknown outcome safe: the chaincode
+     * returns the original transaction instead of applying it twice.
+     * @param {string} reference - Off-chain reference (journal ID)
+     * @param {Array} operations - [{ type: MINT | BURN | TRANSFER, asset, from, to, amount }]
+     * @returns {Promise<Object>} { txId, duplicate }
+     */
+    async function submitOperations(reference, operations) {
+        const payload = operations.map(({ amount, ...operation }) => ({ ...operation, units: toUnits(amount) }));
+        const transaction = contract.createTransaction('ApplyOperations');
+        const result = JSON.parse((await transaction.submit(reference, JSON.stringify(payload))).toString());
+        return { txId: result.txId || transaction.getTransactionId(), duplicate: Boolean(result.duplicate) };
+    }
+
+    return {
+        name,
+        submitOperations,
+        mint: (asset, to, amount, reference) => submitOperations(reference, [{ type: 'MINT', asset, to, amount }]),
+        burn: (asset, from, amount, reference) => submitOperations(reference, [{ type: 'BURN', asset, from, amount }]),
+        transfer: (asset, from, to, amount, reference) => submitOperations(reference, [{ type: 'TRANSFER', asset, from, to, amount }]),
+        totalSupply: async asset => fromUnits(await contract.evaluateTransaction('TotalSupply', asset)),
+        balanceOf: async (asset, account) => fromUnits(await contract.evaluateTransaction('BalanceOf', asset, account)),
+        close
+    };
+}
+
+/**
+ * Connect to the token chaincode on a Fabric network
+ * @param {Object} options - Connection options
+ * @param {string} options.connectionProfile - Path to the connection profile JSON (FABRIC_CONNECTION_PROFILE)
+ * @param {string} options.walletPath - File system wallet (FABRIC_WALLET_PATH)
+ * @param {string} options.identity - Wallet identity (FABRIC_IDENTITY)
+ * @param {string} options.channel - Channel (FABRIC_CHANNEL)
+ * @param {string} options.chaincode - Chaincode name (FABRIC_CHAINCODE)
+ * @returns {Promise<Object>} Token ledger
+ */
+async function connectFabricLedger({
+    connectionProfile = process.env.FABRIC_CONNECTION_PROFILE,
+    walletPath = process.env.FABRIC_WALLET_PATH || './wallet',
+    identity = process.env.FABRIC_IDENTITY || 'appUser',
+    channel = process.env.FABRIC_CHANNEL || 'mmt-channel',
+    chaincode = process.env.FABRIC_CHAINCODE || 'mmt-token'
+} = {}) {
+    if (!connectionProfile) {
+        throw new Error('FABRIC_CONNECTION_PROFILE is not set');
+    }
+    const profile = JSON.parse(fs.readFileSync(connectionProfile, 'utf8'));
+    const wallet = await Wallets.newFileSystemWallet(walletPath);
+    const gateway = new Gateway();
+    await gateway.connect(profile, {
+        wallet,
+        identity,
+        discovery: { enabled: true, asLocalhost: process.env.FABRIC_AS_LOCALHOST === 'true' }
+    });
+    const network = await gateway.getNetwork(channel);
+    return createTokenLedger(network.getContract(chaincode), { name: 'fabric', close: async () => gateway.disconnect() });
+}
+
+/**
+ * Whether on-chain mirroring is configured (CHAIN_ADAPTER=fabric|mock or a ledger was set)
+ * @returns {boolean} Enabled
+ */
+function isChainEnabled() {
+    return Boolean(tokenLedger || ['fabric', 'mock'].includes(process.env.CHAIN_ADAPTER));
+}
+
+/**
+ * Use a specific token ledger (e.g. the mock chaincode in tests)
+ * @param {Object|null} ledger - Output of createTokenLedger
+ */
+function setTokenLedger(ledger) {
+    tokenLedger = ledger;
+}
+
+/**
+ * The configured token ledger, connecting on first use
+ * @returns {Promise<Object>} Token ledger
+ */
+async function getTokenLedger() {
+    if (!tokenLedger) {
+        switch (process.env.CHAIN_ADAPTER) {
+            case 'fabric':
+                tokenLedger = await connectFabricLedger();
+                break;
+            case 'mock':
+                tokenLedger = createTokenLedger(createMockContract(), { name: 'mock' });
+                break;
+            default:
+                throw createError('Blockchain integration is disabled', 503);
+        }
+    }
+    return tokenLedger;
+}
+
+// ==================== OUTBOX ====================
+
+/**
+ * On-chain holder of a ledger account: the customer for their available and
+ * reserved balances, the platform's fee account for fee revenue, none otherwise
+ * @param {string} account - Ledger account
+ * @returns {string|null} Chain account
+ */
+function chainHolder(account) {
+    const match = /^(user|reserved):(.+)$/.exec(account);
+    if (match) return match[2];
+    return account === ACCOUNTS.FEE_REVENUE ? ACCOUNTS.FEE_REVENUE : null;
+}
+
+/**
+ * Token operations that mirror a journal
+ * Holdings moving between on-chain holders become transfers; what enters or
+ * leaves them (from vault custody) is minted or burned. Reservations net to nothing.
+ * @param {Object} journal - Posted journal
+ * @returns {Array} [{ type, asset, from, to, amount }]
+ */
+function chainOperationsForJournal(journal) {
+    const operations = [];
+    for (const asset of TOKEN_ASSETS) {
+        const deltas = new Map();
+        for (const line of journal.lines) {
+            const holder = chainHolder(line.account);
+            if (line.asset !== asset || !holder) continue;
+            deltas.set(holder, roundAmount((deltas.get(holder) || 0) + line.amount));
+        }
+
+        const sources = [...deltas].filter(([, delta]) => delta < 0).map(([holder, delta]) => ({ holder, amount: -delta }));
+        const sinks = [...deltas].filter(([, delta]) => delta > 0).map(([holder, delta]) => ({ holder, amount: delta }));
+
+        for (const sink of sinks) {
+            for (const source of sources) {
+                const amount = roundAmount(Math.min(source.amount, sink.amount));
+                if (amount <= 0) continue;
+                operations.push({ type: 'TRANSFER', asset, from: source.holder, to: sink.holder, amount });
+                source.amount = roundAmount(source.amount - amount);
+                sink.amount = roundAmount(sink.amount - amount);
+            }
+        }
+        sources.filter(source => source.amount > 0)
+            .forEach(source => operations.push({ type: 'BURN', asset, from: source.holder, amount: source.amount }));
+        sinks.filter(sink => sink.amount > 0)
+            .forEach(sink => operations.push({ type: 'MINT', asset, to: sink.holder, amount: sink.amount }));
+    }
+    return operations;
+}
+
+/**
+ * Queue the token operations of a journal (runs inside the posting transaction)
+ * @param {Object} journal - Posted journal
+ */
+async function queueChainOperations(journal) {
+    const operations = chainOperationsForJournal(journal);
+    if (operations.length === 0) {
+        return;
+    }
+    await getStorage().save('chain_operations', {
+        journalId: journal.journalId,
+        journalType: journal.type,
+        reference: journal.reference,
+        userId: journal.userId,
+        operations,
+        status: 'PENDING',
+        attempts: 0,
+        txId: null,
+        createdAt: journal.createdAt
+    });
+}
+
+/**
+ * Store the chain transaction ID on the records the journal settled
+ * (transactions posted with the journal, or the delivered redemption)
+ * @param {Object} operation - Chain operation
+ * @param {string} txId - Chain transaction ID
+ */
+async function attachChainTxId(operation, txId) {
+    const storage = getStorage();
+    if (operation.userId) {
+        const transactions = await storage.find('transactions', { userId: operation.userId });
+        for (const transaction of transactions.filter(item => item.journalId === operation.journalId)) {
+            await saveTransaction({ ...transaction, chainTxId: txId });
+        }
+    }
+    if (operation.journalType === 'REDEMPTION') {
+        const redemption = await storage.get('redemptions', operation.reference);
+        if (redemption) {
+            await storage.save('redemptions', { ...redemption, chainTxId: txId });
+        }
+    }
+}
+
+/**
+ * Submit queued operations to the chain, oldest first
+ * Stops at the first failure so a burn is never sent ahead of the mint it depends
+ * on; an operation that keeps failing is parked as FAILED after MAX_ATTEMPTS,
+ * and nothing queued after it is submitted until it is retried.
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { submitted, failed, remaining, blockedBy }
+ */
+async function submitPendingChainOperations({ limit = 100 } = {}) {
+    const ledger = await getTokenLedger();
+    return withLock('chain:submit', async () => {
+        const storage = getStorage();
+        const queue = await storage.find('chain_operations', { status: ['PENDING', 'FAILED'] }, { orderBy: 'createdAt', order: 'asc', limit });
+        let submitted = 0;
+        let failed = 0;
+        let blockedBy = null;
+
+        for (const operation of queue) {
+            if (operation.status === 'FAILED') {
+                blockedBy = operation.journalId;
+                break;
+            }
+            try {
+                const { txId } = await ledger.submitOperations(operation.journalId, operation.operations);
+                await withTransaction(async () => {
+                    await storage.save('chain_operations', {
+                        ...operation,
+                        status: 'SUBMITTED',
+                        attempts: operation.attempts + 1,
+                        txId,
+                        lastError: null,
+                        submittedAt: new Date()
+                    });
+                    await attachChainTxId(operation, txId);
+                });
+                submitted += 1;
+            } catch (error) {
+                const attempts = operation.attempts + 1;
+                const status = attempts >= MAX_ATTEMPTS ? 'FAILED' : 'PENDING';
+                await storage.save('chain_operations', { ...operation, status, attempts, lastError: error.message });
+                if (status === 'FAILED') {
+                    failed += 1;
+                    blockedBy = operation.journalId;
+                    console.error(`Chain operation ${operation.journalId} failed after ${attempts} attempts:`, error.message);
+                }
+                break;
+            }
+        }
+
+        return { submitted, failed, remaining: await storage.count('chain_operations', { status: 'PENDING' }), blockedBy };
+    });
+}
+
+/**
+ * Put a FAILED operation back in the queue
+ * @param {string} journalId - Journal ID of the operation
+ * @returns {Promise<Object>} Operation
+ */
+async function retryChainOperation(journalId) {
+    const operation = await getStorage().get('chain_operations', journalId);
+    if (!operation) {
+        throw createError('Chain operation not found', 404);
+    }
+    if (operation.status !== 'FAILED') {
+        throw createError(`Chain operation is ${operation.status}`, 409);
+    }
+    const queued = { ...operation, status: 'PENDING', attempts: 0 };
+    await getStorage().save('chain_operations', queued);
+    return queued;
+}
+
+/**
+ * List chain operations, oldest first
+ * @param {Object} filters - { status, limit }
+ * @returns {Promise<Array>} Operations
+ */
+async function listChainOperations({ status, limit = 100 } = {}) {
+    if (status && !CHAIN_OPERATION_STATUSES.includes(status)) {
+        throw createError('Invalid chain operation status', 400, { allowed: CHAIN_OPERATION_STATUSES });
+    }
+    return getStorage().find('chain_operations', status ? { status } : {}, { orderBy: 'createdAt', order: 'asc', limit });
+}
+
+// ==================== RECONCILIATION ====================
+
+/**
+ * Register a handler for supply drift
+ * @param {Function} handler - async (report) => void
+ */
+function onChainDrift(handler) {
+    driftHandlers.push(handler);
+}
+
+/**
+ * Compare on-chain token supply with the off-chain ledger
+ * Operations not yet on chain are netted out, so only real drift is reported.
+ * @returns {Promise<Object>} Reconciliation report (status OK or DRIFT)
+ */
+async function reconcileChain() {
+    const ledger = await getTokenLedger();
+    const storage = getStorage();
+
+    const rows = await storage.sum('ledger_lines', 'amount', { asset: TOKEN_ASSETS }, ['account', 'asset']);
+    const unsubmitted = await storage.find('chain_operations', { status: ['PENDING', 'FAILED'] });
+
+    const assets = {};
+    for (const asset of TOKEN_ASSETS) {
+        const offChain = roundAmount(rows
+            .filter(row => row.asset === asset && chainHolder(row.account))
+            .reduce((sum, row) => sum + row.total, 0));
+        const pending = roundAmount(unsubmitted
+            .flatMap(operation => operation.operations)
+            .filter(item => item.asset === asset)
+            .reduce((sum, item) => sum + (item.type === 'MINT' ? item.amount : item.type === 'BURN' ? -item.amount : 0), 0));
+        const onChain = await ledger.totalSupply(asset);
+        const expectedOnChain = roundAmount(offChain - pending);
+        const drift = roundAmount(onChain - expectedOnChain);
+        assets[asset] = { offChain, pending, expectedOnChain, onChain, drift, balanced: Math.abs(drift) <= DRIFT_TOLERANCE };
+    }
+
+    const report = {
+        reconciliationId: generateReconciliationId(),
+        adapter: ledger.name,
+        status: Object.values(assets).every(item => item.balanced) ? 'OK' : 'DRIFT',
+        assets,
+        unsubmittedOperations: unsubmitted.length,
+        failedOperations: unsubmitted.filter(operation => operation.status === 'FAILED').length,
+        createdAt: new Date()
+    };
+    await storage.save('chain_reconciliations', report);
+
+    if (report.status === 'DRIFT') {
+        for (const handler of driftHandlers) {
+            try {
+                await handler(report);
+            } catch (error) {
+                console.error('Chain drift handler error:', error);
+            }
+        }
+    }
+    return report;
+}
+
+/**
+ * List reconciliation reports, newest first
+ * @param {Object} filters - { status, limit }
+ * @returns {Promise<Array>} Reports
+ */
+async function listChainReconciliations({ status, limit = 50 } = {}) {
+    if (status && !['OK', 'DRIFT'].includes(status)) {
+        throw createError('Invalid reconciliation status', 400, { allowed: ['OK', 'DRIFT'] });
+    }
+    return getStorage().find('chain_reconciliations', status ? { status } : {}, { orderBy: 'createdAt', order: 'desc', limit });
+}
+
+/**
+ * Queue counts and the latest reconciliation
+ * @returns {Promise<Object>} Status
+ */
+async function getChainStatus() {
+    const storage = getStorage();
+    const ledger = await getTokenLedger();
+    const [pending, failed, submitted, latest] = await Promise.all([
+        storage.count('chain_operations', { status: 'PENDING' }),
+        storage.count('chain_operations', { status: 'FAILED' }),
+        storage.count('chain_operations', { status: 'SUBMITTED' }),
+        storage.find('chain_reconciliations', {}, { orderBy: 'createdAt', order: 'desc', limit: 1 })
+    ]);
+    return { adapter: ledger.name, operations: { pending, failed, submitted }, lastReconciliation: latest[0] || null };
+}
+
+/**
+ * Queue token operations for every posted journal when the chain is enabled
+ * (safe to call more than once)
+ */
+function registerChainHandlers() {
+    if (!handlersRegistered && isChainEnabled()) {
+        onJournalPosted(queueChainOperations);
+        onChainDrift(report => console.error('On-chain supply drift:', Object.fromEntries(
+            Object.entries(report.assets).filter(([, item]) => !item.balanced).map(([asset, item]) => [asset, item.drift])
+        )));
+        handlersRegistered = true;
+    }
+}
+
+/**
+ * Schedule submission of queued operations and supply reconciliation
+ * @param {Object} options - Options
+ * @param {string} options.submitSchedule - Cron expression (default CHAIN_SUBMIT_SCHEDULE or every minute)
+ * @param {string} options.reconcileSchedule - Cron expression (default CHAIN_RECONCILE_SCHEDULE or every 30 minutes)
+ * @returns {Array} Scheduled cron tasks (empty when the chain is disabled)
+ */
+function startChainJobs({
+    submitSchedule = process.env.CHAIN_SUBMIT_SCHEDULE || '* * * * *',
+    reconcileSchedule = process.env.CHAIN_RECONCILE_SCHEDULE || '*/30 * * * *'
+} = {}) {
+    if (!isChainEnabled()) {
+        return [];
+    }
+    return [
+        cron.schedule(submitSchedule, async () => {
+            if (submitRunning) return;
+            submitRunning = true;
+            try {
+                const summary = await submitPendingChainOperations();
+                if (summary.submitted > 0 || summary.failed > 0) {
+                    console.log('Chain submission:', summary);
+                }
+            } catch (error) {
+                console.error('Chain submission error:', error);
+            } finally {
+                submitRunning = false;
+            }
+        }),
+        cron.schedule(reconcileSchedule, async () => {
+            if (reconcileRunning) return;
+            reconcileRunning = true;
+            try {
+                await reconcileChain();
+            } catch (error) {
+                console.error('Chain reconciliation error:', error);
+            } finally {
+                reconcileRunning = false;
+            }
+        })
+    ];
+}
+
+module.exports = {
+    TOKEN_ASSETS,
+    CHAIN_OPERATION_STATUSES,
+    createTokenLedger,
+    connectFabricLedger,
+    setTokenLedger,
+    getTokenLedger,
+    isChainEnabled,
+    chainOperationsForJournal,
+    submitPendingChainOperations,
+    retryChainOperation,
+    listChainOperations,
+    onChainDrift,
+    reconcileChain,
+    listChainReconciliations,
+    getChainStatus,
+    registerChainHandlers,
+    startChainJobs
+};
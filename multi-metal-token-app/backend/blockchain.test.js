@@ -0,0 +1,97 @@
+const { resetStorage } = require('./test-utils');
+const { setTokenLedger, submitPendingChainOperations, retryChainOperation } = require('./blockchain');
+const { getStorage } = require('./storage');
+
+let submittedJournals;
+let failingJournals;
+
+/**
+ * Queue a chain operation directly
+ * @param {string} journalId - Journal ID
+ * @param {number} minute - Minutes after a fixed time (queue order)
+ * @param {Object} fields - Overrides (status, attempts...)
+ * @returns {Promise<Object>} Operation
+ */
+function queueOperation(journalId, minute, fields = {}) {
+    return getStorage().save('chain_operations', {
+        journalId,
+        journalType: 'BUY',
+        reference: journalId,
+        userId: null,
+        operations: [{ type: 'MINT', asset: 'gold', to: 'USER_1', amount: 1 }],
+        status: 'PENDING',
+        attempts: 0,
+        txId: null,
+        createdAt: new Date(Date.UTC(2025, 3, 1, 10, minute)),
+        ...fields
+    });
+}
+
+beforeEach(() => {
+    resetStorage();
+    submittedJournals = [];
+    failingJournals = new Set();
+    setTokenLedger({
+        name: 'test',
+        submitOperations: async journalId => {
+            if (failingJournals.has(journalId)) {
+                throw new Error('endorsement failed');
+            }
+            submittedJournals.push(journalId);
+            return { txId: `TX_${journalId}`, duplicate: false };
+        }
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    setTokenLedger(null);
+    jest.restoreAllMocks();
+});
+
+test('submits the queue oldest first', async () => {
+    await queueOperation('JRN_2', 2);
+    await queueOperation('JRN_1', 1);
+
+    expect(await submitPendingChainOperations()).toEqual({ submitted: 2, failed: 0, remaining: 0, blockedBy: null });
+    expect(submittedJournals).toEqual(['JRN_1', 'JRN_2']);
+    expect(await getStorage().get('chain_operations', 'JRN_1')).toMatchObject({ status: 'SUBMITTED', txId: 'TX_JRN_1', attempts: 1 });
+});
+
+test('a failure stops the run and is retried before anything queued after it', async () => {
+    await queueOperation('JRN_1', 1);
+    await queueOperation('JRN_2', 2);
+    failingJournals.add('JRN_1');
+
+    expect(await submitPendingChainOperations()).toMatchObject({ submitted: 0, remaining: 2, blockedBy: null });
+    expect(await getStorage().get('chain_operations', 'JRN_1')).toMatchObject({ status: 'PENDING', attempts: 1, lastError: 'endorsement failed' });
+
+    failingJournals.clear();
+    await submitPendingChainOperations();
+    expect(submittedJournals).toEqual(['JRN_1', 'JRN_2']);
+});
+
+test('a parked FAILED operation blocks later operations until it is retried', async () => {
+    await queueOperation('JRN_1', 1, { attempts: 4 });
+    await queueOperation('JRN_2', 2);
+    failingJournals.add('JRN_1');
+
+    expect(await submitPendingChainOperations()).toMatchObject({ submitted: 0, failed: 1, remaining: 1, blockedBy: 'JRN_1' });
+    expect((await getStorage().get('chain_operations', 'JRN_1')).status).toBe('FAILED');
+
+    // The next run must not skip past the parked operation
+    failingJournals.clear();
+    expect(await submitPendingChainOperations()).toMatchObject({ submitted: 0, remaining: 1, blockedBy: 'JRN_1' });
+    expect(submittedJournals).toEqual([]);
+    expect((await getStorage().get('chain_operations', 'JRN_2')).status).toBe('PENDING');
+
+    await retryChainOperation('JRN_1');
+    expect(await submitPendingChainOperations()).toMatchObject({ submitted: 2, remaining: 0, blockedBy: null });
+    expect(submittedJournals).toEqual(['JRN_1', 'JRN_2']);
+});
+
+test('only FAILED operations can be retried', async () => {
+    await queueOperation('JRN_1', 1);
+    await expect(retryChainOperation('JRN_1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(retryChainOperation('JRN_404')).rejects.toMatchObject({ statusCode: 404 });
+});
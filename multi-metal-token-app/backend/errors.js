@@ -0,0 +1,36 @@
+// Error Helpers for Multi-Metal Token App
+// Business errors carry the HTTP status the API should answer with
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Client-facing error message
+ * @param {number} statusCode - HTTP status (default 400)
+ * @param {Object} details - Extra fields to expose to the client
+ * @returns {Error} Error with statusCode and details
+ */
+function createError(message, statusCode = 400, details = undefined) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Send an error response: business errors with their status, anything else is
+ * logged and answered with a generic 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by a handler
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, ...(error.details || {}) });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = {
+    createError,
+    sendError
+};
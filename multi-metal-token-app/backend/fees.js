@@ -109,16 +109,17 @@ function calculateSpread(marketPrice, spreadRate = 0.01) {
  * @param {string} asset - Asset type
  * @param {number} amount - Amount in grams
  * @param {string} deliveryMethod - 'HOME', 'STORE', 'VAULT'
+ * @param {number} price - Price per gram (defaults to a reference price per asset)
  * @returns {Object} Redemption fee breakdown
  */
-function calculateRedemptionFees(asset, amount, deliveryMethod) {
+function calculateRedemptionFees(asset, amount, deliveryMethod, price) {
     const marketPrices = {
         gold: 6000,
         silver: 75,
         platinum: 2800
     };
     
-    const value = amount * (marketPrices[asset] || 1);
+    const value = amount * (price || marketPrices[asset] || 1);
     
     // Delivery fees
     let deliveryFee;
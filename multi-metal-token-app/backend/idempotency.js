@@ -0,0 +1,88 @@
+// Idempotency Module for Multi-Metal Token App
+// Makes retried requests (same Idempotency-Key) return the original result
+
+const crypto = require('crypto');
+const { getStorage, withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,128}$/;
+
+/**
+ * Hash the parts of a request that must match on retry
+ * @param {string} scope - Operation name (e.g. 'trade.swap')
+ * @param {Object} payload - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(scope, payload) {
+    return crypto.createHash('sha256').update(`${scope}:${JSON.stringify(payload || {})}`).digest('hex');
+}
+
+/**
+ * Run an operation at most once per (user, Idempotency-Key)
+ * The operation runs under the user's lock inside a storage transaction, and its
+ * response is stored in that same transaction, so either both the effects and
+ * the stored response exist or neither does. Failed operations are not stored
+ * and may be retried with the same key.
+ * @param {Object} params - Idempotency parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.key - Idempotency-Key header value (optional)
+ * @param {string} params.scope - Operation name
+ * @param {Object} params.payload - Request body
+ * @param {Function} work - Async function returning { statusCode, body }
+ * @returns {Promise<Object>} { statusCode, body, replayed }
+ */
+async function runIdempotent({ userId, key, scope, payload }, work) {
+    if (key !== undefined && !KEY_PATTERN.test(key)) {
+        throw createError('Idempotency-Key must be 8-128 characters of letters, digits, - _ : .');
+    }
+
+    return withUserLock(userId, async () => {
+        if (!key) {
+            const result = await withTransaction(work);
+            return { ...result, replayed: false };
+        }
+
+        const idempotencyId = `${userId}:${key}`;
+        const requestHash = hashRequest(scope, payload);
+        const existing = await getStorage().get('idempotency_keys', idempotencyId);
+
+        if (existing) {
+            if (existing.scope !== scope || existing.requestHash !== requestHash) {
+                throw createError('Idempotency-Key was already used for a different request', 422);
+            }
+            return { statusCode: existing.statusCode, body: existing.body, replayed: true };
+        }
+
+        return withTransaction(async () => {
+            const result = await work();
+            await getStorage().save('idempotency_keys', {
+                idempotencyId,
+                userId,
+                scope,
+                requestHash,
+                statusCode: result.statusCode,
+                body: result.body,
+                createdAt: new Date()
+            });
+            return { ...result, replayed: false };
+        });
+    });
+}
+
+/**
+ * Send the result of runIdempotent, flagging replays
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result from runIdempotent
+ */
+function sendIdempotentResult(res, result) {
+    if (result.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+    }
+    res.status(result.statusCode).json(result.body);
+}
+
+module.exports = {
+    runIdempotent,
+    sendIdempotentResult
+};
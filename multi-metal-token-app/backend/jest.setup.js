@@ -0,0 +1,9 @@
+// Jest Setup for Multi-Metal Token App
+// Every test file runs against a throwaway in-memory store with fixed secrets
+
+process.env.NODE_ENV = 'test';
+process.env.DB_CLIENT = 'file';
+process.env.DATA_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-jwt-secret';
+delete process.env.REDIS_URL;
+delete process.env.CHAIN_ADAPTER;
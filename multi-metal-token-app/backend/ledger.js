@@ -0,0 +1,612 @@
+// Ledger Module for Multi-Metal Token App
+// Double-entry bookkeeping for metal, BINR and INR balances
+
+const crypto = require('crypto');
+const { getStorage, withTransaction } = require('./storage');
+
+// Platform accounts. Every customer has one account per user: `user:<userId>`,
+// plus `reserved:<userId>` for balances held by open orders.
+const ACCOUNTS = {
+    FEE_REVENUE: 'fee-revenue',
+    GST_PAYABLE: 'gst-payable',
+    VAULT_CUSTODY: 'vault-custody',
+    PAYMENT_CLEARING: 'payment-clearing', // INR moving through UPI/bank/card rails
+    BINR_ISSUANCE: 'binr-issuance', // BINR not yet issued; minus its balance is the BINR in circulation
+    BINR_RESERVE: 'binr-reserve' // INR held 1:1 against circulating BINR
+};
+
+const ASSETS = ['gold', 'silver', 'platinum', 'stablecoin', 'inr'];
+
+// Amounts are stored with 8 decimals; anything below this is rounding noise
+const BALANCE_TOLERANCE = 1e-6;
+
+// Handlers called for every journal inside its posting transaction (outboxes...)
+const postHandlers = [];
+
+/**
+ * Get the ledger account for a customer
+ * @param {string} userId - User ID
+ * @returns {string} Account name
+ */
+function userAccount(userId) {
+    return `user:${userId}`;
+}
+
+/**
+ * Get the ledger account holding a customer's reserved balances
+ * @param {string} userId - User ID
+ * @returns {string} Account name
+ */
+function reservedAccount(userId) {
+    return `reserved:${userId}`;
+}
+
+/**
+ * Round an amount to ledger precision
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 1e8) / 1e8;
+}
+
+/**
+ * Generate journal ID
+ * @returns {string} Journal ID
+ */
+function generateJournalId() {
+    return 'JRN_' + Date.now() + '_' + crypto.randomBytes(5).toString('hex');
+}
+
+/**
+ * Lines moving an asset from the platform to a customer (negative amounts move it back)
+ * Metal comes out of vault custody. BINR is issued at par against the BINR reserve:
+ * custody pays the reserve 1 INR per BINR, so any market premium or discount stays with custody.
+ * @param {string} asset - Asset
+ * @param {number} amount - Quantity leaving the platform
+ * @returns {Array} Journal lines
+ */
+function custodyLines(asset, amount) {
+    if (asset !== 'stablecoin') {
+        return [{ account: ACCOUNTS.VAULT_CUSTODY, asset, amount: -amount }];
+    }
+    return [
+        { account: ACCOUNTS.BINR_ISSUANCE, asset, amount: -amount },
+        { account: ACCOUNTS.VAULT_CUSTODY, asset: 'inr', amount: -amount },
+        { account: ACCOUNTS.BINR_RESERVE, asset: 'inr', amount }
+    ];
+}
+
+/**
+ * Register a handler for posted journals
+ * Handlers run inside the posting transaction, so whatever they write commits or
+ * rolls back with the journal; a handler that throws fails the post.
+ * @param {Function} handler - async (journal) => void
+ */
+function onJournalPosted(handler) {
+    postHandlers.push(handler);
+}
+
+/**
+ * Sum journal lines per asset
+ * @param {Array} lines - Journal lines
+ * @returns {Object} Totals keyed by asset
+ */
+function totalsByAsset(lines) {
+    return lines.reduce((totals, line) => {
+        totals[line.asset] = (totals[line.asset] || 0) + line.amount;
+        return totals;
+    }, {});
+}
+
+/**
+ * Post a balanced journal
+ * Positive amounts increase an account, negative amounts decrease it.
+ * The lines of each asset must sum to zero.
+ * @param {Object} params - Journal parameters
+ * @param {string} params.type - Journal type (BUY, SELL, SWAP, SIP, REFUND, REVERSAL...)
+ * @param {string} params.reference - Business reference (transaction, payment or refund ID)
+ * @param {string} params.userId - Customer the journal belongs to
+ * @param {string} params.description - Human readable description
+ * @param {Array} params.lines - [{ account, asset, amount }]
+ * @returns {Promise<Object>} Posted journal
+ */
+async function postJournal({ type, reference, userId, description, lines }) {
+    const postedLines = lines
+        .map(line => ({ ...line, amount: roundAmount(line.amount) }))
+        .filter(line => line.amount !== 0);
+
+    for (const line of postedLines) {
+        if (!ASSETS.includes(line.asset)) {
+            throw new Error(`Unknown ledger asset: ${line.asset}`);
+        }
+    }
+
+    for (const [asset, total] of Object.entries(totalsByAsset(postedLines))) {
+        if (Math.abs(total) > BALANCE_TOLERANCE) {
+            throw new Error(`Unbalanced journal for ${asset}: off by ${total}`);
+        }
+    }
+
+    const journal = {
+        journalId: generateJournalId(),
+        type,
+        reference,
+        userId,
+        description,
+        lines: postedLines,
+        createdAt: new Date()
+    };
+
+    await withTransaction(async () => {
+        const storage = getStorage();
+        await storage.save('journals', journal);
+        for (const [index, line] of postedLines.entries()) {
+            await storage.save('ledger_lines', {
+                lineId: `${journal.journalId}_${index}`,
+                journalId: journal.journalId,
+                account: line.account,
+                asset: line.asset,
+                amount: line.amount,
+                createdAt: journal.createdAt
+            });
+        }
+        for (const handler of postHandlers) {
+            await handler(journal);
+        }
+    });
+
+    return journal;
+}
+
+/**
+ * Post the mirror image of an existing journal
+ * @param {string} journalId - Journal to reverse
+ * @param {Object} params - Reversal details
+ * @param {string} params.reference - Business reference for the reversal
+ * @param {string} params.description - Reason
+ * @returns {Promise<Object>} Reversal journal
+ */
+async function reverseJournal(journalId, { reference, description } = {}) {
+    const original = await getStorage().get('journals', journalId);
+    if (!original) {
+        throw new Error('Journal not found');
+    }
+
+    return postJournal({
+        type: 'REVERSAL',
+        reference: reference || original.reference,
+        userId: original.userId,
+        description: description || `Reversal of ${journalId}`,
+        lines: original.lines.map(line => ({ ...line, amount: -line.amount }))
+    });
+}
+
+// ==================== BALANCES ====================
+
+/**
+ * Get the balance of one account in every asset
+ * @param {string} account - Account name
+ * @returns {Promise<Object>} Balances keyed by asset
+ */
+async function getAccountBalances(account) {
+    const rows = await getStorage().sum('ledger_lines', 'amount', { account }, ['asset']);
+    const balances = {};
+    for (const asset of ASSETS) {
+        const row = rows.find(item => item.asset === asset);
+        balances[asset] = row ? roundAmount(row.total) : 0;
+    }
+    return balances;
+}
+
+/**
+ * Get a customer's balances (gold, silver, platinum, stablecoin, inr)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Balances keyed by asset
+ */
+async function getUserBalances(userId) {
+    return getAccountBalances(userAccount(userId));
+}
+
+/**
+ * Check that the whole ledger sums to zero per asset
+ * @returns {Promise<Object>} Reconciliation report with a trial balance
+ */
+async function reconcileLedger() {
+    const storage = getStorage();
+    const [assetTotals, accountTotals, journalCount] = await Promise.all([
+        storage.sum('ledger_lines', 'amount', {}, ['asset']),
+        storage.sum('ledger_lines', 'amount', {}, ['account', 'asset']),
+        storage.count('journals')
+    ]);
+
+    const assets = {};
+    for (const asset of ASSETS) {
+        const row = assetTotals.find(item => item.asset === asset);
+        const total = row ? roundAmount(row.total) : 0;
+        assets[asset] = { total, balanced: Math.abs(total) <= BALANCE_TOLERANCE };
+    }
+
+    // Customer accounts are rolled up so the report stays small
+    const trialBalance = {};
+    for (const row of accountTotals) {
+        const account = row.account.startsWith('user:') ? 'customers'
+            : row.account.startsWith('reserved:') ? 'customer-reservations'
+                : row.account;
+        trialBalance[account] = trialBalance[account] || {};
+        trialBalance[account][row.asset] = roundAmount((trialBalance[account][row.asset] || 0) + row.total);
+    }
+
+    return {
+        balanced: Object.values(assets).every(item => item.balanced),
+        assets,
+        trialBalance,
+        journalCount,
+        checkedAt: new Date()
+    };
+}
+
+// ==================== JOURNAL BUILDERS ====================
+
+/**
+ * Record a settled buy: metal leaves custody for the customer, INR is split
+ * into principal, fee revenue and GST
+ * @param {Object} params - Buy details
+ * @param {string} params.userId - User ID
+ * @param {string} params.transactionId - BUY transaction ID
+ * @param {string} params.asset - Asset bought
+ * @param {number} params.amount - Quantity bought
+ * @param {number} params.price - Price per unit
+ * @param {Object} params.fees - Output of calculateFees
+ * @param {string} params.fundingAccount - Where the INR came from (defaults to payment clearing)
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordBuy({ userId, transactionId, asset, amount, price, fees, fundingAccount }) {
+    const principal = roundAmount(amount * price);
+    const feeRevenue = fees.spreadFee + fees.platformFee;
+
+    return postJournal({
+        type: 'BUY',
+        reference: transactionId,
+        userId,
+        description: `Buy ${amount} ${asset} @ ${price}`,
+        lines: [
+            ...custodyLines(asset, amount),
+            { account: userAccount(userId), asset, amount },
+            { account: fundingAccount || ACCOUNTS.PAYMENT_CLEARING, asset: 'inr', amount: -(principal + feeRevenue + fees.gst) },
+            { account: ACCOUNTS.VAULT_CUSTODY, asset: 'inr', amount: principal },
+            { account: ACCOUNTS.FEE_REVENUE, asset: 'inr', amount: feeRevenue },
+            { account: ACCOUNTS.GST_PAYABLE, asset: 'inr', amount: fees.gst }
+        ]
+    });
+}
+
+/**
+ * Record a sell: metal returns to custody, net proceeds are owed to the customer in INR
+ * @param {Object} params - Sell details
+ * @param {string} params.userId - User ID
+ * @param {string} params.transactionId - SELL transaction ID
+ * @param {string} params.asset - Asset sold
+ * @param {number} params.amount - Quantity sold
+ * @param {number} params.price - Price per unit
+ * @param {Object} params.fees - Output of calculateFees
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordSell({ userId, transactionId, asset, amount, price, fees }) {
+    const gross = roundAmount(amount * price);
+    const feeRevenue = fees.spreadFee + fees.platformFee;
+
+    return postJournal({
+        type: 'SELL',
+        reference: transactionId,
+        userId,
+        description: `Sell ${amount} ${asset} @ ${price}`,
+        lines: [
+            { account: userAccount(userId), asset, amount: -amount },
+            ...custodyLines(asset, -amount),
+            { account: ACCOUNTS.VAULT_CUSTODY, asset: 'inr', amount: -gross },
+            { account: ACCOUNTS.FEE_REVENUE, asset: 'inr', amount: feeRevenue },
+            { account: ACCOUNTS.GST_PAYABLE, asset: 'inr', amount: fees.gst },
+            { account: userAccount(userId), asset: 'inr', amount: gross - feeRevenue - fees.gst }
+        ]
+    });
+}
+
+/**
+ * Record both legs of a swap; the swap fee is taken in the received asset
+ * @param {Object} params - Swap details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Swap reference (sell-leg transaction ID)
+ * @param {string} params.fromAsset - Asset given up
+ * @param {number} params.fromAmount - Quantity given up
+ * @param {string} params.toAsset - Asset received
+ * @param {number} params.receivedAmount - Quantity before the swap fee
+ * @param {number} params.feeAmount - Swap fee in units of toAsset
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordSwap({ userId, reference, fromAsset, fromAmount, toAsset, receivedAmount, feeAmount }) {
+    return postJournal({
+        type: 'SWAP',
+        reference,
+        userId,
+        description: `Swap ${fromAmount} ${fromAsset} to ${toAsset}`,
+        lines: [
+            { account: userAccount(userId), asset: fromAsset, amount: -fromAmount },
+            ...custodyLines(fromAsset, -fromAmount),
+            ...custodyLines(toAsset, receivedAmount),
+            { account: ACCOUNTS.FEE_REVENUE, asset: toAsset, amount: feeAmount },
+            { account: userAccount(userId), asset: toAsset, amount: receivedAmount - feeAmount }
+        ]
+    });
+}
+
+/**
+ * Record a SIP installment: INR is debited from the funding account, the SIP fee
+ * (plus GST) goes to revenue and the rest buys metal at the execution price
+ * @param {Object} params - SIP installment details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - SIP execution reference
+ * @param {string} params.asset - Asset bought
+ * @param {number} params.amount - Quantity bought
+ * @param {Array} params.purchases - Basket installments: [{ asset, amount }] instead of asset/amount
+ * @param {number} params.principal - INR spent on metal
+ * @param {number} params.sipFee - SIP fee
+ * @param {number} params.gst - GST on the SIP fee
+ * @param {string} params.fundingAccount - Where the INR came from (defaults to the user's INR balance)
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordSIPDebit({ userId, reference, asset, amount, purchases, principal, sipFee, gst, fundingAccount }) {
+    const legs = purchases || [{ asset, amount }];
+    return postJournal({
+        type: 'SIP',
+        reference,
+        userId,
+        description: `SIP ${legs.map(leg => leg.asset).join('/')} installment`,
+        lines: [
+            ...legs.flatMap(leg => [
+                ...custodyLines(leg.asset, leg.amount),
+                { account: userAccount(userId), asset: leg.asset, amount: leg.amount }
+            ]),
+            { account: fundingAccount || userAccount(userId), asset: 'inr', amount: -(principal + sipFee + gst) },
+            { account: ACCOUNTS.VAULT_CUSTODY, asset: 'inr', amount: principal },
+            { account: ACCOUNTS.FEE_REVENUE, asset: 'inr', amount: sipFee },
+            { account: ACCOUNTS.GST_PAYABLE, asset: 'inr', amount: gst }
+        ]
+    });
+}
+
+/**
+ * Record a standalone fee charged from a customer's INR balance
+ * @param {Object} params - Fee details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Business reference
+ * @param {number} params.fee - Fee before GST
+ * @param {number} params.gst - GST on the fee
+ * @param {string} params.description - What the fee is for
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordFee({ userId, reference, fee, gst, description }) {
+    return postJournal({
+        type: 'FEE',
+        reference,
+        userId,
+        description,
+        lines: [
+            { account: userAccount(userId), asset: 'inr', amount: -(fee + gst) },
+            { account: ACCOUNTS.FEE_REVENUE, asset: 'inr', amount: fee },
+            { account: ACCOUNTS.GST_PAYABLE, asset: 'inr', amount: gst }
+        ]
+    });
+}
+
+/**
+ * Record INR received from a payment rail into a customer's balance
+ * @param {Object} params - Deposit details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Payment ID
+ * @param {number} params.amount - INR received
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordDeposit({ userId, reference, amount }) {
+    return postJournal({
+        type: 'DEPOSIT',
+        reference,
+        userId,
+        description: `INR received via ${reference}`,
+        lines: [
+            { account: ACCOUNTS.PAYMENT_CLEARING, asset: 'inr', amount: -amount },
+            { account: userAccount(userId), asset: 'inr', amount }
+        ]
+    });
+}
+
+/**
+ * Record INR refunded to a customer's bank or card
+ * @param {Object} params - Refund details
+ * @param {string} params.userId - User ID
+ * @param {string} params.refundId - Refund ID
+ * @param {number} params.amount - INR refunded
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordRefund({ userId, refundId, amount }) {
+    return postJournal({
+        type: 'REFUND',
+        reference: refundId,
+        userId,
+        description: `Refund ${refundId}`,
+        lines: [
+            { account: userAccount(userId), asset: 'inr', amount: -amount },
+            { account: ACCOUNTS.PAYMENT_CLEARING, asset: 'inr', amount }
+        ]
+    });
+}
+
+/**
+ * Record INR paid out from a customer's balance to their bank account
+ * @param {Object} params - Withdrawal details
+ * @param {string} params.userId - User ID
+ * @param {string} params.withdrawalId - Withdrawal ID
+ * @param {number} params.amount - INR paid out
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordWithdrawal({ userId, withdrawalId, amount }) {
+    return postJournal({
+        type: 'WITHDRAWAL',
+        reference: withdrawalId,
+        userId,
+        description: `Withdrawal ${withdrawalId}`,
+        lines: [
+            { account: userAccount(userId), asset: 'inr', amount: -amount },
+            { account: ACCOUNTS.PAYMENT_CLEARING, asset: 'inr', amount }
+        ]
+    });
+}
+
+/**
+ * Undo a settled buy into the customer's INR balance
+ * The metal goes back to custody and the spread, fees and GST are returned, so
+ * the customer holds the full amount they paid as INR (ready to be refunded).
+ * @param {Object} params - Reversal details
+ * @param {string} params.buyJournalId - Journal posted by recordBuy
+ * @param {string} params.reference - Business reference (refund ID)
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordBuyReversal({ buyJournalId, reference }) {
+    const original = await getStorage().get('journals', buyJournalId);
+    if (!original || original.type !== 'BUY') {
+        throw new Error('Buy journal not found');
+    }
+
+    return postJournal({
+        type: 'BUY_REVERSAL',
+        reference,
+        userId: original.userId,
+        description: `Reversal of buy ${original.reference}`,
+        lines: original.lines.map(line => ({
+            // The INR that funded the buy is returned to the customer's balance
+            account: line.asset === 'inr' && line.amount < 0 ? userAccount(original.userId) : line.account,
+            asset: line.asset,
+            amount: -line.amount
+        }))
+    });
+}
+
+/**
+ * Move part of a customer's balance into their reserved account (or back)
+ * Reserved balances no longer show in getUserBalances, so they cannot be spent twice.
+ * @param {Object} params - Reservation details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Order ID
+ * @param {string} params.asset - Asset reserved
+ * @param {number} params.amount - Quantity; negative releases it back to the customer
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordReservation({ userId, reference, asset, amount }) {
+    return postJournal({
+        type: amount >= 0 ? 'RESERVE' : 'RELEASE',
+        reference,
+        userId,
+        description: `${amount >= 0 ? 'Reserve' : 'Release'} ${Math.abs(amount)} ${asset} for ${reference}`,
+        lines: [
+            { account: userAccount(userId), asset, amount: -amount },
+            { account: reservedAccount(userId), asset, amount }
+        ]
+    });
+}
+
+/**
+ * Record metal physically handed over to a customer from their reserved balance
+ * The customer's holding is settled out of custody, so it leaves the books.
+ * @param {Object} params - Redemption details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Redemption ID
+ * @param {string} params.asset - Asset delivered
+ * @param {number} params.amount - Grams delivered
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordRedemption({ userId, reference, asset, amount }) {
+    return postJournal({
+        type: 'REDEMPTION',
+        reference,
+        userId,
+        description: `Deliver ${amount} ${asset} for ${reference}`,
+        lines: [
+            { account: reservedAccount(userId), asset, amount: -amount },
+            { account: ACCOUNTS.VAULT_CUSTODY, asset, amount }
+        ]
+    });
+}
+
+/**
+ * Record BINR minted against a customer's INR balance
+ * The INR moves into the BINR reserve and the same number of BINR is issued to the customer.
+ * @param {Object} params - Mint details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Issuance ID
+ * @param {number} params.amount - BINR minted (= INR reserved)
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordBINRMint({ userId, reference, amount }) {
+    return postJournal({
+        type: 'BINR_MINT',
+        reference,
+        userId,
+        description: `Mint ${amount} BINR`,
+        lines: [
+            { account: userAccount(userId), asset: 'inr', amount: -amount },
+            { account: ACCOUNTS.BINR_RESERVE, asset: 'inr', amount },
+            { account: ACCOUNTS.BINR_ISSUANCE, asset: 'stablecoin', amount: -amount },
+            { account: userAccount(userId), asset: 'stablecoin', amount }
+        ]
+    });
+}
+
+/**
+ * Record BINR burned for INR paid out of the reserve to the customer's INR balance
+ * @param {Object} params - Burn details
+ * @param {string} params.userId - User ID
+ * @param {string} params.reference - Issuance ID
+ * @param {number} params.amount - BINR burned (= INR released)
+ * @returns {Promise<Object>} Posted journal
+ */
+async function recordBINRBurn({ userId, reference, amount }) {
+    return postJournal({
+        type: 'BINR_BURN',
+        reference,
+        userId,
+        description: `Burn ${amount} BINR`,
+        lines: [
+            { account: userAccount(userId), asset: 'stablecoin', amount: -amount },
+            { account: ACCOUNTS.BINR_ISSUANCE, asset: 'stablecoin', amount },
+            { account: ACCOUNTS.BINR_RESERVE, asset: 'inr', amount: -amount },
+            { account: userAccount(userId), asset: 'inr', amount }
+        ]
+    });
+}
+
+module.exports = {
+    ACCOUNTS,
+    ASSETS,
+    userAccount,
+    reservedAccount,
+    roundAmount,
+    postJournal,
+    reverseJournal,
+    onJournalPosted,
+    getAccountBalances,
+    getUserBalances,
+    reconcileLedger,
+    recordBuy,
+    recordSell,
+    recordSwap,
+    recordSIPDebit,
+    recordFee,
+    recordDeposit,
+    recordRefund,
+    recordWithdrawal,
+    recordBuyReversal,
+    recordReservation,
+    recordRedemption,
+    recordBINRMint,
+    recordBINRBurn
+};
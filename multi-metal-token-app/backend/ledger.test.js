@@ -0,0 +1,117 @@
+const { resetStorage, createTestUser, fundUser } = require('./test-utils');
+const {
+    ACCOUNTS,
+    userAccount,
+    postJournal,
+    reverseJournal,
+    getAccountBalances,
+    getUserBalances,
+    reconcileLedger,
+    recordBuy,
+    recordSell
+} = require('./ledger');
+const { calculateFees } = require('./fees');
+const { getStorage } = require('./storage');
+
+let user;
+
+beforeEach(async () => {
+    resetStorage();
+    user = await createTestUser();
+});
+
+describe('postJournal', () => {
+    test('rejects a journal whose lines do not sum to zero per asset and saves nothing', async () => {
+        await expect(postJournal({
+            type: 'TEST',
+            reference: 'REF_1',
+            userId: user.userId,
+            lines: [
+                { account: ACCOUNTS.VAULT_CUSTODY, asset: 'gold', amount: -1 },
+                { account: userAccount(user.userId), asset: 'gold', amount: 0.9 }
+            ]
+        })).rejects.toThrow('Unbalanced journal for gold');
+
+        expect(await getStorage().count('journals')).toBe(0);
+        expect(await getStorage().count('ledger_lines')).toBe(0);
+    });
+
+    test('rejects unknown assets', async () => {
+        await expect(postJournal({
+            type: 'TEST',
+            reference: 'REF_1',
+            lines: [
+                { account: ACCOUNTS.VAULT_CUSTODY, asset: 'copper', amount: -1 },
+                { account: userAccount(user.userId), asset: 'copper', amount: 1 }
+            ]
+        })).rejects.toThrow('Unknown ledger asset: copper');
+    });
+
+    test('drops zero lines and rounds to 8 decimals', async () => {
+        const journal = await postJournal({
+            type: 'TEST',
+            reference: 'REF_1',
+            lines: [
+                { account: ACCOUNTS.VAULT_CUSTODY, asset: 'gold', amount: -0.123456789 },
+                { account: userAccount(user.userId), asset: 'gold', amount: 0.123456789 },
+                { account: ACCOUNTS.FEE_REVENUE, asset: 'inr', amount: 0 }
+            ]
+        });
+
+        expect(journal.lines).toHaveLength(2);
+        expect((await getUserBalances(user.userId)).gold).toBe(0.12345679);
+    });
+});
+
+describe('balances', () => {
+    test('are derived from the posted lines', async () => {
+        await fundUser(user.userId, 'gold', 2);
+        await fundUser(user.userId, 'inr', 10000);
+
+        expect(await getUserBalances(user.userId)).toEqual({ gold: 2, silver: 0, platinum: 0, stablecoin: 0, inr: 10000 });
+        expect((await getAccountBalances(ACCOUNTS.VAULT_CUSTODY)).gold).toBe(-2);
+    });
+
+    test('a reversal restores the balances it moved', async () => {
+        const funding = await fundUser(user.userId, 'gold', 2);
+        const reversal = await reverseJournal(funding.journalId, { reference: 'UNDO' });
+
+        expect(reversal).toMatchObject({ type: 'REVERSAL', reference: 'UNDO', userId: user.userId });
+        expect((await getUserBalances(user.userId)).gold).toBe(0);
+        await expect(reverseJournal('JRN_MISSING')).rejects.toThrow('Journal not found');
+    });
+});
+
+describe('journal builders', () => {
+    test('a buy splits the INR into principal, fee revenue and GST', async () => {
+        const fees = calculateFees({ type: 'buy', asset: 'gold', amount: 1, marketPrice: 6000 });
+        await recordBuy({ userId: user.userId, transactionId: 'TXN_BUY', asset: 'gold', amount: 1, price: 6000, fees });
+
+        expect((await getUserBalances(user.userId)).gold).toBe(1);
+        expect((await getAccountBalances(ACCOUNTS.FEE_REVENUE)).inr).toBe(fees.spreadFee + fees.platformFee);
+        expect((await getAccountBalances(ACCOUNTS.GST_PAYABLE)).inr).toBe(fees.gst);
+        expect((await getAccountBalances(ACCOUNTS.PAYMENT_CLEARING)).inr).toBeCloseTo(-(6000 + fees.totalFee), 2);
+    });
+
+    test('a sell credits the net proceeds to the customer', async () => {
+        await fundUser(user.userId, 'gold', 2);
+        const fees = calculateFees({ type: 'sell', asset: 'gold', amount: 1, marketPrice: 6000 });
+        await recordSell({ userId: user.userId, transactionId: 'TXN_SELL', asset: 'gold', amount: 1, price: 6000, fees });
+
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(1);
+        expect(balances.inr).toBeCloseTo(6000 - fees.totalFee, 2);
+    });
+});
+
+test('reconcileLedger reports a balanced trial balance with customers rolled up', async () => {
+    const other = await createTestUser();
+    await fundUser(user.userId, 'gold', 1);
+    await fundUser(other.userId, 'gold', 2);
+
+    const report = await reconcileLedger();
+    expect(report.balanced).toBe(true);
+    expect(report.journalCount).toBe(2);
+    expect(report.trialBalance.customers.gold).toBe(3);
+    expect(report.trialBalance[ACCOUNTS.VAULT_CUSTODY].gold).toBe(-3);
+});
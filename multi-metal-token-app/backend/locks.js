@@ -0,0 +1,56 @@
+// Lock Module for Multi-Metal Token App
+// Serializes work that touches the same balances (per-user trading)
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Tail of the queue for each key; entries are removed once the queue drains
+const queues = new Map();
+const heldLocks = new AsyncLocalStorage();
+
+/**
+ * Run work while holding an in-process lock on a key
+ * Work for the same key runs strictly one after another. The lock is re-entrant:
+ * nested calls for a key already held by the caller run immediately.
+ * Note: this serializes within one API process; run a single writer per user
+ * (sticky routing) when scaling out.
+ * @param {string} key - Lock key
+ * @param {Function} work - Async function to run
+ * @returns {Promise<*>} Result of work
+ */
+async function withLock(key, work) {
+    const held = heldLocks.getStore() || new Set();
+    if (held.has(key)) {
+        return work();
+    }
+
+    const previous = queues.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    queues.set(key, tail);
+
+    await previous;
+    try {
+        return await heldLocks.run(new Set([...held, key]), work);
+    } finally {
+        release();
+        if (queues.get(key) === tail) {
+            queues.delete(key);
+        }
+    }
+}
+
+/**
+ * Run work while holding the lock on a user's balances
+ * @param {string} userId - User ID
+ * @param {Function} work - Async function to run
+ * @returns {Promise<*>} Result of work
+ */
+async function withUserLock(userId, work) {
+    return withLock(`user:${userId}`, work);
+}
+
+module.exports = {
+    withLock,
+    withUserLock
+};
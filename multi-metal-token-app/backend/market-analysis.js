@@ -0,0 +1,264 @@
+// Market Analysis Module for Multi-Metal Token App
+// Technical analysis (RSI, MACD, moving averages, support/resistance) computed from stored candles
+
+const { MARKET_ASSETS, getMarketNews, getMarketIndicators } = require('./market-rates');
+const { createMarketCache } = require('./market-providers');
+const { getRecentCandles } = require('./price-history');
+const { createError } = require('./errors');
+
+const RSI_PERIOD = 14;
+const MACD_FAST = 12;
+const MACD_SLOW = 26;
+const MACD_SIGNAL = 9;
+
+// Candles needed before MACD has a signal line
+const MIN_CANDLES = MACD_SLOW + MACD_SIGNAL - 1;
+
+// Candles loaded per analysis (enough for the 50-period average)
+const ANALYSIS_CANDLES = 100;
+
+// Support and resistance are the extremes of this many recent candles
+const LEVEL_LOOKBACK = 20;
+
+// Daily candles are preferred; a young history falls back to finer ones
+const ANALYSIS_INTERVALS = ['1d', '1h', '1m'];
+
+const CACHE_TTL_MS = {
+    analysis: 60 * 1000,
+    news: 5 * 60 * 1000,
+    indicators: 60 * 1000
+};
+
+const ASSET_NAMES = {
+    gold: 'Gold',
+    silver: 'Silver',
+    platinum: 'Platinum',
+    stablecoin: 'BINR'
+};
+
+const cache = createMarketCache({ prefix: 'market:data:' });
+
+/**
+ * Round to paise
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Serve a value from the cache or load and cache it
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time to live
+ * @param {Function} load - async () => value
+ * @returns {Promise<*>} Value
+ */
+async function cached(key, ttlMs, load) {
+    const hit = await cache.get(key);
+    if (hit) {
+        return hit;
+    }
+    const value = await load();
+    await cache.set(key, value, ttlMs);
+    return value;
+}
+
+// ==================== INDICATORS ====================
+
+/**
+ * Simple moving average of the last values
+ * @param {Array} values - Values, oldest first
+ * @param {number} period - Window
+ * @returns {number|null} Average or null without enough values
+ */
+function sma(values, period) {
+    if (values.length < period) return null;
+    return values.slice(-period).reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Exponential moving average series, seeded with the SMA of the first window
+ * @param {Array} values - Values, oldest first
+ * @param {number} period - Window
+ * @returns {Array} EMA for each value from index period - 1
+ */
+function emaSeries(values, period) {
+    if (values.length < period) return [];
+    const k = 2 / (period + 1);
+    const series = [values.slice(0, period).reduce((sum, value) => sum + value, 0) / period];
+    for (const value of values.slice(period)) {
+        series.push(value * k + series[series.length - 1] * (1 - k));
+    }
+    return series;
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing
+ * @param {Array} closes - Closes, oldest first
+ * @param {number} period - Window (default 14)
+ * @returns {number|null} RSI 0-100 or null without enough closes
+ */
+function rsi(closes, period = RSI_PERIOD) {
+    if (closes.length <= period) return null;
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = closes[i] - closes[i - 1];
+        if (change > 0) gain += change; else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+    for (let i = period + 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * MACD (12/26 EMA difference) with its 9-period signal line
+ * @param {Array} closes - Closes, oldest first
+ * @returns {Object|null} { macd, signal, histogram } or null without enough closes
+ */
+function macd(closes) {
+    const fast = emaSeries(closes, MACD_FAST);
+    const slow = emaSeries(closes, MACD_SLOW);
+    if (slow.length === 0) return null;
+    // Align the fast series with the slow one (both end at the last close)
+    const line = slow.map((value, i) => fast[i + MACD_SLOW - MACD_FAST] - value);
+    const signal = emaSeries(line, MACD_SIGNAL);
+    if (signal.length === 0) return null;
+    const last = line[line.length - 1];
+    const lastSignal = signal[signal.length - 1];
+    return { macd: last, signal: lastSignal, histogram: last - lastSignal };
+}
+
+// ==================== ANALYSIS ====================
+
+/**
+ * Candles to analyse: the coarsest interval with enough history
+ * @param {string} asset - Asset
+ * @returns {Promise<Object>} { interval, candles }
+ */
+async function loadAnalysisCandles(asset) {
+    let available = 0;
+    for (const interval of ANALYSIS_INTERVALS) {
+        const candles = await getRecentCandles(asset, interval, ANALYSIS_CANDLES);
+        if (candles.length >= MIN_CANDLES) {
+            return { interval, candles };
+        }
+        available = Math.max(available, candles.length);
+    }
+    throw createError('Not enough price history for analysis', 404, { required: MIN_CANDLES, available });
+}
+
+/**
+ * Compute the market analysis of an asset from its stored candles
+ * target and stopLoss are the resistance and support levels.
+ * @param {string} asset - Asset
+ * @returns {Promise<Object>} Market analysis
+ */
+async function computeMarketAnalysis(asset) {
+    const { interval, candles } = await loadAnalysisCandles(asset);
+    const closes = candles.map(candle => candle.close);
+    const price = closes[closes.length - 1];
+
+    const rsiValue = rsi(closes);
+    const macdValue = macd(closes);
+    const sma20 = sma(closes, 20);
+    const sma50 = sma(closes, 50);
+    const ema20Series = emaSeries(closes, 20);
+    const ema20 = ema20Series[ema20Series.length - 1];
+
+    const recent = candles.slice(-LEVEL_LOOKBACK);
+    const support = Math.min(...recent.map(candle => candle.low));
+    const resistance = Math.max(...recent.map(candle => candle.high));
+
+    // Trend from price against its averages, confirmed by MACD
+    const longAverage = sma50 !== null ? sma50 : sma20;
+    let trend = 'SIDEWAYS';
+    if (price > sma20 && sma20 >= longAverage && macdValue.histogram > 0) trend = 'BULLISH';
+    if (price < sma20 && sma20 <= longAverage && macdValue.histogram < 0) trend = 'BEARISH';
+
+    const momentum = Math.abs(rsiValue - 50);
+    const strength = momentum >= 20 ? 'HIGH' : momentum >= 10 ? 'MEDIUM' : 'WEAK';
+    const sentiment = { BULLISH: 'POSITIVE', BEARISH: 'NEGATIVE', SIDEWAYS: 'NEUTRAL' }[trend];
+    const macdSignal = macdValue.histogram > 0 ? 'BULLISH' : macdValue.histogram < 0 ? 'BEARISH' : 'NEUTRAL';
+    const condition = rsiValue >= 70 ? ' and overbought' : rsiValue <= 30 ? ' and oversold' : '';
+
+    return {
+        asset,
+        interval,
+        candles: candles.length,
+        asOf: candles[candles.length - 1].closeTime,
+        price,
+        trend,
+        strength,
+        support: round2(support),
+        resistance: round2(resistance),
+        sentiment,
+        outlook: `${ASSET_NAMES[asset]} is ${trend === 'SIDEWAYS' ? 'trading sideways' : `in a ${trend.toLowerCase()} trend`}` +
+            `${condition} on ${interval} candles (RSI ${round2(rsiValue)}), between support at ₹${round2(support)} ` +
+            `and resistance at ₹${round2(resistance)}.`,
+        target: round2(resistance),
+        stopLoss: round2(support),
+        technicalIndicators: {
+            rsi: round2(rsiValue),
+            macd: macdSignal,
+            movingAverage: price >= sma20 ? 'ABOVE' : 'BELOW',
+            values: {
+                macd: round2(macdValue.macd),
+                macdSignal: round2(macdValue.signal),
+                macdHistogram: round2(macdValue.histogram),
+                sma20: round2(sma20),
+                sma50: sma50 !== null ? round2(sma50) : null,
+                ema20: round2(ema20)
+            }
+        }
+    };
+}
+
+/**
+ * Market analysis of an asset (cached)
+ * @param {string} asset - Asset
+ * @returns {Promise<Object>} Market analysis
+ */
+async function getMarketAnalysis(asset) {
+    if (!MARKET_ASSETS.includes(asset)) {
+        throw createError('Invalid asset type');
+    }
+    return cached(`analysis:${asset}`, CACHE_TTL_MS.analysis, () => computeMarketAnalysis(asset));
+}
+
+/**
+ * Market news for an asset (cached)
+ * @param {string} asset - Asset
+ * @returns {Promise<Array>} News items
+ */
+async function getCachedMarketNews(asset) {
+    if (!MARKET_ASSETS.includes(asset)) {
+        throw createError('Invalid asset type');
+    }
+    return cached(`news:${asset}`, CACHE_TTL_MS.news, () => getMarketNews(asset));
+}
+
+/**
+ * Market indicators (USD/INR, dollar index...) (cached)
+ * @returns {Promise<Object>} Indicators
+ */
+async function getCachedMarketIndicators() {
+    return cached('indicators', CACHE_TTL_MS.indicators, () => getMarketIndicators());
+}
+
+module.exports = {
+    CACHE_TTL_MS,
+    rsi,
+    macd,
+    sma,
+    getMarketAnalysis,
+    getCachedMarketNews,
+    getCachedMarketIndicators
+};
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { resetStorage, buildTestRates } = require('./test-utils');
+const { rsi, macd, sma } = require('./market-analysis');
+const { recordTicks } = require('./price-history');
+const app = require('./server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record one tick a day for an asset, the last one today
+ * Only that asset is recorded: ticks older than the last recorded one are ignored.
+ * @param {string} asset - Asset
+ * @param {Array} prices - Price per day, oldest first
+ */
+async function recordDaily(asset, prices) {
+    const today = new Date();
+    today.setUTCHours(6, 30, 0, 0);
+    for (const [index, price] of prices.entries()) {
+        const lastUpdate = new Date(today.getTime() - (prices.length - 1 - index) * DAY_MS);
+        await recordTicks({ [asset]: buildTestRates({ [asset]: price }, { lastUpdate })[asset] });
+    }
+}
+
+beforeEach(() => {
+    resetStorage();
+});
+
+describe('indicators', () => {
+    test('sma averages the last values', () => {
+        expect(sma([1, 2, 3, 4, 5], 2)).toBe(4.5);
+        expect(sma([1, 2], 3)).toBeNull();
+    });
+
+    test('rsi is 100 for steady gains, 0 for steady losses and 50 when flat', () => {
+        const rising = Array.from({ length: 20 }, (_, index) => 100 + index);
+        expect(rsi(rising)).toBe(100);
+        expect(rsi([...rising].reverse())).toBe(0);
+        expect(rsi(Array(20).fill(100))).toBe(50);
+        expect(rsi(rising.slice(0, 14))).toBeNull();
+    });
+
+    test('macd needs a signal line and turns positive when a rise accelerates', () => {
+        expect(macd(Array.from({ length: 33 }, (_, index) => 100 + index))).toBeNull();
+
+        const accelerating = Array.from({ length: 40 }, (_, index) => 100 + index * index / 10);
+        const value = macd(accelerating);
+        expect(value.macd).toBeGreaterThan(0);
+        expect(value.histogram).toBeGreaterThan(0);
+    });
+});
+
+describe('GET /api/market/analysis/:asset', () => {
+    test('answers 404 until there is enough history', async () => {
+        await recordDaily('platinum', [2800, 2810, 2820]);
+
+        const res = await request(app).get('/api/market/analysis/platinum');
+        expect(res.status).toBe(404);
+        expect(res.body).toMatchObject({ required: 34, available: 3 });
+    });
+
+    test('reads the trend and levels from the stored daily candles', async () => {
+        const prices = Array.from({ length: 40 }, (_, index) => 6000 + index * index);
+        await recordDaily('gold', prices);
+
+        const res = await request(app).get('/api/market/analysis/gold');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            asset: 'gold',
+            interval: '1d',
+            candles: 40,
+            price: prices[39],
+            trend: 'BULLISH',
+            sentiment: 'POSITIVE',
+            technicalIndicators: { rsi: 100, macd: 'BULLISH', movingAverage: 'ABOVE' }
+        });
+        expect(res.body.support).toBeLessThan(res.body.resistance);
+        expect(res.body.target).toBe(res.body.resistance);
+        expect(res.body.stopLoss).toBe(res.body.support);
+    });
+
+    test('rejects unknown assets', async () => {
+        expect((await request(app).get('/api/market/analysis/copper')).status).toBe(400);
+    });
+});
+
+describe('news and indicators', () => {
+    test('news is served per asset and unknown assets are rejected', async () => {
+        const res = await request(app).get('/api/market/news/gold');
+        expect(res.status).toBe(200);
+        expect(res.body.asset).toBe('gold');
+        expect(res.body.news.length).toBeGreaterThan(0);
+
+        expect((await request(app).get('/api/market/news/copper')).status).toBe(400);
+    });
+
+    test('indicators are cached between requests', async () => {
+        const first = await request(app).get('/api/market/indicators');
+        const second = await request(app).get('/api/market/indicators');
+        expect(first.status).toBe(200);
+        expect(first.body.usdInr.rate).toBeGreaterThan(0);
+        expect(second.body).toEqual(first.body);
+    });
+});
@@ -0,0 +1,84 @@
+// Market Feed Module for Multi-Metal Token App
+// Polls market rates on an interval and hands every update to subscribers (order books, alerts...)
+
+const { getMarketRates } = require('./market-rates');
+
+const MARKET_FEED_INTERVAL_MS = parseInt(process.env.MARKET_FEED_INTERVAL_MS || '10000', 10);
+
+// Handlers awaited, in registration order, after every rate update
+const updateHandlers = [];
+
+let latestRates = null;
+let polling = false;
+
+/**
+ * Register a handler for market rate updates
+ * @param {Function} handler - async (rates) => void
+ */
+function onMarketRatesUpdate(handler) {
+    updateHandlers.push(handler);
+}
+
+/**
+ * Publish a rate update to every handler
+ * One failing handler is logged and does not stop the others.
+ * @param {Object} rates - Market rates (as returned by getMarketRates)
+ * @returns {Promise<Object>} The published rates
+ */
+async function publishRates(rates) {
+    latestRates = rates;
+    for (const handler of updateHandlers) {
+        try {
+            await handler(rates);
+        } catch (error) {
+            console.error('Market update handler error:', error);
+        }
+    }
+    return rates;
+}
+
+/**
+ * Most recently published rates
+ * @returns {Object|null} Rates or null before the first update
+ */
+function getLatestRates() {
+    return latestRates;
+}
+
+/**
+ * Fetch rates once and publish them
+ * @returns {Promise<Object>} Rates
+ */
+async function pollMarketRates() {
+    return publishRates(await getMarketRates());
+}
+
+/**
+ * Start polling market rates
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Poll interval (default MARKET_FEED_INTERVAL_MS)
+ * @returns {Object} Interval timer
+ */
+function startMarketFeed({ intervalMs = MARKET_FEED_INTERVAL_MS } = {}) {
+    return setInterval(async () => {
+        // A slow update must not overlap the next one
+        if (polling) return;
+        polling = true;
+        try {
+            await pollMarketRates();
+        } catch (error) {
+            console.error('Market feed error:', error);
+        } finally {
+            polling = false;
+        }
+    }, intervalMs);
+}
+
+module.exports = {
+    MARKET_FEED_INTERVAL_MS,
+    onMarketRatesUpdate,
+    publishRates,
+    getLatestRates,
+    pollMarketRates,
+    startMarketFeed
+};
@@ -0,0 +1,365 @@
+// Market Providers Module for Multi-Metal Token App
+// Adapters for exchange price feeds, a Redis-or-memory market data cache and ordered failover between feeds
+
+const fs = require('fs');
+const axios = require('axios');
+const { createClient } = require('redis');
+
+const TROY_OUNCE_GRAMS = 31.1034768;
+
+// Bid/ask around the reference price when a feed only publishes one price
+const DEFAULT_SPREAD = 0.01;
+
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.MARKET_PROVIDER_TIMEOUT_MS || '5000', 10);
+
+// MCX quotes gold per 10 grams and silver per kilogram
+const MCX_CONTRACTS = {
+    gold: { symbol: 'GOLD', grams: 10 },
+    silver: { symbol: 'SILVER', grams: 1000 }
+};
+
+// LBMA fixes gold and silver, LPPM platinum, all in USD per troy ounce
+const LBMA_METALS = {
+    gold: 'LBMA',
+    silver: 'LBMA',
+    platinum: 'LPPM'
+};
+
+/**
+ * Round to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build a rate in the shape getMarketRates returns
+ * @param {Object} params - Quote details
+ * @param {number} params.price - INR per unit
+ * @param {number} params.previousClose - Previous INR price, for change
+ * @param {number} params.bid - Bid (defaults to price less the spread)
+ * @param {number} params.ask - Ask (defaults to price plus the spread)
+ * @param {string} params.exchange - Exchange
+ * @param {string} params.source - Feed that supplied it
+ * @param {Date} params.lastUpdate - Quote time
+ * @param {string} params.unit - Unit (default gram)
+ * @param {number} params.sessionVolume - Grams traded in the session so far (omitted when the feed has none)
+ * @returns {Object} Rate
+ */
+function buildRate({ price, previousClose, bid, ask, exchange, source, lastUpdate, unit = 'gram', sessionVolume }) {
+    const change = previousClose ? price - previousClose : 0;
+    return {
+        price: roundInr(price),
+        unit,
+        currency: 'INR',
+        exchange,
+        lastUpdate,
+        change: roundInr(change),
+        changePercent: previousClose ? Math.round(change / previousClose * 10000) / 100 : 0,
+        bid: roundInr(bid !== undefined ? bid : price * (1 - DEFAULT_SPREAD)),
+        ask: roundInr(ask !== undefined ? ask : price * (1 + DEFAULT_SPREAD)),
+        source,
+        ...(sessionVolume !== undefined ? { sessionVolume } : {})
+    };
+}
+
+// ==================== PROVIDERS ====================
+
+/**
+ * MCX-style feed: INR contract prices with bid/ask
+ * Expects GET {baseUrl}/quotes?symbols=GOLD,SILVER returning
+ * { quotes: [{ symbol, ltp, bid, ask, close, volume, timestamp }] }, volume being the
+ * contracts traded so far today.
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Feed URL (default MCX_API_URL)
+ * @param {string} options.apiKey - API key (default MCX_API_KEY)
+ * @param {Object} options.http - HTTP client (default axios)
+ * @returns {Object} Provider
+ */
+function createMcxProvider({ baseUrl = process.env.MCX_API_URL, apiKey = process.env.MCX_API_KEY, http = axios } = {}) {
+    return {
+        name: 'MCX',
+        assets: Object.keys(MCX_CONTRACTS),
+        async fetchRates() {
+            if (!baseUrl) {
+                throw new Error('MCX_API_URL is not configured');
+            }
+            const symbols = Object.values(MCX_CONTRACTS).map(contract => contract.symbol);
+            const response = await http.get(`${baseUrl}/quotes`, {
+                params: { symbols: symbols.join(',') },
+                headers: { 'x-api-key': apiKey },
+                timeout: PROVIDER_TIMEOUT_MS
+            });
+
+            const rates = {};
+            for (const [asset, contract] of Object.entries(MCX_CONTRACTS)) {
+                const quote = (response.data.quotes || []).find(item => item.symbol === contract.symbol);
+                if (!quote || !(quote.ltp > 0)) continue;
+                rates[asset] = buildRate({
+                    price: quote.ltp / contract.grams,
+                    previousClose: quote.close ? quote.close / contract.grams : undefined,
+                    bid: quote.bid ? quote.bid / contract.grams : undefined,
+                    ask: quote.ask ? quote.ask / contract.grams : undefined,
+                    exchange: 'MCX',
+                    source: 'MCX',
+                    lastUpdate: quote.timestamp ? new Date(quote.timestamp) : new Date(),
+                    sessionVolume: quote.volume >= 0 ? quote.volume * contract.grams : undefined
+                });
+            }
+            return rates;
+        }
+    };
+}
+
+/**
+ * LBMA/LPPM-style feed: USD per troy ounce fixes, converted to INR per gram
+ * Expects GET {baseUrl}/prices returning
+ * { prices: [{ metal, usdPerOz, previousUsdPerOz, fixedAt }] }.
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Feed URL (default LBMA_API_URL)
+ * @param {string} options.apiKey - API key (default LPPM_API_KEY)
+ * @param {Function} options.getUsdInr - async () => USD/INR rate
+ * @param {Object} options.http - HTTP client (default axios)
+ * @returns {Object} Provider
+ */
+function createLbmaProvider({
+    baseUrl = process.env.LBMA_API_URL,
+    apiKey = process.env.LPPM_API_KEY,
+    getUsdInr,
+    http = axios
+} = {}) {
+    return {
+        name: 'LBMA',
+        assets: Object.keys(LBMA_METALS),
+        async fetchRates() {
+            if (!baseUrl) {
+                throw new Error('LBMA_API_URL is not configured');
+            }
+            const [response, usdInr] = await Promise.all([
+                http.get(`${baseUrl}/prices`, { headers: { 'x-api-key': apiKey }, timeout: PROVIDER_TIMEOUT_MS }),
+                getUsdInr()
+            ]);
+            const toInrPerGram = usd => usd * usdInr / TROY_OUNCE_GRAMS;
+
+            const rates = {};
+            for (const [asset, exchange] of Object.entries(LBMA_METALS)) {
+                const fix = (response.data.prices || []).find(item => item.metal === asset);
+                if (!fix || !(fix.usdPerOz > 0)) continue;
+                rates[asset] = {
+                    ...buildRate({
+                        price: toInrPerGram(fix.usdPerOz),
+                        previousClose: fix.previousUsdPerOz ? toInrPerGram(fix.previousUsdPerOz) : undefined,
+                        exchange,
+                        source: exchange,
+                        lastUpdate: fix.fixedAt ? new Date(fix.fixedAt) : new Date()
+                    }),
+                    usdPerOz: fix.usdPerOz,
+                    usdInr
+                };
+            }
+            return rates;
+        }
+    };
+}
+
+/**
+ * Replay recorded ticks from a file, for offline testing
+ * The file holds one JSON tick per line: { timestamp, asset, price, bid, ask, volume }.
+ * Ticks sharing a timestamp form one update; each fetch returns the next update
+ * on top of the previous ones, stamped with the current time (the recorded
+ * time is kept as recordedAt). Tick volumes (grams) add up to the session volume.
+ * Starts over, with a new session, after the last update when loop is on.
+ * @param {Object} options - Options
+ * @param {string} options.file - Tick file (default MARKET_REPLAY_FILE)
+ * @param {boolean} options.loop - Start over at the end (default true)
+ * @returns {Object} Provider
+ */
+function createReplayProvider({ file = process.env.MARKET_REPLAY_FILE, loop = true } = {}) {
+    let frames = null;
+    let cursor = 0;
+    const current = {};
+    let sessionVolume = {};
+
+    const load = () => {
+        if (!file) {
+            throw new Error('MARKET_REPLAY_FILE is not configured');
+        }
+        const byTimestamp = new Map();
+        fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+            const tick = JSON.parse(line);
+            if (!byTimestamp.has(tick.timestamp)) byTimestamp.set(tick.timestamp, []);
+            byTimestamp.get(tick.timestamp).push(tick);
+        });
+        return [...byTimestamp.entries()]
+            .sort(([a], [b]) => new Date(a) - new Date(b))
+            .map(([, ticks]) => ticks);
+    };
+
+    return {
+        name: 'REPLAY',
+        assets: null,
+        async fetchRates() {
+            if (!frames) frames = load();
+            if (cursor >= frames.length) {
+                if (!loop || frames.length === 0) {
+                    throw new Error('Replay file exhausted');
+                }
+                cursor = 0;
+            }
+            if (cursor === 0) {
+                sessionVolume = {};
+            }
+
+            for (const tick of frames[cursor++]) {
+                const previous = current[tick.asset];
+                sessionVolume[tick.asset] = (sessionVolume[tick.asset] || 0) + (tick.volume || 0);
+                current[tick.asset] = {
+                    ...buildRate({
+                        price: tick.price,
+                        previousClose: previous ? previous.price : undefined,
+                        bid: tick.bid,
+                        ask: tick.ask,
+                        exchange: tick.exchange || 'REPLAY',
+                        source: 'REPLAY',
+                        unit: tick.unit,
+                        sessionVolume: sessionVolume[tick.asset]
+                    }),
+                    recordedAt: new Date(tick.timestamp)
+                };
+            }
+
+            const now = new Date();
+            return Object.fromEntries(Object.entries(current).map(([asset, rate]) => [asset, { ...rate, lastUpdate: now }]));
+        }
+    };
+}
+
+/**
+ * Ask providers in order until every asset has a rate
+ * A provider that fails is skipped; assets it did not return fall through to the next one.
+ * @param {Array} providers - Providers, most preferred first
+ * @param {Array} assets - Assets wanted
+ * @returns {Promise<Object>} { rates, errors } where errors are { provider, message }
+ */
+async function fetchWithFailover(providers, assets) {
+    const rates = {};
+    const errors = [];
+
+    for (const provider of providers) {
+        const missing = assets.filter(asset => !rates[asset]);
+        if (missing.length === 0) break;
+        if (provider.assets && !missing.some(asset => provider.assets.includes(asset))) continue;
+
+        try {
+            const fetched = await provider.fetchRates();
+            for (const asset of missing) {
+                if (fetched[asset]) {
+                    rates[asset] = { ...fetched[asset], provider: provider.name };
+                }
+            }
+        } catch (error) {
+            errors.push({ provider: provider.name, message: error.message });
+            console.error(`Market provider ${provider.name} failed:`, error.message);
+        }
+    }
+    return { rates, errors };
+}
+
+// ==================== CACHE ====================
+
+/**
+ * Restore a cached rate's dates
+ * @param {Object} rate - Rate read back from JSON
+ * @returns {Object} Rate
+ */
+function reviveRate(rate) {
+    return {
+        ...rate,
+        lastUpdate: new Date(rate.lastUpdate),
+        fetchedAt: new Date(rate.fetchedAt)
+    };
+}
+
+/**
+ * Market data cache in Redis when REDIS_URL is set, otherwise in memory
+ * Redis keeps entries shared between API instances; if it cannot be reached the
+ * cache logs once and carries on in memory.
+ * @param {Object} options - Options
+ * @param {string} options.redisUrl - Redis URL (default REDIS_URL)
+ * @param {string} options.prefix - Key prefix
+ * @param {Function} options.revive - Restores a value read back from JSON
+ * @returns {Object} { get(key), set(key, value, ttlMs) }
+ */
+function createMarketCache({ redisUrl = process.env.REDIS_URL, prefix = 'market:', revive = value => value } = {}) {
+    const memory = new Map();
+    let client = null;
+    let connecting = null;
+
+    const redis = async () => {
+        if (!redisUrl) return null;
+        if (!connecting) {
+            client = createClient({ url: redisUrl, socket: { reconnectStrategy: false } });
+            client.on('error', () => {});
+            connecting = client.connect().then(() => client).catch(error => {
+                console.error('Market cache: Redis unavailable, using memory:', error.message);
+                redisUrl = null;
+                return null;
+            });
+        }
+        return connecting;
+    };
+
+    return {
+        async get(key) {
+            const store = await redis();
+            if (store) {
+                try {
+                    const value = await store.get(prefix + key);
+                    return value ? revive(JSON.parse(value)) : null;
+                } catch (error) {
+                    console.error('Market cache read failed:', error.message);
+                }
+            }
+            const entry = memory.get(key);
+            if (!entry || entry.expiresAt <= Date.now()) {
+                memory.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            if (ttlMs <= 0) return;
+            memory.set(key, { value, expiresAt: Date.now() + ttlMs });
+            const store = await redis();
+            if (store) {
+                try {
+                    await store.set(prefix + key, JSON.stringify(value), { PX: Math.ceil(ttlMs) });
+                } catch (error) {
+                    console.error('Market cache write failed:', error.message);
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Cache of the latest rate per asset
+ * @param {Object} options - createMarketCache options
+ * @returns {Object} { get(asset), set(asset, rate, ttlMs) }
+ */
+function createRateCache(options = {}) {
+    return createMarketCache({ prefix: 'market:rate:', revive: reviveRate, ...options });
+}
+
+module.exports = {
+    TROY_OUNCE_GRAMS,
+    buildRate,
+    createMcxProvider,
+    createLbmaProvider,
+    createReplayProvider,
+    fetchWithFailover,
+    createMarketCache,
+    createRateCache
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    TROY_OUNCE_GRAMS,
+    buildRate,
+    createMcxProvider,
+    createLbmaProvider,
+    createReplayProvider,
+    fetchWithFailover,
+    createMarketCache
+} = require('./market-providers');
+
+/**
+ * HTTP client answering every GET with the same body
+ * @param {Object} data - Response body
+ * @returns {Object} { get } mock
+ */
+function fakeHttp(data) {
+    return { get: jest.fn(async () => ({ data })) };
+}
+
+test('buildRate adds a default spread and the change on the previous close', () => {
+    expect(buildRate({ price: 6000, previousClose: 5880, source: 'TEST' })).toMatchObject({
+        price: 6000,
+        bid: 5940,
+        ask: 6060,
+        change: 120,
+        changePercent: 2.04,
+        unit: 'gram',
+        currency: 'INR'
+    });
+});
+
+describe('providers', () => {
+    test('MCX contract prices are converted to INR per gram', async () => {
+        const http = fakeHttp({
+            quotes: [
+                { symbol: 'GOLD', ltp: 60000, bid: 59950, ask: 60050, close: 59000, volume: 12, timestamp: '2025-03-17T10:00:00Z' },
+                { symbol: 'SILVER', ltp: 0 }
+            ]
+        });
+        const rates = await createMcxProvider({ baseUrl: 'https://mcx.test', apiKey: 'key', http }).fetchRates();
+
+        // 12 contracts of 10 g traded so far today
+        expect(rates.gold).toMatchObject({ price: 6000, bid: 5995, ask: 6005, change: 100, exchange: 'MCX', sessionVolume: 120 });
+        expect(rates.gold.lastUpdate).toEqual(new Date('2025-03-17T10:00:00Z'));
+        // A quote without a traded price is left for the next provider
+        expect(rates.silver).toBeUndefined();
+        expect(http.get).toHaveBeenCalledWith('https://mcx.test/quotes', expect.objectContaining({
+            params: { symbols: 'GOLD,SILVER' },
+            headers: { 'x-api-key': 'key' }
+        }));
+    });
+
+    test('LBMA fixes are converted from USD per ounce with the USD/INR rate', async () => {
+        const http = fakeHttp({ prices: [{ metal: 'platinum', usdPerOz: 1000 }] });
+        const rates = await createLbmaProvider({ baseUrl: 'https://lbma.test', getUsdInr: async () => 83, http }).fetchRates();
+
+        expect(rates.platinum).toMatchObject({ exchange: 'LPPM', usdPerOz: 1000, usdInr: 83 });
+        expect(rates.platinum.price).toBeCloseTo(1000 * 83 / TROY_OUNCE_GRAMS, 2);
+        expect(Object.keys(rates)).toEqual(['platinum']);
+    });
+
+    test('an unconfigured feed fails instead of guessing', async () => {
+        await expect(createMcxProvider({ baseUrl: '' }).fetchRates()).rejects.toThrow('MCX_API_URL');
+        await expect(createReplayProvider({ file: '' }).fetchRates()).rejects.toThrow('MARKET_REPLAY_FILE');
+    });
+
+    test('replay returns one recorded update per fetch on top of the earlier ones', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'replay-')), 'ticks.jsonl');
+        fs.writeFileSync(file, [
+            { timestamp: '2025-03-17T10:00:01Z', asset: 'gold', price: 6010, volume: 5 },
+            { timestamp: '2025-03-17T10:00:00Z', asset: 'gold', price: 6000, volume: 20 },
+            { timestamp: '2025-03-17T10:00:00Z', asset: 'silver', price: 75 }
+        ].map(tick => JSON.stringify(tick)).join('\n'));
+
+        const replay = createReplayProvider({ file, loop: false });
+        const first = await replay.fetchRates();
+        expect(first).toMatchObject({ gold: { price: 6000, source: 'REPLAY', sessionVolume: 20 }, silver: { price: 75, sessionVolume: 0 } });
+
+        const second = await replay.fetchRates();
+        expect(second.gold).toMatchObject({ price: 6010, change: 10, sessionVolume: 25, recordedAt: new Date('2025-03-17T10:00:01Z') });
+        expect(second.silver).toMatchObject({ price: 75, sessionVolume: 0 });
+        expect(Date.now() - second.gold.lastUpdate.getTime()).toBeLessThan(1000);
+
+        await expect(replay.fetchRates()).rejects.toThrow('exhausted');
+        fs.rmSync(path.dirname(file), { recursive: true });
+    });
+});
+
+describe('fetchWithFailover', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('takes each asset from the first provider that returns it', async () => {
+        const down = { name: 'DOWN', assets: null, fetchRates: jest.fn(async () => { throw new Error('timeout'); }) };
+        const goldOnly = { name: 'GOLD_FEED', assets: ['gold'], fetchRates: async () => ({ gold: buildRate({ price: 6000 }) }) };
+        const everything = { name: 'ALL', assets: null, fetchRates: async () => ({ gold: buildRate({ price: 1 }), silver: buildRate({ price: 75 }) }) };
+        const unused = { name: 'UNUSED', assets: null, fetchRates: jest.fn() };
+
+        const { rates, errors } = await fetchWithFailover([down, goldOnly, everything, unused], ['gold', 'silver']);
+        expect(rates.gold).toMatchObject({ price: 6000, provider: 'GOLD_FEED' });
+        expect(rates.silver).toMatchObject({ price: 75, provider: 'ALL' });
+        expect(errors).toEqual([{ provider: 'DOWN', message: 'timeout' }]);
+        expect(unused.fetchRates).not.toHaveBeenCalled();
+    });
+
+    test('skips providers that cover none of the missing assets', async () => {
+        const goldOnly = { name: 'GOLD_FEED', assets: ['gold'], fetchRates: jest.fn() };
+
+        const { rates } = await fetchWithFailover([goldOnly], ['silver']);
+        expect(rates).toEqual({});
+        expect(goldOnly.fetchRates).not.toHaveBeenCalled();
+    });
+});
+
+test('the memory cache expires entries after their TTL', async () => {
+    const cache = createMarketCache({ redisUrl: null });
+    await cache.set('gold', { price: 6000 }, 50);
+    await cache.set('silver', { price: 75 }, 0);
+
+    expect(await cache.get('gold')).toEqual({ price: 6000 });
+    expect(await cache.get('silver')).toBeNull();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(await cache.get('gold')).toBeNull();
+});
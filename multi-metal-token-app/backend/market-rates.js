@@ -1,63 +1,177 @@
 // Market Rates Service for Multi-Metal Token App
 // Provides real-time pricing for Gold, Silver, Platinum, and Stablecoin
 
+const {
+    buildRate,
+    createMcxProvider,
+    createLbmaProvider,
+    createReplayProvider,
+    fetchWithFailover,
+    createRateCache
+} = require('./market-providers');
+const { createError } = require('./errors');
+
+const MARKET_ASSETS = ['gold', 'silver', 'platinum', 'stablecoin'];
+
+// Quotes older than this are stale; cached rates expire at the same age
+const MAX_DATA_AGE_MS = 5 * 60 * 1000;
+
+// How long cached rates are served before the providers are asked again
+const MARKET_RATES_REFRESH_MS = parseInt(process.env.MARKET_RATES_REFRESH_MS || '5000', 10);
+
+// Providers in failover order, e.g. "mcx,lbma,simulated" or "replay"
+const MARKET_PROVIDERS = process.env.MARKET_PROVIDERS || 'simulated';
+
+const BASE_RATES = {
+    gold: {
+        price: 6025.50, // ₹ per gram
+        unit: 'gram',
+        currency: 'INR',
+        exchange: 'MCX',
+        change: 0,
+        changePercent: 0
+    },
+    silver: {
+        price: 76.80, // ₹ per gram
+        unit: 'gram',
+        currency: 'INR',
+        exchange: 'MCX',
+        change: 0,
+        changePercent: 0
+    },
+    platinum: {
+        price: 2825.30, // ₹ per gram
+        unit: 'gram',
+        currency: 'INR',
+        exchange: 'LPPM',
+        change: 0,
+        changePercent: 0
+    },
+    stablecoin: {
+        price: 1.0, // 1 BINR = 1 INR
+        unit: 'BINR',
+        currency: 'INR',
+        exchange: 'INTERNAL',
+        change: 0,
+        changePercent: 0
+    }
+};
+
+let providers = null;
+let rateCache = null;
+
+/**
+ * Simulated feed around fixed base prices (development default)
+ * @returns {Object} Provider
+ */
+function createSimulatedProvider() {
+    return {
+        name: 'SIMULATED',
+        assets: null,
+        fetchRates: () => applyMarketMovement(BASE_RATES)
+    };
+}
+
+/**
+ * Par quote for BINR when no provider earlier in the chain prices it
+ * BINR is minted and burned at 1 INR; a market quote (replay, exchange) can still
+ * drift, which the BINR peg monitor alerts on.
+ * @returns {Object} Provider
+ */
+function createPegProvider() {
+    return {
+        name: 'INTERNAL',
+        assets: ['stablecoin'],
+        fetchRates: async () => ({
+            stablecoin: buildRate({ price: 1.0, unit: 'BINR', exchange: 'INTERNAL', source: 'INTERNAL', lastUpdate: new Date() })
+        })
+    };
+}
+
+/**
+ * Build the provider chain from MARKET_PROVIDERS
+ * @returns {Array} Providers, most preferred first, ending with the BINR peg
+ */
+function buildProviders() {
+    const factories = {
+        mcx: () => createMcxProvider(),
+        lbma: () => createLbmaProvider({
+            getUsdInr: async () => (await getMarketIndicators()).usdInr.rate
+        }),
+        replay: () => createReplayProvider(),
+        simulated: createSimulatedProvider
+    };
+
+    const chain = MARKET_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean).map(name => {
+        if (!factories[name]) {
+            throw new Error(`Unknown market provider: ${name}`);
+        }
+        return factories[name]();
+    });
+    return [...chain, createPegProvider()];
+}
+
+/**
+ * Replace the provider chain (and optionally the cache), e.g. for offline replay
+ * The BINR peg is still appended.
+ * @param {Array} chain - Providers, most preferred first
+ * @param {Object} options - { cache }
+ */
+function setMarketProviders(chain, { cache = createRateCache({ redisUrl: null }) } = {}) {
+    providers = [...chain, createPegProvider()];
+    rateCache = cache;
+}
+
+/**
+ * Mark a rate stale when its quote is older than MAX_DATA_AGE_MS
+ * @param {Object} rate - Rate
+ * @returns {Object} Rate with stale flag
+ */
+function withStaleness(rate) {
+    const { fetchedAt, ...fields } = rate;
+    return { ...fields, stale: !fields.lastUpdate || !isDataFresh(new Date(fields.lastUpdate)) };
+}
+
 /**
  * Get current market rates for all assets
+ * Served from the cache for MARKET_RATES_REFRESH_MS, then fetched from the
+ * providers in order. An asset no provider returns keeps its cached rate while
+ * that is still fresh, then drops to the fallback rate; each rate carries
+ * `stale` and the `provider` that supplied it.
  * @returns {Object} Current market rates
  */
 async function getMarketRates() {
     try {
-        // In production, this would fetch from actual APIs
-        // For now, we'll simulate realistic market data with some variation
-        
-        const baseRates = {
-            gold: {
-                price: 6025.50, // ₹ per gram
-                unit: 'gram',
-                currency: 'INR',
-                exchange: 'MCX',
-                lastUpdate: new Date(),
-                change: 0,
-                changePercent: 0
-            },
-            silver: {
-                price: 76.80, // ₹ per gram
-                unit: 'gram',
-                currency: 'INR',
-                exchange: 'MCX',
-                lastUpdate: new Date(),
-                change: 0,
-                changePercent: 0
-            },
-            platinum: {
-                price: 2825.30, // ₹ per gram
-                unit: 'gram',
-                currency: 'INR',
-                exchange: 'LPPM',
-                lastUpdate: new Date(),
-                change: 0,
-                changePercent: 0
-            },
-            stablecoin: {
-                price: 1.0, // 1 BINR = 1 INR
-                unit: 'BINR',
-                currency: 'INR',
-                exchange: 'INTERNAL',
-                lastUpdate: new Date(),
-                change: 0,
-                changePercent: 0
+        if (!providers) providers = buildProviders();
+        if (!rateCache) rateCache = createRateCache();
+
+        const cached = {};
+        for (const asset of MARKET_ASSETS) {
+            cached[asset] = await rateCache.get(asset);
+        }
+        const now = Date.now();
+        if (MARKET_ASSETS.every(asset => cached[asset] && now - cached[asset].fetchedAt.getTime() < MARKET_RATES_REFRESH_MS)) {
+            return Object.fromEntries(MARKET_ASSETS.map(asset => [asset, withStaleness(cached[asset])]));
+        }
+
+        const { rates: live } = await fetchWithFailover(providers, MARKET_ASSETS);
+        const fallback = getFallbackRates();
+        const rates = {};
+        for (const asset of MARKET_ASSETS) {
+            let rate = cached[asset] || { ...fallback[asset], provider: 'FALLBACK' };
+            if (live[asset]) {
+                rate = { ...live[asset], fetchedAt: new Date() };
+                await rateCache.set(asset, rate, MAX_DATA_AGE_MS - (now - new Date(rate.lastUpdate).getTime()));
             }
-        };
+            rates[asset] = withStaleness(rate);
+        }
+        return rates;
 
-        // Add realistic market movement simulation
-        const ratesWithMovement = await applyMarketMovement(baseRates);
-        
-        return ratesWithMovement;
-        
     } catch (error) {
         console.error('Error fetching market rates:', error);
         // Return fallback rates
-        return getFallbackRates();
+        const fallback = getFallbackRates();
+        return Object.fromEntries(MARKET_ASSETS.map(asset => [asset, withStaleness({ ...fallback[asset], provider: 'FALLBACK' })]));
     }
 }
 
@@ -97,48 +211,6 @@ async function applyMarketMovement(baseRates) {
     return movement;
 }
 
-/**
- * Get historical price data for charting
- * @param {string} asset - Asset type
- * @param {string} period - '1D', '1W', '1M', '3M', '1Y'
- * @returns {Array} Historical price data
- */
-async function getHistoricalPrices(asset, period = '1M') {
-    const basePrice = {
-        gold: 6025.50,
-        silver: 76.80,
-        platinum: 2825.30,
-        stablecoin: 1.0
-    };
-
-    const dataPoints = getDataPointsForPeriod(period);
-    const volatility = {
-        gold: 0.02,
-        silver: 0.03,
-        platinum: 0.025,
-        stablecoin: 0.0001
-    };
-
-    const historicalData = [];
-    const startDate = getStartDateForPeriod(period);
-    
-    for (let i = 0; i < dataPoints; i++) {
-        const date = new Date(startDate.getTime() + (i * getIntervalForPeriod(period)));
-        const trend = Math.sin(i / dataPoints * Math.PI * 2) * 0.1; // Long-term trend
-        const noise = (Math.random() - 0.5) * 2 * volatility[asset];
-        const price = basePrice[asset] * (1 + trend + noise);
-        
-        historicalData.push({
-            timestamp: date.getTime(),
-            date: date.toISOString().split('T')[0],
-            price: Math.round(price * 100) / 100,
-            volume: Math.floor(Math.random() * 1000000) + 100000
-        });
-    }
-    
-    return historicalData;
-}
-
 /**
  * Get data points count for each period
  * @param {string} period - Time period
@@ -266,78 +338,6 @@ async function getMarketNews(asset) {
     return news[asset] || [];
 }
 
-/**
- * Get market analysis for asset
- * @param {string} asset - Asset type
- * @returns {Object} Market analysis
- */
-async function getMarketAnalysis(asset) {
-    const analyses = {
-        gold: {
-            trend: 'SIDEWAYS',
-            strength: 'MEDIUM',
-            support: 5950,
-            resistance: 6100,
-            sentiment: 'NEUTRAL',
-            outlook: 'Gold prices are expected to trade sideways with a slight bullish bias as physical demand remains strong.',
-            target: 6150,
-            stopLoss: 5900,
-            technicalIndicators: {
-                rsi: 52.3,
-                macd: 'NEUTRAL',
-                movingAverage: 'ABOVE'
-            }
-        },
-        silver: {
-            trend: 'BULLISH',
-            strength: 'WEAK',
-            support: 75.0,
-            resistance: 78.5,
-            sentiment: 'POSITIVE',
-            outlook: 'Silver shows mild bullish momentum supported by industrial demand.',
-            target: 79.0,
-            stopLoss: 74.5,
-            technicalIndicators: {
-                rsi: 58.7,
-                macd: 'BULLISH',
-                movingAverage: 'ABOVE'
-            }
-        },
-        platinum: {
-            trend: 'BEARISH',
-            strength: 'WEAK',
-            support: 2750,
-            resistance: 2850,
-            sentiment: 'NEGATIVE',
-            outlook: 'Platinum faces headwinds from automotive sector weakness.',
-            target: 2800,
-            stopLoss: 2875,
-            technicalIndicators: {
-                rsi: 45.1,
-                macd: 'BEARISH',
-                movingAverage: 'BELOW'
-            }
-        },
-        stablecoin: {
-            trend: 'STABLE',
-            strength: 'HIGH',
-            support: 0.99,
-            resistance: 1.01,
-            sentiment: 'STABLE',
-            outlook: 'BINR stablecoin maintains peg to INR with minimal volatility.',
-            target: 1.00,
-            stopLoss: 0.98,
-            technicalIndicators: {
-                rsi: 50.0,
-                macd: 'NEUTRAL',
-                movingAverage: 'NEUTRAL'
-            }
-        }
-    };
-    
-    return analyses[asset] || analyses.gold;
-}
-
 /**
  * Get market indicators and economic data
  * @returns {Object} Market indicators
@@ -433,8 +433,30 @@ function getFallbackRates() {
  */
 function isDataFresh(lastUpdate) {
     const now = new Date();
-    const maxAge = 5 * 60 * 1000; // 5 minutes
-    return (now.getTime() - lastUpdate.getTime()) < maxAge;
+    return (now.getTime() - lastUpdate.getTime()) < MAX_DATA_AGE_MS;
+}
+
+/**
+ * Whether a rate can be traded on: a fresh quote from a real provider
+ * @param {Object} rate - One asset's rate
+ * @returns {boolean} Live
+ */
+function isLiveRate(rate) {
+    return Boolean(rate) && !rate.stale && rate.provider !== 'FALLBACK';
+}
+
+/**
+ * Refuse to price a trade off stale or fallback rates
+ * @param {Object} rates - Market rates
+ * @param {Array} assets - Assets the trade is priced in
+ * @returns {Object} The rates, when every asset is live
+ */
+function assertLiveRates(rates, assets) {
+    const unavailable = assets.filter(asset => !isLiveRate(rates[asset]));
+    if (unavailable.length > 0) {
+        throw createError('Live prices are unavailable, please try again shortly', 503, { assets: unavailable });
+    }
+    return rates;
 }
 
 /**
@@ -459,12 +481,18 @@ function formatPrice(price, currency = 'INR', decimals = 2) {
 }
 
 module.exports = {
+    MARKET_ASSETS,
+    MAX_DATA_AGE_MS,
     getMarketRates,
-    getHistoricalPrices,
+    setMarketProviders,
+    getDataPointsForPeriod,
+    getIntervalForPeriod,
+    getStartDateForPeriod,
     getMarketNews,
-    getMarketAnalysis,
     getMarketIndicators,
     getFallbackRates,
     isDataFresh,
+    isLiveRate,
+    assertLiveRates,
     formatPrice
 };
\ No newline at end of file
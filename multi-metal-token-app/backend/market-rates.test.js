@@ -0,0 +1,54 @@
+const { buildTestRates } = require('./test-utils');
+const { getMarketRates, setMarketProviders, MAX_DATA_AGE_MS, isLiveRate, assertLiveRates } = require('./market-rates');
+
+/**
+ * Provider returning fixed prices and counting its fetches
+ * @param {Object} prices - Prices keyed by asset
+ * @param {Object} fields - Extra rate fields (e.g. lastUpdate)
+ * @returns {Object} Provider with a jest fetchRates
+ */
+function fixedProvider(prices, fields) {
+    return { name: 'TEST', assets: null, fetchRates: jest.fn(async () => buildTestRates(prices, fields)) };
+}
+
+test('rates are served from the cache between refreshes', async () => {
+    const provider = fixedProvider({ gold: 6000 });
+    setMarketProviders([provider]);
+
+    const rates = await getMarketRates();
+    expect(rates.gold).toMatchObject({ price: 6000, provider: 'TEST', stale: false });
+    expect(rates.gold.fetchedAt).toBeUndefined();
+
+    expect((await getMarketRates()).gold.price).toBe(6000);
+    expect(provider.fetchRates).toHaveBeenCalledTimes(1);
+});
+
+test('assets no feed quotes fall back, except BINR which is priced at par', async () => {
+    setMarketProviders([{ name: 'GOLD_FEED', assets: ['gold'], fetchRates: async () => ({ gold: buildTestRates({ gold: 6000 }).gold }) }]);
+
+    const rates = await getMarketRates();
+    expect(rates.stablecoin).toMatchObject({ price: 1, provider: 'INTERNAL' });
+    expect(rates.silver).toMatchObject({ provider: 'FALLBACK' });
+    expect(isLiveRate(rates.silver)).toBe(false);
+    expect(() => assertLiveRates(rates, ['gold', 'silver']))
+        .toThrow(expect.objectContaining({ statusCode: 503, details: { assets: ['silver'] } }));
+    expect(assertLiveRates(rates, ['gold'])).toBe(rates);
+});
+
+test('a quote older than the freshness window is marked stale', async () => {
+    setMarketProviders([fixedProvider({ gold: 6000 }, { lastUpdate: new Date(Date.now() - MAX_DATA_AGE_MS - 1000) })]);
+
+    const rates = await getMarketRates();
+    expect(rates.gold).toMatchObject({ price: 6000, stale: true });
+    expect(isLiveRate(rates.gold)).toBe(false);
+});
+
+test('every provider failing serves the fallback rates', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setMarketProviders([{ name: 'DOWN', assets: null, fetchRates: async () => { throw new Error('feed down'); } }]);
+
+    const rates = await getMarketRates();
+    expect(rates.gold).toMatchObject({ price: 6000, provider: 'FALLBACK' });
+    expect(rates.stablecoin.provider).toBe('INTERNAL');
+    console.error.mockRestore();
+});
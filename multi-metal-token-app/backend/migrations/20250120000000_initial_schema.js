@@ -0,0 +1,77 @@
+// Initial schema: users, transactions, SIP plans, payments and refunds
+// Each table keeps the full document in `data`; the other columns are the
+// indexed fields listed in storage.js COLLECTIONS.
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('users', table => {
+        table.string('user_id', 64).primary();
+        table.string('email', 255).notNullable().unique();
+        table.string('phone', 20);
+        table.string('status', 32);
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['phone']);
+    });
+
+    await knex.schema.createTable('transactions', table => {
+        table.string('transaction_id', 64).primary();
+        table.string('user_id', 64).notNullable().references('user_id').inTable('users');
+        table.string('type', 32).notNullable();
+        table.string('asset', 32);
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+        table.index(['status']);
+    });
+
+    await knex.schema.createTable('sip_plans', table => {
+        table.string('sip_id', 64).primary();
+        table.string('user_id', 64).notNullable().references('user_id').inTable('users');
+        table.string('asset', 32).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id']);
+        table.index(['status']);
+    });
+
+    await knex.schema.createTable('payments', table => {
+        table.string('payment_id', 64).primary();
+        table.string('user_id', 64).notNullable().references('user_id').inTable('users');
+        table.string('method', 32).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+        table.index(['status']);
+    });
+
+    await knex.schema.createTable('refunds', table => {
+        table.string('refund_id', 64).primary();
+        table.string('original_payment_id', 64).notNullable().references('payment_id').inTable('payments');
+        table.string('user_id', 64).references('user_id').inTable('users');
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['original_payment_id']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('refunds');
+    await knex.schema.dropTableIfExists('payments');
+    await knex.schema.dropTableIfExists('sip_plans');
+    await knex.schema.dropTableIfExists('transactions');
+    await knex.schema.dropTableIfExists('users');
+};
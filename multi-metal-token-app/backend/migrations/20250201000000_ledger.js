@@ -0,0 +1,40 @@
+// Double-entry ledger: journals and their lines
+// Lines keep `amount` as a real column so balances can be summed in SQL.
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('journals', table => {
+        table.string('journal_id', 64).primary();
+        table.string('type', 32).notNullable();
+        table.string('reference', 64);
+        table.string('user_id', 64);
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['reference']);
+        table.index(['user_id', 'created_at']);
+    });
+
+    await knex.schema.createTable('ledger_lines', table => {
+        table.string('line_id', 64).primary();
+        table.string('journal_id', 64).notNullable().references('journal_id').inTable('journals');
+        table.string('account', 96).notNullable();
+        table.string('asset', 32).notNullable();
+        table.decimal('amount', 28, 8).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['account', 'asset']);
+        table.index(['journal_id']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('ledger_lines');
+    await knex.schema.dropTableIfExists('journals');
+};
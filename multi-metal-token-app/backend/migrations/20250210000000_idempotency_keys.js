@@ -0,0 +1,22 @@
+// Idempotency keys: stored responses of retried trade requests
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('idempotency_keys', table => {
+        table.string('idempotency_id', 200).primary();
+        table.string('user_id', 64).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('idempotency_keys');
+};
@@ -0,0 +1,22 @@
+// Quotes: price quotes that have been used by a trade (each fills at most once)
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('quotes', table => {
+        table.string('quote_ref', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('quotes');
+};
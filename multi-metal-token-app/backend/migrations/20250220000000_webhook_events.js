@@ -0,0 +1,22 @@
+// Webhook events: processed payment gateway deliveries (replay protection)
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('webhook_events', table => {
+        table.string('event_key', 191).primary();
+        table.string('provider', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['provider', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('webhook_events');
+};
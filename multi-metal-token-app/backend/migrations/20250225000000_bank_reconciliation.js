@@ -0,0 +1,35 @@
+// Bank reconciliation: imported statement lines and the exceptions queue
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('bank_statement_lines', table => {
+        table.string('line_id', 64).primary();
+        table.string('import_id', 64).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['import_id']);
+        table.index(['status', 'created_at']);
+    });
+
+    await knex.schema.createTable('reconciliation_exceptions', table => {
+        table.string('exception_id', 64).primary();
+        table.string('type', 32).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['status', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('reconciliation_exceptions');
+    await knex.schema.dropTableIfExists('bank_statement_lines');
+};
@@ -0,0 +1,32 @@
+// Portfolio rebalancing: saved target allocations and executed/previewed rebalances
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('rebalance_targets', table => {
+        table.string('user_id', 64).primary();
+        table.boolean('auto_rebalance').notNullable().defaultTo(false);
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['auto_rebalance']);
+    });
+
+    await knex.schema.createTable('rebalances', table => {
+        table.string('rebalance_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('rebalances');
+    await knex.schema.dropTableIfExists('rebalance_targets');
+};
@@ -0,0 +1,25 @@
+// Order book: resting limit orders
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('orders', table => {
+        table.string('order_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.string('asset', 32).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+        table.index(['status', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('orders');
+};
@@ -0,0 +1,35 @@
+// Price history: raw rate ticks and OHLC candles rolled up from them
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('price_ticks', table => {
+        table.string('tick_id', 64).primary();
+        table.string('asset', 32).notNullable();
+        table.timestamp('timestamp', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['asset', 'timestamp']);
+        table.index(['timestamp']);
+    });
+
+    await knex.schema.createTable('price_candles', table => {
+        table.string('candle_id', 96).primary();
+        table.string('asset', 32).notNullable();
+        table.string('interval', 8).notNullable();
+        table.timestamp('open_time', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['asset', 'interval', 'open_time']);
+        table.index(['interval', 'open_time']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('price_candles');
+    await knex.schema.dropTableIfExists('price_ticks');
+};
@@ -0,0 +1,34 @@
+// Physical redemption: delivery addresses and coin/bar redemption requests
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('addresses', table => {
+        table.string('address_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+    });
+
+    await knex.schema.createTable('redemptions', table => {
+        table.string('redemption_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+        table.index(['status', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('redemptions');
+    await knex.schema.dropTableIfExists('addresses');
+};
@@ -0,0 +1,47 @@
+// Vault bar inventory and proof-of-reserves snapshots with their Merkle leaves
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('vault_bars', table => {
+        table.string('bar_id', 64).primary();
+        table.string('serial_number', 64).notNullable();
+        table.string('asset', 32).notNullable();
+        table.string('location', 64).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['serial_number']);
+        table.index(['asset', 'status', 'created_at']);
+        table.index(['location']);
+    });
+
+    await knex.schema.createTable('reserve_snapshots', table => {
+        table.string('snapshot_id', 64).primary();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['created_at']);
+    });
+
+    await knex.schema.createTable('reserve_leaves', table => {
+        table.string('leaf_id', 160).primary();
+        table.string('snapshot_id', 64).notNullable();
+        table.string('user_id', 64).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['snapshot_id']);
+        table.index(['user_id']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('reserve_leaves');
+    await knex.schema.dropTableIfExists('reserve_snapshots');
+    await knex.schema.dropTableIfExists('vault_bars');
+};
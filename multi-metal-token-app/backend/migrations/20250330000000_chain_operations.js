@@ -0,0 +1,32 @@
+// On-chain token mirroring: operations queued from journals and supply reconciliations
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('chain_operations', table => {
+        table.string('journal_id', 64).primary();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['status', 'created_at']);
+    });
+
+    await knex.schema.createTable('chain_reconciliations', table => {
+        table.string('reconciliation_id', 64).primary();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['status', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('chain_reconciliations');
+    await knex.schema.dropTableIfExists('chain_operations');
+};
@@ -0,0 +1,43 @@
+// BINR issuance: mint/burn records, reserve attestations and peg alerts
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('binr_issuances', table => {
+        table.string('issuance_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.string('type', 16).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+        table.index(['type']);
+    });
+
+    await knex.schema.createTable('binr_attestations', table => {
+        table.string('attestation_id', 64).primary();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['created_at']);
+    });
+
+    await knex.schema.createTable('binr_peg_alerts', table => {
+        table.string('alert_id', 64).primary();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['status', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('binr_peg_alerts');
+    await knex.schema.dropTableIfExists('binr_attestations');
+    await knex.schema.dropTableIfExists('binr_issuances');
+};
@@ -0,0 +1,35 @@
+// INR wallet: verified bank accounts and IMPS/NEFT withdrawals
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.createTable('bank_accounts', table => {
+        table.string('bank_account_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+    });
+
+    await knex.schema.createTable('withdrawals', table => {
+        table.string('withdrawal_id', 64).primary();
+        table.string('user_id', 64).notNullable();
+        table.string('status', 32).notNullable();
+        table.timestamp('created_at', { useTz: true }).notNullable();
+        table.jsonb('data').notNullable();
+        table.timestamp('updated_at', { useTz: true }).notNullable();
+        table.index(['user_id', 'created_at']);
+        table.index(['status', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('withdrawals');
+    await knex.schema.dropTableIfExists('bank_accounts');
+};
@@ -0,0 +1,26 @@
+// Payments: index the bank transfer reference so statement lines match it directly
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async function (knex) {
+    await knex.schema.alterTable('payments', table => {
+        table.string('reference_number', 32);
+    });
+
+    await knex.raw("UPDATE payments SET reference_number = data->>'referenceNumber' WHERE data->>'referenceNumber' IS NOT NULL");
+
+    await knex.schema.alterTable('payments', table => {
+        table.index(['reference_number', 'created_at']);
+    });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async function (knex) {
+    await knex.schema.alterTable('payments', table => {
+        table.dropIndex(['reference_number', 'created_at']);
+        table.dropColumn('reference_number');
+    });
+};
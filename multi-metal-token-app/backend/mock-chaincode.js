@@ -0,0 +1,144 @@
+// Mock Chaincode Module for Multi-Metal Token App
+// In-process implementation of the token chaincode behind the same Contract interface
+// fabric-network returns, so the blockchain adapter runs without a Fabric network
+
+const crypto = require('crypto');
+
+/**
+ * Create the token chaincode over an in-memory world state
+ * Amounts are integer base units (1e-8 of a gram or BINR) passed as strings.
+ * Functions: ApplyOperations(reference, operationsJson), TotalSupply(asset),
+ * BalanceOf(asset, account), GetOperation(reference).
+ * @returns {Object} Chaincode { invoke(name, args, txId), state }
+ */
+function createMockChaincode() {
+    const state = {
+        balances: new Map(), // `${asset}:${account}` -> BigInt
+        supply: new Map(), // asset -> BigInt
+        applied: new Map() // reference -> { txId, operations }
+    };
+
+    const balanceOf = (asset, account) => state.balances.get(`${asset}:${account}`) || 0n;
+
+    /**
+     * Apply a batch of token operations atomically
+     * A reference that was already applied returns the original transaction ID unchanged.
+     * @param {string} reference - Off-chain reference (journal ID)
+     * @param {string} operationsJson - [{ type: MINT | BURN | TRANSFER, asset, from, to, units }]
+     * @param {string} txId - Transaction ID
+     * @returns {Object} { reference, txId, duplicate }
+     */
+    function applyOperations(reference, operationsJson, txId) {
+        if (state.applied.has(reference)) {
+            return { reference, txId: state.applied.get(reference).txId, duplicate: true };
+        }
+
+        const operations = JSON.parse(operationsJson);
+        // Work on copies so a failing operation leaves the state untouched
+        const balances = new Map(state.balances);
+        const supply = new Map(state.supply);
+        const debit = (asset, account, units) => {
+            const key = `${asset}:${account}`;
+            const balance = balances.get(key) || 0n;
+            if (balance < units) {
+                throw new Error(`Insufficient ${asset} balance for ${account}: ${balance} < ${units}`);
+            }
+            balances.set(key, balance - units);
+        };
+        const credit = (asset, account, units) => {
+            const key = `${asset}:${account}`;
+            balances.set(key, (balances.get(key) || 0n) + units);
+        };
+
+        for (const operation of operations) {
+            const units = BigInt(operation.units);
+            if (units <= 0n) {
+                throw new Error('Operation amount must be positive');
+            }
+            switch (operation.type) {
+                case 'MINT':
+                    credit(operation.asset, operation.to, units);
+                    supply.set(operation.asset, (supply.get(operation.asset) || 0n) + units);
+                    break;
+                case 'BURN':
+                    debit(operation.asset, operation.from, units);
+                    supply.set(operation.asset, (supply.get(operation.asset) || 0n) - units);
+                    break;
+                case 'TRANSFER':
+                    debit(operation.asset, operation.from, units);
+                    credit(operation.asset, operation.to, units);
+                    break;
+                default:
+                    throw new Error(`Unknown operation: ${operation.type}`);
+            }
+        }
+
+        state.balances = balances;
+        state.supply = supply;
+        state.applied.set(reference, { txId, operations });
+        return { reference, txId, duplicate: false };
+    }
+
+    /**
+     * Invoke a chaincode function
+     * @param {string} name - Function name
+     * @param {Array} args - String arguments
+     * @param {string} txId - Transaction ID
+     * @returns {string} Result payload
+     */
+    function invoke(name, args, txId) {
+        switch (name) {
+            case 'ApplyOperations':
+                return JSON.stringify(applyOperations(args[0], args[1], txId));
+            case 'TotalSupply':
+                return String(state.supply.get(args[0]) || 0n);
+            case 'BalanceOf':
+                return String(balanceOf(args[0], args[1]));
+            case 'GetOperation': {
+                const applied = state.applied.get(args[0]);
+                if (!applied) {
+                    throw new Error(`Operation ${args[0]} does not exist`);
+                }
+                return JSON.stringify({ reference: args[0], ...applied });
+            }
+            default:
+                throw new Error(`Unknown chaincode function: ${name}`);
+        }
+    }
+
+    return { invoke, state };
+}
+
+/**
+ * Create a Contract with the fabric-network surface backed by the mock chaincode
+ * @param {Object} chaincode - Output of createMockChaincode (a fresh one by default)
+ * @returns {Object} Contract { createTransaction, submitTransaction, evaluateTransaction, chaincode }
+ */
+function createMockContract(chaincode = createMockChaincode()) {
+    /**
+     * Transaction with a Fabric-style ID
+     * @param {string} name - Function name
+     * @returns {Object} { getTransactionId, submit, evaluate }
+     */
+    function createTransaction(name) {
+        const txId = crypto.randomBytes(32).toString('hex');
+        return {
+            getName: () => name,
+            getTransactionId: () => txId,
+            submit: async (...args) => Buffer.from(chaincode.invoke(name, args.map(String), txId)),
+            evaluate: async (...args) => Buffer.from(chaincode.invoke(name, args.map(String), null))
+        };
+    }
+
+    return {
+        chaincode,
+        createTransaction,
+        submitTransaction: (name, ...args) => createTransaction(name).submit(...args),
+        evaluateTransaction: (name, ...args) => createTransaction(name).evaluate(...args)
+    };
+}
+
+module.exports = {
+    createMockChaincode,
+    createMockContract
+};
@@ -0,0 +1,76 @@
+// Notifications Module for Multi-Metal Token App
+// In-app notifications for events the user did not initiate (order triggers, alerts...)
+
+const { getStorage } = require('./storage');
+const { createError } = require('./errors');
+
+/**
+ * Generate notification ID
+ * @returns {string} Notification ID
+ */
+function generateNotificationId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `NTF_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Record a notification for a user
+ * @param {string} userId - Recipient
+ * @param {Object} notification - Notification
+ * @param {string} notification.type - Event type, e.g. ORDER_TRIGGERED
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Message shown to the user
+ * @param {Object} notification.data - Event details
+ * @returns {Promise<Object>} Saved notification
+ */
+async function notifyUser(userId, { type, title, message, data = {} }) {
+    const notification = {
+        notificationId: generateNotificationId(),
+        userId,
+        type,
+        title,
+        message,
+        data,
+        readAt: null,
+        createdAt: new Date()
+    };
+    await getStorage().save('notifications', notification);
+    return notification;
+}
+
+/**
+ * List a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { unreadOnly, limit }
+ * @returns {Promise<Array>} Notifications
+ */
+async function listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const notifications = await getStorage().find('notifications', { userId }, { orderBy: 'createdAt', order: 'desc' });
+    return notifications.filter(notification => !unreadOnly || !notification.readAt).slice(0, limit);
+}
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {string} userId - Owner
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} Notification
+ */
+async function markNotificationRead(userId, notificationId) {
+    const notification = await getStorage().get('notifications', notificationId);
+    if (!notification || notification.userId !== userId) {
+        throw createError('Notification not found', 404);
+    }
+    if (notification.readAt) {
+        return notification;
+    }
+    const read = { ...notification, readAt: new Date() };
+    await getStorage().save('notifications', read);
+    return read;
+}
+
+module.exports = {
+    notifyUser,
+    listNotifications,
+    markNotificationRead
+};
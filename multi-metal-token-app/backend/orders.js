@@ -0,0 +1,677 @@
+// Orders Module for Multi-Metal Token App
+// Limit and conditional (stop-loss, take-profit, trailing stop) orders that rest until the
+// market reaches their price, with balances reserved while open
+
+const { calculateFees } = require('./fees');
+const { onMarketRatesUpdate, getLatestRates } = require('./market-feed');
+const { getMarketRates, isLiveRate, assertLiveRates } = require('./market-rates');
+const { getMarketAnalysis } = require('./market-analysis');
+const { notifyUser } = require('./notifications');
+const {
+    getUserBalances,
+    reservedAccount,
+    recordBuy,
+    recordSell,
+    recordReservation,
+    roundAmount
+} = require('./ledger');
+const { findUserById, saveUser, saveTransaction } = require('./repository');
+const { TRADABLE_ASSETS, generateTransactionId, assertValidAmount, releaseCostBasis } = require('./trading');
+const { getStorage, withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+const ORDER_SIDES = ['buy', 'sell'];
+
+// Conditional sells attached to a holding, all evaluated against the bid:
+// STOP_LOSS fires when bid ≤ trigger, TAKE_PROFIT when bid ≥ trigger,
+// TRAILING_STOP when bid falls trailPercent below its highest bid since placement
+const CONDITIONAL_ORDER_TYPES = ['STOP_LOSS', 'TAKE_PROFIT', 'TRAILING_STOP'];
+
+// GTC rests until filled or cancelled, DAY until the end of the Indian trading day,
+// EXPIRE_AT until the given time
+const ORDER_VALIDITIES = ['GTC', 'DAY', 'EXPIRE_AT'];
+
+// OPEN -> FILLED | CANCELLED | EXPIRED
+const ORDER_STATUSES = ['OPEN', 'FILLED', 'CANCELLED', 'EXPIRED'];
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Bid/ask around the mid price when a rate update does not carry them
+const DEFAULT_SPREAD = 0.01;
+
+// Handlers called after an order is placed or changes (streaming, alerts...)
+const updateHandlers = [];
+
+let handlersRegistered = false;
+
+/**
+ * Generate order ID
+ * @returns {string} Order ID
+ */
+function generateOrderId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `ORD_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Register a handler for order updates
+ * Called after the change is committed: placed, filled, cancelled, expired or a trailing stop moved.
+ * @param {Function} handler - async (order) => void
+ */
+function onOrderUpdate(handler) {
+    updateHandlers.push(handler);
+}
+
+/**
+ * Hand an updated order to every handler
+ * One failing handler is logged and does not stop the others.
+ * @param {Object|null} order - Updated order (null when nothing changed)
+ * @returns {Promise<Object|null>} The order
+ */
+async function publishOrderUpdate(order) {
+    if (!order) {
+        return order;
+    }
+    for (const handler of updateHandlers) {
+        try {
+            await handler(order);
+        } catch (error) {
+            console.error('Order update handler error:', error);
+        }
+    }
+    return order;
+}
+
+/**
+ * Round to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * End of the current trading day in India
+ * @param {Date} now - Current time
+ * @returns {Date} 23:59:59.999 IST today
+ */
+function endOfTradingDay(now = new Date()) {
+    const ist = new Date(now.getTime() + IST_OFFSET_MS);
+    const end = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), 23, 59, 59, 999);
+    return new Date(end - IST_OFFSET_MS);
+}
+
+/**
+ * Bid and ask of an asset from a rate update
+ * @param {Object} rate - One asset's rate
+ * @returns {Object} { price, bid, ask }
+ */
+function quoteSides(rate) {
+    return {
+        price: rate.price,
+        bid: rate.bid !== undefined ? rate.bid : roundInr(rate.price * (1 - DEFAULT_SPREAD)),
+        ask: rate.ask !== undefined ? rate.ask : roundInr(rate.price * (1 + DEFAULT_SPREAD))
+    };
+}
+
+/**
+ * INR to hold for a limit buy: the quantity at the limit price plus fees
+ * Fills happen at a mid price whose ask is at or below the limit, so the
+ * actual cost never exceeds this.
+ * @param {number} amount - Quantity
+ * @param {number} limitPrice - Limit price
+ * @param {string} asset - Asset
+ * @returns {number} INR to reserve
+ */
+function buyReservation(amount, limitPrice, asset) {
+    const fees = calculateFees({ type: 'buy', asset, amount, marketPrice: limitPrice });
+    return roundInr(amount * limitPrice + fees.totalFee);
+}
+
+/**
+ * Expiry time for an order validity
+ * @param {string} validity - GTC, DAY or EXPIRE_AT
+ * @param {string} expiresAt - Expiry time (EXPIRE_AT only)
+ * @returns {Date|null} Expiry or null for GTC
+ */
+function resolveExpiry(validity, expiresAt) {
+    if (!ORDER_VALIDITIES.includes(validity)) {
+        throw createError('Invalid order validity', 400, { allowed: ORDER_VALIDITIES });
+    }
+    if (validity === 'DAY') {
+        return endOfTradingDay();
+    }
+    if (validity === 'EXPIRE_AT') {
+        const expiry = new Date(expiresAt);
+        if (!expiresAt || isNaN(expiry.getTime()) || expiry <= new Date()) {
+            throw createError('expiresAt must be a future time');
+        }
+        return expiry;
+    }
+    return null;
+}
+
+/**
+ * Reserve what an order needs and save it as OPEN
+ * @param {Object} fields - Order fields (userId, type, side, asset, amount...)
+ * @param {Object} reservation - { asset, amount } to move into the reserved account
+ * @returns {Promise<Object>} Open order
+ */
+async function openOrder(fields, reservation) {
+    return publishOrderUpdate(await withUserLock(fields.userId, () => withTransaction(async () => {
+        const balances = await getUserBalances(fields.userId);
+        if (balances[reservation.asset] + 1e-8 < reservation.amount) {
+            throw createError(`Insufficient ${reservation.asset === 'inr' ? 'INR' : reservation.asset} balance`, 400, {
+                required: reservation.amount,
+                available: balances[reservation.asset]
+            });
+        }
+
+        const order = {
+            orderId: generateOrderId(),
+            ...fields,
+            status: 'OPEN',
+            createdAt: new Date()
+        };
+
+        const journal = await recordReservation({ userId: order.userId, reference: order.orderId, ...reservation });
+        order.reservation = { ...reservation, journalId: journal.journalId };
+        await getStorage().save('orders', order);
+        return order;
+    })));
+}
+
+/**
+ * Place a limit order and reserve what it needs
+ * Buys reserve INR from the user's balance; sells reserve the metal.
+ * @param {Object} params - Order parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.side - 'buy' or 'sell'
+ * @param {string} params.asset - Asset
+ * @param {number} params.amount - Quantity
+ * @param {number} params.limitPrice - Buy when ask ≤ limit, sell when bid ≥ limit
+ * @param {string} params.validity - GTC, DAY or EXPIRE_AT
+ * @param {string} params.expiresAt - Expiry time (EXPIRE_AT only)
+ * @returns {Promise<Object>} Open order
+ */
+async function createLimitOrder({ userId, side, asset, amount, limitPrice, validity = 'GTC', expiresAt }) {
+    if (!ORDER_SIDES.includes(side)) {
+        throw createError('Side must be buy or sell');
+    }
+    if (!TRADABLE_ASSETS.includes(asset)) {
+        throw createError('Invalid asset type');
+    }
+    assertValidAmount(amount);
+    if (typeof limitPrice !== 'number' || !Number.isFinite(limitPrice) || limitPrice <= 0) {
+        throw createError('limitPrice must be a positive number');
+    }
+    const expiry = resolveExpiry(validity, expiresAt);
+
+    const reservation = side === 'buy'
+        ? { asset: 'inr', amount: buyReservation(amount, limitPrice, asset) }
+        : { asset, amount };
+
+    return openOrder({
+        userId,
+        type: 'LIMIT',
+        side,
+        asset,
+        amount,
+        limitPrice,
+        validity,
+        expiresAt: expiry
+    }, reservation);
+}
+
+/**
+ * Place a conditional sell on a holding and reserve the quantity
+ * The trigger must not already be met at the current bid, so a stop-loss sits
+ * below it and a take-profit above it. With useAnalysis the level comes from
+ * the asset's market analysis (stopLoss or target) when no triggerPrice is given.
+ * @param {Object} params - Order parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.type - STOP_LOSS, TAKE_PROFIT or TRAILING_STOP
+ * @param {string} params.asset - Asset
+ * @param {number} params.amount - Quantity to sell
+ * @param {number} params.triggerPrice - Bid level (STOP_LOSS, TAKE_PROFIT)
+ * @param {number} params.trailPercent - Distance below the highest bid (TRAILING_STOP)
+ * @param {boolean} params.useAnalysis - Default the trigger to the market analysis level
+ * @param {string} params.validity - GTC, DAY or EXPIRE_AT
+ * @param {string} params.expiresAt - Expiry time (EXPIRE_AT only)
+ * @returns {Promise<Object>} Open order
+ */
+async function createConditionalOrder({
+    userId,
+    type,
+    asset,
+    amount,
+    triggerPrice,
+    trailPercent,
+    useAnalysis = false,
+    validity = 'GTC',
+    expiresAt
+}) {
+    if (!CONDITIONAL_ORDER_TYPES.includes(type)) {
+        throw createError('Invalid order type', 400, { allowed: CONDITIONAL_ORDER_TYPES });
+    }
+    if (!TRADABLE_ASSETS.includes(asset)) {
+        throw createError('Invalid asset type');
+    }
+    assertValidAmount(amount);
+    const expiry = resolveExpiry(validity, expiresAt);
+
+    // The bid sets the trailing high-water mark and bounds the trigger, so it must be live
+    const rates = assertLiveRates(getLatestRates() || await getMarketRates(), [asset]);
+    const { bid } = quoteSides(rates[asset]);
+
+    const fields = { userId, type, side: 'sell', asset, amount, validity, expiresAt: expiry };
+
+    if (type === 'TRAILING_STOP') {
+        if (typeof trailPercent !== 'number' || !Number.isFinite(trailPercent) || trailPercent <= 0 || trailPercent >= 100) {
+            throw createError('trailPercent must be between 0 and 100');
+        }
+        fields.trailPercent = trailPercent;
+        fields.highWaterMark = bid;
+        fields.triggerPrice = roundInr(bid * (1 - trailPercent / 100));
+    } else {
+        let level = triggerPrice;
+        let levelSource = 'USER';
+        if (level === undefined && useAnalysis) {
+            const analysis = await getMarketAnalysis(asset);
+            level = type === 'STOP_LOSS' ? analysis.stopLoss : analysis.target;
+            levelSource = 'ANALYSIS';
+        }
+        if (typeof level !== 'number' || !Number.isFinite(level) || level <= 0) {
+            throw createError('triggerPrice must be a positive number');
+        }
+        if (type === 'STOP_LOSS' ? level >= bid : level <= bid) {
+            throw createError(
+                `${type === 'STOP_LOSS' ? 'Stop-loss' : 'Take-profit'} trigger must be ${type === 'STOP_LOSS' ? 'below' : 'above'} the current bid`,
+                400,
+                { bid, triggerPrice: level, levelSource }
+            );
+        }
+        fields.triggerPrice = level;
+        fields.levelSource = levelSource;
+    }
+
+    return openOrder(fields, { asset, amount });
+}
+
+/**
+ * Return an order's remaining reservation to the user's balance
+ * @param {Object} order - Order
+ * @param {number} amount - Amount to release (defaults to the whole reservation)
+ * @returns {Promise<Object|null>} Release journal
+ */
+async function releaseReservation(order, amount = order.reservation.amount) {
+    const released = roundAmount(amount);
+    if (released <= 0) {
+        return null;
+    }
+    return recordReservation({
+        userId: order.userId,
+        reference: order.orderId,
+        asset: order.reservation.asset,
+        amount: -released
+    });
+}
+
+/**
+ * Close an open order without filling it
+ * @param {Object} order - OPEN order
+ * @param {string} status - CANCELLED or EXPIRED
+ * @param {Object} details - Extra fields for the order
+ * @returns {Promise<Object>} Closed order
+ */
+async function closeOrder(order, status, details = {}) {
+    const journal = await releaseReservation(order);
+    const closed = {
+        ...order,
+        ...details,
+        status,
+        closedAt: new Date(),
+        releaseJournalId: journal ? journal.journalId : null
+    };
+    await getStorage().save('orders', closed);
+    return closed;
+}
+
+/**
+ * Fill a buy order from its reserved INR at the market price
+ * @param {Object} order - OPEN buy order
+ * @param {Object} sides - { price, bid, ask }
+ * @returns {Promise<Object>} Fill details
+ */
+async function fillBuy(order, sides) {
+    const user = await findUserById(order.userId);
+    const fees = calculateFees({ type: 'buy', asset: order.asset, amount: order.amount, marketPrice: sides.price, user });
+    // Exactly what recordBuy takes from the reserved account, so nothing is left behind
+    const debit = roundAmount(order.amount * sides.price) + fees.spreadFee + fees.platformFee + fees.gst;
+    const cost = roundInr(debit);
+    const transactionId = generateTransactionId();
+
+    const journal = await recordBuy({
+        userId: order.userId,
+        transactionId,
+        asset: order.asset,
+        amount: order.amount,
+        price: sides.price,
+        fees,
+        fundingAccount: reservedAccount(order.userId)
+    });
+    await releaseReservation(order, order.reservation.amount - debit);
+
+    await saveTransaction({
+        transactionId,
+        userId: order.userId,
+        type: 'BUY',
+        asset: order.asset,
+        amount: order.amount,
+        price: sides.price,
+        totalCost: cost,
+        fees,
+        orderId: order.orderId,
+        fundingSource: 'INR_BALANCE',
+        journalId: journal.journalId,
+        status: 'COMPLETED',
+        createdAt: new Date()
+    });
+
+    user.portfolio[order.asset].totalInvested += order.amount * sides.price;
+    await saveUser(user);
+
+    return { transactionId, journalId: journal.journalId, fees, totalCost: cost };
+}
+
+/**
+ * Fill a sell order from its reserved metal at the market price
+ * @param {Object} order - OPEN sell order
+ * @param {Object} sides - { price, bid, ask }
+ * @returns {Promise<Object>} Fill details
+ */
+async function fillSell(order, sides) {
+    const user = await findUserById(order.userId);
+    const fees = calculateFees({ type: 'sell', asset: order.asset, amount: order.amount, marketPrice: sides.price, user });
+    const netAmount = order.amount * sides.price - fees.totalFee;
+    const transactionId = generateTransactionId();
+    const costBasis = await releaseCostBasis(user, order.asset, order.amount);
+
+    await releaseReservation(order);
+    const journal = await recordSell({
+        userId: order.userId,
+        transactionId,
+        asset: order.asset,
+        amount: order.amount,
+        price: sides.price,
+        fees
+    });
+
+    await saveTransaction({
+        transactionId,
+        userId: order.userId,
+        type: 'SELL',
+        asset: order.asset,
+        amount: order.amount,
+        price: sides.price,
+        netAmount,
+        costBasis,
+        fees,
+        orderId: order.orderId,
+        journalId: journal.journalId,
+        status: 'COMPLETED',
+        settledTo: 'WALLET',
+        createdAt: new Date()
+    });
+    await saveUser(user);
+
+    return { transactionId, journalId: journal.journalId, fees, netAmount };
+}
+
+/**
+ * Whether an order's price has been reached
+ * @param {Object} order - Order
+ * @param {Object} sides - { price, bid, ask }
+ * @returns {boolean} Triggered
+ */
+function isTriggered(order, sides) {
+    switch (order.type) {
+        case 'LIMIT':
+            return order.side === 'buy' ? sides.ask <= order.limitPrice : sides.bid >= order.limitPrice;
+        case 'TAKE_PROFIT':
+            return sides.bid >= order.triggerPrice;
+        case 'STOP_LOSS':
+        case 'TRAILING_STOP':
+            return sides.bid <= order.triggerPrice;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Raise a trailing stop after a new high bid, re-checking it under the user's lock
+ * @param {string} orderId - Order ID
+ * @param {number} bid - New bid
+ * @returns {Promise<Object|null>} Updated order or null if unchanged
+ */
+async function trailStop(orderId, bid) {
+    const storage = getStorage();
+    const snapshot = await storage.get('orders', orderId);
+
+    return publishOrderUpdate(await withUserLock(snapshot.userId, () => withTransaction(async () => {
+        const order = await storage.get('orders', orderId);
+        if (order.status !== 'OPEN' || bid <= order.highWaterMark) {
+            return null;
+        }
+        const raised = {
+            ...order,
+            highWaterMark: bid,
+            triggerPrice: roundInr(bid * (1 - order.trailPercent / 100))
+        };
+        await storage.save('orders', raised);
+        return raised;
+    })));
+}
+
+/**
+ * Tell the owner an order has filled
+ * @param {Object} order - FILLED order
+ * @returns {Promise<Object>} Notification
+ */
+async function notifyFill(order) {
+    const { fill } = order;
+    if (order.type === 'LIMIT') {
+        return notifyUser(order.userId, {
+            type: 'ORDER_FILLED',
+            title: `Limit ${order.side} filled`,
+            message: `Your limit ${order.side} of ${order.amount} ${order.asset} filled at ₹${fill.price}.`,
+            data: { orderId: order.orderId, transactionId: fill.transactionId }
+        });
+    }
+    const label = order.type.replace('_', ' ').toLowerCase();
+    return notifyUser(order.userId, {
+        type: 'ORDER_TRIGGERED',
+        title: `${label.charAt(0).toUpperCase()}${label.slice(1)} triggered`,
+        message: `Your ${order.asset} ${label} at ₹${order.trigger.triggerPrice} ` +
+            `fired at a bid of ₹${order.trigger.bid} and sold ${order.amount} ${order.asset} at ₹${fill.price}.`,
+        data: { orderId: order.orderId, transactionId: fill.transactionId, trigger: order.trigger }
+    });
+}
+
+/**
+ * Fill an order at the given rates, re-checking it under the user's lock
+ * @param {string} orderId - Order ID
+ * @param {Object} sides - { price, bid, ask }
+ * @returns {Promise<Object|null>} Filled order or null if it was no longer open
+ */
+async function fillOrder(orderId, sides) {
+    const storage = getStorage();
+    const snapshot = await storage.get('orders', orderId);
+
+    return publishOrderUpdate(await withUserLock(snapshot.userId, () => withTransaction(async () => {
+        const order = await storage.get('orders', orderId);
+        if (order.status !== 'OPEN') {
+            return null;
+        }
+
+        const fill = order.side === 'buy' ? await fillBuy(order, sides) : await fillSell(order, sides);
+        const filled = {
+            ...order,
+            status: 'FILLED',
+            filledAt: new Date(),
+            fill: { ...fill, price: sides.price, bid: sides.bid, ask: sides.ask }
+        };
+        if (CONDITIONAL_ORDER_TYPES.includes(order.type)) {
+            // Audit of the level and the bid that fired it
+            filled.trigger = {
+                type: order.type,
+                triggerPrice: order.triggerPrice,
+                bid: sides.bid,
+                highWaterMark: order.highWaterMark,
+                firedAt: filled.filledAt
+            };
+        }
+        await storage.save('orders', filled);
+        return filled;
+    })));
+}
+
+/**
+ * Expire an open order whose validity has passed
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object|null>} Expired order or null if it was no longer open
+ */
+async function expireOrder(orderId) {
+    const storage = getStorage();
+    const snapshot = await storage.get('orders', orderId);
+
+    return publishOrderUpdate(await withUserLock(snapshot.userId, () => withTransaction(async () => {
+        const order = await storage.get('orders', orderId);
+        if (order.status !== 'OPEN') {
+            return null;
+        }
+        return closeOrder(order, 'EXPIRED');
+    })));
+}
+
+/**
+ * Check every open order against a rate update, oldest first
+ * Assets whose rate is stale or the fallback are skipped until a live rate arrives.
+ * @param {Object} rates - Market rates
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { checked, filled, expired, failed }
+ */
+async function evaluateOpenOrders(rates, now = new Date()) {
+    const orders = await getStorage().find('orders', { status: 'OPEN' }, { orderBy: 'createdAt', order: 'asc' });
+
+    const summary = { checked: 0, filled: 0, expired: 0, failed: 0 };
+    for (const order of orders) {
+        summary.checked++;
+        try {
+            if (order.expiresAt && new Date(order.expiresAt) <= now) {
+                if (await expireOrder(order.orderId)) summary.expired++;
+                continue;
+            }
+
+            // Stale or fallback rates neither raise a trailing stop nor fill an order
+            const rate = rates[order.asset];
+            if (!isLiveRate(rate)) continue;
+            const sides = quoteSides(rate);
+
+            if (order.type === 'TRAILING_STOP' && sides.bid > order.highWaterMark) {
+                await trailStop(order.orderId, sides.bid);
+                continue;
+            }
+            if (isTriggered(order, sides)) {
+                const filled = await fillOrder(order.orderId, sides);
+                if (filled) {
+                    summary.filled++;
+                    // The fill stands even if the notification cannot be recorded
+                    await notifyFill(filled).catch(error => {
+                        console.error(`Order ${order.orderId} notification error:`, error);
+                    });
+                }
+            }
+        } catch (error) {
+            summary.failed++;
+            console.error(`Order ${order.orderId} evaluation error:`, error);
+        }
+    }
+    return summary;
+}
+
+/**
+ * Cancel an open order and release its reservation
+ * @param {string} userId - Owner
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Cancelled order
+ */
+async function cancelOrder(userId, orderId) {
+    return publishOrderUpdate(await withUserLock(userId, () => withTransaction(async () => {
+        const order = await getStorage().get('orders', orderId);
+        if (!order || order.userId !== userId) {
+            throw createError('Order not found', 404);
+        }
+        if (order.status !== 'OPEN') {
+            throw createError(`Order is ${order.status}`, 409);
+        }
+        return closeOrder(order, 'CANCELLED', { cancelledBy: userId });
+    })));
+}
+
+/**
+ * Get one of a user's orders
+ * @param {string} userId - Owner
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Order
+ */
+async function getOrderForUser(userId, orderId) {
+    const order = await getStorage().get('orders', orderId);
+    if (!order || order.userId !== userId) {
+        throw createError('Order not found', 404);
+    }
+    return order;
+}
+
+/**
+ * List a user's orders, newest first
+ * @param {string} userId - Owner
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>} Orders
+ */
+async function listOrders(userId, { status } = {}) {
+    if (status && !ORDER_STATUSES.includes(status)) {
+        throw createError('Invalid order status', 400, { allowed: ORDER_STATUSES });
+    }
+    const where = { userId };
+    if (status) where.status = status;
+    return getStorage().find('orders', where, { orderBy: 'createdAt', order: 'desc' });
+}
+
+/**
+ * Evaluate open orders on every market rate update (safe to call more than once)
+ */
+function registerOrderHandlers() {
+    if (!handlersRegistered) {
+        onMarketRatesUpdate(rates => evaluateOpenOrders(rates));
+        handlersRegistered = true;
+    }
+}
+
+module.exports = {
+    ORDER_SIDES,
+    ORDER_VALIDITIES,
+    ORDER_STATUSES,
+    CONDITIONAL_ORDER_TYPES,
+    createLimitOrder,
+    createConditionalOrder,
+    cancelOrder,
+    getOrderForUser,
+    listOrders,
+    evaluateOpenOrders,
+    onOrderUpdate,
+    registerOrderHandlers
+};
@@ -0,0 +1,167 @@
+const { resetStorage, createTestUser, useFixedRates, buildTestRates, fundUser } = require('./test-utils');
+const { createLimitOrder, createConditionalOrder, cancelOrder, evaluateOpenOrders } = require('./orders');
+const { getUserBalances, reconcileLedger } = require('./ledger');
+const { setMarketProviders } = require('./market-rates');
+const { getStorage } = require('./storage');
+const { listNotifications } = require('./notifications');
+
+let user;
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    user = await createTestUser();
+    await fundUser(user.userId, 'gold', 2);
+    await fundUser(user.userId, 'inr', 10000);
+});
+
+describe('limit orders', () => {
+    test('a buy reserves INR and fills once the ask reaches the limit', async () => {
+        const order = await createLimitOrder({ userId: user.userId, side: 'buy', asset: 'gold', amount: 1, limitPrice: 5900 });
+        expect((await getUserBalances(user.userId)).inr).toBeLessThan(10000 - 5900);
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 6000 }))).toMatchObject({ filled: 0 });
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 5800 }))).toMatchObject({ filled: 1 });
+
+        const filled = await getStorage().get('orders', order.orderId);
+        expect(filled).toMatchObject({ status: 'FILLED', fill: { price: 5800 } });
+        expect((await getUserBalances(user.userId)).gold).toBe(3);
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('cancelling releases the reservation', async () => {
+        const order = await createLimitOrder({ userId: user.userId, side: 'sell', asset: 'gold', amount: 1.5, limitPrice: 6500 });
+        expect((await getUserBalances(user.userId)).gold).toBe(0.5);
+
+        await cancelOrder(user.userId, order.orderId);
+        expect((await getUserBalances(user.userId)).gold).toBe(2);
+        await expect(cancelOrder(user.userId, order.orderId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('a sell fills once the bid reaches the limit and credits the proceeds', async () => {
+        const order = await createLimitOrder({ userId: user.userId, side: 'sell', asset: 'gold', amount: 1, limitPrice: 6200 });
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 6200 }))).toMatchObject({ filled: 0 });
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 6400 }))).toMatchObject({ filled: 1 });
+
+        const filled = await getStorage().get('orders', order.orderId);
+        expect(filled.fill.price).toBeGreaterThanOrEqual(6200);
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(1);
+        expect(balances.inr).toBeGreaterThan(10000);
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('an order that cannot be covered is refused', async () => {
+        await expect(createLimitOrder({ userId: user.userId, side: 'buy', asset: 'gold', amount: 5, limitPrice: 5900 }))
+            .rejects.toMatchObject({ statusCode: 400, details: { available: 10000 } });
+        await expect(createLimitOrder({ userId: user.userId, side: 'sell', asset: 'gold', amount: 3, limitPrice: 6500 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(await getStorage().count('orders')).toBe(0);
+    });
+
+    test('an EXPIRE_AT order expires unfilled and releases its reservation', async () => {
+        const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+        const order = await createLimitOrder({ userId: user.userId, side: 'buy', asset: 'gold', amount: 1, limitPrice: 5900, validity: 'EXPIRE_AT', expiresAt });
+
+        const later = new Date(expiresAt.getTime() + 1000);
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 5000 }), later)).toMatchObject({ expired: 1, filled: 0 });
+        expect((await getStorage().get('orders', order.orderId)).status).toBe('EXPIRED');
+        expect((await getUserBalances(user.userId)).inr).toBe(10000);
+
+        await expect(createLimitOrder({ userId: user.userId, side: 'buy', asset: 'gold', amount: 1, limitPrice: 5900, validity: 'EXPIRE_AT', expiresAt: new Date(0) }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('conditional orders', () => {
+    test('the trigger must not already be met at the current bid', async () => {
+        await expect(createConditionalOrder({ userId: user.userId, type: 'STOP_LOSS', asset: 'gold', amount: 1, triggerPrice: 6500 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(createConditionalOrder({ userId: user.userId, type: 'TAKE_PROFIT', asset: 'gold', amount: 1, triggerPrice: 5500 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(createConditionalOrder({ userId: user.userId, type: 'STOP_LOSS', asset: 'gold', amount: 3, triggerPrice: 5500 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('a stop-loss sells once the bid falls to its trigger and tells the owner', async () => {
+        const order = await createConditionalOrder({ userId: user.userId, type: 'STOP_LOSS', asset: 'gold', amount: 1, triggerPrice: 5500 });
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 5700 }))).toMatchObject({ filled: 0 });
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 5400 }))).toMatchObject({ filled: 1 });
+
+        const filled = await getStorage().get('orders', order.orderId);
+        expect(filled).toMatchObject({ status: 'FILLED', trigger: { triggerPrice: 5500 } });
+        expect(filled.trigger.bid).toBeLessThanOrEqual(5500);
+        expect((await getUserBalances(user.userId)).gold).toBe(1);
+        const [notification] = await listNotifications(user.userId);
+        expect(notification).toMatchObject({ type: 'ORDER_TRIGGERED', title: 'Stop loss triggered', data: { orderId: order.orderId } });
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('a take-profit sells once the bid rises to its trigger', async () => {
+        const order = await createConditionalOrder({ userId: user.userId, type: 'TAKE_PROFIT', asset: 'gold', amount: 2, triggerPrice: 6500 });
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 6700 }))).toMatchObject({ filled: 1 });
+        expect((await getStorage().get('orders', order.orderId)).status).toBe('FILLED');
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(0);
+        expect(balances.inr).toBeGreaterThan(10000 + 2 * 6500 * 0.95);
+    });
+
+    test('a trailing stop follows new highs and fires on the pullback', async () => {
+        const order = await createConditionalOrder({ userId: user.userId, type: 'TRAILING_STOP', asset: 'gold', amount: 1, trailPercent: 5 });
+
+        await evaluateOpenOrders(buildTestRates({ gold: 7000 }));
+        const raised = await getStorage().get('orders', order.orderId);
+        expect(raised.highWaterMark).toBeGreaterThan(order.highWaterMark);
+        expect(raised.triggerPrice).toBeCloseTo(raised.highWaterMark * 0.95, 2);
+
+        // A lower high leaves the stop where it is
+        await evaluateOpenOrders(buildTestRates({ gold: 6900 }));
+        expect((await getStorage().get('orders', order.orderId)).triggerPrice).toBe(raised.triggerPrice);
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 6000 }))).toMatchObject({ filled: 1 });
+        expect((await getStorage().get('orders', order.orderId)).status).toBe('FILLED');
+    });
+});
+
+describe('stale and fallback rates', () => {
+    test.each([
+        ['stale', { stale: true }],
+        ['fallback', { provider: 'FALLBACK' }]
+    ])('%s rates do not fill a limit order', async (label, fields) => {
+        const order = await createLimitOrder({ userId: user.userId, side: 'buy', asset: 'gold', amount: 1, limitPrice: 5900 });
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 5000 }, fields))).toMatchObject({ checked: 1, filled: 0, failed: 0 });
+        expect((await getStorage().get('orders', order.orderId)).status).toBe('OPEN');
+
+        expect(await evaluateOpenOrders(buildTestRates({ gold: 5000 }))).toMatchObject({ filled: 1 });
+    });
+
+    test('stale rates neither trigger a stop-loss nor raise a trailing stop', async () => {
+        const stop = await createConditionalOrder({ userId: user.userId, type: 'STOP_LOSS', asset: 'gold', amount: 1, triggerPrice: 5500 });
+        const trailing = await createConditionalOrder({ userId: user.userId, type: 'TRAILING_STOP', asset: 'gold', amount: 1, trailPercent: 5 });
+
+        await evaluateOpenOrders(buildTestRates({ gold: 5000 }, { stale: true }));
+        await evaluateOpenOrders(buildTestRates({ gold: 7000 }, { provider: 'FALLBACK' }));
+
+        expect((await getStorage().get('orders', stop.orderId)).status).toBe('OPEN');
+        expect(await getStorage().get('orders', trailing.orderId)).toMatchObject({
+            status: 'OPEN',
+            highWaterMark: trailing.highWaterMark,
+            triggerPrice: trailing.triggerPrice
+        });
+    });
+
+    test('a conditional order cannot be placed off a fallback rate', async () => {
+        const failingChain = [{ name: 'DOWN', assets: null, fetchRates: async () => { throw new Error('feed down'); } }];
+        setMarketProviders(failingChain);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(createConditionalOrder({ userId: user.userId, type: 'TRAILING_STOP', asset: 'gold', amount: 1, trailPercent: 5 }))
+            .rejects.toMatchObject({ statusCode: 503 });
+        expect(await getStorage().count('orders')).toBe(0);
+        console.error.mockRestore();
+    });
+});
@@ -1,13 +1,41 @@
 // Payments Module for Multi-Metal Token App
 // Handles UPI, Bank Transfers, and Payment Processing
 
+const {
+    savePayment,
+    getPaymentById,
+    updatePaymentStatus: savePaymentStatus,
+    getPaymentsByUser
+} = require('./repository');
+const { createError } = require('./errors');
+
+const PAYMENT_METHODS = ['UPI', 'BANK_TRANSFER', 'CARD', 'NET_BANKING'];
+
+const PAYMENT_STATUSES = [
+    'INITIATED',
+    'PENDING_CONFIRMATION',
+    'REDIRECT_REQUIRED',
+    'COMPLETED',
+    'FAILED',
+    'EXPIRED',
+    'REFUNDED'
+];
+
+// Recurring debit mandates: UPI Autopay and eNACH (authorised through net banking)
+const MANDATE_METHODS = ['UPI', 'NET_BANKING'];
+
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+// Handlers awaited after every payment status change (settlement, notifications...)
+const statusChangeHandlers = [];
+
 /**
  * Create UPI Payment Intent
  * @param {Object} params - Payment parameters
  * @returns {Promise<Object>} Payment intent details
  */
 async function createUPIIntent(params) {
-    const { amount, currency, upiId, userId, description } = params;
+    const { amount, currency, upiId, userId, description, orderId } = params;
     
     // Generate unique payment ID
     const paymentId = generatePaymentId();
@@ -17,6 +45,7 @@ async function createUPIIntent(params) {
         paymentId,
         userId,
         method: 'UPI',
+        orderId,
         amount,
         currency: currency || 'INR',
         upiId,
@@ -126,7 +155,7 @@ async function verifyUPIPayment(paymentId, transactionId) {
  * @returns {Promise<Object>} Bank transfer details
  */
 async function createBankTransfer(params) {
-    const { amount, currency, userId, bankAccount, description } = params;
+    const { amount, currency, userId, bankAccount, description, orderId } = params;
     
     const paymentId = generatePaymentId();
     
@@ -137,6 +166,7 @@ async function createBankTransfer(params) {
         paymentId,
         userId,
         method: 'BANK_TRANSFER',
+        orderId,
         amount,
         currency: currency || 'INR',
         bankDetails,
@@ -176,7 +206,7 @@ async function createBankTransfer(params) {
  * @returns {Promise<Object>} Card payment intent
  */
 async function createCardPayment(params) {
-    const { amount, currency, userId, cardToken, description } = params;
+    const { amount, currency, userId, cardToken, description, orderId } = params;
     
     const paymentId = generatePaymentId();
     
@@ -185,6 +215,7 @@ async function createCardPayment(params) {
         paymentId,
         userId,
         method: 'CARD',
+        orderId,
         amount,
         currency: currency || 'INR',
         cardToken, // Tokenized card information
@@ -210,7 +241,7 @@ async function createCardPayment(params) {
  * @returns {Promise<Object>} Net banking payment details
  */
 async function createNetBankingPayment(params) {
-    const { amount, currency, userId, bankCode, description } = params;
+    const { amount, currency, userId, bankCode, description, orderId } = params;
     
     const paymentId = generatePaymentId();
     
@@ -218,6 +249,7 @@ async function createNetBankingPayment(params) {
         paymentId,
         userId,
         method: 'NET_BANKING',
+        orderId,
         amount,
         currency: currency || 'INR',
         bankCode,
@@ -238,6 +270,98 @@ async function createNetBankingPayment(params) {
     };
 }
 
+/**
+ * Create a payment with the given method
+ * @param {Object} params - Payment parameters
+ * @param {string} params.method - 'UPI', 'BANK_TRANSFER', 'CARD' or 'NET_BANKING'
+ * @param {string} params.orderId - Order (BUY transaction) the payment pays for
+ * @returns {Promise<Object>} Payment details from the method-specific creator
+ */
+async function createPayment(params) {
+    switch ((params.method || 'UPI').toUpperCase()) {
+        case 'UPI':
+            return createUPIIntent(params);
+        case 'BANK_TRANSFER':
+            return createBankTransfer(params);
+        case 'CARD':
+            return createCardPayment(params);
+        case 'NET_BANKING':
+            return createNetBankingPayment(params);
+        default:
+            throw new Error('Unsupported payment method');
+    }
+}
+
+/**
+ * Validate a client payment request before it reaches createPayment
+ * @param {Object} params - { amount, method, upiId, cardToken, bankCode }
+ */
+function assertValidPaymentRequest({ amount, method, upiId, cardToken, bankCode }) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 1) {
+        throw createError('Amount must be a number of at least 1 INR');
+    }
+    if (Math.round(amount * 100) !== amount * 100) {
+        throw createError('Amount cannot have more than 2 decimal places');
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+        throw createError('Invalid payment method', 400, { allowed: PAYMENT_METHODS });
+    }
+    if (method === 'UPI' && !UPI_ID_PATTERN.test(upiId || '')) {
+        throw createError('A valid upiId is required for UPI payments');
+    }
+    if (method === 'CARD' && !cardToken) {
+        throw createError('cardToken is required for card payments');
+    }
+    if (method === 'NET_BANKING' && !bankCode) {
+        throw createError('bankCode is required for net banking payments');
+    }
+}
+
+/**
+ * Load a payment the user may see: their own, or any payment for admins
+ * Payments of other users are reported as not found.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<Object>} Payment
+ */
+async function getPaymentForUser(paymentId, user) {
+    const payment = await getPaymentById(paymentId);
+    if (!payment || (payment.userId !== user.userId && user.role !== 'ADMIN')) {
+        throw createError('Payment not found', 404);
+    }
+    return payment;
+}
+
+/**
+ * Update payment status and run the registered status-change handlers
+ * @param {string} paymentId - Payment ID
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields to store
+ * @returns {Promise<Object|null>} Updated payment or null if not found
+ */
+async function updatePaymentStatus(paymentId, status, details = {}) {
+    const previous = await getPaymentById(paymentId);
+    if (!previous) {
+        return null;
+    }
+
+    const payment = await savePaymentStatus(paymentId, status, details);
+    if (previous.status !== status) {
+        for (const handler of statusChangeHandlers) {
+            await handler(payment, previous.status);
+        }
+    }
+    return payment;
+}
+
+/**
+ * Register a handler for payment status changes
+ * @param {Function} handler - async (payment, previousStatus) => void
+ */
+function onPaymentStatusChange(handler) {
+    statusChangeHandlers.push(handler);
+}
+
 /**
  * Get Payment Status
  * @param {string} paymentId - Payment ID
@@ -247,11 +371,12 @@ async function getPaymentStatus(paymentId) {
     const payment = await getPaymentById(paymentId);
     
     if (!payment) {
-        throw new Error('Payment not found');
+        throw createError('Payment not found', 404);
     }
     
     return {
         paymentId: payment.paymentId,
+        orderId: payment.orderId || null,
         status: payment.status,
         amount: payment.amount,
         currency: payment.currency,
@@ -263,73 +388,189 @@ async function getPaymentStatus(paymentId) {
 }
 
 /**
- * Process Refund
- * @param {Object} params - Refund parameters
- * @returns {Promise<Object>} Refund details
+ * Send a refund to the provider the payment came through
+ * Refund bookkeeping and state live in refunds.js; this only talks to the rails.
+ * `reference` (our refund ID) is the provider's idempotency key, so sending the
+ * same refund again never pays it twice.
+ * @param {Object} payment - Original payment
+ * @param {number} amount - Amount to refund
+ * @param {string} reference - Refund ID
+ * @returns {Promise<Object>} Provider result ({ reference, status: 'SUCCESS' | 'PENDING' | 'FAILED', failureReason })
  */
-async function processRefund(params) {
-    const { originalPaymentId, amount, reason, userId } = params;
-    
-    // Verify original payment exists and is completed
-    const originalPayment = await getPaymentById(originalPaymentId);
-    
-    if (!originalPayment || originalPayment.status !== 'COMPLETED') {
-        throw new Error('Invalid or incomplete original payment');
-    }
-    
-    if (originalPayment.amount < amount) {
-        throw new Error('Refund amount exceeds original payment');
-    }
-    
-    const refundId = generateRefundId();
-    
-    const refund = {
-        refundId,
-        originalPaymentId,
-        amount,
-        reason,
-        userId,
-        status: 'PROCESSING',
-        createdAt: new Date(),
-        processedAt: null
-    };
-    
-    await saveRefund(refund);
-    
-    // Process refund based on payment method
-    let refundResult;
-    switch (originalPayment.method) {
+async function sendProviderRefund(payment, amount, reference) {
+    switch (payment.method) {
         case 'UPI':
-            refundResult = await processUPIPRefund(originalPayment, amount);
-            break;
+            return processUPIPRefund(payment, amount, reference);
         case 'BANK_TRANSFER':
-            refundResult = await processBankRefund(originalPayment, amount);
-            break;
+            return processBankRefund(payment, amount, reference);
         case 'CARD':
-            refundResult = await processCardRefund(originalPayment, amount);
-            break;
+            return processCardRefund(payment, amount, reference);
         case 'NET_BANKING':
-            refundResult = await processNetBankingRefund(originalPayment, amount);
-            break;
+            return processNetBankingRefund(payment, amount, reference);
         default:
             throw new Error('Unsupported payment method for refund');
     }
-    
-    await updateRefundStatus(refundId, 'COMPLETED', {
-        processedAt: new Date(),
-        refundReference: refundResult.reference
-    });
-    
+}
+
+/**
+ * Ask the provider what happened to a refund sent with our refund ID
+ * @param {Object} payment - Original payment
+ * @param {string} reference - Refund ID sent with the refund
+ * @returns {Promise<Object>} { status: 'SUCCESS' | 'PENDING' | 'FAILED' | 'NOT_FOUND', reference, failureReason }
+ */
+async function getProviderRefundStatus(payment, reference) {
+    return fetchProviderRefundStatus(payment.method, reference);
+}
+
+/**
+ * Send a payout to a customer's bank account
+ * Withdrawal bookkeeping and state live in wallet.js; this only talks to the rails.
+ * IMPS settles instantly; NEFT is accepted and settles in the next clearing batch.
+ * @param {Object} params - { mode: 'IMPS' | 'NEFT', amount, bankAccount, reference }
+ * @returns {Promise<Object>} Provider result ({ reference, status: 'SUCCESS' | 'PENDING', utr })
+ */
+async function sendProviderPayout({ mode, amount, bankAccount, reference }) {
+    switch (mode) {
+        case 'IMPS':
+            return processIMPSPayout(bankAccount, amount, reference);
+        case 'NEFT':
+            return processNEFTPayout(bankAccount, amount, reference);
+        default:
+            throw new Error('Unsupported payout mode');
+    }
+}
+
+/**
+ * Ask the provider how a payout ended, by the reference it was sent with
+ * Works whether or not the send call returned, so an unknown outcome can be resolved.
+ * @param {Object} params - { mode, reference }
+ * @returns {Promise<Object>} { status: 'SUCCESS' | 'PENDING' | 'FAILED' | 'NOT_FOUND', utr, reason }
+ */
+async function getProviderPayoutStatus({ mode, reference }) {
+    return fetchProviderPayoutStatus(mode, reference);
+}
+
+/**
+ * Verify a bank account with a penny drop
+ * @param {Object} bankAccount - { accountNumber, ifscCode, accountHolderName }
+ * @returns {Promise<Object>} { reference, nameAtBank }
+ */
+async function verifyProviderBankAccount(bankAccount) {
+    return pennyDropProvider(bankAccount);
+}
+
+/**
+ * Register a recurring debit mandate (UPI Autopay / eNACH)
+ * @param {Object} params - Mandate parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.method - 'UPI' or 'NET_BANKING'
+ * @param {string} params.upiId - UPI ID (UPI)
+ * @param {string} params.bankCode - Bank code (NET_BANKING)
+ * @param {number} params.maxAmount - Largest single debit the mandate allows
+ * @returns {Promise<Object>} Mandate
+ */
+async function createMandate({ userId, method, upiId, bankCode, maxAmount }) {
+    if (!MANDATE_METHODS.includes(method)) {
+        throw createError('Invalid mandate method', 400, { allowed: MANDATE_METHODS });
+    }
+    if (method === 'UPI' && !UPI_ID_PATTERN.test(upiId || '')) {
+        throw createError('A valid upiId is required for UPI Autopay');
+    }
+    if (method === 'NET_BANKING' && !bankCode) {
+        throw createError('bankCode is required for eNACH mandates');
+    }
+
+    const registration = await registerProviderMandate({ method, upiId, bankCode, maxAmount });
+
     return {
-        refundId,
-        status: 'COMPLETED',
-        amount,
-        originalPaymentId,
-        processedAt: new Date(),
-        refundReference: refundResult.reference
+        mandateId: `MDT_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`.toUpperCase(),
+        userId,
+        method,
+        upiId,
+        bankCode,
+        maxAmount,
+        providerReference: registration.reference,
+        status: 'ACTIVE',
+        createdAt: new Date()
     };
 }
 
+/**
+ * Payment ID of the mandate debit for a reference (one debit per reference)
+ * @param {string} reference - What the debit pays for
+ * @returns {string} Payment ID
+ */
+function mandatePaymentId(reference) {
+    return `PAY_MANDATE_${reference}`;
+}
+
+/**
+ * Find the mandate debit already made for a reference
+ * @param {string} reference - What the debit pays for
+ * @returns {Promise<Object|null>} Payment or null
+ */
+async function findMandateDebit(reference) {
+    return getPaymentById(mandatePaymentId(reference));
+}
+
+/**
+ * Collect money through a mandate (call outside any transaction)
+ * The payment is committed as INITIATED before the provider is charged and the
+ * reference is the provider's idempotency key, so a retry for the same reference
+ * never charges twice. Completing the payment credits the user's INR balance
+ * through the settlement handlers.
+ * @param {Object} params - Debit parameters
+ * @param {Object} params.mandate - Active mandate
+ * @param {number} params.amount - Amount to collect
+ * @param {string} params.reference - What the debit pays for (e.g. SIP installment)
+ * @param {string} params.description - Description
+ * @returns {Promise<Object>} COMPLETED or FAILED payment
+ */
+async function executeMandateDebit({ mandate, amount, reference, description }) {
+    if (!mandate || mandate.status !== 'ACTIVE') {
+        throw createError('No active mandate');
+    }
+    if (mandate.maxAmount && amount > mandate.maxAmount) {
+        throw createError('Debit exceeds the mandate limit', 400, { maxAmount: mandate.maxAmount });
+    }
+
+    const paymentId = mandatePaymentId(reference);
+    let payment = await getPaymentById(paymentId);
+    if (payment && payment.status !== 'INITIATED') {
+        return payment;
+    }
+
+    if (!payment) {
+        payment = await savePayment({
+            paymentId,
+            userId: mandate.userId,
+            method: mandate.method,
+            mandateId: mandate.mandateId,
+            amount,
+            currency: 'INR',
+            description: description || 'Mandate debit',
+            reference,
+            status: 'INITIATED',
+            gateway: 'MANDATE',
+            createdAt: new Date()
+        });
+    }
+
+    // A provider error leaves the payment INITIATED; the next attempt resends the same reference
+    const debit = await debitProviderMandate(mandate, payment.amount, reference);
+
+    if (debit.status === 'FAILED') {
+        return updatePaymentStatus(paymentId, 'FAILED', {
+            failureReason: debit.reason || 'MANDATE_DEBIT_FAILED',
+            failedAt: new Date()
+        });
+    }
+    return updatePaymentStatus(paymentId, 'COMPLETED', {
+        transactionId: debit.reference,
+        completedAt: new Date()
+    });
+}
+
 /**
  * Get Payment History
  * @param {string} userId - User ID
@@ -457,16 +698,6 @@ function generatePaymentId() {
     return `PAY_${timestamp}_${random}`.toUpperCase();
 }
 
-/**
- * Generate refund ID
- * @returns {string} Refund ID
- */
-function generateRefundId() {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 8);
-    return `REF_${timestamp}_${random}`.toUpperCase();
-}
-
 /**
  * Generate client secret for card payments
  * @param {string} paymentId - Payment ID
@@ -487,78 +718,97 @@ function generateNetBankingUrl(paymentId, bankCode) {
 }
 
 // ==================== STUB IMPLEMENTATIONS ====================
-// These functions would be implemented with actual database operations
+// Refund calls to the payment providers; replace with gateway SDK calls in production
 
-async function savePayment(payment) {
-    // Stub implementation
-    return true;
+async function processUPIPRefund(payment, amount, reference) {
+    return { reference: `UPI_REF_${Date.now()}`, status: 'SUCCESS' };
 }
 
-async function getPaymentById(paymentId) {
-    // Stub implementation
-    return null;
+async function processBankRefund(payment, amount, reference) {
+    return { reference: `BANK_REF_${Date.now()}`, status: 'SUCCESS' };
 }
 
-async function updatePaymentStatus(paymentId, status, details = {}) {
-    // Stub implementation
-    return true;
+async function processCardRefund(payment, amount, reference) {
+    return { reference: `CARD_REF_${Date.now()}`, status: 'SUCCESS' };
 }
 
-async function saveRefund(refund) {
-    // Stub implementation
-    return true;
+async function processNetBankingRefund(payment, amount, reference) {
+    return { reference: `NB_REF_${Date.now()}`, status: 'SUCCESS' };
 }
 
-async function updateRefundStatus(refundId, status, details = {}) {
-    // Stub implementation
-    return true;
+// The stubs keep no state, so no refund is ever found; the sweeper then sends it again
+async function fetchProviderRefundStatus(method, reference) {
+    return { status: 'NOT_FOUND' };
 }
 
-async function getPaymentsByUser(userId, options) {
-    // Stub implementation
-    return { data: [], total: 0 };
+// Payouts and bank account verification; replace with payout provider calls in production
+
+async function processIMPSPayout(bankAccount, amount, reference) {
+    return { reference: `IMPS_REF_${Date.now()}`, status: 'SUCCESS', utr: String(Date.now()).slice(-12) };
+}
+
+async function processNEFTPayout(bankAccount, amount, reference) {
+    return { reference: `NEFT_REF_${Date.now()}`, status: 'PENDING' };
 }
 
-async function processUPIPRefund(payment, amount) {
-    return { reference: `UPI_REF_${Date.now()}` };
+async function fetchProviderPayoutStatus(mode, reference) {
+    return { status: 'SUCCESS', utr: String(Date.now()).slice(-12) };
 }
 
-async function processBankRefund(payment, amount) {
-    return { reference: `BANK_REF_${Date.now()}` };
+async function pennyDropProvider(bankAccount) {
+    return { reference: `PENNY_REF_${Date.now()}`, nameAtBank: bankAccount.accountHolderName };
 }
 
-async function processCardRefund(payment, amount) {
-    return { reference: `CARD_REF_${Date.now()}` };
+// Mandate registration and debits; replace with UPI Autopay / eNACH provider calls in production
+
+async function registerProviderMandate(params) {
+    return { reference: `MANDATE_REF_${Date.now()}` };
 }
 
-async function processNetBankingRefund(payment, amount) {
-    return { reference: `NB_REF_${Date.now()}` };
+async function debitProviderMandate(mandate, amount, reference) {
+    return { reference: `MANDATE_DEBIT_${Date.now()}`, status: 'SUCCESS' };
 }
 
 // ==================== EXPORTS ====================
 
 function createPaymentIntent() {
     return {
+        createPayment,
         createUPIIntent,
         createBankTransfer,
         createCardPayment,
         createNetBankingPayment,
         verifyUPIPayment,
         getPaymentStatus,
-        processRefund,
+        sendProviderRefund,
         getPaymentHistory,
         calculatePaymentFees
     };
 }
 
 module.exports = {
+    PAYMENT_METHODS,
+    PAYMENT_STATUSES,
+    MANDATE_METHODS,
+    createMandate,
+    executeMandateDebit,
+    findMandateDebit,
+    assertValidPaymentRequest,
+    getPaymentForUser,
+    createPayment,
+    updatePaymentStatus,
+    onPaymentStatusChange,
     createUPIIntent,
     verifyUPIPayment,
     createBankTransfer,
     createCardPayment,
     createNetBankingPayment,
     getPaymentStatus,
-    processRefund,
+    sendProviderRefund,
+    getProviderRefundStatus,
+    sendProviderPayout,
+    getProviderPayoutStatus,
+    verifyProviderBankAccount,
     getPaymentHistory,
     calculatePaymentFees,
     createPaymentIntent
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { resetStorage, createTestUser, authHeader } = require('./test-utils');
+const { registerSettlementHandlers } = require('./settlement');
+const { updatePaymentStatus } = require('./payments');
+const { getUserBalances } = require('./ledger');
+const app = require('./server');
+
+let user;
+
+registerSettlementHandlers();
+
+beforeEach(async () => {
+    resetStorage();
+    user = await createTestUser();
+});
+
+/**
+ * Create a deposit through the API
+ * @param {Object} owner - Authenticated user
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response
+ */
+function createDeposit(owner, body) {
+    return request(app)
+        .post('/api/payments')
+        .set('Authorization', authHeader(owner))
+        .send(body);
+}
+
+describe('POST /api/payments', () => {
+    test('creates a UPI deposit that is credited once completed', async () => {
+        const res = await createDeposit(user, { amount: 2500, method: 'upi', upiId: 'user@okaxis' });
+        expect(res.status).toBe(201);
+        expect(res.body.paymentId).toBeDefined();
+
+        await updatePaymentStatus(res.body.paymentId, 'COMPLETED');
+        expect((await getUserBalances(user.userId)).inr).toBe(2500);
+    });
+
+    test.each([
+        ['a missing amount', { method: 'UPI', upiId: 'user@okaxis' }],
+        ['a negative amount', { amount: -10, method: 'UPI', upiId: 'user@okaxis' }],
+        ['an unknown method', { amount: 100, method: 'CASH' }],
+        ['a UPI payment without a UPI ID', { amount: 100, method: 'UPI' }]
+    ])('rejects %s with 400', async (label, body) => {
+        const res = await createDeposit(user, body);
+        expect(res.status).toBe(400);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(app).post('/api/payments').send({ amount: 100, upiId: 'user@okaxis' });
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('GET /api/payments', () => {
+    test('lists the user\'s own payments, filtered by status', async () => {
+        const other = await createTestUser();
+        const first = await createDeposit(user, { amount: 1000, upiId: 'user@okaxis' });
+        await createDeposit(user, { amount: 2000, upiId: 'user@okaxis' });
+        await createDeposit(other, { amount: 3000, upiId: 'other@okaxis' });
+        await updatePaymentStatus(first.body.paymentId, 'COMPLETED');
+
+        const all = await request(app).get('/api/payments').set('Authorization', authHeader(user));
+        expect(all.status).toBe(200);
+        expect(all.body.payments.map(payment => payment.amount).sort()).toEqual([1000, 2000]);
+
+        const completed = await request(app).get('/api/payments?status=COMPLETED').set('Authorization', authHeader(user));
+        expect(completed.body.payments.map(payment => payment.paymentId)).toEqual([first.body.paymentId]);
+    });
+
+    test('rejects unknown filters and page sizes', async () => {
+        const auth = authHeader(user);
+        expect((await request(app).get('/api/payments?status=DONE').set('Authorization', auth)).status).toBe(400);
+        expect((await request(app).get('/api/payments?limit=500').set('Authorization', auth)).status).toBe(400);
+    });
+});
+
+describe('GET /api/payments/:id', () => {
+    test('is visible to its owner and admins only', async () => {
+        const created = await createDeposit(user, { amount: 1000, upiId: 'user@okaxis' });
+        const path = `/api/payments/${created.body.paymentId}`;
+
+        const own = await request(app).get(path).set('Authorization', authHeader(user));
+        expect(own.status).toBe(200);
+        expect(own.body).toMatchObject({ paymentId: created.body.paymentId, amount: 1000, method: 'UPI' });
+
+        const stranger = await createTestUser();
+        expect((await request(app).get(path).set('Authorization', authHeader(stranger))).status).toBe(404);
+
+        const admin = await createTestUser({ role: 'ADMIN' });
+        expect((await request(app).get(path).set('Authorization', authHeader(admin))).status).toBe(200);
+    });
+});
+
+test('refunds can only be issued by admins', async () => {
+    const created = await createDeposit(user, { amount: 1000, upiId: 'user@okaxis' });
+    await updatePaymentStatus(created.body.paymentId, 'COMPLETED');
+    const path = `/api/payments/${created.body.paymentId}/refund`;
+
+    const denied = await request(app).post(path).set('Authorization', authHeader(user)).send({ amount: 500, reason: 'Changed mind' });
+    expect(denied.status).toBe(403);
+
+    const admin = await createTestUser({ role: 'ADMIN' });
+    const refunded = await request(app).post(path).set('Authorization', authHeader(admin)).send({ amount: 500, reason: 'Changed mind' });
+    expect(refunded.status).toBe(201);
+    expect((await getUserBalances(user.userId)).inr).toBe(500);
+});
@@ -0,0 +1,307 @@
+// Price History Module for Multi-Metal Token App
+// Records every market rate tick and rolls it up into 1m, 1h and 1d OHLC candles
+
+const cron = require('node-cron');
+const { onMarketRatesUpdate } = require('./market-feed');
+const {
+    MARKET_ASSETS,
+    getDataPointsForPeriod,
+    getIntervalForPeriod,
+    getStartDateForPeriod
+} = require('./market-rates');
+const { roundAmount } = require('./ledger');
+const { getStorage, withTransaction } = require('./storage');
+const { createError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const CANDLE_INTERVALS = {
+    '1m': MINUTE_MS,
+    '1h': HOUR_MS,
+    '1d': DAY_MS
+};
+
+// Periods served by the history endpoint
+const HISTORY_PERIODS = ['1D', '1W', '1M', '3M', '1Y'];
+
+// Raw ticks and fine candles are dropped once the coarser candles cover them:
+// ticks -> 1m after a day, 1m -> 1h after a week, 1h -> 1d after 400 days, 1d kept
+const RETENTION_MS = {
+    ticks: DAY_MS,
+    '1m': 7 * DAY_MS,
+    '1h': 400 * DAY_MS,
+    '1d': null
+};
+
+// Daily candles follow the Indian trading day
+const IST_OFFSET_MS = 330 * MINUTE_MS;
+
+// Quote time of the last tick recorded per asset, so a re-published rate is not counted twice
+const lastRecorded = new Map();
+
+// Session volume of the last tick recorded per asset, to turn running totals into volume per tick
+const lastSessionVolume = new Map();
+
+let handlersRegistered = false;
+let jobRunning = false;
+
+/**
+ * Generate tick ID
+ * @returns {string} Tick ID
+ */
+function generateTickId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `TCK_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Start of the candle containing a time
+ * @param {string} interval - 1m, 1h or 1d
+ * @param {Date} time - Time
+ * @returns {Date} Candle open time
+ */
+function candleOpenTime(interval, time) {
+    const size = CANDLE_INTERVALS[interval];
+    const offset = interval === '1d' ? IST_OFFSET_MS : 0;
+    return new Date(Math.floor((time.getTime() + offset) / size) * size - offset);
+}
+
+/**
+ * Fold a tick into the candle of one interval
+ * @param {Object} tick - Tick
+ * @param {string} interval - 1m, 1h or 1d
+ * @returns {Promise<Object>} Updated candle
+ */
+async function rollUp(tick, interval) {
+    const storage = getStorage();
+    const openTime = candleOpenTime(interval, tick.timestamp);
+    const candleId = `${tick.asset}_${interval}_${openTime.getTime()}`;
+    const candle = await storage.get('price_candles', candleId);
+
+    const updated = candle
+        ? {
+            ...candle,
+            high: Math.max(candle.high, tick.price),
+            low: Math.min(candle.low, tick.price),
+            close: tick.price,
+            volume: roundAmount(candle.volume + tick.volume),
+            ticks: candle.ticks + 1
+        }
+        : {
+            candleId,
+            asset: tick.asset,
+            interval,
+            openTime,
+            closeTime: new Date(openTime.getTime() + CANDLE_INTERVALS[interval]),
+            open: tick.price,
+            high: tick.price,
+            low: tick.price,
+            close: tick.price,
+            volume: tick.volume,
+            ticks: 1
+        };
+    await storage.save('price_candles', updated);
+    return updated;
+}
+
+/**
+ * Volume traded since the last recorded tick of an asset
+ * Feeds report the session's running total. After a restart the last stored tick
+ * is the reference; with none, trading before recording started is not counted.
+ * A total below the previous one is a new session.
+ * @param {string} asset - Asset
+ * @param {number} sessionVolume - Grams traded in the session so far (undefined when not reported)
+ * @returns {Promise<number>} Grams traded since the last tick
+ */
+async function tradedVolume(asset, sessionVolume) {
+    if (typeof sessionVolume !== 'number') {
+        return 0;
+    }
+    if (!lastSessionVolume.has(asset)) {
+        const [latest] = await getStorage().find('price_ticks', { asset }, { orderBy: 'timestamp', order: 'desc', limit: 1 });
+        lastSessionVolume.set(asset, latest ? latest.sessionVolume : undefined);
+    }
+    const previous = lastSessionVolume.get(asset);
+    if (typeof previous !== 'number') {
+        return 0;
+    }
+    return sessionVolume < previous ? sessionVolume : roundAmount(sessionVolume - previous);
+}
+
+/**
+ * Record one rate update as ticks and roll them into candles
+ * Fallback rates and quotes no newer than the last recorded one are skipped.
+ * @param {Object} rates - Market rates (as returned by getMarketRates)
+ * @returns {Promise<Array>} Recorded ticks
+ */
+async function recordTicks(rates) {
+    const ticks = [];
+    for (const asset of MARKET_ASSETS) {
+        const rate = rates[asset];
+        if (!rate || !rate.lastUpdate || rate.provider === 'FALLBACK') continue;
+
+        const timestamp = new Date(rate.lastUpdate);
+        if (lastRecorded.has(asset) && timestamp <= lastRecorded.get(asset)) continue;
+
+        ticks.push({
+            tickId: generateTickId(),
+            asset,
+            timestamp,
+            price: rate.price,
+            bid: rate.bid,
+            ask: rate.ask,
+            volume: await tradedVolume(asset, rate.sessionVolume),
+            sessionVolume: rate.sessionVolume,
+            source: rate.source
+        });
+    }
+    if (ticks.length === 0) {
+        return ticks;
+    }
+
+    await withTransaction(async () => {
+        for (const tick of ticks) {
+            await getStorage().save('price_ticks', tick);
+            for (const interval of Object.keys(CANDLE_INTERVALS)) {
+                await rollUp(tick, interval);
+            }
+        }
+    });
+    ticks.forEach(tick => {
+        lastRecorded.set(tick.asset, tick.timestamp);
+        lastSessionVolume.set(tick.asset, tick.sessionVolume);
+    });
+    return ticks;
+}
+
+/**
+ * Candles of an asset for a chart period
+ * Hourly candles up to 1M, daily beyond, unless an interval is given.
+ * @param {string} asset - Asset
+ * @param {string} period - 1D, 1W, 1M, 3M or 1Y
+ * @param {Object} options - { interval, now }
+ * @returns {Promise<Object>} { asset, period, interval, from, candles }
+ */
+async function getPriceHistory(asset, period = '1M', { interval, now = new Date() } = {}) {
+    if (!MARKET_ASSETS.includes(asset)) {
+        throw createError('Invalid asset type');
+    }
+    if (!HISTORY_PERIODS.includes(period)) {
+        throw createError('Invalid period', 400, { allowed: HISTORY_PERIODS });
+    }
+    const resolved = interval || (getIntervalForPeriod(period) === HOUR_MS ? '1h' : '1d');
+    if (!CANDLE_INTERVALS[resolved]) {
+        throw createError('Invalid interval', 400, { allowed: Object.keys(CANDLE_INTERVALS) });
+    }
+
+    const from = candleOpenTime(resolved, getStartDateForPeriod(period));
+    const candles = await getStorage().find(
+        'price_candles',
+        { asset, interval: resolved, openTime: { gte: from, lte: now } },
+        { orderBy: 'openTime', order: 'desc', limit: getDataPointsForPeriod(period) }
+    );
+
+    return {
+        asset,
+        period,
+        interval: resolved,
+        from,
+        candles: candles.reverse().map(({ openTime, closeTime, open, high, low, close, volume, ticks }) => ({
+            openTime, closeTime, open, high, low, close, volume, ticks
+        }))
+    };
+}
+
+/**
+ * Most recent candles of an asset, oldest first
+ * @param {string} asset - Asset
+ * @param {string} interval - 1m, 1h or 1d
+ * @param {number} limit - Maximum number of candles
+ * @returns {Promise<Array>} Candles
+ */
+async function getRecentCandles(asset, interval, limit) {
+    const candles = await getStorage().find(
+        'price_candles',
+        { asset, interval, openTime: { lte: new Date() } },
+        { orderBy: 'openTime', order: 'desc', limit }
+    );
+    return candles.reverse();
+}
+
+/**
+ * Apply the retention policy: delete ticks and candles older than their window
+ * Coarser candles were built alongside, so nothing is lost but granularity.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Removed counts { ticks, '1m', '1h' }
+ */
+async function applyRetention(now = new Date()) {
+    const storage = getStorage();
+    const removed = {};
+
+    const expiredTicks = await storage.find('price_ticks', { timestamp: { lt: new Date(now.getTime() - RETENTION_MS.ticks) } });
+    for (const tick of expiredTicks) {
+        await storage.remove('price_ticks', tick.tickId);
+    }
+    removed.ticks = expiredTicks.length;
+
+    for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        if (!RETENTION_MS[interval]) continue;
+        const expired = await storage.find('price_candles', {
+            interval,
+            openTime: { lt: new Date(now.getTime() - RETENTION_MS[interval]) }
+        });
+        for (const candle of expired) {
+            await storage.remove('price_candles', candle.candleId);
+        }
+        removed[interval] = expired.length;
+    }
+    return removed;
+}
+
+/**
+ * Record every market rate update (safe to call more than once)
+ */
+function registerPriceHistoryHandlers() {
+    if (!handlersRegistered) {
+        onMarketRatesUpdate(rates => recordTicks(rates));
+        handlersRegistered = true;
+    }
+}
+
+/**
+ * Schedule the retention job
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default PRICE_RETENTION_SCHEDULE or hourly at :30)
+ * @returns {Object} Scheduled cron task
+ */
+function startPriceHistoryJobs({ schedule = process.env.PRICE_RETENTION_SCHEDULE || '30 * * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            const removed = await applyRetention();
+            if (Object.values(removed).some(count => count > 0)) {
+                console.log('Price history retention:', removed);
+            }
+        } catch (error) {
+            console.error('Price history retention error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    });
+}
+
+module.exports = {
+    CANDLE_INTERVALS,
+    HISTORY_PERIODS,
+    RETENTION_MS,
+    recordTicks,
+    getPriceHistory,
+    getRecentCandles,
+    applyRetention,
+    registerPriceHistoryHandlers,
+    startPriceHistoryJobs
+};
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { resetStorage, buildTestRates } = require('./test-utils');
+const { recordTicks, getRecentCandles, applyRetention } = require('./price-history');
+const { getStorage } = require('./storage');
+const app = require('./server');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The last recorded quote time is kept per asset across tests, so each test uses its own asset
+
+/**
+ * Record one tick of an asset
+ * @param {string} asset - Asset
+ * @param {number} price - Price
+ * @param {Date|string} lastUpdate - Quote time
+ * @param {Object} fields - Extra rate fields
+ * @returns {Promise<Array>} Recorded ticks
+ */
+function tick(asset, price, lastUpdate, fields = {}) {
+    return recordTicks({ [asset]: buildTestRates({ [asset]: price }, { lastUpdate: new Date(lastUpdate), ...fields })[asset] });
+}
+
+beforeEach(() => {
+    resetStorage();
+});
+
+test('ticks roll up into minute, hour and IST-day candles', async () => {
+    // The feed reports the session's running volume; trading before the first tick is not counted
+    await tick('gold', 6000, '2025-03-17T04:00:10Z', { sessionVolume: 1000 });
+    await tick('gold', 6050, '2025-03-17T04:00:40Z', { sessionVolume: 1250 });
+    await tick('gold', 5990, '2025-03-17T04:01:05Z', { sessionVolume: 1300 });
+    await tick('gold', 6020, '2025-03-17T05:00:00Z', { sessionVolume: 1500 });
+
+    expect((await getRecentCandles('gold', '1m', 10)).map(candle => [candle.ticks, candle.volume])).toEqual([[2, 250], [1, 50], [1, 200]]);
+    expect(await getRecentCandles('gold', '1h', 10)).toEqual([
+        expect.objectContaining({ open: 6000, high: 6050, low: 5990, close: 5990, volume: 300, ticks: 3 }),
+        expect.objectContaining({ open: 6020, close: 6020, volume: 200, ticks: 1 })
+    ]);
+
+    const [day] = await getRecentCandles('gold', '1d', 10);
+    expect(day).toMatchObject({ open: 6000, high: 6050, low: 5990, close: 6020, volume: 500, ticks: 4 });
+    expect(day.openTime).toEqual(new Date('2025-03-16T18:30:00Z'));
+});
+
+test('a new session restarts the running volume, and a restart continues from the stored tick', async () => {
+    await tick('silver', 75, '2025-03-17T04:00:00Z', { sessionVolume: 0 });
+    await tick('silver', 75, '2025-03-17T04:00:30Z', { sessionVolume: 8000 });
+    // The next session has traded 500 g so far
+    await tick('silver', 76, '2025-03-18T04:00:00Z', { sessionVolume: 500 });
+
+    expect((await getRecentCandles('silver', '1d', 10)).map(candle => candle.volume)).toEqual([8000, 500]);
+
+    // A fresh process finds the reference in the last stored tick
+    const storage = require('./storage');
+    await jest.isolateModulesAsync(async () => {
+        jest.doMock('./storage', () => storage);
+        const fresh = require('./price-history');
+        await fresh.recordTicks({ silver: buildTestRates({ silver: 76 }, { lastUpdate: new Date('2025-03-18T04:01:00Z'), sessionVolume: 900 }).silver });
+    });
+    const [, day] = await getRecentCandles('silver', '1d', 10);
+    expect(day.volume).toBe(900);
+});
+
+test('repeated quotes and fallback rates are not recorded', async () => {
+    expect(await tick('stablecoin', 1, '2025-03-17T04:00:00Z')).toHaveLength(1);
+    expect(await tick('stablecoin', 1, '2025-03-17T04:00:00Z')).toEqual([]);
+    expect(await tick('stablecoin', 1, '2025-03-17T03:59:00Z')).toEqual([]);
+    expect(await tick('stablecoin', 1, '2025-03-17T04:01:00Z', { provider: 'FALLBACK' })).toEqual([]);
+
+    expect(await getStorage().count('price_ticks')).toBe(1);
+});
+
+test('retention drops ticks and minute candles once coarser candles cover them', async () => {
+    const now = new Date();
+    await tick('silver', 75, new Date(now.getTime() - 10 * 24 * HOUR_MS));
+    await tick('silver', 76, new Date(now.getTime() - HOUR_MS));
+
+    expect(await applyRetention(now)).toEqual({ ticks: 1, '1m': 1, '1h': 0 });
+    expect(await getStorage().count('price_ticks')).toBe(1);
+    expect(await getRecentCandles('silver', '1h', 10)).toHaveLength(2);
+    expect(await getRecentCandles('silver', '1d', 10)).toHaveLength(2);
+});
+
+describe('GET /api/market/history/:asset', () => {
+    test('serves hourly candles for a day', async () => {
+        const now = Date.now();
+        for (const [index, price] of [2800, 2810, 2805].entries()) {
+            await tick('platinum', price, new Date(now - (3 - index) * HOUR_MS));
+        }
+
+        const res = await request(app).get('/api/market/history/platinum?period=1d');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ asset: 'platinum', period: '1D', interval: '1h' });
+        expect(res.body.candles.map(candle => candle.close)).toEqual([2800, 2810, 2805]);
+    });
+
+    test.each([
+        ['an unknown asset', '/api/market/history/copper'],
+        ['an unknown period', '/api/market/history/gold?period=5Y'],
+        ['an unknown interval', '/api/market/history/gold?interval=5m']
+    ])('rejects %s', async (label, url) => {
+        expect((await request(app).get(url)).status).toBe(400);
+    });
+});
@@ -0,0 +1,194 @@
+// Quotes Module for Multi-Metal Token App
+// Signed, short-lived price quotes so users trade at the price they were shown
+
+const crypto = require('crypto');
+const { calculateFees, calculateSpread, calculateSwapFee } = require('./fees');
+const { getMarketRates, assertLiveRates } = require('./market-rates');
+const { getStorage } = require('./storage');
+const { createError } = require('./errors');
+
+// Outside production, without a configured key, quotes are signed with a per-process key
+const DEVELOPMENT_QUOTE_SECRET = crypto.randomBytes(32).toString('hex');
+
+// Quote lifetime is clamped to the 30-60 second lock-in window
+const QUOTE_TTL_SECONDS = Math.min(60, Math.max(30, parseInt(process.env.QUOTE_TTL_SECONDS || '45', 10)));
+
+const QUOTE_SIDES = ['buy', 'sell', 'swap'];
+
+/**
+ * Key quotes are signed with: QUOTE_SECRET, else JWT_SECRET
+ * Production refuses to issue or accept quotes without one.
+ * @returns {string} Secret
+ */
+function quoteSecret() {
+    const secret = process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+    if (secret) {
+        return secret;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw createError('Quotes are unavailable: QUOTE_SECRET is not configured', 503);
+    }
+    return DEVELOPMENT_QUOTE_SECRET;
+}
+
+/**
+ * Sign a quote payload
+ * @param {string} encodedPayload - base64url payload
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', quoteSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Generate quote reference
+ * @returns {string} Quote reference
+ */
+function generateQuoteRef() {
+    return 'QTE_' + Date.now() + '_' + crypto.randomBytes(5).toString('hex');
+}
+
+/**
+ * Create a price quote locked for QUOTE_TTL_SECONDS
+ * The returned quoteId is the signed quote itself: `<payload>.<signature>`.
+ * @param {Object} params - Quote parameters
+ * @param {string} params.userId - User the quote is for
+ * @param {string} params.asset - Asset (fromAsset for swaps)
+ * @param {string} params.side - 'buy', 'sell' or 'swap'
+ * @param {number} params.amount - Quantity of asset
+ * @param {string} params.toAsset - Target asset (swaps only)
+ * @returns {Promise<Object>} Quote
+ */
+async function createQuote({ userId, asset, side, amount, toAsset }) {
+    // A quote locks its price, so it is never issued off stale or fallback rates
+    const rates = assertLiveRates(await getMarketRates(), toAsset ? [asset, toAsset] : [asset]);
+    const spread = calculateSpread(rates[asset].price);
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + QUOTE_TTL_SECONDS * 1000;
+
+    const payload = {
+        ref: generateQuoteRef(),
+        userId,
+        asset,
+        side,
+        amount,
+        price: spread.mid,
+        iat: issuedAt,
+        exp: expiresAt
+    };
+
+    const quote = {
+        asset,
+        side,
+        amount,
+        bid: spread.bid,
+        ask: spread.ask,
+        mid: spread.mid,
+        spreadPercentage: spread.spreadPercentage
+    };
+
+    if (side === 'swap') {
+        const toSpread = calculateSpread(rates[toAsset].price);
+        const fromValue = amount * spread.mid;
+        const swapFee = calculateSwapFee(fromValue);
+        const receivedAmount = fromValue / toSpread.mid;
+
+        payload.toAsset = toAsset;
+        payload.toPrice = toSpread.mid;
+        Object.assign(quote, {
+            toAsset,
+            toMid: toSpread.mid,
+            swapRate: toSpread.mid / spread.mid,
+            estimatedReceived: receivedAmount - (receivedAmount * swapFee.percentage),
+            swapPercentage: swapFee.percentage * 100
+        });
+    } else {
+        // The trade executes at the mid; the 1% spread is charged as spreadFee on top
+        const fees = calculateFees({ type: side, asset, amount, marketPrice: spread.mid });
+        const principal = amount * spread.mid;
+        Object.assign(quote, {
+            price: spread.mid,
+            spreadFee: fees.spreadFee,
+            fees,
+            estimatedTotal: side === 'buy' ? principal + fees.totalFee : principal - fees.totalFee
+        });
+    }
+
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+        quoteId: `${encodedPayload}.${sign(encodedPayload)}`,
+        ...quote,
+        issuedAt: new Date(issuedAt),
+        expiresAt: new Date(expiresAt),
+        ttlSeconds: QUOTE_TTL_SECONDS
+    };
+}
+
+/**
+ * Verify a quote and check it matches the trade being placed
+ * @param {string} quoteId - Signed quote
+ * @param {Object} expected - { userId, asset, side, amount, toAsset }
+ * @returns {Object} Quote payload ({ ref, price, toPrice, ... })
+ */
+function verifyQuote(quoteId, expected) {
+    const [encodedPayload, signature, extra] = String(quoteId).split('.');
+    if (!encodedPayload || !signature || extra !== undefined) {
+        throw createError('Malformed quote');
+    }
+
+    const expectedSignature = Buffer.from(sign(encodedPayload));
+    const givenSignature = Buffer.from(signature);
+    if (expectedSignature.length !== givenSignature.length ||
+        !crypto.timingSafeEqual(expectedSignature, givenSignature)) {
+        throw createError('Invalid quote signature');
+    }
+
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+    if (payload.exp < Date.now()) {
+        throw createError('Quote has expired, request a new quote', 410);
+    }
+
+    for (const field of ['userId', 'asset', 'side', 'amount', 'toAsset']) {
+        if (expected[field] !== undefined && payload[field] !== expected[field]) {
+            throw createError(`Quote does not match this trade (${field})`);
+        }
+    }
+
+    return payload;
+}
+
+/**
+ * Mark a quote as used so it cannot fill twice (call inside the trade's transaction)
+ * @param {Object} payload - Verified quote payload
+ * @param {string} transactionId - Transaction that used the quote
+ */
+async function consumeQuote(payload, transactionId) {
+    const storage = getStorage();
+    const existing = await storage.get('quotes', payload.ref);
+    if (existing) {
+        throw createError('Quote has already been used', 409);
+    }
+
+    await storage.save('quotes', {
+        quoteRef: payload.ref,
+        userId: payload.userId,
+        asset: payload.asset,
+        side: payload.side,
+        amount: payload.amount,
+        price: payload.price,
+        toPrice: payload.toPrice,
+        transactionId,
+        createdAt: new Date(payload.iat),
+        usedAt: new Date()
+    });
+}
+
+module.exports = {
+    QUOTE_SIDES,
+    QUOTE_TTL_SECONDS,
+    createQuote,
+    verifyQuote,
+    consumeQuote
+};
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { resetStorage, createTestUser, authHeader, useFixedRates, buildTestRates, fundUser } = require('./test-utils');
+const { createQuote, verifyQuote } = require('./quotes');
+const { createBuyOrder, executeSell, executeSwap } = require('./trading');
+const { findTransactionById } = require('./repository');
+const { setMarketProviders } = require('./market-rates');
+const app = require('./server');
+
+let user;
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000, silver: 75 });
+    user = await createTestUser();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('a sell executes at the quoted price with the spread shown as a fee', async () => {
+    await fundUser(user.userId, 'gold', 1);
+    const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'sell', amount: 1 });
+
+    expect(quote.price).toBe(6000);
+    expect(quote.spreadFee).toBe(60);
+
+    const sell = await executeSell({ userId: user.userId, asset: 'gold', amount: 1, quoteId: quote.quoteId });
+    const transaction = await findTransactionById(sell.transactionId);
+    expect(transaction.price).toBe(quote.price);
+    expect(transaction.fees.spreadFee).toBe(quote.spreadFee);
+    expect(sell.netAmount).toBeCloseTo(quote.estimatedTotal, 2);
+    expect(transaction.quoteRef).toBeTruthy();
+});
+
+test('a buy costs the quoted estimatedTotal', async () => {
+    await fundUser(user.userId, 'inr', 10000);
+    const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 });
+
+    const buy = await createBuyOrder({ userId: user.userId, asset: 'gold', amount: 1, paymentMethod: 'WALLET', quoteId: quote.quoteId });
+    expect(buy.price).toBe(quote.price);
+    expect(buy.totalCost).toBeCloseTo(quote.estimatedTotal, 2);
+});
+
+test('the locked price holds when the market moves', async () => {
+    await fundUser(user.userId, 'gold', 1);
+    const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'sell', amount: 1 });
+    useFixedRates({ gold: 5000 });
+
+    const sell = await executeSell({ userId: user.userId, asset: 'gold', amount: 1, quoteId: quote.quoteId });
+    expect(sell.price).toBe(6000);
+});
+
+test('swap quotes lock both prices', async () => {
+    await fundUser(user.userId, 'gold', 1);
+    const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'swap', amount: 1, toAsset: 'silver' });
+    useFixedRates({ gold: 5000, silver: 100 });
+
+    const swap = await executeSwap({ userId: user.userId, fromAsset: 'gold', toAsset: 'silver', amount: 1, quoteId: quote.quoteId });
+    expect(swap.toAsset.amount).toBeCloseTo(quote.estimatedReceived, 6);
+});
+
+test('quotes fill once and only for the trade they were issued for', async () => {
+    await fundUser(user.userId, 'gold', 2);
+    const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'sell', amount: 1 });
+
+    await expect(executeSell({ userId: user.userId, asset: 'gold', amount: 0.5, quoteId: quote.quoteId }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Quote does not match this trade (amount)' });
+    await executeSell({ userId: user.userId, asset: 'gold', amount: 1, quoteId: quote.quoteId });
+    await expect(executeSell({ userId: user.userId, asset: 'gold', amount: 1, quoteId: quote.quoteId }))
+        .rejects.toMatchObject({ statusCode: 409 });
+});
+
+test('tampered and expired quotes are rejected', async () => {
+    const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 });
+    const [payload, signature] = quote.quoteId.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), price: 1 })).toString('base64url');
+
+    expect(() => verifyQuote(`${forged}.${signature}`, {})).toThrow('Invalid quote signature');
+    expect(() => verifyQuote('garbage', {})).toThrow('Malformed quote');
+
+    jest.useFakeTimers({ now: quote.expiresAt.getTime() + 1000 });
+    expect(() => verifyQuote(quote.quoteId, {})).toThrow(expect.objectContaining({ statusCode: 410 }));
+});
+
+describe('signing key', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    test('production refuses to issue or accept quotes without QUOTE_SECRET or JWT_SECRET', async () => {
+        const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 });
+        process.env.NODE_ENV = 'production';
+        delete process.env.QUOTE_SECRET;
+        delete process.env.JWT_SECRET;
+
+        await expect(createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 })).rejects.toMatchObject({ statusCode: 503 });
+        expect(() => verifyQuote(quote.quoteId, {})).toThrow(expect.objectContaining({ statusCode: 503 }));
+    });
+
+    test('QUOTE_SECRET takes precedence over JWT_SECRET', async () => {
+        process.env.QUOTE_SECRET = 'quote-test-secret';
+        const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 });
+        expect(verifyQuote(quote.quoteId, {}).price).toBe(6000);
+
+        // A quote signed with the JWT secret alone does not verify once QUOTE_SECRET is set
+        delete process.env.QUOTE_SECRET;
+        const jwtSigned = await createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 });
+        process.env.QUOTE_SECRET = 'quote-test-secret';
+        expect(() => verifyQuote(jwtSigned.quoteId, {})).toThrow('Invalid quote signature');
+    });
+});
+
+describe('stale and fallback rates', () => {
+    /**
+     * Serve gold from a provider whose quote is ten minutes old
+     */
+    function useStaleGold() {
+        setMarketProviders([{
+            name: 'TEST',
+            assets: null,
+            fetchRates: async () => buildTestRates({ gold: 6000, silver: 75 }, { lastUpdate: new Date(Date.now() - 10 * 60 * 1000) })
+        }]);
+    }
+
+    /**
+     * Make every provider fail so getMarketRates serves the fallback rates
+     */
+    function useFallbackRates() {
+        setMarketProviders([{ name: 'DOWN', assets: null, fetchRates: async () => { throw new Error('feed down'); } }]);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('no quote is issued off a stale rate', async () => {
+        useStaleGold();
+        await expect(createQuote({ userId: user.userId, asset: 'gold', side: 'buy', amount: 1 }))
+            .rejects.toMatchObject({ statusCode: 503, details: { assets: ['gold'] } });
+    });
+
+    test('no quote is issued off the fallback rate, for either side of a swap', async () => {
+        useFallbackRates();
+        await expect(createQuote({ userId: user.userId, asset: 'gold', side: 'swap', amount: 1, toAsset: 'silver' }))
+            .rejects.toMatchObject({ statusCode: 503, details: { assets: ['gold', 'silver'] } });
+
+        const res = await request(app)
+            .post('/api/quotes')
+            .set('Authorization', authHeader(user))
+            .send({ asset: 'gold', side: 'sell', amount: 1 });
+        expect(res.status).toBe(503);
+    });
+
+    test('trades without a quote are refused, quoted ones still fill', async () => {
+        await fundUser(user.userId, 'gold', 2);
+        const quote = await createQuote({ userId: user.userId, asset: 'gold', side: 'sell', amount: 1 });
+        useFallbackRates();
+
+        await expect(executeSell({ userId: user.userId, asset: 'gold', amount: 1 })).rejects.toMatchObject({ statusCode: 503 });
+        await expect(executeSwap({ userId: user.userId, fromAsset: 'gold', toAsset: 'silver', amount: 1 })).rejects.toMatchObject({ statusCode: 503 });
+
+        const sell = await executeSell({ userId: user.userId, asset: 'gold', amount: 1, quoteId: quote.quoteId });
+        expect((await findTransactionById(sell.transactionId)).price).toBe(6000);
+    });
+});
@@ -0,0 +1,206 @@
+// Realtime Module for Multi-Metal Token App
+// Socket.IO channel streaming rate ticks, the user's order and payment updates and SIP executions
+
+const { Server } = require('socket.io');
+const { verifyToken } = require('./auth');
+const { onMarketRatesUpdate, getLatestRates } = require('./market-feed');
+const { MARKET_ASSETS } = require('./market-rates');
+const { onOrderUpdate } = require('./orders');
+const { onPaymentStatusChange } = require('./payments');
+const { onSIPExecution } = require('./sip');
+
+// Rate ticks are held back once this many packets are waiting to be written to
+// a client; only the newest tick per asset is kept and sent when it drains
+const MAX_BUFFERED_PACKETS = parseInt(process.env.REALTIME_MAX_BUFFERED_PACKETS || '50', 10);
+
+let io = null;
+
+/**
+ * Room carrying one user's private events
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+function userRoom(userId) {
+    return `user:${userId}`;
+}
+
+/**
+ * Rate tick payload for one asset
+ * @param {string} asset - Asset
+ * @param {Object} rate - Rate (as returned by getMarketRates)
+ * @returns {Object} Tick
+ */
+function rateTick(asset, rate) {
+    return {
+        asset,
+        price: rate.price,
+        bid: rate.bid,
+        ask: rate.ask,
+        change: rate.change,
+        changePercent: rate.changePercent,
+        source: rate.source,
+        stale: rate.stale,
+        lastUpdate: rate.lastUpdate
+    };
+}
+
+/**
+ * Send a rate tick unless the client is falling behind
+ * A slow client's ticks are conflated: the newest one per asset waits for the drain.
+ * @param {Object} socket - Socket
+ * @param {Object} tick - Rate tick
+ */
+function sendRate(socket, tick) {
+    if (socket.conn.writeBuffer.length >= MAX_BUFFERED_PACKETS) {
+        socket.data.pendingRates.set(tick.asset, tick);
+        return;
+    }
+    socket.emit('rate', tick);
+}
+
+/**
+ * Send the ticks held back for a client that has caught up
+ * @param {Object} socket - Socket
+ */
+function flushPendingRates(socket) {
+    const pending = [...socket.data.pendingRates.values()];
+    socket.data.pendingRates.clear();
+    pending.forEach(tick => sendRate(socket, tick));
+}
+
+/**
+ * Push a rate update to every client subscribed to each asset
+ * @param {Object} rates - Market rates
+ */
+function broadcastRates(rates) {
+    for (const socket of io.of('/').sockets.values()) {
+        for (const asset of socket.data.assets) {
+            if (rates[asset]) sendRate(socket, rateTick(asset, rates[asset]));
+        }
+    }
+}
+
+/**
+ * Normalize a subscribe/unsubscribe request to known assets
+ * @param {string|Array} assets - Asset or assets ('*' for all)
+ * @returns {Array} Assets
+ */
+function requestedAssets(assets) {
+    const list = assets === '*' ? MARKET_ASSETS : [].concat(assets || []);
+    return list.map(asset => String(asset).toLowerCase()).filter(asset => MARKET_ASSETS.includes(asset));
+}
+
+/**
+ * Set up a newly authenticated connection
+ * @param {Object} socket - Socket
+ */
+function handleConnection(socket) {
+    socket.data.assets = new Set();
+    socket.data.pendingRates = new Map();
+    socket.join(userRoom(socket.data.user.userId));
+    socket.conn.on('drain', () => flushPendingRates(socket));
+
+    // { assets: ['gold', 'silver'] } or { assets: '*' }; the ack lists current subscriptions
+    socket.on('subscribe', ({ assets } = {}, ack) => {
+        const added = requestedAssets(assets);
+        added.forEach(asset => socket.data.assets.add(asset));
+
+        // Start from the latest known rates rather than waiting for the next tick
+        const latest = getLatestRates();
+        if (latest) added.forEach(asset => latest[asset] && sendRate(socket, rateTick(asset, latest[asset])));
+
+        if (typeof ack === 'function') ack({ assets: [...socket.data.assets] });
+    });
+
+    socket.on('unsubscribe', ({ assets } = {}, ack) => {
+        requestedAssets(assets).forEach(asset => {
+            socket.data.assets.delete(asset);
+            socket.data.pendingRates.delete(asset);
+        });
+        if (typeof ack === 'function') ack({ assets: [...socket.data.assets] });
+    });
+}
+
+/**
+ * Attach the realtime channel to the HTTP server
+ * Clients authenticate with their JWT: io(url, { auth: { token } }).
+ * Events: rate, order, payment, sip.
+ * @param {Object} httpServer - HTTP server
+ * @param {Object} options - Socket.IO server options
+ * @returns {Object} Socket.IO server
+ */
+function attachRealtime(httpServer, options = {}) {
+    io = new Server(httpServer, {
+        cors: {
+            origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+            credentials: true
+        },
+        ...options
+    });
+
+    io.use((socket, next) => {
+        const header = socket.handshake.headers.authorization || '';
+        const token = socket.handshake.auth.token || (header.startsWith('Bearer ') ? header.substring(7) : null);
+        if (!token) {
+            return next(new Error('Access token required'));
+        }
+        try {
+            socket.data.user = verifyToken(token);
+            next();
+        } catch (error) {
+            next(new Error(error.message || 'Invalid or expired token'));
+        }
+    });
+    io.on('connection', handleConnection);
+
+    onMarketRatesUpdate(rates => broadcastRates(rates));
+
+    onOrderUpdate(order => {
+        io.to(userRoom(order.userId)).emit('order', {
+            orderId: order.orderId,
+            type: order.type,
+            side: order.side,
+            asset: order.asset,
+            amount: order.amount,
+            status: order.status,
+            limitPrice: order.limitPrice,
+            triggerPrice: order.triggerPrice,
+            fill: order.fill,
+            trigger: order.trigger,
+            updatedAt: new Date()
+        });
+    });
+
+    onPaymentStatusChange((payment, previousStatus) => {
+        io.to(userRoom(payment.userId)).emit('payment', {
+            paymentId: payment.paymentId,
+            orderId: payment.orderId,
+            method: payment.method,
+            amount: payment.amount,
+            status: payment.status,
+            previousStatus,
+            updatedAt: new Date()
+        });
+    });
+
+    onSIPExecution((plan, installment) => {
+        io.to(userRoom(plan.userId)).emit('sip', {
+            sipId: plan.sipId,
+            asset: plan.asset,
+            transactionId: installment.transactionId,
+            status: installment.status,
+            reason: installment.reason,
+            amount: installment.amount,
+            quantity: installment.quantity,
+            legs: installment.legs,
+            nextPurchaseDate: plan.nextPurchaseDate,
+            executedAt: installment.executedAt || installment.recordedAt
+        });
+    });
+
+    return io;
+}
+
+module.exports = {
+    attachRealtime
+};
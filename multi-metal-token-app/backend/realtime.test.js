@@ -0,0 +1,150 @@
+const http = require('http');
+const { io: connectClient } = require('socket.io-client');
+const { resetStorage, createTestUser, useFixedRates, buildTestRates, fundUser } = require('./test-utils');
+const { generateToken } = require('./auth');
+const { attachRealtime } = require('./realtime');
+const { publishRates } = require('./market-feed');
+const { createLimitOrder } = require('./orders');
+const { updatePaymentStatus } = require('./payments');
+const { savePayment } = require('./repository');
+
+let httpServer;
+let io;
+let url;
+let clients;
+let user;
+
+/**
+ * Connect a client with a token
+ * @param {string} token - JWT (omitted for anonymous)
+ * @returns {Object} Client socket
+ */
+function connect(token) {
+    const socket = connectClient(url, { auth: token ? { token } : {}, transports: ['websocket'], reconnection: false });
+    clients.push(socket);
+    return socket;
+}
+
+/**
+ * Connect a user and wait until the connection is accepted
+ * @param {Object} owner - User
+ * @returns {Promise<Object>} Connected client socket
+ */
+function connectAs(owner) {
+    const socket = connect(generateToken({ userId: owner.userId, email: owner.email, role: 'USER' }));
+    return new Promise((resolve, reject) => {
+        socket.on('connect', () => resolve(socket));
+        socket.on('connect_error', reject);
+    });
+}
+
+/**
+ * Wait for the next event of a kind
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @returns {Promise<*>} Event payload
+ */
+function nextEvent(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+/**
+ * Subscribe to assets and wait for the acknowledgement
+ * @param {Object} socket - Client socket
+ * @param {string|Array} assets - Assets
+ * @returns {Promise<Object>} Ack ({ assets })
+ */
+function subscribe(socket, assets) {
+    return new Promise(resolve => socket.emit('subscribe', { assets }, resolve));
+}
+
+beforeAll(done => {
+    httpServer = http.createServer();
+    io = attachRealtime(httpServer);
+    httpServer.listen(0, () => {
+        url = `http://localhost:${httpServer.address().port}`;
+        done();
+    });
+});
+
+afterAll(done => {
+    io.close();
+    httpServer.close(() => done());
+});
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    clients = [];
+    user = await createTestUser();
+});
+
+afterEach(() => {
+    clients.forEach(socket => socket.disconnect());
+});
+
+test('connections without a valid token are refused', async () => {
+    const anonymous = connect();
+    await expect(nextEvent(anonymous, 'connect_error')).resolves.toMatchObject({ message: 'Access token required' });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const forged = connect('not-a-jwt');
+    expect((await nextEvent(forged, 'connect_error')).message).toBeTruthy();
+    expect(forged.connected).toBe(false);
+    console.error.mockRestore();
+});
+
+describe('rates', () => {
+    test('a subscriber gets the latest rate at once and then only its assets', async () => {
+        await publishRates(buildTestRates({ gold: 6000, silver: 75 }));
+        const socket = await connectAs(user);
+
+        const initial = nextEvent(socket, 'rate');
+        expect(await subscribe(socket, ['GOLD', 'copper'])).toEqual({ assets: ['gold'] });
+        expect(await initial).toMatchObject({ asset: 'gold', price: 6000 });
+
+        const received = [];
+        socket.on('rate', tick => received.push(tick));
+        await publishRates(buildTestRates({ gold: 6100, silver: 80 }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(received.map(tick => [tick.asset, tick.price])).toEqual([['gold', 6100]]);
+    });
+
+    test('unsubscribing stops the ticks', async () => {
+        const socket = await connectAs(user);
+        await subscribe(socket, '*');
+        expect(await new Promise(resolve => socket.emit('unsubscribe', { assets: '*' }, resolve))).toEqual({ assets: [] });
+
+        const received = [];
+        socket.on('rate', tick => received.push(tick));
+        await publishRates(buildTestRates({ gold: 6100 }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(received).toEqual([]);
+    });
+});
+
+describe('private events', () => {
+    test('order updates go to their owner only', async () => {
+        const other = await createTestUser();
+        const [socket, otherSocket] = await Promise.all([connectAs(user), connectAs(other)]);
+        const leaked = [];
+        otherSocket.on('order', order => leaked.push(order));
+
+        await fundUser(user.userId, 'inr', 10000);
+        const update = nextEvent(socket, 'order');
+        const order = await createLimitOrder({ userId: user.userId, side: 'buy', asset: 'gold', amount: 1, limitPrice: 5900 });
+
+        expect(await update).toMatchObject({ orderId: order.orderId, status: 'OPEN', limitPrice: 5900 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(leaked).toEqual([]);
+    });
+
+    test('payment status changes carry the previous status', async () => {
+        const socket = await connectAs(user);
+        await savePayment({ paymentId: 'PAY_RT_1', userId: user.userId, amount: 500, method: 'UPI', status: 'INITIATED', createdAt: new Date() });
+
+        const update = nextEvent(socket, 'payment');
+        await updatePaymentStatus('PAY_RT_1', 'PENDING_CONFIRMATION');
+        expect(await update).toMatchObject({ paymentId: 'PAY_RT_1', status: 'PENDING_CONFIRMATION', previousStatus: 'INITIATED' });
+    });
+});
@@ -0,0 +1,457 @@
+// Rebalancing Module for Multi-Metal Token App
+// Moves a portfolio back to the user's target allocation with swaps and sells
+
+const cron = require('node-cron');
+const { calculateDiversification, calculateFees, calculateSwapFee } = require('./fees');
+const { getMarketRates } = require('./market-rates');
+const { getUserBalances, roundAmount } = require('./ledger');
+const { findUserById } = require('./repository');
+const { createQuote } = require('./quotes');
+const { TRADABLE_ASSETS, executeSell, executeSwap } = require('./trading');
+const { getStorage, withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+// INR may be given a target weight; metal moved into it is sold
+const TARGET_ASSETS = [...TRADABLE_ASSETS, 'inr'];
+
+const DEFAULT_DRIFT_THRESHOLD = 5;
+
+// Moves worth less than this are left alone rather than paying fees on dust
+const MIN_TRADE_VALUE = 100;
+
+let jobRunning = false;
+
+/**
+ * Generate rebalance ID
+ * @returns {string} Rebalance ID
+ */
+function generateRebalanceId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `RBL_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Round to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate target weights (percent per asset, adding up to 100)
+ * @param {Object} target - { gold: 60, silver: 20, ... }
+ * @returns {Object} Target with zero weights dropped
+ */
+function normalizeTarget(target) {
+    if (!target || typeof target !== 'object') {
+        throw createError('Target allocation is required, e.g. { "gold": 60, "silver": 40 }');
+    }
+
+    const weights = {};
+    for (const [asset, weight] of Object.entries(target)) {
+        if (!TARGET_ASSETS.includes(asset)) {
+            throw createError(`Invalid target asset: ${asset}`, 400, { allowed: TARGET_ASSETS });
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw createError(`Weight for ${asset} must be zero or a positive number`);
+        }
+        if (weight > 0) {
+            weights[asset] = weight;
+        }
+    }
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+        throw createError('Target weights must add up to 100', 400, { total });
+    }
+    return weights;
+}
+
+/**
+ * Save a user's target allocation and auto-rebalancing settings
+ * @param {string} userId - User ID
+ * @param {Object} params - { target, autoRebalance, driftThreshold }
+ * @returns {Promise<Object>} Saved settings
+ */
+async function saveTargetAllocation(userId, { target, autoRebalance = false, driftThreshold = DEFAULT_DRIFT_THRESHOLD }) {
+    if (typeof driftThreshold !== 'number' || !Number.isFinite(driftThreshold) || driftThreshold <= 0 || driftThreshold > 50) {
+        throw createError('driftThreshold must be between 0 and 50 percentage points');
+    }
+
+    const storage = getStorage();
+    const existing = await storage.get('rebalance_targets', userId);
+    const settings = {
+        userId,
+        target: normalizeTarget(target),
+        autoRebalance: Boolean(autoRebalance),
+        driftThreshold,
+        createdAt: existing ? existing.createdAt : new Date(),
+        updatedAt: new Date(),
+        lastRebalancedAt: existing ? existing.lastRebalancedAt : null
+    };
+    await storage.save('rebalance_targets', settings);
+    return settings;
+}
+
+/**
+ * Get a user's saved target allocation
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Settings
+ */
+async function getTargetAllocation(userId) {
+    const settings = await getStorage().get('rebalance_targets', userId);
+    if (!settings) {
+        throw createError('No target allocation saved', 404);
+    }
+    return settings;
+}
+
+/**
+ * Current allocation versus target
+ * INR balance only counts towards the portfolio when the target gives it a weight.
+ * @param {Object} target - Target weights
+ * @param {Object} balances - Ledger balances
+ * @param {Object} rates - Market rates
+ * @returns {Object} { totalValue, assets: { [asset]: { value, current, target, drift } }, maxDrift, diversificationScore }
+ */
+function measureDrift(target, balances, rates) {
+    const holdings = {};
+    for (const asset of TRADABLE_ASSETS) {
+        holdings[asset] = { balance: balances[asset], currentPrice: rates[asset].price };
+    }
+    const { allocation, diversificationScore } = calculateDiversification(holdings);
+
+    const metalValue = TRADABLE_ASSETS.reduce((sum, asset) => sum + balances[asset] * rates[asset].price, 0);
+    const totalValue = metalValue + (target.inr ? balances.inr : 0);
+
+    const assets = {};
+    for (const asset of new Set([...TRADABLE_ASSETS, ...Object.keys(target)])) {
+        const value = asset === 'inr' ? balances.inr : (allocation[asset] ? allocation[asset].value : 0);
+        const current = totalValue > 0 ? roundInr(value / totalValue * 100) : 0;
+        assets[asset] = {
+            value: roundInr(value),
+            current,
+            target: target[asset] || 0,
+            drift: roundInr(current - (target[asset] || 0))
+        };
+    }
+
+    return {
+        totalValue: roundInr(totalValue),
+        assets,
+        maxDrift: Math.max(...Object.values(assets).map(asset => Math.abs(asset.drift))),
+        diversificationScore
+    };
+}
+
+/**
+ * Fewest moves that take a portfolio to its target
+ * Overweight assets are paired with underweight ones, largest first, so each
+ * move closes at least one asset's gap (at most n-1 moves). Moves into INR are
+ * sells, everything else is a swap; INR itself is never spent.
+ * @param {Object} drift - Output of measureDrift
+ * @returns {Object} { moves: [{ from, to, value }], unfilled }
+ */
+function planMoves(drift) {
+    const gaps = Object.entries(drift.assets).map(([asset, item]) => ({
+        asset,
+        gap: item.value - item.target / 100 * drift.totalValue
+    }));
+
+    const sources = gaps.filter(item => item.gap > 0 && item.asset !== 'inr').sort((a, b) => b.gap - a.gap);
+    const sinks = gaps.filter(item => item.gap < 0).map(item => ({ ...item, gap: -item.gap })).sort((a, b) => b.gap - a.gap);
+
+    const moves = [];
+    while (sources.length > 0 && sinks.length > 0) {
+        const source = sources[0];
+        const sink = sinks[0];
+        const value = Math.min(source.gap, sink.gap);
+
+        if (value >= MIN_TRADE_VALUE) {
+            moves.push({ from: source.asset, to: sink.asset, value: roundInr(value) });
+        }
+
+        source.gap -= value;
+        sink.gap -= value;
+        if (source.gap < MIN_TRADE_VALUE) sources.shift();
+        if (sink.gap < MIN_TRADE_VALUE) sinks.shift();
+        sources.sort((a, b) => b.gap - a.gap);
+        sinks.sort((a, b) => b.gap - a.gap);
+    }
+
+    const unfilled = {};
+    for (const sink of sinks) {
+        if (sink.gap >= MIN_TRADE_VALUE) {
+            unfilled[sink.asset] = roundInr(sink.gap);
+        }
+    }
+    return { moves, unfilled };
+}
+
+/**
+ * Price a move as a trade with its fees
+ * @param {Object} move - { from, to, value }
+ * @param {Object} rates - Market rates
+ * @param {Object} user - User (for calculateFees)
+ * @param {Object} remaining - Quantity left per asset; the move never sells more
+ * @returns {Object} Trade
+ */
+function priceMove(move, rates, user, remaining) {
+    const price = rates[move.from].price;
+    // Values are rounded to paise, so a move that empties an asset can come out a hair over the balance
+    const amount = Math.min(roundAmount(move.value / price), remaining[move.from]);
+    remaining[move.from] = roundAmount(remaining[move.from] - amount);
+
+    if (move.to === 'inr') {
+        const fees = calculateFees({ type: 'sell', asset: move.from, amount, marketPrice: price, user });
+        return {
+            side: 'sell',
+            asset: move.from,
+            amount,
+            price,
+            value: move.value,
+            fees,
+            estimatedProceeds: roundInr(amount * price - fees.totalFee)
+        };
+    }
+
+    const toPrice = rates[move.to].price;
+    const swapFee = calculateSwapFee(amount * price);
+    const received = amount * price / toPrice;
+    return {
+        side: 'swap',
+        asset: move.from,
+        toAsset: move.to,
+        amount,
+        price,
+        toPrice,
+        value: move.value,
+        fees: { swapFee: swapFee.fee, swapPercentage: swapFee.percentage * 100 },
+        estimatedReceived: roundAmount(received - received * swapFee.percentage)
+    };
+}
+
+/**
+ * Work out the trades that rebalance a user's portfolio at given rates
+ * @param {string} userId - User ID
+ * @param {Object} target - Target weights
+ * @param {Object} rates - Market rates
+ * @returns {Promise<Object>} { drift, trades, unfilled, totalFees }
+ */
+async function buildRebalance(userId, target, rates) {
+    const user = await findUserById(userId);
+    const balances = await getUserBalances(userId);
+    const drift = measureDrift(target, balances, rates);
+    const { moves, unfilled } = planMoves(drift);
+    const remaining = { ...balances };
+    const trades = moves.map(move => priceMove(move, rates, user, remaining));
+
+    return {
+        drift,
+        trades,
+        unfilled,
+        totalFees: roundInr(trades.reduce((sum, trade) => sum + (trade.fees.totalFee || trade.fees.swapFee), 0))
+    };
+}
+
+/**
+ * Preview a rebalance against the saved target
+ * Every trade carries a signed quote, so confirming within the quote window
+ * trades at the previewed prices.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Rebalance preview
+ */
+async function previewRebalance(userId) {
+    const settings = await getTargetAllocation(userId);
+    const rates = await getMarketRates();
+    const plan = await buildRebalance(userId, settings.target, rates);
+
+    for (const trade of plan.trades) {
+        const quote = await createQuote({
+            userId,
+            asset: trade.asset,
+            side: trade.side,
+            amount: trade.amount,
+            toAsset: trade.toAsset
+        });
+        trade.quoteId = quote.quoteId;
+        trade.expiresAt = quote.expiresAt;
+    }
+
+    const rebalance = {
+        rebalanceId: generateRebalanceId(),
+        userId,
+        trigger: 'MANUAL',
+        status: plan.trades.length > 0 ? 'PREVIEWED' : 'NO_TRADES',
+        target: settings.target,
+        ...plan,
+        expiresAt: plan.trades.length > 0 ? new Date(Math.min(...plan.trades.map(trade => trade.expiresAt.getTime()))) : null,
+        createdAt: new Date()
+    };
+    await getStorage().save('rebalances', rebalance);
+    return rebalance;
+}
+
+/**
+ * Execute a rebalance's trades in one storage transaction
+ * @param {Object} rebalance - Rebalance record (PREVIEWED)
+ * @param {boolean} useQuotes - Trade at the previewed quotes rather than live rates
+ * @returns {Promise<Array>} Trade results
+ */
+async function executeTrades(rebalance, useQuotes) {
+    const results = [];
+    for (const trade of rebalance.trades) {
+        const quoteId = useQuotes ? trade.quoteId : undefined;
+        const result = trade.side === 'sell'
+            ? await executeSell({ userId: rebalance.userId, asset: trade.asset, amount: trade.amount, quoteId })
+            : await executeSwap({ userId: rebalance.userId, fromAsset: trade.asset, toAsset: trade.toAsset, amount: trade.amount, quoteId });
+        results.push(result);
+    }
+    return results;
+}
+
+/**
+ * Confirm a previewed rebalance
+ * All trades go through together: if one fails (an expired quote, a balance that
+ * changed since the preview) none of them are applied.
+ * @param {string} userId - User ID
+ * @param {string} rebalanceId - Rebalance ID from the preview
+ * @returns {Promise<Object>} Executed rebalance
+ */
+async function confirmRebalance(userId, rebalanceId) {
+    return withUserLock(userId, () => withTransaction(async () => {
+        const storage = getStorage();
+        const rebalance = await storage.get('rebalances', rebalanceId);
+        if (!rebalance || rebalance.userId !== userId) {
+            throw createError('Rebalance not found', 404);
+        }
+        if (rebalance.status !== 'PREVIEWED') {
+            throw createError(`Rebalance is ${rebalance.status}`, 409);
+        }
+
+        const results = await executeTrades(rebalance, true);
+        return finishRebalance(rebalance, results);
+    }));
+}
+
+/**
+ * Record a rebalance as executed (inside its transaction)
+ * @param {Object} rebalance - Rebalance record
+ * @param {Array} results - Trade results
+ * @returns {Promise<Object>} Saved rebalance
+ */
+async function finishRebalance(rebalance, results) {
+    const storage = getStorage();
+    const executed = {
+        ...rebalance,
+        status: 'EXECUTED',
+        executedAt: new Date(),
+        transactionIds: results.flatMap(result => result.transactions
+            ? result.transactions.map(transaction => transaction.transactionId)
+            : [result.transactionId])
+    };
+    await storage.save('rebalances', executed);
+
+    const settings = await storage.get('rebalance_targets', rebalance.userId);
+    await storage.save('rebalance_targets', { ...settings, lastRebalancedAt: executed.executedAt });
+    return executed;
+}
+
+/**
+ * Rebalance a user automatically when any asset has drifted past their threshold
+ * @param {Object} settings - Saved target settings
+ * @returns {Promise<Object|null>} Executed rebalance or null when within threshold
+ */
+async function autoRebalanceUser(settings) {
+    return withUserLock(settings.userId, () => withTransaction(async () => {
+        const rates = await getMarketRates();
+        const plan = await buildRebalance(settings.userId, settings.target, rates);
+        if (plan.drift.maxDrift <= settings.driftThreshold || plan.trades.length === 0) {
+            return null;
+        }
+
+        const rebalance = {
+            rebalanceId: generateRebalanceId(),
+            userId: settings.userId,
+            trigger: 'DRIFT',
+            driftThreshold: settings.driftThreshold,
+            target: settings.target,
+            ...plan,
+            createdAt: new Date()
+        };
+        const results = await executeTrades(rebalance, false);
+        return finishRebalance(rebalance, results);
+    }));
+}
+
+/**
+ * Run threshold-triggered rebalancing for every user who enabled it
+ * @returns {Promise<Object>} { checked, rebalanced, failed }
+ */
+async function runAutoRebalancing() {
+    const users = await getStorage().find('rebalance_targets', { autoRebalance: true });
+
+    const summary = { checked: 0, rebalanced: 0, failed: 0 };
+    for (const settings of users) {
+        summary.checked++;
+        try {
+            if (await autoRebalanceUser(settings)) {
+                summary.rebalanced++;
+            }
+        } catch (error) {
+            summary.failed++;
+            console.error(`Auto rebalance for ${settings.userId} failed:`, error.message);
+        }
+    }
+    return summary;
+}
+
+/**
+ * List a user's rebalances, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Rebalances
+ */
+async function getRebalanceHistory(userId, { limit = 20 } = {}) {
+    return getStorage().find('rebalances', { userId }, { orderBy: 'createdAt', order: 'desc', limit });
+}
+
+/**
+ * Start the auto-rebalancing job
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default hourly)
+ * @returns {Object} Scheduled cron task
+ */
+function startRebalancingJobs({ schedule = process.env.REBALANCE_SCHEDULE || '0 * * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            const summary = await runAutoRebalancing();
+            if (summary.rebalanced > 0 || summary.failed > 0) {
+                console.log('Auto rebalance run:', summary);
+            }
+        } catch (error) {
+            console.error('Auto rebalance error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    });
+}
+
+module.exports = {
+    TARGET_ASSETS,
+    DEFAULT_DRIFT_THRESHOLD,
+    saveTargetAllocation,
+    getTargetAllocation,
+    measureDrift,
+    previewRebalance,
+    confirmRebalance,
+    runAutoRebalancing,
+    getRebalanceHistory,
+    startRebalancingJobs
+};
@@ -0,0 +1,103 @@
+const { resetStorage, createTestUser, useFixedRates, buildTestRates, fundUser } = require('./test-utils');
+const { saveTargetAllocation, measureDrift, previewRebalance, confirmRebalance, runAutoRebalancing, getRebalanceHistory } = require('./rebalancing');
+const { executeSell } = require('./trading');
+const { getUserBalances, reconcileLedger } = require('./ledger');
+const { getStorage } = require('./storage');
+
+let user;
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000, silver: 75 });
+    user = await createTestUser();
+    // 12,000 of gold and nothing else
+    await fundUser(user.userId, 'gold', 2);
+});
+
+test('measureDrift compares the current allocation with the target', () => {
+    const balances = { gold: 1, silver: 40, platinum: 0, stablecoin: 0, inr: 5000 };
+    const drift = measureDrift({ gold: 50, silver: 50 }, balances, buildTestRates({ gold: 6000, silver: 75 }));
+
+    // INR has no target weight, so it is left out of the portfolio value
+    expect(drift.totalValue).toBe(9000);
+    expect(drift.assets.gold).toMatchObject({ value: 6000, current: 66.67, target: 50, drift: 16.67 });
+    expect(drift.assets.silver).toMatchObject({ current: 33.33, drift: -16.67 });
+    expect(drift.maxDrift).toBe(16.67);
+});
+
+test('saveTargetAllocation rejects weights that do not add up to 100', async () => {
+    await expect(saveTargetAllocation(user.userId, { target: { gold: 60, silver: 30 } })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(saveTargetAllocation(user.userId, { target: { gold: 50, copper: 50 } })).rejects.toMatchObject({ statusCode: 400 });
+});
+
+describe('preview and confirm', () => {
+    test('a preview quotes the swaps, and confirming executes them at the quoted prices', async () => {
+        await saveTargetAllocation(user.userId, { target: { gold: 50, silver: 50 } });
+
+        const preview = await previewRebalance(user.userId);
+        expect(preview.status).toBe('PREVIEWED');
+        expect(preview.trades).toEqual([expect.objectContaining({ side: 'swap', asset: 'gold', toAsset: 'silver', amount: 1, quoteId: expect.any(String) })]);
+        expect((await getUserBalances(user.userId)).gold).toBe(2);
+
+        const executed = await confirmRebalance(user.userId, preview.rebalanceId);
+        expect(executed.status).toBe('EXECUTED');
+        // A swap is recorded as its sell and buy legs
+        expect(executed.transactionIds).toHaveLength(2);
+
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(1);
+        expect(balances.silver).toBeCloseTo(preview.trades[0].estimatedReceived, 6);
+        expect((await reconcileLedger()).balanced).toBe(true);
+
+        await expect(confirmRebalance(user.userId, preview.rebalanceId)).rejects.toMatchObject({ statusCode: 409 });
+        expect((await getRebalanceHistory(user.userId)).map(item => item.status)).toEqual(['EXECUTED']);
+    });
+
+    test('metal moved into an INR target is sold', async () => {
+        await saveTargetAllocation(user.userId, { target: { gold: 50, inr: 50 } });
+
+        const preview = await previewRebalance(user.userId);
+        expect(preview.trades).toEqual([expect.objectContaining({ side: 'sell', asset: 'gold', amount: 1 })]);
+
+        await confirmRebalance(user.userId, preview.rebalanceId);
+        expect((await getUserBalances(user.userId)).inr).toBeCloseTo(preview.trades[0].estimatedProceeds, 2);
+    });
+
+    test('a confirm that can no longer trade applies nothing', async () => {
+        await saveTargetAllocation(user.userId, { target: { gold: 25, silver: 25, platinum: 50 } });
+        const preview = await previewRebalance(user.userId);
+        expect(preview.trades.length).toBe(2);
+
+        // The balance changes after the preview, so the second swap is short
+        await executeSell({ userId: user.userId, asset: 'gold', amount: 0.6 });
+        await expect(confirmRebalance(user.userId, preview.rebalanceId)).rejects.toMatchObject({ statusCode: 400 });
+
+        const balances = await getUserBalances(user.userId);
+        expect(balances).toMatchObject({ gold: 1.4, silver: 0, platinum: 0 });
+        expect((await getStorage().get('rebalances', preview.rebalanceId)).status).toBe('PREVIEWED');
+    });
+
+    test('rebalances of other users are not found', async () => {
+        await saveTargetAllocation(user.userId, { target: { gold: 50, silver: 50 } });
+        const preview = await previewRebalance(user.userId);
+        const other = await createTestUser();
+
+        await expect(confirmRebalance(other.userId, preview.rebalanceId)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('runAutoRebalancing', () => {
+    test('rebalances users past their drift threshold only', async () => {
+        await saveTargetAllocation(user.userId, { target: { gold: 50, silver: 50 }, autoRebalance: true, driftThreshold: 10 });
+
+        const balanced = await createTestUser();
+        await fundUser(balanced.userId, 'gold', 1);
+        await fundUser(balanced.userId, 'silver', 80);
+        await saveTargetAllocation(balanced.userId, { target: { gold: 50, silver: 50 }, autoRebalance: true, driftThreshold: 10 });
+
+        expect(await runAutoRebalancing()).toEqual({ checked: 2, rebalanced: 1, failed: 0 });
+        expect(await getRebalanceHistory(user.userId)).toEqual([expect.objectContaining({ trigger: 'DRIFT', status: 'EXECUTED' })]);
+        expect(await getRebalanceHistory(balanced.userId)).toEqual([]);
+        expect((await getUserBalances(user.userId)).gold).toBe(1);
+    });
+});
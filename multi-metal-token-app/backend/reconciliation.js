@@ -0,0 +1,531 @@
+// Reconciliation Module for Multi-Metal Token App
+// Matches bank statement credits (CSV or MT940) to pending BANK_TRANSFER payments
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const moment = require('moment');
+const cron = require('node-cron');
+const { updatePaymentStatus } = require('./payments');
+const { recordDeposit } = require('./ledger');
+const { getPaymentById } = require('./repository');
+const { getStorage, withTransaction } = require('./storage');
+const { withLock } = require('./locks');
+const { createError } = require('./errors');
+
+const STATEMENT_FORMATS = ['csv', 'mt940'];
+
+const EXCEPTION_TYPES = ['UNMATCHED', 'UNDERPAYMENT', 'OVERPAYMENT', 'PAYMENT_NOT_PENDING'];
+
+// ACCEPT credits the money (completing the payment or as INR balance);
+// REJECT records that it is being returned to the sender outside the platform
+const RESOLUTION_ACTIONS = ['ACCEPT', 'REJECT'];
+
+// Payments a late or mismatched credit can still complete
+const COMPLETABLE_PAYMENT_STATUSES = ['PENDING_CONFIRMATION', 'EXPIRED', 'FAILED'];
+
+const AMOUNT_TOLERANCE = 0.01;
+
+// References issued by createBankTransfer: `MMT` + last 6 characters of the payment ID
+const REFERENCE_PATTERN = /MMT[A-Z0-9]{6}/;
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY', 'DD/MM/YY', 'YYMMDD'];
+
+// Header spellings used by Indian bank CSV exports
+const CSV_COLUMNS = {
+    date: ['date', 'txn date', 'transaction date', 'value date', 'posting date'],
+    narration: ['narration', 'description', 'particulars', 'remarks', 'details'],
+    reference: ['reference', 'ref no', 'ref no.', 'chq/ref no', 'chq / ref no.', 'utr', 'utr no'],
+    credit: ['credit', 'credit amount', 'deposit', 'deposit amt', 'deposit amt.', 'cr'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'withdrawal amt', 'withdrawal amt.', 'dr'],
+    amount: ['amount', 'txn amount', 'transaction amount'],
+    type: ['type', 'cr/dr', 'dr/cr', 'txn type']
+};
+
+/**
+ * Parse a money value such as "1,234.50" or "1234,50" (MT940)
+ * @param {string} value - Raw value
+ * @returns {number} Amount (0 when empty)
+ */
+function parseAmount(value) {
+    const cleaned = String(value || '').replace(/[^0-9.,-]/g, '');
+    if (!cleaned) {
+        return 0;
+    }
+    // A comma followed by at most two digits at the end is a decimal separator
+    const normalized = /,\d{0,2}$/.test(cleaned) && !cleaned.includes('.')
+        ? cleaned.replace(/\./g, '').replace(',', '.')
+        : cleaned.replace(/,/g, '');
+    return Math.round(parseFloat(normalized) * 100) / 100 || 0;
+}
+
+/**
+ * Parse a statement date
+ * @param {string} value - Raw value
+ * @returns {Date|null} Date or null
+ */
+function parseDate(value) {
+    const parsed = moment(String(value || '').trim(), DATE_FORMATS, true);
+    return parsed.isValid() ? parsed.toDate() : null;
+}
+
+/**
+ * Find the MMT payment reference in statement text
+ * @param {...string} texts - Narration, reference...
+ * @returns {string|null} Reference or null
+ */
+function extractReference(...texts) {
+    for (const text of texts) {
+        const compact = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const match = compact.match(REFERENCE_PATTERN);
+        if (match) {
+            return match[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a CSV bank statement
+ * @param {Buffer|string} content - File content
+ * @returns {Promise<Array>} Entries { valueDate, type, amount, narration, bankReference }
+ */
+function parseCsvStatement(content) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        Readable.from([content.toString()])
+            .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+            .on('data', row => {
+                const pick = field => {
+                    const column = CSV_COLUMNS[field].find(name => row[name] !== undefined && row[name] !== '');
+                    return column ? row[column] : '';
+                };
+
+                let type;
+                let amount;
+                if (pick('credit') || pick('debit')) {
+                    const credit = parseAmount(pick('credit'));
+                    type = credit > 0 ? 'CREDIT' : 'DEBIT';
+                    amount = credit > 0 ? credit : parseAmount(pick('debit'));
+                } else {
+                    amount = Math.abs(parseAmount(pick('amount')));
+                    type = /^d/i.test(pick('type')) || parseAmount(pick('amount')) < 0 ? 'DEBIT' : 'CREDIT';
+                }
+
+                if (amount > 0) {
+                    entries.push({
+                        valueDate: parseDate(pick('date')),
+                        type,
+                        amount,
+                        narration: pick('narration').trim(),
+                        bankReference: pick('reference').trim()
+                    });
+                }
+            })
+            .on('end', () => resolve(entries))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Parse an MT940 (SWIFT customer statement) file
+ * Reads the :25: account, each :61: statement line and the :86: narration after it.
+ * @param {Buffer|string} content - File content
+ * @returns {Array} Entries { valueDate, type, amount, narration, bankReference, account }
+ */
+function parseMt940Statement(content) {
+    const entries = [];
+    let account = null;
+    let current = null;
+    let currentTag = null;
+
+    // :61: YYMMDD[MMDD](C|D|RC|RD)[funds code]amount N<type><customer ref>[//<bank ref>]
+    const linePattern = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d{0,2})N?[A-Z0-9]{3}([^/]*)(?:\/\/(.*))?/;
+
+    for (const rawLine of content.toString().split(/\r?\n/)) {
+        const tagMatch = rawLine.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (!tagMatch) {
+            // Continuation of a multi-line :86: narration
+            if (current && currentTag === '86') {
+                current.narration = `${current.narration} ${rawLine.trim()}`.trim();
+            }
+            continue;
+        }
+
+        const [, tag, value] = tagMatch;
+        currentTag = tag;
+
+        if (tag === '25') {
+            account = value.trim();
+        } else if (tag === '61') {
+            const match = value.trim().match(linePattern);
+            if (!match) {
+                current = null;
+                continue;
+            }
+            const [, date, , mark, , amount, customerRef, bankRef] = match;
+            current = {
+                valueDate: parseDate(date),
+                // RC/RD are reversals of a credit/debit
+                type: mark === 'C' || mark === 'RD' ? 'CREDIT' : 'DEBIT',
+                amount: parseAmount(amount),
+                narration: '',
+                bankReference: (bankRef || customerRef || '').trim(),
+                account
+            };
+            entries.push(current);
+        } else if (tag === '86' && current) {
+            current.narration = value.trim();
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Parse a bank statement in the given format
+ * @param {Buffer|string} content - File content
+ * @param {string} format - 'csv' or 'mt940'
+ * @returns {Promise<Array>} Statement entries
+ */
+async function parseStatement(content, format) {
+    if (format === 'mt940') {
+        return parseMt940Statement(content);
+    }
+    if (format === 'csv') {
+        return parseCsvStatement(content);
+    }
+    throw createError('Unsupported statement format', 400, { allowed: STATEMENT_FORMATS });
+}
+
+/**
+ * Guess a statement's format from its file name or content
+ * @param {string} fileName - Original file name
+ * @param {Buffer|string} content - File content
+ * @returns {string} 'csv' or 'mt940'
+ */
+function detectFormat(fileName, content) {
+    if (/\.(sta|mt940|940)$/i.test(fileName || '') || /^:20:/m.test(content.toString().slice(0, 2000))) {
+        return 'mt940';
+    }
+    return 'csv';
+}
+
+/**
+ * Stable ID for a statement line so re-importing a statement is harmless
+ * Identical lines within one file are told apart by their occurrence number.
+ * @param {Object} entry - Statement entry
+ * @param {number} occurrence - How many identical lines came before it
+ * @returns {string} Line ID
+ */
+function statementLineId(entry, occurrence) {
+    const fingerprint = [
+        entry.account || '',
+        entry.valueDate ? entry.valueDate.toISOString().slice(0, 10) : '',
+        entry.type,
+        entry.amount.toFixed(2),
+        entry.bankReference,
+        entry.narration,
+        occurrence
+    ].join('|');
+    return 'BSL_' + crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 24);
+}
+
+/**
+ * Generate exception ID
+ * @returns {string} Exception ID
+ */
+function generateExceptionId() {
+    return 'REX_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Find the bank transfer payment carrying a reference
+ * @param {string} reference - MMT reference
+ * @returns {Promise<Object|null>} Payment or null (newest first when reused)
+ */
+async function findPaymentByReference(reference) {
+    const [payment] = await getStorage().find('payments', { referenceNumber: reference, method: 'BANK_TRANSFER' }, {
+        orderBy: 'createdAt',
+        order: 'desc',
+        limit: 1
+    });
+    return payment || null;
+}
+
+/**
+ * Queue a statement credit for manual review
+ * @param {Object} line - Statement line
+ * @param {string} type - Exception type
+ * @param {Object} payment - Candidate payment (optional)
+ * @returns {Promise<Object>} Exception
+ */
+async function raiseException(line, type, payment) {
+    const exception = {
+        exceptionId: generateExceptionId(),
+        type,
+        status: 'OPEN',
+        lineId: line.lineId,
+        amount: line.amount,
+        reference: line.reference,
+        narration: line.narration,
+        valueDate: line.valueDate,
+        paymentId: payment ? payment.paymentId : null,
+        expectedAmount: payment ? payment.amount : null,
+        paymentStatus: payment ? payment.status : null,
+        createdAt: new Date()
+    };
+    await getStorage().save('reconciliation_exceptions', exception);
+    return exception;
+}
+
+/**
+ * Complete a bank transfer payment with the amount actually received
+ * Settlement then credits the order (or INR balance for deposits).
+ * @param {Object} payment - Payment
+ * @param {Object} line - Statement line that paid it
+ * @returns {Promise<Object>} Updated payment
+ */
+async function completeFromStatement(payment, line) {
+    return updatePaymentStatus(payment.paymentId, 'COMPLETED', {
+        paidAmount: line.amount,
+        completedAt: new Date(),
+        gateway: 'BANK_TRANSFER',
+        bankReference: line.bankReference,
+        statementLineId: line.lineId
+    });
+}
+
+/**
+ * Match one credit line to its payment, or raise an exception
+ * @param {Object} line - Statement line
+ * @returns {Promise<Object>} { status, paymentId, exceptionId }
+ */
+async function matchCredit(line) {
+    const payment = line.reference ? await findPaymentByReference(line.reference) : null;
+
+    let exceptionType = null;
+    if (!payment) {
+        exceptionType = 'UNMATCHED';
+    } else if (payment.status !== 'PENDING_CONFIRMATION') {
+        exceptionType = 'PAYMENT_NOT_PENDING';
+    } else if (line.amount + AMOUNT_TOLERANCE < payment.amount) {
+        exceptionType = 'UNDERPAYMENT';
+    } else if (line.amount - AMOUNT_TOLERANCE > payment.amount) {
+        exceptionType = 'OVERPAYMENT';
+    }
+
+    if (exceptionType) {
+        const exception = await raiseException(line, exceptionType, payment);
+        return { status: 'EXCEPTION', paymentId: exception.paymentId, exceptionId: exception.exceptionId };
+    }
+
+    await completeFromStatement(payment, line);
+    return { status: 'MATCHED', paymentId: payment.paymentId, exceptionId: null };
+}
+
+/**
+ * Import a bank statement and reconcile its credits
+ * Lines already imported (same statement uploaded twice) are skipped.
+ * @param {Object} params - Import parameters
+ * @param {Buffer|string} params.content - File content
+ * @param {string} params.format - 'csv' or 'mt940' (detected when omitted)
+ * @param {string} params.fileName - Original file name
+ * @param {string} params.importedBy - Admin user ID or 'system'
+ * @returns {Promise<Object>} Import summary
+ */
+async function importStatement({ content, format, fileName, importedBy }) {
+    const statementFormat = format || detectFormat(fileName, content);
+    const entries = await parseStatement(content, statementFormat);
+    const importId = 'IMP_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    const storage = getStorage();
+
+    const summary = {
+        importId,
+        format: statementFormat,
+        fileName,
+        lines: entries.length,
+        credits: 0,
+        matched: 0,
+        exceptions: 0,
+        duplicates: 0,
+        debits: 0
+    };
+    const seen = new Map();
+
+    // One import at a time so two uploads of the same file cannot both match a line
+    await withLock('reconciliation:import', async () => {
+        for (const entry of entries) {
+            const fingerprint = JSON.stringify(entry);
+            const occurrence = seen.get(fingerprint) || 0;
+            seen.set(fingerprint, occurrence + 1);
+
+            const lineId = statementLineId(entry, occurrence);
+            if (await storage.get('bank_statement_lines', lineId)) {
+                summary.duplicates++;
+                continue;
+            }
+
+            const line = {
+                ...entry,
+                lineId,
+                importId,
+                importedBy,
+                reference: extractReference(entry.narration, entry.bankReference),
+                createdAt: new Date()
+            };
+
+            if (entry.type !== 'CREDIT') {
+                summary.debits++;
+                await storage.save('bank_statement_lines', { ...line, status: 'IGNORED' });
+                continue;
+            }
+
+            summary.credits++;
+            const result = await withTransaction(async () => {
+                const outcome = await matchCredit(line);
+                await storage.save('bank_statement_lines', { ...line, ...outcome });
+                return outcome;
+            });
+            if (result.status === 'MATCHED') summary.matched++;
+            else summary.exceptions++;
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * List reconciliation exceptions
+ * @param {Object} filters - { status, type }
+ * @returns {Promise<Array>} Exceptions, oldest first
+ */
+async function listExceptions({ status, type } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    return getStorage().find('reconciliation_exceptions', where, { orderBy: 'createdAt', order: 'asc' });
+}
+
+/**
+ * Resolve an exception
+ * ACCEPT completes the linked (or given) payment with the amount received, so
+ * settlement handles the shortfall or excess; if that payment can no longer
+ * complete the money is credited to its owner as INR balance.
+ * REJECT closes the exception without moving money (returned to the sender).
+ * @param {string} exceptionId - Exception ID
+ * @param {Object} params - Resolution
+ * @param {string} params.action - 'ACCEPT' or 'REJECT'
+ * @param {string} params.paymentId - Payment to apply an unmatched credit to (ACCEPT)
+ * @param {string} params.note - Reviewer note
+ * @param {string} params.resolvedBy - Admin user ID
+ * @returns {Promise<Object>} Resolved exception
+ */
+async function resolveException(exceptionId, { action, paymentId, note, resolvedBy }) {
+    if (!RESOLUTION_ACTIONS.includes(action)) {
+        throw createError('Invalid resolution action', 400, { allowed: RESOLUTION_ACTIONS });
+    }
+
+    return withLock(`reconciliation:exception:${exceptionId}`, () => withTransaction(async () => {
+        const storage = getStorage();
+        const exception = await storage.get('reconciliation_exceptions', exceptionId);
+        if (!exception) {
+            throw createError('Exception not found', 404);
+        }
+        if (exception.status !== 'OPEN') {
+            throw createError('Exception is already resolved', 409);
+        }
+
+        const resolution = { action, note: note || null, resolvedBy, resolvedAt: new Date() };
+
+        if (action === 'ACCEPT') {
+            const targetId = paymentId || exception.paymentId;
+            const payment = targetId ? await getPaymentById(targetId) : null;
+            if (!payment) {
+                throw createError('A paymentId is required to accept an unmatched credit');
+            }
+            if (payment.method !== 'BANK_TRANSFER') {
+                throw createError('Credits can only be applied to bank transfer payments');
+            }
+
+            const line = await storage.get('bank_statement_lines', exception.lineId);
+            if (COMPLETABLE_PAYMENT_STATUSES.includes(payment.status)) {
+                await completeFromStatement(payment, line);
+                resolution.outcome = 'PAYMENT_COMPLETED';
+            } else {
+                const journal = await recordDeposit({
+                    userId: payment.userId,
+                    reference: exception.lineId,
+                    amount: exception.amount
+                });
+                resolution.outcome = 'CREDITED_TO_BALANCE';
+                resolution.journalId = journal.journalId;
+            }
+            resolution.paymentId = payment.paymentId;
+            await storage.save('bank_statement_lines', { ...line, status: 'MATCHED', paymentId: payment.paymentId });
+        }
+
+        const resolved = { ...exception, status: 'RESOLVED', resolution };
+        await storage.save('reconciliation_exceptions', resolved);
+        return resolved;
+    }));
+}
+
+/**
+ * Import every statement dropped into a directory, moving each to `processed/`
+ * @param {string} inboxDir - Directory to scan
+ * @returns {Promise<Array>} Import summaries
+ */
+async function importStatementInbox(inboxDir) {
+    const processedDir = path.join(inboxDir, 'processed');
+    await fs.promises.mkdir(processedDir, { recursive: true });
+
+    const summaries = [];
+    for (const fileName of await fs.promises.readdir(inboxDir)) {
+        const filePath = path.join(inboxDir, fileName);
+        if (!(await fs.promises.stat(filePath)).isFile()) {
+            continue;
+        }
+        const content = await fs.promises.readFile(filePath);
+        summaries.push(await importStatement({ content, fileName, importedBy: 'system' }));
+        await fs.promises.rename(filePath, path.join(processedDir, `${Date.now()}_${fileName}`));
+    }
+    return summaries;
+}
+
+/**
+ * Start the periodic statement import from BANK_STATEMENT_DIR
+ * @param {Object} options - Options
+ * @param {string} options.inboxDir - Directory banks drop statements into
+ * @param {string} options.schedule - Cron expression (default every 15 minutes)
+ * @returns {Object|null} Scheduled cron task, or null without an inbox
+ */
+function startReconciliationJobs({ inboxDir = process.env.BANK_STATEMENT_DIR, schedule = '*/15 * * * *' } = {}) {
+    if (!inboxDir) {
+        return null;
+    }
+
+    return cron.schedule(schedule, async () => {
+        try {
+            const summaries = await importStatementInbox(inboxDir);
+            summaries.forEach(summary => console.log('Bank statement imported:', summary));
+        } catch (error) {
+            console.error('Bank statement import error:', error);
+        }
+    });
+}
+
+module.exports = {
+    STATEMENT_FORMATS,
+    EXCEPTION_TYPES,
+    RESOLUTION_ACTIONS,
+    parseStatement,
+    extractReference,
+    importStatement,
+    importStatementInbox,
+    listExceptions,
+    resolveException,
+    startReconciliationJobs
+};
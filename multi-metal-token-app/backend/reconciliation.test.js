@@ -0,0 +1,106 @@
+const { resetStorage, createTestUser, useFixedRates } = require('./test-utils');
+const { createPayment } = require('./payments');
+const { createBuyOrder } = require('./trading');
+const { registerSettlementHandlers } = require('./settlement');
+const { importStatement, listExceptions, resolveException, extractReference } = require('./reconciliation');
+const { getPaymentById, findTransactionById } = require('./repository');
+const { getUserBalances } = require('./ledger');
+const { COLLECTIONS } = require('./storage');
+
+let storage;
+let user;
+
+registerSettlementHandlers();
+
+/**
+ * Build a CSV statement
+ * @param {Array} rows - [date, narration, reference, debit, credit]
+ * @returns {string} CSV content
+ */
+function csvStatement(rows) {
+    return ['Txn Date,Narration,Chq / Ref No.,Withdrawal Amt.,Deposit Amt.', ...rows.map(row => row.join(','))].join('\n');
+}
+
+beforeEach(async () => {
+    storage = resetStorage();
+    useFixedRates({ gold: 6000 });
+    user = await createTestUser();
+});
+
+test('extracts MMT references from narrations', () => {
+    expect(extractReference('NEFT-HDFC-mmt abc123-RAVI', '')).toBe('MMTABC123');
+    expect(extractReference('IMPS salary', 'UTR123')).toBeNull();
+});
+
+test('a CSV credit with the reference completes the deposit and re-imports are skipped', async () => {
+    const deposit = await createPayment({ amount: 2500, method: 'BANK_TRANSFER', userId: user.userId });
+    const reference = deposit.bankDetails.referenceNumber;
+    const content = csvStatement([
+        ['05/04/2025', `NEFT CR ${reference} RAVI`, 'UTR0001', '', '"2,500.00"'],
+        ['05/04/2025', 'ATM WDL', 'UTR0002', '1000.00', '']
+    ]);
+
+    const summary = await importStatement({ content, format: 'csv', fileName: 'apr.csv', importedBy: 'ADMIN' });
+    expect(summary).toMatchObject({ lines: 2, credits: 1, matched: 1, debits: 1, exceptions: 0 });
+    expect(await getPaymentById(deposit.paymentId)).toMatchObject({ status: 'COMPLETED', paidAmount: 2500, bankReference: 'UTR0001' });
+    expect((await getUserBalances(user.userId)).inr).toBe(2500);
+
+    const again = await importStatement({ content, format: 'csv', fileName: 'apr.csv', importedBy: 'ADMIN' });
+    expect(again).toMatchObject({ duplicates: 2, matched: 0 });
+    expect((await getUserBalances(user.userId)).inr).toBe(2500);
+});
+
+test('only bank transfers are matched by the indexed reference column', async () => {
+    expect(COLLECTIONS.payments.columns).toContain('referenceNumber');
+
+    const deposit = await createPayment({ amount: 100, method: 'BANK_TRANSFER', userId: user.userId });
+    const reference = deposit.bankDetails.referenceNumber;
+    await storage.save('payments', { paymentId: 'PAY_UPI_1', userId: user.userId, method: 'UPI', status: 'PENDING_CONFIRMATION', amount: 100, referenceNumber: reference, createdAt: new Date() });
+
+    const summary = await importStatement({ content: csvStatement([['05/04/2025', reference, 'U1', '', '100']]), format: 'csv' });
+    expect(summary).toMatchObject({ matched: 1, exceptions: 0 });
+    expect((await getPaymentById(deposit.paymentId)).status).toBe('COMPLETED');
+    expect((await getPaymentById('PAY_UPI_1')).status).toBe('PENDING_CONFIRMATION');
+});
+
+test('MT940 credits settle the buy order they pay for', async () => {
+    const order = await createBuyOrder({ userId: user.userId, asset: 'gold', amount: 0.1, paymentMethod: 'BANK_TRANSFER' });
+    const { referenceNumber } = (await getPaymentById(order.paymentId));
+    const amount = order.totalCost.toFixed(2).replace('.', ',');
+    const content = [
+        ':20:STMT0405',
+        ':25:12345678901234',
+        ':28C:1/1',
+        `:61:2504050405C${amount}NTRFNONREF//HDFCR52025040500001`,
+        `:86:NEFT CR ${referenceNumber}`,
+        '  RAVI KUMAR',
+        ':62F:C250405INR100,00'
+    ].join('\n');
+
+    const summary = await importStatement({ content, fileName: 'apr.sta' });
+    expect(summary).toMatchObject({ format: 'mt940', matched: 1 });
+    expect((await findTransactionById(order.transactionId)).status).toBe('COMPLETED');
+    expect((await getUserBalances(user.userId)).gold).toBe(0.1);
+});
+
+test('mismatches go to the exceptions queue and can be accepted', async () => {
+    const deposit = await createPayment({ amount: 1000, method: 'BANK_TRANSFER', userId: user.userId });
+    const content = csvStatement([
+        ['06/04/2025', `CR ${deposit.bankDetails.referenceNumber}`, 'UTR1', '', '900'],
+        ['06/04/2025', 'CR UNKNOWN SENDER', 'UTR2', '', '50']
+    ]);
+
+    expect(await importStatement({ content, format: 'csv' })).toMatchObject({ exceptions: 2 });
+    const exceptions = await listExceptions({ status: 'OPEN' });
+    expect(exceptions.map(e => e.type).sort()).toEqual(['UNDERPAYMENT', 'UNMATCHED']);
+
+    const underpayment = exceptions.find(e => e.type === 'UNDERPAYMENT');
+    const resolved = await resolveException(underpayment.exceptionId, { action: 'ACCEPT', resolvedBy: 'ADMIN' });
+    expect(resolved.resolution.outcome).toBe('PAYMENT_COMPLETED');
+    expect((await getUserBalances(user.userId)).inr).toBe(900);
+
+    const unmatched = exceptions.find(e => e.type === 'UNMATCHED');
+    await expect(resolveException(unmatched.exceptionId, { action: 'ACCEPT' })).rejects.toMatchObject({ statusCode: 400 });
+    expect((await resolveException(unmatched.exceptionId, { action: 'REJECT', note: 'returned' })).status).toBe('RESOLVED');
+    await expect(resolveException(unmatched.exceptionId, { action: 'REJECT' })).rejects.toMatchObject({ statusCode: 409 });
+});
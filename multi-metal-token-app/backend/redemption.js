@@ -0,0 +1,612 @@
+// Redemption Module for Multi-Metal Token App
+// Physical delivery of coins and bars against a metal balance, with delivery addresses,
+// a fulfilment state machine and OTP-confirmed handover
+
+const { calculateRedemptionFees, calculateGST } = require('./fees');
+const { getLatestRates } = require('./market-feed');
+const { getMarketRates, assertLiveRates } = require('./market-rates');
+const { generateOTP, hashSensitiveData, validatePhone } = require('./auth');
+const { notifyUser } = require('./notifications');
+const {
+    getUserBalances,
+    recordFee,
+    recordReservation,
+    recordRedemption,
+    reverseJournal,
+    roundAmount
+} = require('./ledger');
+const { findUserById, saveUser } = require('./repository');
+const { releaseCostBasis } = require('./trading');
+const { getStorage, withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+// Standard coin and bar weights in grams
+const REDEMPTION_DENOMINATIONS = {
+    gold: { COIN: [1, 2, 5, 8, 10, 20], BAR: [10, 20, 50, 100] },
+    silver: { COIN: [10, 20, 50, 100], BAR: [100, 250, 500, 1000] },
+    platinum: { COIN: [1, 2, 5, 10], BAR: [10, 20, 50, 100] }
+};
+
+// HOME ships to a saved address; STORE and VAULT are collected in person
+const DELIVERY_METHODS = ['HOME', 'STORE', 'VAULT'];
+
+// REQUESTED -> PACKED -> SHIPPED -> DELIVERED | RETURNED; REQUESTED -> CANCELLED
+const REDEMPTION_STATUSES = ['REQUESTED', 'PACKED', 'SHIPPED', 'DELIVERED', 'RETURNED', 'CANCELLED'];
+
+const STATUS_TRANSITIONS = {
+    REQUESTED: ['PACKED', 'CANCELLED'],
+    PACKED: ['SHIPPED'],
+    SHIPPED: ['DELIVERED', 'RETURNED'],
+    DELIVERED: [],
+    RETURNED: [],
+    CANCELLED: []
+};
+
+// Wrong handover OTPs accepted before the code has to be reissued
+const MAX_OTP_ATTEMPTS = 5;
+
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * Generate redemption ID
+ * @returns {string} Redemption ID
+ */
+function generateRedemptionId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `RDM_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Generate address ID
+ * @returns {string} Address ID
+ */
+function generateAddressId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `ADR_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Round to paise
+ * @param {number} amount - INR amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// ==================== ADDRESSES ====================
+
+/**
+ * Validate and normalize address fields
+ * @param {Object} fields - { name, phone, line1, line2, city, state, pincode, landmark }
+ * @returns {Object} Normalized address fields
+ */
+function normalizeAddress(fields) {
+    const address = {};
+    for (const field of ['name', 'phone', 'line1', 'line2', 'landmark', 'city', 'state', 'pincode']) {
+        const value = fields[field];
+        address[field] = typeof value === 'string' ? value.trim() : value === undefined || value === null ? '' : String(value);
+    }
+
+    const missing = ['name', 'phone', 'line1', 'city', 'state', 'pincode'].filter(field => !address[field]);
+    if (missing.length > 0) {
+        throw createError('Address is incomplete', 400, { missing });
+    }
+    if (!validatePhone(address.phone)) {
+        throw createError('Invalid phone number');
+    }
+    if (!PINCODE_PATTERN.test(address.pincode)) {
+        throw createError('PIN code must be 6 digits');
+    }
+    return address;
+}
+
+/**
+ * List a user's delivery addresses (default first)
+ * @param {string} userId - Owner
+ * @returns {Promise<Array>} Addresses
+ */
+async function listAddresses(userId) {
+    const addresses = await getStorage().find('addresses', { userId }, { orderBy: 'createdAt', order: 'asc' });
+    return addresses.sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+}
+
+/**
+ * Get one of a user's addresses
+ * @param {string} userId - Owner
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} Address
+ */
+async function getAddressForUser(userId, addressId) {
+    const address = await getStorage().get('addresses', addressId);
+    if (!address || address.userId !== userId) {
+        throw createError('Address not found', 404);
+    }
+    return address;
+}
+
+/**
+ * Make one address the user's default and clear the flag on the others
+ * @param {string} userId - Owner
+ * @param {string} addressId - New default
+ */
+async function setDefaultAddress(userId, addressId) {
+    for (const address of await getStorage().find('addresses', { userId })) {
+        const isDefault = address.addressId === addressId;
+        if (address.isDefault !== isDefault) {
+            await getStorage().save('addresses', { ...address, isDefault, updatedAt: new Date() });
+        }
+    }
+}
+
+/**
+ * Save a new delivery address (the first one becomes the default)
+ * @param {string} userId - Owner
+ * @param {Object} fields - Address fields and isDefault
+ * @returns {Promise<Object>} Address
+ */
+async function createAddress(userId, fields) {
+    const normalized = normalizeAddress(fields);
+    return withUserLock(userId, () => withTransaction(async () => {
+        const existing = await getStorage().find('addresses', { userId });
+        const address = {
+            addressId: generateAddressId(),
+            userId,
+            ...normalized,
+            isDefault: existing.length === 0 || fields.isDefault === true,
+            createdAt: new Date()
+        };
+        await getStorage().save('addresses', address);
+        if (address.isDefault) {
+            await setDefaultAddress(userId, address.addressId);
+        }
+        return address;
+    }));
+}
+
+/**
+ * Update a delivery address
+ * Redemptions keep the copy they were shipped with, so editing is always safe.
+ * @param {string} userId - Owner
+ * @param {string} addressId - Address ID
+ * @param {Object} fields - Changed fields and isDefault
+ * @returns {Promise<Object>} Address
+ */
+async function updateAddress(userId, addressId, fields) {
+    return withUserLock(userId, () => withTransaction(async () => {
+        const address = await getAddressForUser(userId, addressId);
+        const updated = {
+            ...address,
+            ...normalizeAddress({ ...address, ...fields }),
+            isDefault: address.isDefault || fields.isDefault === true,
+            updatedAt: new Date()
+        };
+        await getStorage().save('addresses', updated);
+        if (updated.isDefault && !address.isDefault) {
+            await setDefaultAddress(userId, addressId);
+        }
+        return updated;
+    }));
+}
+
+/**
+ * Delete a delivery address; the oldest remaining one becomes the default
+ * @param {string} userId - Owner
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} { deleted }
+ */
+async function deleteAddress(userId, addressId) {
+    return withUserLock(userId, () => withTransaction(async () => {
+        const address = await getAddressForUser(userId, addressId);
+        await getStorage().remove('addresses', addressId);
+        if (address.isDefault) {
+            const [next] = await getStorage().find('addresses', { userId }, { orderBy: 'createdAt', order: 'asc', limit: 1 });
+            if (next) await setDefaultAddress(userId, next.addressId);
+        }
+        return { deleted: addressId };
+    }));
+}
+
+// ==================== QUOTES ====================
+
+/**
+ * Validate the coins and bars requested and total their weight
+ * @param {string} asset - gold, silver or platinum
+ * @param {Array} items - [{ form: 'COIN' | 'BAR', denomination: grams, quantity }]
+ * @returns {Object} { items, grams }
+ */
+function normalizeItems(asset, items) {
+    const denominations = REDEMPTION_DENOMINATIONS[asset];
+    if (!denominations) {
+        throw createError('Asset cannot be redeemed', 400, { allowed: Object.keys(REDEMPTION_DENOMINATIONS) });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw createError('At least one coin or bar is required');
+    }
+
+    const normalized = items.map(item => {
+        const form = String(item.form || '').toUpperCase();
+        const { denomination, quantity } = item;
+        if (!denominations[form]) {
+            throw createError('Form must be COIN or BAR');
+        }
+        if (!denominations[form].includes(denomination)) {
+            throw createError(`Invalid ${asset} ${form.toLowerCase()} denomination`, 400, { allowed: denominations[form] });
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw createError('Quantity must be a positive whole number');
+        }
+        return { form, denomination, quantity, grams: denomination * quantity };
+    });
+
+    return {
+        items: normalized,
+        grams: roundAmount(normalized.reduce((sum, item) => sum + item.grams, 0))
+    };
+}
+
+/**
+ * Price a redemption at the current bid: delivery, insurance and processing fees plus GST
+ * @param {Object} params - Redemption parameters
+ * @param {string} params.asset - gold, silver or platinum
+ * @param {Array} params.items - [{ form, denomination, quantity }]
+ * @param {string} params.deliveryMethod - HOME, STORE or VAULT
+ * @returns {Promise<Object>} Quote
+ */
+async function quoteRedemption({ asset, items, deliveryMethod }) {
+    if (!DELIVERY_METHODS.includes(deliveryMethod)) {
+        throw createError('Invalid delivery method', 400, { allowed: DELIVERY_METHODS });
+    }
+    const normalized = normalizeItems(asset, items);
+
+    // The fees and the recorded value are charged off this price, so it must be live
+    const rates = assertLiveRates(getLatestRates() || await getMarketRates(), [asset]);
+    const price = rates[asset].bid || rates[asset].price;
+    const fees = calculateRedemptionFees(asset, normalized.grams, deliveryMethod, price);
+    const gst = calculateGST(fees.totalFees);
+
+    return {
+        asset,
+        deliveryMethod,
+        ...normalized,
+        price,
+        value: roundInr(normalized.grams * price),
+        fees: {
+            deliveryFee: fees.deliveryFee,
+            insuranceFee: fees.insuranceFee,
+            processingFee: fees.processingFee,
+            gst,
+            total: roundInr(fees.totalFees + gst)
+        },
+        quotedAt: new Date()
+    };
+}
+
+// ==================== REDEMPTIONS ====================
+
+/**
+ * Record a status change on a redemption
+ * @param {Object} redemption - Redemption
+ * @param {string} status - New status
+ * @param {Object} entry - { by, note }
+ * @returns {Object} Redemption with the new status and history entry
+ */
+function transition(redemption, status, { by, note } = {}) {
+    if (!STATUS_TRANSITIONS[redemption.status].includes(status)) {
+        throw createError(`Cannot move a ${redemption.status} redemption to ${status}`, 409, {
+            allowed: STATUS_TRANSITIONS[redemption.status]
+        });
+    }
+    const at = new Date();
+    return {
+        ...redemption,
+        status,
+        updatedAt: at,
+        history: [...redemption.history, { status, at, by, note: note || null }]
+    };
+}
+
+/**
+ * Request physical delivery: locks the metal and charges the fees from the INR balance
+ * @param {Object} params - Redemption parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.asset - gold, silver or platinum
+ * @param {Array} params.items - [{ form, denomination, quantity }]
+ * @param {string} params.deliveryMethod - HOME, STORE or VAULT
+ * @param {string} params.addressId - Saved address (HOME; defaults to the default address)
+ * @returns {Promise<Object>} REQUESTED redemption
+ */
+async function createRedemption({ userId, asset, items, deliveryMethod, addressId }) {
+    const quote = await quoteRedemption({ asset, items, deliveryMethod });
+
+    return withUserLock(userId, () => withTransaction(async () => {
+        let address = null;
+        if (deliveryMethod === 'HOME') {
+            address = addressId
+                ? await getAddressForUser(userId, addressId)
+                : (await listAddresses(userId)).find(saved => saved.isDefault);
+            if (!address) {
+                throw createError('A delivery address is required for home delivery');
+            }
+        }
+
+        const balances = await getUserBalances(userId);
+        if (balances[asset] + 1e-8 < quote.grams) {
+            throw createError(`Insufficient ${asset} balance`, 400, { required: quote.grams, available: balances[asset] });
+        }
+        if (balances.inr + 1e-8 < quote.fees.total) {
+            throw createError('Insufficient INR balance for redemption fees', 400, {
+                required: quote.fees.total,
+                available: balances.inr
+            });
+        }
+
+        const redemptionId = generateRedemptionId();
+        const reservation = await recordReservation({ userId, reference: redemptionId, asset, amount: quote.grams });
+        const feeJournal = await recordFee({
+            userId,
+            reference: redemptionId,
+            fee: roundInr(quote.fees.total - quote.fees.gst),
+            gst: quote.fees.gst,
+            description: `Redemption fees for ${quote.grams}g ${asset} (${deliveryMethod})`
+        });
+
+        const createdAt = new Date();
+        const redemption = {
+            redemptionId,
+            userId,
+            asset,
+            items: quote.items,
+            grams: quote.grams,
+            deliveryMethod,
+            address: address && {
+                addressId: address.addressId,
+                name: address.name,
+                phone: address.phone,
+                line1: address.line1,
+                line2: address.line2,
+                landmark: address.landmark,
+                city: address.city,
+                state: address.state,
+                pincode: address.pincode
+            },
+            price: quote.price,
+            value: quote.value,
+            fees: quote.fees,
+            status: 'REQUESTED',
+            reservationJournalId: reservation.journalId,
+            feeJournalId: feeJournal.journalId,
+            history: [{ status: 'REQUESTED', at: createdAt, by: userId, note: null }],
+            createdAt
+        };
+        await getStorage().save('redemptions', redemption);
+        return redemption;
+    }));
+}
+
+/**
+ * Hide the handover OTP hash from API responses
+ * @param {Object} redemption - Redemption
+ * @returns {Object} Redemption without secrets
+ */
+function toPublicRedemption(redemption) {
+    const { handover, ...rest } = redemption;
+    if (!handover) {
+        return rest;
+    }
+    return { ...rest, handover: { issuedAt: handover.issuedAt, attempts: handover.attempts, confirmedAt: handover.confirmedAt || null } };
+}
+
+/**
+ * Load a redemption, optionally checking its owner
+ * @param {string} redemptionId - Redemption ID
+ * @param {string} userId - Owner (omit for admin access)
+ * @returns {Promise<Object>} Redemption
+ */
+async function loadRedemption(redemptionId, userId) {
+    const redemption = await getStorage().get('redemptions', redemptionId);
+    if (!redemption || (userId && redemption.userId !== userId)) {
+        throw createError('Redemption not found', 404);
+    }
+    return redemption;
+}
+
+/**
+ * Issue a fresh handover OTP and send it to the customer
+ * Only its hash is stored; the customer reads it out to the courier or counter.
+ * @param {Object} redemption - Redemption
+ * @returns {Promise<Object>} Redemption with the new handover
+ */
+async function issueHandoverOTP(redemption) {
+    const otp = generateOTP();
+    await notifyUser(redemption.userId, {
+        type: 'REDEMPTION_OTP',
+        title: 'Delivery OTP',
+        message: `Share OTP ${otp} only when you receive your ${redemption.grams}g ${redemption.asset} (${redemption.redemptionId}).`,
+        data: { redemptionId: redemption.redemptionId }
+    });
+    return {
+        ...redemption,
+        handover: { otpHash: hashSensitiveData(`${redemption.redemptionId}:${otp}`), issuedAt: new Date(), attempts: 0 }
+    };
+}
+
+/**
+ * Move a redemption through fulfilment (operations)
+ * SHIPPED issues the handover OTP; RETURNED releases the metal back to the
+ * customer (fees are kept). DELIVERED only happens through confirmHandover.
+ * @param {string} redemptionId - Redemption ID
+ * @param {Object} params - { status, by, note, courier, trackingNumber }
+ * @returns {Promise<Object>} Updated redemption
+ */
+async function updateRedemptionStatus(redemptionId, { status, by, note, courier, trackingNumber }) {
+    if (!REDEMPTION_STATUSES.includes(status)) {
+        throw createError('Invalid redemption status', 400, { allowed: REDEMPTION_STATUSES });
+    }
+    if (status === 'DELIVERED') {
+        throw createError('Delivery must be confirmed with the handover OTP', 409);
+    }
+    if (status === 'CANCELLED') {
+        throw createError('Only the customer can cancel a redemption', 409);
+    }
+
+    const { userId } = await loadRedemption(redemptionId);
+    const updated = await withUserLock(userId, () => withTransaction(async () => {
+        let redemption = transition(await loadRedemption(redemptionId), status, { by, note });
+
+        if (status === 'SHIPPED') {
+            redemption.shipment = { courier: courier || null, trackingNumber: trackingNumber || null };
+            redemption = await issueHandoverOTP(redemption);
+        }
+        if (status === 'RETURNED') {
+            const journal = await recordReservation({
+                userId,
+                reference: redemptionId,
+                asset: redemption.asset,
+                amount: -redemption.grams
+            });
+            redemption.releaseJournalId = journal.journalId;
+        }
+
+        await getStorage().save('redemptions', redemption);
+        return redemption;
+    }));
+    return toPublicRedemption(updated);
+}
+
+/**
+ * Reissue the handover OTP of a shipped redemption (e.g. after too many wrong attempts)
+ * @param {string} redemptionId - Redemption ID
+ * @returns {Promise<Object>} Updated redemption
+ */
+async function resendHandoverOTP(redemptionId) {
+    const { userId } = await loadRedemption(redemptionId);
+    return toPublicRedemption(await withUserLock(userId, async () => {
+        const redemption = await loadRedemption(redemptionId);
+        if (redemption.status !== 'SHIPPED') {
+            throw createError(`Redemption is ${redemption.status}`, 409);
+        }
+        const reissued = await issueHandoverOTP(redemption);
+        await getStorage().save('redemptions', reissued);
+        return reissued;
+    }));
+}
+
+/**
+ * Confirm handover with the customer's OTP and settle the metal out of custody
+ * @param {string} redemptionId - Redemption ID
+ * @param {Object} params - { otp, by }
+ * @returns {Promise<Object>} DELIVERED redemption
+ */
+async function confirmHandover(redemptionId, { otp, by }) {
+    if (!otp || typeof otp !== 'string') {
+        throw createError('Handover OTP is required');
+    }
+
+    const { userId } = await loadRedemption(redemptionId);
+    const delivered = await withUserLock(userId, async () => {
+        const redemption = await loadRedemption(redemptionId);
+        if (redemption.status !== 'SHIPPED') {
+            throw createError(`Redemption is ${redemption.status}`, 409);
+        }
+        const { handover } = redemption;
+        if (handover.attempts >= MAX_OTP_ATTEMPTS) {
+            throw createError('Too many wrong OTPs; issue a new one', 429);
+        }
+
+        if (hashSensitiveData(`${redemptionId}:${otp.trim()}`) !== handover.otpHash) {
+            await getStorage().save('redemptions', { ...redemption, handover: { ...handover, attempts: handover.attempts + 1 } });
+            throw createError('Invalid handover OTP', 400, { attemptsLeft: MAX_OTP_ATTEMPTS - handover.attempts - 1 });
+        }
+
+        return withTransaction(async () => {
+            // Delivered metal leaves the holding, and its cost with it
+            const user = await findUserById(userId);
+            await releaseCostBasis(user, redemption.asset, redemption.grams);
+            await saveUser(user);
+            const journal = await recordRedemption({ userId, reference: redemptionId, asset: redemption.asset, amount: redemption.grams });
+            const updated = {
+                ...transition(redemption, 'DELIVERED', { by }),
+                handover: { ...handover, confirmedAt: new Date(), confirmedBy: by },
+                deliveryJournalId: journal.journalId
+            };
+            await getStorage().save('redemptions', updated);
+            return updated;
+        });
+    });
+
+    await notifyUser(userId, {
+        type: 'REDEMPTION_DELIVERED',
+        title: 'Redemption delivered',
+        message: `${delivered.grams}g ${delivered.asset} handed over (${redemptionId}).`,
+        data: { redemptionId }
+    });
+    return toPublicRedemption(delivered);
+}
+
+/**
+ * Cancel a redemption that has not been packed: the metal and the fees are returned
+ * @param {string} userId - Owner
+ * @param {string} redemptionId - Redemption ID
+ * @returns {Promise<Object>} CANCELLED redemption
+ */
+async function cancelRedemption(userId, redemptionId) {
+    return toPublicRedemption(await withUserLock(userId, () => withTransaction(async () => {
+        const redemption = transition(await loadRedemption(redemptionId, userId), 'CANCELLED', { by: userId });
+        const release = await recordReservation({ userId, reference: redemptionId, asset: redemption.asset, amount: -redemption.grams });
+        const refund = await reverseJournal(redemption.feeJournalId, {
+            reference: redemptionId,
+            description: `Redemption fees refunded for ${redemptionId}`
+        });
+        const cancelled = { ...redemption, releaseJournalId: release.journalId, feeRefundJournalId: refund.journalId };
+        await getStorage().save('redemptions', cancelled);
+        return cancelled;
+    })));
+}
+
+/**
+ * Get one of a user's redemptions
+ * @param {string} userId - Owner
+ * @param {string} redemptionId - Redemption ID
+ * @returns {Promise<Object>} Redemption
+ */
+async function getRedemptionForUser(userId, redemptionId) {
+    return toPublicRedemption(await loadRedemption(redemptionId, userId));
+}
+
+/**
+ * List redemptions, newest first
+ * @param {Object} filters - { userId, status } (no userId lists everyone's, for operations)
+ * @returns {Promise<Array>} Redemptions
+ */
+async function listRedemptions({ userId, status } = {}) {
+    if (status && !REDEMPTION_STATUSES.includes(status)) {
+        throw createError('Invalid redemption status', 400, { allowed: REDEMPTION_STATUSES });
+    }
+    const where = {};
+    if (userId) where.userId = userId;
+    if (status) where.status = status;
+    const redemptions = await getStorage().find('redemptions', where, { orderBy: 'createdAt', order: 'desc' });
+    return redemptions.map(toPublicRedemption);
+}
+
+module.exports = {
+    REDEMPTION_DENOMINATIONS,
+    DELIVERY_METHODS,
+    REDEMPTION_STATUSES,
+    listAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    quoteRedemption,
+    createRedemption,
+    updateRedemptionStatus,
+    resendHandoverOTP,
+    confirmHandover,
+    cancelRedemption,
+    getRedemptionForUser,
+    listRedemptions
+};
@@ -0,0 +1,154 @@
+const { resetStorage, createTestUser, useFixedRates, fundUser } = require('./test-utils');
+const {
+    createAddress,
+    deleteAddress,
+    listAddresses,
+    quoteRedemption,
+    createRedemption,
+    updateRedemptionStatus,
+    resendHandoverOTP,
+    confirmHandover,
+    cancelRedemption
+} = require('./redemption');
+const { getUserBalances, getAccountBalances, reservedAccount, reconcileLedger } = require('./ledger');
+const { listNotifications } = require('./notifications');
+const { getStorage } = require('./storage');
+
+const ADDRESS = { name: 'Test User', phone: '9876543210', line1: '1 MG Road', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' };
+const TWO_COINS = [{ form: 'coin', denomination: 5, quantity: 2 }];
+
+let user;
+
+/**
+ * The handover OTP last sent to the user
+ * @returns {Promise<string>} OTP
+ */
+async function lastOTP() {
+    const [latest] = (await listNotifications(user.userId)).filter(notification => notification.type === 'REDEMPTION_OTP');
+    return latest.message.match(/OTP (\d{6})/)[1];
+}
+
+/**
+ * Request home delivery of two 5g gold coins and ship them
+ * @returns {Promise<Object>} SHIPPED redemption
+ */
+async function shipRedemption() {
+    const { redemptionId } = await createRedemption({ userId: user.userId, asset: 'gold', items: TWO_COINS, deliveryMethod: 'HOME' });
+    await updateRedemptionStatus(redemptionId, { status: 'PACKED', by: 'OPS' });
+    return updateRedemptionStatus(redemptionId, { status: 'SHIPPED', by: 'OPS', courier: 'BlueDart', trackingNumber: 'BD123' });
+}
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    user = await createTestUser();
+    await fundUser(user.userId, 'gold', 20);
+    await fundUser(user.userId, 'inr', 5000);
+    await createAddress(user.userId, ADDRESS);
+});
+
+describe('addresses', () => {
+    test('are validated, and the first one is the default', async () => {
+        await expect(createAddress(user.userId, { ...ADDRESS, pincode: '012345' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(createAddress(user.userId, { name: 'No Street' })).rejects.toMatchObject({ statusCode: 400, details: { missing: expect.arrayContaining(['line1', 'pincode']) } });
+
+        const office = await createAddress(user.userId, { ...ADDRESS, line1: '2 Brigade Road' });
+        const addresses = await listAddresses(user.userId);
+        expect(addresses.map(address => address.isDefault)).toEqual([true, false]);
+
+        // Deleting the default promotes the oldest remaining address
+        await deleteAddress(user.userId, addresses[0].addressId);
+        expect(await listAddresses(user.userId)).toEqual([expect.objectContaining({ addressId: office.addressId, isDefault: true })]);
+    });
+});
+
+test('quoteRedemption accepts standard coins and bars only', async () => {
+    const quote = await quoteRedemption({ asset: 'gold', items: TWO_COINS, deliveryMethod: 'HOME' });
+    expect(quote).toMatchObject({ grams: 10, items: [{ form: 'COIN', denomination: 5, quantity: 2, grams: 10 }] });
+    expect(quote.fees.total).toBeGreaterThan(0);
+
+    await expect(quoteRedemption({ asset: 'gold', items: [{ form: 'COIN', denomination: 3, quantity: 1 }], deliveryMethod: 'HOME' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    await expect(quoteRedemption({ asset: 'stablecoin', items: TWO_COINS, deliveryMethod: 'HOME' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+});
+
+test('no redemption is quoted or created off a stale or fallback rate', async () => {
+    useFixedRates({ gold: 6000 }, { provider: 'FALLBACK' });
+
+    await expect(quoteRedemption({ asset: 'gold', items: TWO_COINS, deliveryMethod: 'HOME' }))
+        .rejects.toMatchObject({ statusCode: 503, details: { assets: ['gold'] } });
+    await expect(createRedemption({ userId: user.userId, asset: 'gold', items: TWO_COINS, deliveryMethod: 'HOME' }))
+        .rejects.toMatchObject({ statusCode: 503 });
+    expect(await getUserBalances(user.userId)).toMatchObject({ gold: 20, inr: 5000 });
+    expect(await getStorage().count('redemptions')).toBe(0);
+});
+
+describe('createRedemption', () => {
+    test('locks the metal and charges the fees from the INR balance', async () => {
+        const redemption = await createRedemption({ userId: user.userId, asset: 'gold', items: TWO_COINS, deliveryMethod: 'HOME' });
+
+        expect(redemption).toMatchObject({ status: 'REQUESTED', grams: 10, address: { pincode: '560001' } });
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(10);
+        expect(balances.inr).toBeCloseTo(5000 - redemption.fees.total, 2);
+        expect((await getAccountBalances(reservedAccount(user.userId))).gold).toBe(10);
+    });
+
+    test('refuses more metal than the user holds', async () => {
+        await expect(createRedemption({ userId: user.userId, asset: 'gold', items: [{ form: 'BAR', denomination: 50, quantity: 1 }], deliveryMethod: 'STORE' }))
+            .rejects.toMatchObject({ statusCode: 400, details: { required: 50, available: 20 } });
+        expect(await getStorage().count('redemptions')).toBe(0);
+    });
+
+    test('cancelling before packing returns the metal and the fees', async () => {
+        const redemption = await createRedemption({ userId: user.userId, asset: 'gold', items: TWO_COINS, deliveryMethod: 'HOME' });
+
+        expect((await cancelRedemption(user.userId, redemption.redemptionId)).status).toBe('CANCELLED');
+        expect(await getUserBalances(user.userId)).toMatchObject({ gold: 20, inr: 5000 });
+
+        const packed = await createRedemption({ userId: user.userId, asset: 'gold', items: TWO_COINS, deliveryMethod: 'STORE' });
+        await updateRedemptionStatus(packed.redemptionId, { status: 'PACKED', by: 'OPS' });
+        await expect(cancelRedemption(user.userId, packed.redemptionId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('handover', () => {
+    test('delivery needs the OTP sent when the redemption shipped', async () => {
+        const shipped = await shipRedemption();
+        expect(shipped).toMatchObject({ status: 'SHIPPED', shipment: { trackingNumber: 'BD123' }, handover: { attempts: 0 } });
+        expect(shipped.handover.otpHash).toBeUndefined();
+
+        await expect(updateRedemptionStatus(shipped.redemptionId, { status: 'DELIVERED', by: 'OPS' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(confirmHandover(shipped.redemptionId, { otp: '000000', by: 'COURIER' }))
+            .rejects.toMatchObject({ statusCode: 400, details: { attemptsLeft: 4 } });
+
+        const delivered = await confirmHandover(shipped.redemptionId, { otp: await lastOTP(), by: 'COURIER' });
+        expect(delivered).toMatchObject({ status: 'DELIVERED', handover: { attempts: 1 } });
+        expect((await getAccountBalances(reservedAccount(user.userId))).gold).toBe(0);
+        expect((await getUserBalances(user.userId)).gold).toBe(10);
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('too many wrong OTPs lock the handover until a new one is issued', async () => {
+        const shipped = await shipRedemption();
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await expect(confirmHandover(shipped.redemptionId, { otp: '000000' })).rejects.toMatchObject({ statusCode: 400 });
+        }
+        const otp = await lastOTP();
+        await expect(confirmHandover(shipped.redemptionId, { otp })).rejects.toMatchObject({ statusCode: 429 });
+
+        await resendHandoverOTP(shipped.redemptionId);
+        expect((await confirmHandover(shipped.redemptionId, { otp: await lastOTP() })).status).toBe('DELIVERED');
+    });
+
+    test('a returned shipment releases the metal but keeps the fees', async () => {
+        const shipped = await shipRedemption();
+
+        await updateRedemptionStatus(shipped.redemptionId, { status: 'RETURNED', by: 'OPS' });
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(20);
+        expect(balances.inr).toBeCloseTo(5000 - shipped.fees.total, 2);
+    });
+});
@@ -0,0 +1,444 @@
+// Refunds Module for Multi-Metal Token App
+// Partial and repeated refunds of completed payments, tracked against what was paid
+
+const cron = require('node-cron');
+const { sendProviderRefund, getProviderRefundStatus, updatePaymentStatus } = require('./payments');
+const { getUserBalances, recordBuyReversal, recordDeposit, recordRefund, reverseJournal } = require('./ledger');
+const {
+    getPaymentById,
+    findUserById,
+    saveUser,
+    findTransactionById,
+    saveTransaction,
+    saveRefund,
+    getRefundById,
+    getRefundsByPayment,
+    updateRefundStatus,
+    updatePaymentStatus: savePaymentStatus
+} = require('./repository');
+const { transitionOrder } = require('./settlement');
+const { getStorage, withTransaction } = require('./storage');
+const { withLock, withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+// PROCESSING -> COMPLETED, PROCESSING -> FAILED, FAILED -> PROCESSING (retry)
+const REFUND_STATUSES = ['PROCESSING', 'COMPLETED', 'FAILED'];
+
+// Refunds in these states hold part of the payment's refundable balance
+const ACTIVE_REFUND_STATUSES = ['PROCESSING', 'COMPLETED'];
+
+const AMOUNT_TOLERANCE = 0.01;
+
+// PROCESSING refunds not attempted for this long are checked with the provider by the sweeper
+const REFUND_SWEEP_AFTER_MINUTES = parseInt(process.env.REFUND_SWEEP_AFTER_MINUTES || '15', 10);
+
+let jobRunning = false;
+
+/**
+ * Generate refund ID
+ * @returns {string} Refund ID
+ */
+function generateRefundId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `REF_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Round to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Amount actually received for a payment
+ * @param {Object} payment - Payment
+ * @returns {number} INR received
+ */
+function getPaidAmount(payment) {
+    return payment.paidAmount !== undefined ? payment.paidAmount : payment.amount;
+}
+
+/**
+ * Summarize a payment's refunds and what can still be refunded
+ * @param {Object} payment - Payment
+ * @returns {Promise<Object>} Refund summary with history
+ */
+async function getRefundSummary(payment) {
+    const refunds = await getRefundsByPayment(payment.paymentId);
+    const paidAmount = getPaidAmount(payment);
+
+    const total = status => roundInr(refunds
+        .filter(refund => status.includes(refund.status))
+        .reduce((sum, refund) => sum + refund.amount, 0));
+
+    const refundable = ['COMPLETED', 'REFUNDED'].includes(payment.status)
+        ? roundInr(paidAmount - total(ACTIVE_REFUND_STATUSES))
+        : 0;
+
+    return {
+        paymentId: payment.paymentId,
+        paymentStatus: payment.status,
+        paidAmount,
+        refundedAmount: total(['COMPLETED']),
+        processingAmount: total(['PROCESSING']),
+        refundableAmount: Math.max(0, refundable),
+        refunds
+    };
+}
+
+/**
+ * Unwind the order a refunded payment paid for
+ * A settled buy is reversed in full (metal back to custody, the amount paid back
+ * to the user's INR balance); a still-pending order is cancelled and its payment
+ * credited as INR. Cancelled orders already left their money as INR.
+ * @param {Object} payment - Payment being refunded
+ * @param {string} refundId - Refund causing the reversal
+ * @returns {Promise<Object|null>} Updated order or null
+ */
+async function releaseOrder(payment, refundId) {
+    const order = payment.orderId && await findTransactionById(payment.orderId);
+    if (!order || order.type !== 'BUY') {
+        return null;
+    }
+
+    if (order.status === 'COMPLETED') {
+        const balances = await getUserBalances(order.userId);
+        if (balances[order.asset] + 1e-8 < order.amount) {
+            throw createError('The metal bought with this payment is no longer held, so it cannot be refunded', 409, {
+                required: order.amount,
+                available: balances[order.asset]
+            });
+        }
+
+        const journal = await recordBuyReversal({ buyJournalId: order.journalId, reference: refundId });
+        transitionOrder(order, 'REFUNDED', { reason: 'PAYMENT_REFUNDED', paymentId: payment.paymentId, refundId });
+        order.reversalJournalId = journal.journalId;
+        await saveTransaction(order);
+
+        const user = await findUserById(order.userId);
+        const invested = user.portfolio[order.asset].totalInvested - order.amount * order.price;
+        user.portfolio[order.asset].totalInvested = Math.max(0, invested);
+        await saveUser(user);
+    } else if (order.status === 'PENDING') {
+        const journal = await recordDeposit({
+            userId: order.userId,
+            reference: payment.paymentId,
+            amount: getPaidAmount(payment)
+        });
+        transitionOrder(order, 'CANCELLED', { reason: 'PAYMENT_REFUNDED', paymentId: payment.paymentId, refundId });
+        order.lateDepositJournalId = journal.journalId;
+        order.cancelledAt = new Date();
+        await saveTransaction(order);
+    }
+
+    return order;
+}
+
+/**
+ * Take the refund amount out of the user's INR balance (call under the user's lock)
+ * @param {Object} refund - Refund record
+ * @returns {Promise<Object>} Refund journal
+ */
+async function debitRefund(refund) {
+    const balances = await getUserBalances(refund.userId);
+    if (balances.inr + AMOUNT_TOLERANCE < refund.amount) {
+        throw createError('Refund exceeds the INR balance held for this user', 409, { available: balances.inr });
+    }
+    return recordRefund({ userId: refund.userId, refundId: refund.refundId, amount: refund.amount });
+}
+
+/**
+ * Mark a PROCESSING refund COMPLETED and add it to the payment's refunded amount
+ * @param {string} refundId - Refund ID
+ * @param {Object} providerResult - Provider result ({ reference })
+ * @returns {Promise<Object>} Refund (unchanged if no longer PROCESSING)
+ */
+async function completeRefund(refundId, providerResult) {
+    const { userId } = await getRefundById(refundId);
+    return withUserLock(userId, () => withTransaction(async () => {
+        const refund = await getRefundById(refundId);
+        if (refund.status !== 'PROCESSING') {
+            return refund;
+        }
+
+        const completed = await updateRefundStatus(refundId, 'COMPLETED', {
+            processedAt: new Date(),
+            refundReference: providerResult.reference || refund.refundReference || null,
+            lastError: null
+        });
+
+        const current = await getPaymentById(refund.originalPaymentId);
+        const refundedAmount = roundInr((current.refundedAmount || 0) + refund.amount);
+        await savePaymentStatus(current.paymentId, current.status, { refundedAmount });
+
+        if (refundedAmount + AMOUNT_TOLERANCE >= getPaidAmount(current)) {
+            await updatePaymentStatus(current.paymentId, 'REFUNDED', { refundedAt: new Date() });
+        }
+        return completed;
+    }));
+}
+
+/**
+ * Mark a PROCESSING refund FAILED, putting the amount back into the user's INR balance
+ * @param {string} refundId - Refund ID
+ * @param {string} reason - Failure reason from the provider
+ * @returns {Promise<Object>} Refund (unchanged if no longer PROCESSING)
+ */
+async function failRefund(refundId, reason) {
+    const { userId } = await getRefundById(refundId);
+    return withUserLock(userId, () => withTransaction(async () => {
+        const refund = await getRefundById(refundId);
+        if (refund.status !== 'PROCESSING') {
+            return refund;
+        }
+
+        const reversal = await reverseJournal(refund.journalId, {
+            reference: refundId,
+            description: `Failed refund ${refundId}`
+        });
+        return updateRefundStatus(refundId, 'FAILED', {
+            failedAt: new Date(),
+            failureReason: reason,
+            reversalJournalId: reversal.journalId,
+            lastError: null
+        });
+    }));
+}
+
+/**
+ * Merge fields into a refund that is still PROCESSING
+ * @param {string} refundId - Refund ID
+ * @param {Function} update - (refund) => fields to merge
+ * @returns {Promise<Object>} Refund
+ */
+async function updateProcessingRefund(refundId, update) {
+    const { userId } = await getRefundById(refundId);
+    return withUserLock(userId, async () => {
+        const refund = await getRefundById(refundId);
+        if (refund.status !== 'PROCESSING') {
+            return refund;
+        }
+        return updateRefundStatus(refundId, 'PROCESSING', update(refund));
+    });
+}
+
+/**
+ * Record what the provider said about a refund
+ * @param {Object} refund - PROCESSING refund
+ * @param {Object} result - { status: 'SUCCESS' | 'PENDING' | 'FAILED', reference, failureReason }
+ * @returns {Promise<Object>} Refund after the update
+ */
+async function applyProviderResult(refund, result) {
+    if (result.status === 'FAILED') {
+        return failRefund(refund.refundId, result.failureReason || 'Rejected by provider');
+    }
+    if (result.status === 'PENDING') {
+        return updateProcessingRefund(refund.refundId, () => ({ refundReference: result.reference || null, lastError: null }));
+    }
+    return completeRefund(refund.refundId, result);
+}
+
+/**
+ * Send a PROCESSING refund to the provider and record the outcome
+ * A refund the provider rejects is marked FAILED with the amount back in the
+ * user's INR balance, so it can be retried. When the call itself fails (timeout,
+ * network) the outcome is unknown: the refund stays PROCESSING and the sweeper
+ * asks the provider about it later.
+ * @param {Object} refund - PROCESSING refund
+ * @param {Object} payment - Original payment
+ * @returns {Promise<Object>} Refund after the attempt
+ */
+async function dispatchRefund(refund, payment) {
+    let providerResult;
+    try {
+        providerResult = await sendProviderRefund(payment, refund.amount, refund.refundId);
+    } catch (error) {
+        console.error(`Refund ${refund.refundId} outcome unknown:`, error.message);
+        return updateProcessingRefund(refund.refundId, () => ({ lastError: error.message }));
+    }
+
+    return applyProviderResult(refund, providerResult);
+}
+
+/**
+ * Refund part or all of a completed payment
+ * The amount is checked against the payment's refundable balance (paid minus
+ * processing and completed refunds). The linked order is unwound first; a
+ * partial refund of a settled buy therefore reverses the whole buy and leaves
+ * the remainder as INR balance.
+ * @param {Object} params - Refund parameters
+ * @param {string} params.originalPaymentId - Payment to refund
+ * @param {number} params.amount - Amount to refund
+ * @param {string} params.reason - Reason
+ * @param {string} params.initiatedBy - Admin user ID
+ * @returns {Promise<Object>} Refund after the provider attempt
+ */
+async function processRefund({ originalPaymentId, amount, reason, initiatedBy }) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        throw createError('Refund amount must be a positive number');
+    }
+    if (roundInr(amount) !== amount) {
+        throw createError('Refund amount cannot have more than 2 decimal places');
+    }
+
+    const originalPayment = await getPaymentById(originalPaymentId);
+    if (!originalPayment) {
+        throw createError('Payment not found', 404);
+    }
+
+    const refund = await withUserLock(originalPayment.userId, () => withTransaction(async () => {
+        const payment = await getPaymentById(originalPaymentId);
+        if (payment.status !== 'COMPLETED') {
+            throw createError('Only completed payments can be refunded');
+        }
+
+        const summary = await getRefundSummary(payment);
+        if (amount > summary.refundableAmount + 1e-9) {
+            throw createError('Refund amount exceeds refundable balance', 400, {
+                refundableAmount: summary.refundableAmount
+            });
+        }
+
+        const record = {
+            refundId: generateRefundId(),
+            originalPaymentId,
+            amount,
+            reason,
+            userId: payment.userId,
+            initiatedBy,
+            status: 'PROCESSING',
+            attempts: [{ at: new Date(), initiatedBy }],
+            createdAt: new Date(),
+            processedAt: null
+        };
+
+        const order = await releaseOrder(payment, record.refundId);
+        if (order) {
+            record.orderId = order.transactionId;
+        }
+
+        const journal = await debitRefund(record);
+        record.journalId = journal.journalId;
+        await saveRefund(record);
+        return record;
+    }));
+
+    return dispatchRefund(refund, originalPayment);
+}
+
+/**
+ * Retry a FAILED refund
+ * @param {string} refundId - Refund ID
+ * @param {Object} params - Retry parameters
+ * @param {string} params.initiatedBy - Admin user ID
+ * @returns {Promise<Object>} Refund after the provider attempt
+ */
+async function retryRefund(refundId, { initiatedBy } = {}) {
+    const existing = await getRefundById(refundId);
+    if (!existing) {
+        throw createError('Refund not found', 404);
+    }
+
+    const refund = await withUserLock(existing.userId, () => withTransaction(async () => {
+        const current = await getRefundById(refundId);
+        if (current.status !== 'FAILED') {
+            throw createError(`Only FAILED refunds can be retried (status ${current.status})`, 409);
+        }
+
+        // The failed amount was released, so it must still fit the refundable balance
+        const payment = await getPaymentById(current.originalPaymentId);
+        const summary = await getRefundSummary(payment);
+        if (current.amount > summary.refundableAmount + 1e-9) {
+            throw createError('Refund amount exceeds refundable balance', 400, {
+                refundableAmount: summary.refundableAmount
+            });
+        }
+
+        const journal = await debitRefund(current);
+        return updateRefundStatus(refundId, 'PROCESSING', {
+            journalId: journal.journalId,
+            failureReason: null,
+            attempts: [...(current.attempts || []), { at: new Date(), initiatedBy }]
+        });
+    }));
+
+    return dispatchRefund(refund, await getPaymentById(refund.originalPaymentId));
+}
+
+/**
+ * Resolve refunds stuck in PROCESSING (a crash or timeout around the provider call)
+ * Each one not attempted for `olderThanMinutes` is looked up at the provider by
+ * its refund ID: a settled or rejected refund is recorded as such, one the
+ * provider never received is sent again (the refund ID keeps that from paying
+ * twice), and a pending one is left for the next sweep.
+ * @param {Object} options - { olderThanMinutes }
+ * @returns {Promise<Object>} { checked, completed, failed, resent }
+ */
+async function sweepProcessingRefunds({ olderThanMinutes = REFUND_SWEEP_AFTER_MINUTES } = {}) {
+    return withLock('refunds:sweep', async () => {
+        const cutoff = Date.now() - olderThanMinutes * 60 * 1000;
+        const summary = { checked: 0, completed: 0, failed: 0, resent: 0 };
+
+        for (const refund of await getStorage().find('refunds', { status: 'PROCESSING' }, { orderBy: 'createdAt' })) {
+            const attempts = refund.attempts || [];
+            const lastAttemptAt = new Date(attempts.length ? attempts[attempts.length - 1].at : refund.createdAt);
+            if (lastAttemptAt.getTime() > cutoff) continue;
+
+            summary.checked += 1;
+            try {
+                const payment = await getPaymentById(refund.originalPaymentId);
+                const result = await getProviderRefundStatus(payment, refund.refundId);
+                let updated;
+                if (result.status === 'NOT_FOUND') {
+                    const attempted = await updateProcessingRefund(refund.refundId, current => ({
+                        attempts: [...(current.attempts || []), { at: new Date(), initiatedBy: 'SWEEPER' }]
+                    }));
+                    updated = await dispatchRefund(attempted, payment);
+                    summary.resent += 1;
+                } else {
+                    updated = await applyProviderResult(refund, result);
+                }
+
+                if (updated.status === 'COMPLETED') summary.completed += 1;
+                if (updated.status === 'FAILED') summary.failed += 1;
+            } catch (error) {
+                console.error(`Refund sweep failed for ${refund.refundId}:`, error.message);
+            }
+        }
+        return summary;
+    });
+}
+
+/**
+ * Schedule the PROCESSING refund sweeper
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default REFUND_SWEEP_SCHEDULE or every 10 minutes)
+ * @returns {Object} Scheduled cron task
+ */
+function startRefundJobs({ schedule = process.env.REFUND_SWEEP_SCHEDULE || '*/10 * * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            await sweepProcessingRefunds();
+        } catch (error) {
+            console.error('Refund sweep error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    });
+}
+
+module.exports = {
+    REFUND_STATUSES,
+    REFUND_SWEEP_AFTER_MINUTES,
+    getRefundSummary,
+    processRefund,
+    retryRefund,
+    sweepProcessingRefunds,
+    startRefundJobs
+};
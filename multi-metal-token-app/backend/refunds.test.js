@@ -0,0 +1,112 @@
+jest.mock('./payments', () => {
+    const actual = jest.requireActual('./payments');
+    return {
+        ...actual,
+        sendProviderRefund: jest.fn(actual.sendProviderRefund),
+        getProviderRefundStatus: jest.fn(actual.getProviderRefundStatus)
+    };
+});
+
+const payments = require('./payments');
+const { resetStorage, createTestUser, useFixedRates } = require('./test-utils');
+const { processRefund, retryRefund, getRefundSummary, sweepProcessingRefunds } = require('./refunds');
+const { createBuyOrder } = require('./trading');
+const { registerSettlementHandlers } = require('./settlement');
+const { savePayment, getPaymentById, getRefundById, findTransactionById } = require('./repository');
+const { getUserBalances, recordDeposit, reconcileLedger } = require('./ledger');
+
+let user;
+let payment;
+
+registerSettlementHandlers();
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    const actual = jest.requireActual('./payments');
+    payments.sendProviderRefund.mockReset().mockImplementation(actual.sendProviderRefund);
+    payments.getProviderRefundStatus.mockReset().mockImplementation(actual.getProviderRefundStatus);
+    user = await createTestUser();
+
+    payment = await savePayment({ paymentId: 'PAY_DEPOSIT', userId: user.userId, amount: 5000, method: 'UPI', status: 'COMPLETED', createdAt: new Date() });
+    await recordDeposit({ userId: user.userId, reference: payment.paymentId, amount: 5000 });
+});
+
+test('partial refunds repeat up to the paid amount', async () => {
+    const first = await processRefund({ originalPaymentId: payment.paymentId, amount: 2000, reason: 'r', initiatedBy: 'ADMIN' });
+    expect(first.status).toBe('COMPLETED');
+    expect(payments.sendProviderRefund).toHaveBeenCalledWith(expect.objectContaining({ paymentId: payment.paymentId }), 2000, first.refundId);
+
+    await expect(processRefund({ originalPaymentId: payment.paymentId, amount: 3500, reason: 'r' }))
+        .rejects.toMatchObject({ statusCode: 400, details: { refundableAmount: 3000 } });
+
+    await processRefund({ originalPaymentId: payment.paymentId, amount: 3000, reason: 'r' });
+    expect((await getPaymentById(payment.paymentId)).status).toBe('REFUNDED');
+    expect((await getUserBalances(user.userId)).inr).toBe(0);
+    expect((await reconcileLedger()).balanced).toBe(true);
+});
+
+test('a rejected refund returns the amount and can be retried', async () => {
+    payments.sendProviderRefund.mockResolvedValueOnce({ status: 'FAILED', failureReason: 'Account closed' });
+
+    const failed = await processRefund({ originalPaymentId: payment.paymentId, amount: 1000, reason: 'r' });
+    expect(failed).toMatchObject({ status: 'FAILED', failureReason: 'Account closed' });
+    expect((await getUserBalances(user.userId)).inr).toBe(5000);
+
+    const retried = await retryRefund(failed.refundId, { initiatedBy: 'ADMIN' });
+    expect(retried.status).toBe('COMPLETED');
+    expect((await getUserBalances(user.userId)).inr).toBe(4000);
+});
+
+test('an unknown outcome stays PROCESSING until the sweeper resolves it', async () => {
+    payments.sendProviderRefund.mockRejectedValueOnce(new Error('socket hang up'));
+
+    const pending = await processRefund({ originalPaymentId: payment.paymentId, amount: 1000, reason: 'r' });
+    expect(pending).toMatchObject({ status: 'PROCESSING', lastError: 'socket hang up' });
+    // Still held against the payment and out of the wallet
+    expect((await getRefundSummary(payment)).refundableAmount).toBe(4000);
+    expect((await getUserBalances(user.userId)).inr).toBe(4000);
+    await expect(retryRefund(pending.refundId)).rejects.toMatchObject({ statusCode: 409 });
+
+    // Too recent for the default sweep
+    expect(await sweepProcessingRefunds()).toMatchObject({ checked: 0 });
+
+    const summary = await sweepProcessingRefunds({ olderThanMinutes: 0 });
+    expect(summary).toEqual({ checked: 1, completed: 1, failed: 0, resent: 1 });
+    expect(payments.getProviderRefundStatus).toHaveBeenCalledWith(expect.anything(), pending.refundId);
+    expect(payments.sendProviderRefund).toHaveBeenLastCalledWith(expect.anything(), 1000, pending.refundId);
+
+    const refund = await getRefundById(pending.refundId);
+    expect(refund.status).toBe('COMPLETED');
+    expect(refund.attempts.map(attempt => attempt.initiatedBy)).toEqual([undefined, 'SWEEPER']);
+});
+
+test('the sweeper records what the provider already did without sending again', async () => {
+    payments.sendProviderRefund.mockRejectedValue(new Error('timeout'));
+    const paid = await processRefund({ originalPaymentId: payment.paymentId, amount: 1000, reason: 'r' });
+    const rejected = await processRefund({ originalPaymentId: payment.paymentId, amount: 500, reason: 'r' });
+    payments.sendProviderRefund.mockClear();
+
+    payments.getProviderRefundStatus.mockImplementation(async (_, reference) => (reference === paid.refundId
+        ? { status: 'SUCCESS', reference: 'UPI_REF_1' }
+        : { status: 'FAILED', failureReason: 'Beneficiary bank down' }));
+
+    expect(await sweepProcessingRefunds({ olderThanMinutes: 0 })).toEqual({ checked: 2, completed: 1, failed: 1, resent: 0 });
+    expect(payments.sendProviderRefund).not.toHaveBeenCalled();
+    expect(await getRefundById(paid.refundId)).toMatchObject({ status: 'COMPLETED', refundReference: 'UPI_REF_1' });
+    expect(await getRefundById(rejected.refundId)).toMatchObject({ status: 'FAILED', failureReason: 'Beneficiary bank down' });
+    expect((await getUserBalances(user.userId)).inr).toBe(4000);
+});
+
+test('refunding the payment of a settled buy reverses the buy', async () => {
+    const order = await createBuyOrder({ userId: user.userId, asset: 'gold', amount: 0.5, paymentMethod: 'UPI', upiId: 'user@okaxis' });
+    await payments.updatePaymentStatus(order.paymentId, 'COMPLETED', { completedAt: new Date() });
+    expect((await getUserBalances(user.userId)).gold).toBe(0.5);
+
+    await processRefund({ originalPaymentId: order.paymentId, amount: order.totalCost, reason: 'r' });
+
+    expect((await findTransactionById(order.transactionId)).status).toBe('REFUNDED');
+    expect((await getUserBalances(user.userId)).gold).toBe(0);
+    expect((await getPaymentById(order.paymentId)).status).toBe('REFUNDED');
+    expect((await reconcileLedger()).balanced).toBe(true);
+});
@@ -0,0 +1,235 @@
+// Repository Module for Multi-Metal Token App
+// Data access for users, transactions, SIP plans, payments and refunds
+
+const { getStorage } = require('./storage');
+
+// ==================== USERS ====================
+
+/**
+ * Find user by email
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} User or null
+ */
+async function findUserByEmail(email) {
+    if (!email) {
+        return null;
+    }
+    const [user] = await getStorage().find('users', { email: email.toLowerCase() }, { limit: 1 });
+    return user || null;
+}
+
+/**
+ * Find user by ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User or null
+ */
+async function findUserById(userId) {
+    return getStorage().get('users', userId);
+}
+
+/**
+ * Create or update user
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} Saved user
+ */
+async function saveUser(user) {
+    user.email = user.email.toLowerCase();
+    user.updatedAt = new Date();
+    return getStorage().save('users', user);
+}
+
+// ==================== TRANSACTIONS ====================
+
+/**
+ * Create or update transaction
+ * @param {Object} transaction - Transaction record
+ * @returns {Promise<Object>} Saved transaction
+ */
+async function saveTransaction(transaction) {
+    transaction.updatedAt = new Date();
+    return getStorage().save('transactions', transaction);
+}
+
+/**
+ * Find transaction by ID
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object|null>} Transaction or null
+ */
+async function findTransactionById(transactionId) {
+    return getStorage().get('transactions', transactionId);
+}
+
+/**
+ * Get paginated transactions for a user, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} { data, total }
+ */
+async function getUserTransactions(userId, options = {}) {
+    const { page = 1, limit = 50, asset, type } = options;
+
+    const where = { userId };
+    if (asset) where.asset = asset;
+    if (type) where.type = type;
+
+    const storage = getStorage();
+    const [data, total] = await Promise.all([
+        storage.find('transactions', where, {
+            orderBy: 'createdAt',
+            order: 'desc',
+            limit,
+            offset: (page - 1) * limit
+        }),
+        storage.count('transactions', where)
+    ]);
+
+    return { data, total };
+}
+
+// ==================== SIP PLANS ====================
+
+/**
+ * Create or update SIP plan
+ * @param {Object} sipPlan - SIP plan
+ * @returns {Promise<Object>} Saved SIP plan
+ */
+async function saveSIPPlan(sipPlan) {
+    sipPlan.updatedAt = new Date();
+    return getStorage().save('sip_plans', sipPlan);
+}
+
+/**
+ * Get all SIP plans for a user, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} SIP plans
+ */
+async function getSIPPlansByUser(userId) {
+    return getStorage().find('sip_plans', { userId }, { orderBy: 'createdAt' });
+}
+
+// ==================== PAYMENTS ====================
+
+/**
+ * Create or update payment
+ * @param {Object} payment - Payment record
+ * @returns {Promise<Object>} Saved payment
+ */
+async function savePayment(payment) {
+    payment.updatedAt = new Date();
+    return getStorage().save('payments', payment);
+}
+
+/**
+ * Find payment by ID
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object|null>} Payment or null
+ */
+async function getPaymentById(paymentId) {
+    return getStorage().get('payments', paymentId);
+}
+
+/**
+ * Update payment status, merging extra details into the record
+ * @param {string} paymentId - Payment ID
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields to store
+ * @returns {Promise<Object|null>} Updated payment or null if not found
+ */
+async function updatePaymentStatus(paymentId, status, details = {}) {
+    const payment = await getPaymentById(paymentId);
+    if (!payment) {
+        return null;
+    }
+    return savePayment({ ...payment, ...details, status });
+}
+
+/**
+ * Get paginated payments for a user, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} { data, total }
+ */
+async function getPaymentsByUser(userId, options = {}) {
+    const { page = 1, limit = 50, status, method } = options;
+
+    const where = { userId };
+    if (status) where.status = status;
+    if (method) where.method = method;
+
+    const storage = getStorage();
+    const [data, total] = await Promise.all([
+        storage.find('payments', where, {
+            orderBy: 'createdAt',
+            order: 'desc',
+            limit,
+            offset: (page - 1) * limit
+        }),
+        storage.count('payments', where)
+    ]);
+
+    return { data, total };
+}
+
+// ==================== REFUNDS ====================
+
+/**
+ * Create or update refund
+ * @param {Object} refund - Refund record
+ * @returns {Promise<Object>} Saved refund
+ */
+async function saveRefund(refund) {
+    refund.updatedAt = new Date();
+    return getStorage().save('refunds', refund);
+}
+
+/**
+ * Get refund by ID
+ * @param {string} refundId - Refund ID
+ * @returns {Promise<Object|null>} Refund or null
+ */
+async function getRefundById(refundId) {
+    return getStorage().get('refunds', refundId);
+}
+
+/**
+ * Get all refunds of a payment, oldest first
+ * @param {string} paymentId - Original payment ID
+ * @returns {Promise<Array>} Refunds
+ */
+async function getRefundsByPayment(paymentId) {
+    return getStorage().find('refunds', { originalPaymentId: paymentId }, { orderBy: 'createdAt', order: 'asc' });
+}
+
+/**
+ * Update refund status, merging extra details into the record
+ * @param {string} refundId - Refund ID
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields to store
+ * @returns {Promise<Object|null>} Updated refund or null if not found
+ */
+async function updateRefundStatus(refundId, status, details = {}) {
+    const refund = await getStorage().get('refunds', refundId);
+    if (!refund) {
+        return null;
+    }
+    return saveRefund({ ...refund, ...details, status });
+}
+
+module.exports = {
+    findUserByEmail,
+    findUserById,
+    saveUser,
+    saveTransaction,
+    findTransactionById,
+    getUserTransactions,
+    saveSIPPlan,
+    getSIPPlansByUser,
+    savePayment,
+    getPaymentById,
+    updatePaymentStatus,
+    getPaymentsByUser,
+    saveRefund,
+    getRefundById,
+    getRefundsByPayment,
+    updateRefundStatus
+};
@@ -0,0 +1,52 @@
+const { resetStorage, createTestUser } = require('./test-utils');
+const {
+    findUserByEmail,
+    findUserById,
+    saveTransaction,
+    getUserTransactions,
+    savePayment,
+    updatePaymentStatus,
+    getPaymentsByUser,
+    saveRefund,
+    getRefundsByPayment
+} = require('./repository');
+
+beforeEach(() => {
+    resetStorage();
+});
+
+test('users are found by ID and by case-insensitive email', async () => {
+    const user = await createTestUser({ email: 'Mixed.Case@Example.com' });
+
+    expect((await findUserById(user.userId)).email).toBe('mixed.case@example.com');
+    expect((await findUserByEmail('MIXED.case@example.com')).userId).toBe(user.userId);
+    expect(await findUserByEmail(undefined)).toBeNull();
+});
+
+test('transactions page newest first with filters', async () => {
+    for (let i = 1; i <= 3; i++) {
+        await saveTransaction({ transactionId: `T${i}`, userId: 'U1', type: 'BUY', asset: i === 2 ? 'silver' : 'gold', status: 'COMPLETED', createdAt: new Date(Date.UTC(2025, 0, i)) });
+    }
+
+    const page = await getUserTransactions('U1', { page: 1, limit: 2 });
+    expect(page.total).toBe(3);
+    expect(page.data.map(t => t.transactionId)).toEqual(['T3', 'T2']);
+    expect((await getUserTransactions('U1', { asset: 'gold' })).total).toBe(2);
+});
+
+test('payment status updates merge details', async () => {
+    await savePayment({ paymentId: 'P1', userId: 'U1', method: 'UPI', status: 'PENDING', createdAt: new Date() });
+
+    const updated = await updatePaymentStatus('P1', 'COMPLETED', { completedAt: new Date() });
+    expect(updated.status).toBe('COMPLETED');
+    expect(updated.method).toBe('UPI');
+    expect(await updatePaymentStatus('missing', 'FAILED')).toBeNull();
+    expect((await getPaymentsByUser('U1', { status: 'COMPLETED' })).total).toBe(1);
+});
+
+test('refunds are listed per payment oldest first', async () => {
+    await saveRefund({ refundId: 'R2', originalPaymentId: 'P1', userId: 'U1', status: 'COMPLETED', createdAt: new Date(2000) });
+    await saveRefund({ refundId: 'R1', originalPaymentId: 'P1', userId: 'U1', status: 'COMPLETED', createdAt: new Date(1000) });
+
+    expect((await getRefundsByPayment('P1')).map(r => r.refundId)).toEqual(['R1', 'R2']);
+});
@@ -0,0 +1,247 @@
+// Reserves Module for Multi-Metal Token App
+// Proof of reserves: customer holdings against vault bars, with a Merkle tree of
+// customer balances so each user can check they are included
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { VAULT_METALS, getCustomerHoldings, getCustomerLiabilities, allocateAllBars } = require('./vault');
+const { getStorage, withTransaction } = require('./storage');
+const { roundAmount } = require('./ledger');
+const { createError } = require('./errors');
+
+let jobRunning = false;
+
+/**
+ * Generate reserve snapshot ID
+ * @returns {string} Snapshot ID
+ */
+function generateSnapshotId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `POR_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * SHA-256 as hex
+ * @param {string} data - Data
+ * @returns {string} Hash
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ==================== MERKLE TREE ====================
+
+/**
+ * Leaf hash of one customer: sha256("userId:salt:gold:silver:platinum")
+ * The per-snapshot salt stops anyone guessing balances from the sibling hashes in a proof.
+ * @param {Object} leaf - { userId, salt, balances }
+ * @returns {string} Leaf hash
+ */
+function hashLeaf({ userId, salt, balances }) {
+    return sha256([userId, salt, ...VAULT_METALS.map(metal => balances[metal].toFixed(8))].join(':'));
+}
+
+/**
+ * Parent hash of two nodes: sha256(left + right) over the hex strings
+ * @param {string} left - Left hash
+ * @param {string} right - Right hash
+ * @returns {string} Parent hash
+ */
+function hashPair(left, right) {
+    return sha256(left + right);
+}
+
+/**
+ * Build every level of the tree, leaves first
+ * An odd node out is carried up to the next level unchanged.
+ * @param {Array} leafHashes - Leaf hashes in tree order
+ * @returns {Array} Levels of hashes; the last one holds the root
+ */
+function buildLevels(leafHashes) {
+    const levels = [leafHashes];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+/**
+ * Merkle root of a list of leaf hashes
+ * @param {Array} leafHashes - Leaf hashes in tree order
+ * @returns {string|null} Root, or null for an empty tree
+ */
+function merkleRoot(leafHashes) {
+    if (leafHashes.length === 0) return null;
+    const levels = buildLevels(leafHashes);
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Sibling path from a leaf to the root
+ * @param {Array} leafHashes - Leaf hashes in tree order
+ * @param {number} index - Leaf index
+ * @returns {Array} [{ position: 'left' | 'right', hash }], leaf level first
+ */
+function merkleProof(leafHashes, index) {
+    const proof = [];
+    let position = index;
+    for (const level of buildLevels(leafHashes).slice(0, -1)) {
+        const sibling = position % 2 === 0 ? position + 1 : position - 1;
+        if (sibling < level.length) {
+            proof.push({ position: position % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+        }
+        position = Math.floor(position / 2);
+    }
+    return proof;
+}
+
+/**
+ * Check a leaf hash against a root with its sibling path
+ * @param {string} leafHash - Leaf hash
+ * @param {Array} proof - Output of merkleProof
+ * @param {string} root - Published root
+ * @returns {boolean} Whether the leaf is included
+ */
+function verifyMerkleProof(leafHash, proof, root) {
+    const computed = proof.reduce(
+        (hash, step) => (step.position === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash)),
+        leafHash
+    );
+    return computed === root;
+}
+
+// ==================== SNAPSHOTS ====================
+
+/**
+ * Take a proof-of-reserves snapshot: allocate the vault, total customer holdings
+ * and publish the Merkle root of every customer's balances
+ * @returns {Promise<Object>} Snapshot
+ */
+async function createReserveSnapshot() {
+    return withTransaction(async () => {
+        const snapshotId = generateSnapshotId();
+        // One read of the ledger feeds both the allocation and the tree, so they agree
+        const holdings = await getCustomerHoldings();
+        const allocation = await allocateAllBars(await getCustomerLiabilities(holdings));
+
+        // Leaves in user ID order so the tree is reproducible from the stored leaves
+        const leaves = [...holdings.entries()]
+            .filter(([, balances]) => VAULT_METALS.some(metal => balances[metal] !== 0))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([userId, balances], index) => {
+                const leaf = { userId, salt: crypto.randomBytes(16).toString('hex'), balances };
+                return { leafId: `${snapshotId}:${userId}`, snapshotId, userId, index, ...leaf, hash: hashLeaf(leaf) };
+            });
+
+        const metals = {};
+        for (const metal of VAULT_METALS) {
+            const { liabilities, holdings: vaultHoldings, allocated, unallocated, shortfall, bars, locations } = allocation[metal];
+            metals[metal] = {
+                customerBalances: liabilities,
+                vaultHoldings,
+                allocated,
+                unallocated,
+                shortfall,
+                coverageRatio: liabilities > 0 ? roundAmount(vaultHoldings / liabilities) : null,
+                fullyBacked: shortfall === 0,
+                bars,
+                locations
+            };
+        }
+
+        const snapshot = {
+            snapshotId,
+            metals,
+            fullyBacked: Object.values(metals).every(metal => metal.fullyBacked),
+            merkle: {
+                root: merkleRoot(leaves.map(leaf => leaf.hash)),
+                leafCount: leaves.length,
+                algorithm: 'sha256; leaf = sha256("userId:salt:gold:silver:platinum") with 8-decimal balances; ' +
+                    'node = sha256(left + right) over hex; an odd node is carried up'
+            },
+            createdAt: new Date()
+        };
+
+        for (const leaf of leaves) {
+            await getStorage().save('reserve_leaves', leaf);
+        }
+        await getStorage().save('reserve_snapshots', snapshot);
+        return snapshot;
+    });
+}
+
+/**
+ * Latest published snapshot (taking the first one if none exists yet)
+ * @returns {Promise<Object>} Snapshot
+ */
+async function getLatestReserveSnapshot() {
+    const [latest] = await getStorage().find('reserve_snapshots', {}, { orderBy: 'createdAt', order: 'desc', limit: 1 });
+    return latest || createReserveSnapshot();
+}
+
+/**
+ * A user's leaf and Merkle path in the latest snapshot
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { snapshotId, root, leaf, proof, verified }
+ */
+async function getReserveProof(userId) {
+    const snapshot = await getLatestReserveSnapshot();
+    const leaves = (await getStorage().find('reserve_leaves', { snapshotId: snapshot.snapshotId }))
+        .sort((a, b) => a.index - b.index);
+    const leaf = leaves.find(item => item.userId === userId);
+    if (!leaf) {
+        throw createError('No metal balance in the latest reserve snapshot', 404, { snapshotId: snapshot.snapshotId });
+    }
+
+    const proof = merkleProof(leaves.map(item => item.hash), leaf.index);
+    return {
+        snapshotId: snapshot.snapshotId,
+        snapshotAt: snapshot.createdAt,
+        root: snapshot.merkle.root,
+        leaf: { userId, salt: leaf.salt, balances: leaf.balances, index: leaf.index, hash: leaf.hash },
+        proof,
+        verified: verifyMerkleProof(hashLeaf(leaf), proof, snapshot.merkle.root)
+    };
+}
+
+/**
+ * Schedule reserve snapshots
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default RESERVES_SCHEDULE or hourly at :45)
+ * @returns {Object} Scheduled cron task
+ */
+function startReserveJobs({ schedule = process.env.RESERVES_SCHEDULE || '45 * * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            const snapshot = await createReserveSnapshot();
+            if (!snapshot.fullyBacked) {
+                console.error('Proof of reserves: shortfall', Object.fromEntries(
+                    Object.entries(snapshot.metals).map(([metal, report]) => [metal, report.shortfall])
+                ));
+            }
+        } catch (error) {
+            console.error('Proof of reserves error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    });
+}
+
+module.exports = {
+    hashLeaf,
+    merkleRoot,
+    merkleProof,
+    verifyMerkleProof,
+    createReserveSnapshot,
+    getLatestReserveSnapshot,
+    getReserveProof,
+    startReserveJobs
+};
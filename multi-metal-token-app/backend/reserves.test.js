@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { resetStorage, createTestUser, authHeader, fundUser } = require('./test-utils');
+const { hashLeaf, merkleRoot, merkleProof, verifyMerkleProof, createReserveSnapshot } = require('./reserves');
+const { addBar } = require('./vault');
+const app = require('./server');
+
+beforeEach(() => {
+    resetStorage();
+});
+
+describe('merkle tree', () => {
+    const leaves = ['a', 'b', 'c', 'd', 'e'].map(userId => hashLeaf({ userId, salt: 'salt', balances: { gold: 1, silver: 0, platinum: 0 } }));
+
+    test('every leaf proves against the root, an odd leaf included', () => {
+        const root = merkleRoot(leaves);
+        leaves.forEach((leaf, index) => {
+            expect(verifyMerkleProof(leaf, merkleProof(leaves, index), root)).toBe(true);
+        });
+        // The fifth leaf is carried up unpaired, so its path is the root of the first four
+        expect(merkleProof(leaves, 4)).toEqual([{ position: 'left', hash: merkleRoot(leaves.slice(0, 4)) }]);
+    });
+
+    test('a changed balance or sibling does not verify', () => {
+        const root = merkleRoot(leaves);
+        const forged = hashLeaf({ userId: 'a', salt: 'salt', balances: { gold: 2, silver: 0, platinum: 0 } });
+        expect(verifyMerkleProof(forged, merkleProof(leaves, 0), root)).toBe(false);
+
+        const proof = merkleProof(leaves, 1);
+        proof[0] = { ...proof[0], hash: leaves[2] };
+        expect(verifyMerkleProof(leaves[1], proof, root)).toBe(false);
+        expect(merkleRoot([])).toBeNull();
+    });
+});
+
+describe('snapshots', () => {
+    test('compare customer balances with the vault and leave out users without metal', async () => {
+        const [holder, saver] = [await createTestUser(), await createTestUser()];
+        await fundUser(holder.userId, 'gold', 800);
+        await fundUser(saver.userId, 'inr', 5000);
+        await addBar({ serialNumber: 'AB1', refiner: 'MMTC-PAMP', asset: 'gold', purity: 1000, weight: 1000, location: 'MUMBAI-BKC' });
+
+        const snapshot = await createReserveSnapshot();
+        expect(snapshot.metals.gold).toMatchObject({ customerBalances: 800, vaultHoldings: 1000, allocated: 800, unallocated: 200, coverageRatio: 1.25, fullyBacked: true });
+        expect(snapshot.metals.silver).toMatchObject({ customerBalances: 0, coverageRatio: null, fullyBacked: true });
+        expect(snapshot).toMatchObject({ fullyBacked: true, merkle: { leafCount: 1 } });
+    });
+
+    test('a shortfall in one metal marks the snapshot as not fully backed', async () => {
+        const user = await createTestUser();
+        await fundUser(user.userId, 'silver', 10);
+
+        const snapshot = await createReserveSnapshot();
+        expect(snapshot.metals.silver).toMatchObject({ shortfall: 10, fullyBacked: false });
+        expect(snapshot.fullyBacked).toBe(false);
+    });
+});
+
+describe('routes', () => {
+    test('GET /api/reserves is public and serves the latest snapshot', async () => {
+        const user = await createTestUser();
+        await fundUser(user.userId, 'gold', 5);
+
+        const first = await request(app).get('/api/reserves');
+        expect(first.status).toBe(200);
+        expect(first.body.metals.gold.customerBalances).toBe(5);
+        expect((await request(app).get('/api/reserves')).body.snapshotId).toBe(first.body.snapshotId);
+    });
+
+    test('GET /api/reserves/proof lets a user verify their own balance', async () => {
+        const users = [await createTestUser(), await createTestUser(), await createTestUser()];
+        for (const [index, user] of users.entries()) {
+            await fundUser(user.userId, 'gold', index + 1);
+        }
+        const snapshot = await createReserveSnapshot();
+
+        const res = await request(app).get('/api/reserves/proof').set('Authorization', authHeader(users[1]));
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ snapshotId: snapshot.snapshotId, root: snapshot.merkle.root, verified: true, leaf: { userId: users[1].userId, balances: { gold: 2 } } });
+        // The user can recompute the leaf from their balances and the published salt
+        expect(verifyMerkleProof(hashLeaf(res.body.leaf), res.body.proof, res.body.root)).toBe(true);
+
+        const other = await createTestUser();
+        expect((await request(app).get('/api/reserves/proof').set('Authorization', authHeader(other))).status).toBe(404);
+    });
+
+    test('vault routes are admin only', async () => {
+        const user = await createTestUser();
+        const admin = await createTestUser({ role: 'ADMIN' });
+        const bar = { serialNumber: 'AB1', refiner: 'MMTC-PAMP', asset: 'gold', purity: 999.9, weight: 1000, location: 'MUMBAI-BKC' };
+
+        expect((await request(app).post('/api/vault/bars').set('Authorization', authHeader(user)).send(bar)).status).toBe(403);
+        const res = await request(app).post('/api/vault/bars').set('Authorization', authHeader(admin)).send(bar);
+        expect(res.status).toBe(201);
+        expect(res.body.addedBy).toBe(admin.userId);
+    });
+});
@@ -0,0 +1,30 @@
+// Database Migration Script for Multi-Metal Token App
+// Usage: npm run migrate  (DB_CLIENT=pg DATABASE_URL=postgres://... for Postgres)
+
+require('dotenv').config();
+const { getStorage, closeStorage } = require('../storage');
+
+async function migrate() {
+    const storage = getStorage();
+    const result = await storage.migrate();
+
+    if (result.client === 'file') {
+        console.log(`✅ File store ready with collections: ${result.collections.join(', ')}`);
+    } else if (result.migrations.length === 0) {
+        console.log('✅ Database already up to date');
+    } else {
+        console.log(`✅ Batch ${result.batch} ran ${result.migrations.length} migrations:`);
+        result.migrations.forEach(name => console.log(`   - ${name}`));
+    }
+}
+
+if (require.main === module) {
+    migrate()
+        .catch(error => {
+            console.error('❌ Migration failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(closeStorage);
+}
+
+module.exports = { migrate };
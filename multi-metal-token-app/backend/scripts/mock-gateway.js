@@ -0,0 +1,113 @@
+// Mock Payment Gateway for Multi-Metal Token App
+// Emits signed webhooks to the API so payment flows can be tested offline.
+// Usage: npm run mock:gateway
+//
+//   POST /payments/:paymentId/complete  { "amount": 1234.5 }   -> payment.completed
+//   POST /payments/:paymentId/fail      { "reason": "..." }    -> payment.failed
+//   POST /payments/:paymentId/expire                           -> payment.expired
+//   POST /events/:eventId/redeliver                            -> resend (tests dedupe)
+//   GET  /events                                               -> events sent so far
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { signWebhook } = require('../webhooks');
+
+const PORT = process.env.MOCK_GATEWAY_PORT || 4010;
+const WEBHOOK_TARGET_URL = process.env.WEBHOOK_TARGET_URL || 'http://localhost:3001/api/payments/webhooks/mock';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET_MOCK;
+
+if (!WEBHOOK_SECRET) {
+    console.error('❌ Set WEBHOOK_SECRET_MOCK (the same value as the API) to sign webhooks');
+    process.exit(1);
+}
+
+const events = new Map();
+
+/**
+ * Sign and POST an event to the API
+ * @param {Object} event - Webhook event
+ * @returns {Promise<Object>} Delivery result
+ */
+async function deliver(event) {
+    const rawBody = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await axios.post(WEBHOOK_TARGET_URL, rawBody, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-MMT-Signature': signWebhook(WEBHOOK_SECRET, timestamp, rawBody)
+            }
+        });
+        return { status: response.status, body: response.data };
+    } catch (error) {
+        if (error.response) {
+            return { status: error.response.status, body: error.response.data };
+        }
+        return { status: null, error: error.message };
+    }
+}
+
+/**
+ * Create, record and deliver a payment event
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Event and delivery result
+ */
+async function emit(type, data) {
+    const event = {
+        id: 'evt_' + crypto.randomBytes(8).toString('hex'),
+        type,
+        createdAt: new Date().toISOString(),
+        data
+    };
+    events.set(event.id, event);
+
+    const delivery = await deliver(event);
+    console.log(`➡️  ${type} ${data.paymentId} (${event.id}) -> ${delivery.status || delivery.error}`);
+    return { event, delivery };
+}
+
+const app = express();
+app.use(express.json());
+
+app.post('/payments/:paymentId/complete', async (req, res) => {
+    res.json(await emit('payment.completed', {
+        paymentId: req.params.paymentId,
+        amount: req.body.amount,
+        providerReference: 'MOCK' + Date.now()
+    }));
+});
+
+app.post('/payments/:paymentId/fail', async (req, res) => {
+    res.json(await emit('payment.failed', {
+        paymentId: req.params.paymentId,
+        failureReason: req.body.reason || 'Declined by mock gateway'
+    }));
+});
+
+app.post('/payments/:paymentId/expire', async (req, res) => {
+    res.json(await emit('payment.expired', { paymentId: req.params.paymentId }));
+});
+
+app.post('/events/:eventId/redeliver', async (req, res) => {
+    const event = events.get(req.params.eventId);
+    if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json({ event, delivery: await deliver(event) });
+});
+
+app.get('/events', (req, res) => {
+    res.json({ events: [...events.values()] });
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🧪 Mock payment gateway on port ${PORT}, delivering to ${WEBHOOK_TARGET_URL}`);
+    });
+}
+
+module.exports = app;
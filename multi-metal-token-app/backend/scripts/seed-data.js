@@ -0,0 +1,77 @@
+// Seed Data Script for Multi-Metal Token App
+// Creates a demo user and an admin so the frontend can be exercised locally.
+// Usage: npm run seed
+
+require('dotenv').config();
+const { hashPassword } = require('../auth');
+const { findUserByEmail, saveUser } = require('../repository');
+const { closeStorage } = require('../storage');
+
+const SEED_USERS = [
+    {
+        userId: 'USER_DEMO_0001',
+        email: 'demo@multimetaltoken.com',
+        phone: '9876543210',
+        password: 'Demo@12345',
+        referralCode: 'MMTDEMO01',
+        role: 'USER'
+    },
+    {
+        userId: 'USER_ADMIN_0001',
+        email: 'admin@multimetaltoken.com',
+        phone: '9876543211',
+        password: 'Admin@12345',
+        referralCode: 'MMTADMIN1',
+        role: 'ADMIN'
+    }
+];
+
+async function createSeedUser(seedUser) {
+    const existing = await findUserByEmail(seedUser.email);
+    if (existing) {
+        console.log(`ℹ️  User already exists: ${seedUser.email}`);
+        return;
+    }
+
+    await saveUser({
+        userId: seedUser.userId,
+        email: seedUser.email,
+        phone: seedUser.phone,
+        passwordHash: await hashPassword(seedUser.password),
+        referralCode: seedUser.referralCode,
+        kycLevel: 2,
+        role: seedUser.role,
+        status: 'ACTIVE',
+        createdAt: new Date(),
+        portfolio: {
+            gold: { totalInvested: 0, tokens: [] },
+            silver: { totalInvested: 0, tokens: [] },
+            platinum: { totalInvested: 0, tokens: [] },
+            stablecoin: { totalInvested: 0 },
+            sipPlans: [],
+            totalValue: 0,
+            totalProfit: 0
+        },
+        transactions: [],
+        sipFees: { lastPaid: null, totalPaid: 0 }
+    });
+
+    console.log(`✅ ${seedUser.role} user created: ${seedUser.email} / ${seedUser.password}`);
+}
+
+async function seed() {
+    for (const seedUser of SEED_USERS) {
+        await createSeedUser(seedUser);
+    }
+}
+
+if (require.main === module) {
+    seed()
+        .catch(error => {
+            console.error('❌ Seeding failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(closeStorage);
+}
+
+module.exports = { seed };
@@ -0,0 +1,20 @@
+// Database Setup Script for Multi-Metal Token App
+// Runs all migrations, then seeds demo data.
+// Usage: npm run setup:db
+
+require('dotenv').config();
+const { migrate } = require('./migrate');
+const { seed } = require('./seed-data');
+const { closeStorage } = require('../storage');
+
+async function setup() {
+    await migrate();
+    await seed();
+}
+
+setup()
+    .catch(error => {
+        console.error('❌ Database setup failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(closeStorage);
@@ -5,11 +5,149 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { Gateway, Wallets } = require('fabric-network');
-const { hashPassword, verifyPassword, generateToken, authenticateJWT } = require('./auth');
-const { createPaymentIntent, verifyPayment } = require('./payments');
-const { calculateFees, calculateSpread, calculateSIPFee, calculateSwapFee } = require('./fees');
+const multer = require('multer');
+const { hashPassword, verifyPassword, generateToken, authenticateJWT, requireAdmin } = require('./auth');
+const {
+    createPaymentIntent,
+    createMandate,
+    assertValidPaymentRequest,
+    getPaymentForUser,
+    PAYMENT_METHODS,
+    PAYMENT_STATUSES
+} = require('./payments');
+const { calculateSpread, calculateSIPFee } = require('./fees');
 const { getMarketRates } = require('./market-rates');
+const {
+    findUserByEmail,
+    findUserById,
+    saveUser,
+    saveTransaction,
+    saveSIPPlan,
+    getSIPPlansByUser,
+    getUserTransactions
+} = require('./repository');
+const { getUserBalances, getAccountBalances, reservedAccount, reconcileLedger } = require('./ledger');
+const {
+    TRADABLE_ASSETS,
+    WALLET_PAYMENT_METHOD,
+    assertValidAmount,
+    createBuyOrder,
+    executeSell,
+    executeSwap
+} = require('./trading');
+const { QUOTE_SIDES, createQuote } = require('./quotes');
+const { registerSettlementHandlers, startSettlementJobs } = require('./settlement');
+const { startMarketFeed } = require('./market-feed');
+const {
+    ORDER_STATUSES,
+    createLimitOrder,
+    createConditionalOrder,
+    cancelOrder,
+    getOrderForUser,
+    listOrders,
+    registerOrderHandlers
+} = require('./orders');
+const { listNotifications, markNotificationRead } = require('./notifications');
+const {
+    REDEMPTION_DENOMINATIONS,
+    DELIVERY_METHODS,
+    REDEMPTION_STATUSES,
+    listAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    quoteRedemption,
+    createRedemption,
+    updateRedemptionStatus,
+    resendHandoverOTP,
+    confirmHandover,
+    cancelRedemption,
+    getRedemptionForUser,
+    listRedemptions
+} = require('./redemption');
+const { runIdempotent, sendIdempotentResult } = require('./idempotency');
+const { handleWebhook } = require('./webhooks');
+const {
+    SIP_FREQUENCIES,
+    initialSchedule,
+    recordPlanVersion,
+    projectAnnualFees,
+    pauseSIP,
+    resumeSIP,
+    modifySIP,
+    skipNextSIP,
+    cancelSIP,
+    projectSIP,
+    startSIPJobs
+} = require('./sip');
+const { BASKET_ASSET, normalizeBasket, normalizeStrategy, strategyCeiling } = require('./sip-strategies');
+const { getRefundSummary, processRefund, retryRefund, sweepProcessingRefunds, startRefundJobs } = require('./refunds');
+const {
+    STATEMENT_FORMATS,
+    EXCEPTION_TYPES,
+    importStatement,
+    listExceptions,
+    resolveException,
+    startReconciliationJobs
+} = require('./reconciliation');
+const {
+    saveTargetAllocation,
+    getTargetAllocation,
+    previewRebalance,
+    confirmRebalance,
+    getRebalanceHistory,
+    startRebalancingJobs
+} = require('./rebalancing');
+const { getPriceHistory, registerPriceHistoryHandlers, startPriceHistoryJobs } = require('./price-history');
+const { attachRealtime } = require('./realtime');
+const { BAR_STATUSES, addBar, getBar, moveBar, removeBar, listBars, allocateAllBars } = require('./vault');
+const { createReserveSnapshot, getLatestReserveSnapshot, getReserveProof, startReserveJobs } = require('./reserves');
+const {
+    CHAIN_OPERATION_STATUSES,
+    submitPendingChainOperations,
+    retryChainOperation,
+    listChainOperations,
+    reconcileChain,
+    listChainReconciliations,
+    getChainStatus,
+    registerChainHandlers,
+    startChainJobs
+} = require('./blockchain');
+const {
+    PEG_BAND,
+    PEG_ALERT_STATUSES,
+    mintBINR,
+    burnBINR,
+    listIssuances,
+    getReserveStatus,
+    createAttestation,
+    getLatestAttestation,
+    listAttestations,
+    isWithinPeg,
+    listPegAlerts,
+    registerBINRHandlers,
+    startBINRJobs
+} = require('./binr');
+const {
+    PAYOUT_MODES,
+    WITHDRAWAL_STATUSES,
+    addBankAccount,
+    listBankAccounts,
+    removeBankAccount,
+    getWallet,
+    createDeposit,
+    createWithdrawal,
+    sellToBankAccount,
+    sendInstantPayout,
+    settleWithdrawal,
+    cancelWithdrawal,
+    getWithdrawalForUser,
+    listWithdrawals,
+    processPayoutBatch,
+    startWalletJobs
+} = require('./wallet');
+const { getMarketAnalysis, getCachedMarketNews, getCachedMarketIndicators } = require('./market-analysis');
+const { sendError } = require('./errors');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -20,17 +158,30 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    skip: (req) => req.path.startsWith('/api/payments/webhooks/') // gateways are authenticated by signature
 });
 app.use(limiter);
 
+// Bank statements are uploaded as multipart files and parsed in memory
+const statementUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
 // Initialize services
 const paymentService = createPaymentIntent();
+registerSettlementHandlers();
+registerOrderHandlers();
+registerPriceHistoryHandlers();
+registerChainHandlers();
+registerBINRHandlers();
 
 // ==================== USER AUTHENTICATION ====================
 
@@ -61,14 +212,15 @@ app.post('/api/auth/register', async (req, res) => {
             passwordHash: hashedPassword,
             referralCode: referralCode || generateReferralCode(),
             kycLevel: 1,
+            role: 'USER',
             status: 'ACTIVE',
             createdAt: new Date(),
+            // Balances are derived from the ledger, never stored here
             portfolio: {
-                gold: { balance: 0, totalInvested: 0, tokens: [] },
-                silver: { balance: 0, totalInvested: 0, tokens: [] },
-                platinum: { balance: 0, totalInvested: 0, tokens: [] },
-                stablecoin: { balance: 0, totalInvested: 0 }, // BINR
-                inrBalance: 0,
+                gold: { totalInvested: 0, tokens: [] },
+                silver: { totalInvested: 0, tokens: [] },
+                platinum: { totalInvested: 0, tokens: [] },
+                stablecoin: { totalInvested: 0 }, // BINR
                 sipPlans: [],
                 totalValue: 0,
                 totalProfit: 0
@@ -109,7 +261,7 @@ app.post('/api/auth/login', async (req, res) => {
         }
 
         // Generate JWT token
-        const token = generateToken({ userId: user.userId, email: user.email });
+        const token = generateToken({ userId: user.userId, email: user.email, role: user.role || 'USER' });
 
         res.json({
             message: 'Login successful',
@@ -119,7 +271,7 @@ app.post('/api/auth/login', async (req, res) => {
                 email: user.email,
                 phone: user.phone,
                 kycLevel: user.kycLevel,
-                portfolio: user.portfolio
+                portfolio: await getPortfolioWithBalances(user)
             }
         });
 
@@ -144,35 +296,48 @@ app.get('/api/market/rates', async (req, res) => {
                     unit: 'gram',
                     change: rates.gold.change,
                     changePercent: rates.gold.changePercent,
-                    bid: rates.gold.price * (1 - 0.01), // 1% spread
-                    ask: rates.gold.price * (1 + 0.01)
+                    bid: rates.gold.bid,
+                    ask: rates.gold.ask,
+                    source: rates.gold.source,
+                    stale: rates.gold.stale
                 },
                 silver: {
                     price: rates.silver.price,
                     unit: 'gram',
                     change: rates.silver.change,
                     changePercent: rates.silver.changePercent,
-                    bid: rates.silver.price * (1 - 0.01),
-                    ask: rates.silver.price * (1 + 0.01)
+                    bid: rates.silver.bid,
+                    ask: rates.silver.ask,
+                    source: rates.silver.source,
+                    stale: rates.silver.stale
                 },
                 platinum: {
                     price: rates.platinum.price,
                     unit: 'gram',
                     change: rates.platinum.change,
                     changePercent: rates.platinum.changePercent,
-                    bid: rates.platinum.price * (1 - 0.01),
-                    ask: rates.platinum.price * (1 + 0.01)
+                    bid: rates.platinum.bid,
+                    ask: rates.platinum.ask,
+                    source: rates.platinum.source,
+                    stale: rates.platinum.stale
                 },
                 stablecoin: {
-                    price: 1.0, // 1 BINR = 1 INR
+                    price: rates.stablecoin.price, // pegged 1 BINR = 1 INR
                     unit: 'BINR',
-                    change: 0,
-                    changePercent: 0,
-                    bid: 0.99,
-                    ask: 1.01
+                    change: rates.stablecoin.change,
+                    changePercent: rates.stablecoin.changePercent,
+                    // Issuance and redemption are at par; the market may trade inside the peg band
+                    bid: PEG_BAND.lower,
+                    ask: PEG_BAND.upper,
+                    pegBand: PEG_BAND,
+                    withinPeg: isWithinPeg(rates.stablecoin.price),
+                    source: rates.stablecoin.source,
+                    stale: rates.stablecoin.stale
                 }
             },
             spread: 0.01, // 1% spread applied
+            // True when any rate is older than 5 minutes (providers down, fallback prices)
+            stale: Object.values(rates).some(rate => rate.stale),
             lastUpdated: new Date()
         });
 
@@ -182,168 +347,165 @@ app.get('/api/market/rates', async (req, res) => {
     }
 });
 
+// OHLC candles recorded from market rate ticks (?period=1D|1W|1M|3M|1Y, optional &interval=1m|1h|1d)
+app.get('/api/market/history/:asset', async (req, res) => {
+    try {
+        const { period, interval } = req.query;
+        res.json(await getPriceHistory(req.params.asset, period ? String(period).toUpperCase() : undefined, { interval }));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch price history');
+    }
+});
+
+// Latest news for an asset
+app.get('/api/market/news/:asset', async (req, res) => {
+    try {
+        const { asset } = req.params;
+        res.json({ asset, news: await getCachedMarketNews(asset) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch market news');
+    }
+});
+
+// Technical analysis (RSI, MACD, moving averages, support/resistance) from stored price history
+app.get('/api/market/analysis/:asset', async (req, res) => {
+    try {
+        res.json(await getMarketAnalysis(req.params.asset));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch market analysis');
+    }
+});
+
+// Economic indicators (USD/INR, dollar index, crude, Sensex, gold/silver ratio)
+app.get('/api/market/indicators', async (req, res) => {
+    try {
+        res.json(await getCachedMarketIndicators());
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch market indicators');
+    }
+});
+
 // ==================== ASSET TRADING ====================
 
-// Buy Asset (Gold, Silver, Platinum, or Stablecoin)
-app.post('/api/trade/buy', authenticateJWT, async (req, res) => {
+// Get a signed price quote, valid for 30-60 seconds
+// Pass the returned quoteId to /api/trade/buy, /sell or /swap to trade at this price
+app.post('/api/quotes', authenticateJWT, async (req, res) => {
     try {
         const { userId } = req.user;
-        const { asset, amount, paymentMethod, upiId } = req.body;
+        const { asset, side, amount, toAsset } = req.body;
 
-        // Validate asset
-        if (!['gold', 'silver', 'platinum', 'stablecoin'].includes(asset)) {
+        if (!TRADABLE_ASSETS.includes(asset)) {
             return res.status(400).json({ error: 'Invalid asset type' });
         }
 
-        // Get current market rate
-        const rates = await getMarketRates();
-        const marketPrice = rates[asset].price;
-        
-        // Calculate fees
-        const fees = calculateFees({
-            type: 'buy',
-            asset,
-            amount,
-            marketPrice,
-            user
-        });
+        if (!QUOTE_SIDES.includes(side)) {
+            return res.status(400).json({ error: 'Side must be buy, sell or swap' });
+        }
 
-        const totalCost = (amount * marketPrice) + fees.totalFee;
+        if (side === 'swap' && (!TRADABLE_ASSETS.includes(toAsset) || toAsset === asset)) {
+            return res.status(400).json({ error: 'Swap quotes need a different toAsset' });
+        }
+
+        assertValidAmount(amount);
 
-        // Create transaction record
-        const transaction = {
-            transactionId: generateTransactionId(),
+        const quote = await createQuote({
             userId,
-            type: 'BUY',
             asset,
+            side,
             amount,
-            price: marketPrice,
-            totalCost,
-            fees,
-            status: 'PENDING',
-            createdAt: new Date()
-        };
-
-        // Save transaction
-        await saveTransaction(transaction);
-
-        // Create payment intent
-        const payment = await paymentService.createPayment({
-            amount: totalCost,
-            currency: 'INR',
-            method: paymentMethod,
-            upiId,
-            userId
+            toAsset: side === 'swap' ? toAsset : undefined
         });
 
-        res.json({
-            message: 'Buy order created',
-            transactionId: transaction.transactionId,
-            paymentId: payment.paymentId,
-            amount,
-            price: marketPrice,
-            totalCost,
-            fees,
-            breakdown: {
-                principalAmount: amount * marketPrice,
-                spreadFee: fees.spreadFee,
-                platformFee: fees.platformFee,
-                gst: fees.gst
-            }
-        });
+        res.json(quote);
 
     } catch (error) {
-        console.error('Buy order error:', error);
-        res.status(500).json({ error: 'Buy order failed' });
+        sendError(res, error, 'Quote failed');
     }
 });
 
-// Sell Asset
-app.post('/api/trade/sell', authenticateJWT, async (req, res) => {
+// Buy Asset (Gold, Silver, Platinum, or Stablecoin)
+// Creates a PENDING order at the quoted (or current) price; the settlement engine credits the
+// metal when the linked payment completes and cancels the order if it expires or fails.
+// paymentMethod WALLET pays from the INR wallet and completes the order at once.
+app.post('/api/trade/buy', authenticateJWT, async (req, res) => {
     try {
         const { userId } = req.user;
-        const { asset, amount, bankAccount } = req.body;
+        const { asset, amount, paymentMethod, upiId, cardToken, bankCode, quoteId } = req.body;
 
         // Validate asset
-        if (!['gold', 'silver', 'platinum', 'stablecoin'].includes(asset)) {
+        if (!TRADABLE_ASSETS.includes(asset)) {
             return res.status(400).json({ error: 'Invalid asset type' });
         }
 
-        // Check user balance
-        const user = await findUserById(userId);
-        const userBalance = user.portfolio[asset].balance;
-
-        if (userBalance < amount) {
-            return res.status(400).json({ error: 'Insufficient balance' });
+        if (paymentMethod !== undefined && ![...PAYMENT_METHODS, WALLET_PAYMENT_METHOD].includes(String(paymentMethod).toUpperCase())) {
+            return res.status(400).json({ error: 'Invalid payment method' });
         }
 
-        // Get current market rate
-        const rates = await getMarketRates();
-        const marketPrice = rates[asset].price;
-        
-        // Calculate fees
-        const fees = calculateFees({
-            type: 'sell',
+        const result = await createBuyOrder({
+            userId,
             asset,
             amount,
-            marketPrice,
-            user
+            paymentMethod,
+            upiId,
+            cardToken,
+            bankCode,
+            quoteId
         });
 
-        const netAmount = (amount * marketPrice) - fees.totalFee;
+        res.json(result);
 
-        // Create transaction record
-        const transaction = {
-            transactionId: generateTransactionId(),
-            userId,
-            type: 'SELL',
-            asset,
-            amount,
-            price: marketPrice,
-            netAmount,
-            fees,
-            status: 'PROCESSING',
-            createdAt: new Date()
-        };
+    } catch (error) {
+        sendError(res, error, 'Buy order failed');
+    }
+});
+
+// Sell Asset
+// Proceeds settle into the INR wallet; with "bankAccount" (a verified bank account ID) they are
+// withdrawn to it straight away, optionally with "payoutMode": "IMPS" | "NEFT"
+// Optional Idempotency-Key header: retries with the same key return the original result
+app.post('/api/trade/sell', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { asset, amount, bankAccount, payoutMode, quoteId } = req.body;
 
-        // Save transaction
-        await saveTransaction(transaction);
+        // Validate asset
+        if (!TRADABLE_ASSETS.includes(asset)) {
+            return res.status(400).json({ error: 'Invalid asset type' });
+        }
 
-        // Update user portfolio
-        user.portfolio[asset].balance -= amount;
-        await saveUser(user);
+        const result = await runIdempotent({
+            userId,
+            key: req.get('Idempotency-Key'),
+            scope: 'trade.sell',
+            payload: req.body
+        }, async () => ({
+            statusCode: 200,
+            body: bankAccount
+                ? await sellToBankAccount({ userId, asset, amount, quoteId, bankAccountId: bankAccount, mode: payoutMode })
+                : await executeSell({ userId, asset, amount, quoteId })
+        }));
+
+        // The payout goes to the bank only once the sale and the queued withdrawal have committed
+        if (result.body.withdrawal && !result.replayed) {
+            result.body = { ...result.body, withdrawal: await sendInstantPayout(result.body.withdrawal) };
+        }
 
-        res.json({
-            message: 'Sell order processed',
-            transactionId: transaction.transactionId,
-            amount,
-            price: marketPrice,
-            netAmount,
-            fees,
-            breakdown: {
-                grossAmount: amount * marketPrice,
-                spreadFee: fees.spreadFee,
-                platformFee: fees.platformFee,
-                gst: fees.gst,
-                netAmount
-            }
-        });
+        sendIdempotentResult(res, result);
 
     } catch (error) {
-        console.error('Sell order error:', error);
-        res.status(500).json({ error: 'Sell order failed' });
+        sendError(res, error, 'Sell order failed');
     }
 });
 
 // Swap between assets
+// Optional Idempotency-Key header: retries with the same key return the original result
 app.post('/api/trade/swap', authenticateJWT, async (req, res) => {
     try {
         const { userId } = req.user;
-        const { fromAsset, toAsset, amount } = req.body;
+        const { fromAsset, toAsset, amount, quoteId } = req.body;
 
         // Validate assets
-        if (!['gold', 'silver', 'platinum', 'stablecoin'].includes(fromAsset) ||
-            !['gold', 'silver', 'platinum', 'stablecoin'].includes(toAsset)) {
+        if (!TRADABLE_ASSETS.includes(fromAsset) || !TRADABLE_ASSETS.includes(toAsset)) {
             return res.status(400).json({ error: 'Invalid asset type' });
         }
 
@@ -351,251 +513,833 @@ app.post('/api/trade/swap', authenticateJWT, async (req, res) => {
             return res.status(400).json({ error: 'Cannot swap same asset' });
         }
 
-        // Check user balance
-        const user = await findUserById(userId);
-        const userBalance = user.portfolio[fromAsset].balance;
-
-        if (userBalance < amount) {
-            return res.status(400).json({ error: 'Insufficient balance' });
-        }
-
-        // Get current market rates
-        const rates = await getMarketRates();
-        const fromPrice = rates[fromAsset].price;
-        const toPrice = rates[toAsset].price;
-        
-        // Calculate swap
-        const fromValue = amount * fromPrice;
-        const receivedAmount = fromValue / toPrice;
-        
-        // Calculate swap fees (0.1-0.5%)
-        const swapFees = calculateSwapFee(fromValue);
-        
-        const finalAmount = receivedAmount - (receivedAmount * swapFees.percentage);
-        const finalFee = receivedAmount * swapFees.percentage;
-
-        // Create transaction records for both assets
-        const sellTransaction = {
-            transactionId: generateTransactionId(),
+        const result = await runIdempotent({
             userId,
-            type: 'SWAP_SELL',
-            asset: fromAsset,
-            amount,
-            price: fromPrice,
-            fees: { swapFee: finalFee },
-            status: 'COMPLETED',
-            createdAt: new Date()
-        };
+            key: req.get('Idempotency-Key'),
+            scope: 'trade.swap',
+            payload: req.body
+        }, async () => ({
+            statusCode: 200,
+            body: await executeSwap({ userId, fromAsset, toAsset, amount, quoteId })
+        }));
 
-        const buyTransaction = {
-            transactionId: generateTransactionId(),
-            userId,
-            type: 'SWAP_BUY',
-            asset: toAsset,
-            amount: finalAmount,
-            price: toPrice,
-            fees: { swapFee: finalFee },
-            status: 'COMPLETED',
-            createdAt: new Date()
-        };
+        sendIdempotentResult(res, result);
 
-        // Update user portfolio
-        user.portfolio[fromAsset].balance -= amount;
-        user.portfolio[toAsset].balance += finalAmount;
-        await saveUser(user);
+    } catch (error) {
+        sendError(res, error, 'Swap failed');
+    }
+});
 
-        // Save transactions
-        await saveTransaction(sellTransaction);
-        await saveTransaction(buyTransaction);
+// ==================== ORDERS ====================
 
-        res.json({
-            message: 'Swap completed',
-            swapRate: toPrice / fromPrice,
-            fromAsset: {
-                amount,
-                price: fromPrice,
-                value: fromValue
-            },
-            toAsset: {
-                amount: finalAmount,
-                price: toPrice,
-                value: finalAmount * toPrice
-            },
-            fees: {
-                swapFee: finalFee,
-                swapPercentage: swapFees.percentage * 100
-            },
-            transactions: [sellTransaction, buyTransaction]
+// Place a limit order, e.g. { "side": "buy", "asset": "silver", "amount": 10, "limitPrice": 75,
+// "validity": "GTC" | "DAY" | "EXPIRE_AT", "expiresAt": "..." }
+// The INR (buys) or metal (sells) is reserved until the order fills, is cancelled or expires
+app.post('/api/orders', authenticateJWT, async (req, res) => {
+    try {
+        const { side, asset, amount, limitPrice, validity, expiresAt } = req.body;
+        const order = await createLimitOrder({
+            userId: req.user.userId,
+            side: String(side || '').toLowerCase(),
+            asset,
+            amount,
+            limitPrice,
+            validity: validity ? String(validity).toUpperCase() : undefined,
+            expiresAt
         });
-
+        res.status(201).json(order);
     } catch (error) {
-        console.error('Swap error:', error);
-        res.status(500).json({ error: 'Swap failed' });
+        sendError(res, error, 'Failed to place order');
     }
 });
 
-// ==================== SIP MANAGEMENT ====================
-
-// Create SIP Plan
-app.post('/api/sip/create', authenticateJWT, async (req, res) => {
+// Place a conditional sell on a holding, e.g. { "type": "STOP_LOSS" | "TAKE_PROFIT", "asset": "gold",
+// "amount": 2, "triggerPrice": 5900 } or { "type": "TRAILING_STOP", "asset": "gold", "amount": 2, "trailPercent": 5 }
+// "useAnalysis": true takes the trigger from the asset's market analysis (stopLoss / target)
+app.post('/api/orders/conditional', authenticateJWT, async (req, res) => {
     try {
-        const { userId } = req.user;
-        const { asset, amount, frequency, startDate } = req.body;
-
-        // Validate asset
-        if (!['gold', 'silver', 'platinum', 'stablecoin'].includes(asset)) {
-            return res.status(400).json({ error: 'Invalid asset type' });
-        }
-
-        // Calculate SIP fee (₹50/month)
-        const sipFee = calculateSIPFee(frequency);
-
-        // Create SIP plan
-        const sipPlan = {
-            sipId: generateSIPId(),
-            userId,
+        const { type, asset, amount, triggerPrice, trailPercent, useAnalysis, validity, expiresAt } = req.body;
+        const order = await createConditionalOrder({
+            userId: req.user.userId,
+            type: String(type || '').toUpperCase(),
             asset,
             amount,
-            frequency, // daily, weekly, monthly
-            sipFee,
-            startDate: new Date(startDate),
-            status: 'ACTIVE',
-            createdAt: new Date(),
-            totalInvested: 0,
-            transactions: []
-        };
-
-        // Save SIP plan
-        await saveSIPPlan(sipPlan);
-
-        // Update user's portfolio
-        const user = await findUserById(userId);
-        user.portfolio.sipPlans.push(sipPlan);
-        await saveUser(user);
-
-        res.json({
-            message: 'SIP created successfully',
-            sipId: sipPlan.sipId,
-            sipFee,
-            nextPurchaseDate: calculateNextPurchaseDate(sipPlan),
-            estimatedAnnualFee: sipFee * 12
+            triggerPrice,
+            trailPercent,
+            useAnalysis: useAnalysis === true,
+            validity: validity ? String(validity).toUpperCase() : undefined,
+            expiresAt
         });
+        res.status(201).json(order);
+    } catch (error) {
+        sendError(res, error, 'Failed to place order');
+    }
+});
 
+// List the user's orders (?status=OPEN)
+app.get('/api/orders', authenticateJWT, async (req, res) => {
+    try {
+        const { status } = req.query;
+        res.json({ orders: await listOrders(req.user.userId, { status }), statuses: ORDER_STATUSES });
     } catch (error) {
-        console.error('SIP creation error:', error);
-        res.status(500).json({ error: 'SIP creation failed' });
+        sendError(res, error, 'Failed to fetch orders');
     }
 });
 
-// Get user's SIP plans
-app.get('/api/sip/plans', authenticateJWT, async (req, res) => {
+// Get one order
+app.get('/api/orders/:orderId', authenticateJWT, async (req, res) => {
     try {
-        const { userId } = req.user;
-        
-        const sipPlans = await getSIPPlansByUser(userId);
-        
-        res.json({
-            plans: sipPlans,
-            totalSIPs: sipPlans.length,
-            totalMonthlyInvestment: sipPlans.reduce((sum, plan) => {
-                return sum + (plan.frequency === 'monthly' ? plan.amount : 0);
-            }, 0),
-            totalMonthlyFees: sipPlans.reduce((sum, plan) => {
-                return sum + plan.sipFee;
-            }, 0)
-        });
+        res.json(await getOrderForUser(req.user.userId, req.params.orderId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch order');
+    }
+});
 
+// Cancel an open order and release its reservation
+app.post('/api/orders/:orderId/cancel', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await cancelOrder(req.user.userId, req.params.orderId));
     } catch (error) {
-        console.error('SIP plans error:', error);
-        res.status(500).json({ error: 'Failed to fetch SIP plans' });
+        sendError(res, error, 'Failed to cancel order');
     }
 });
 
-// ==================== PORTFOLIO MANAGEMENT ====================
+// ==================== NOTIFICATIONS ====================
 
-// Get user portfolio
-app.get('/api/portfolio', authenticateJWT, async (req, res) => {
+// List the user's notifications (?unread=true)
+app.get('/api/notifications', authenticateJWT, async (req, res) => {
     try {
-        const { userId } = req.user;
-        
-        const user = await findUserById(userId);
-        const rates = await getMarketRates();
-        
-        // Calculate current portfolio values
-        const portfolio = {
-            ...user.portfolio,
-            assets: {},
-            totalValue: 0,
-            totalInvested: 0,
-            totalProfit: 0,
-            allocation: {}
-        };
-
-        // Calculate asset values
-        for (const asset of ['gold', 'silver', 'platinum', 'stablecoin']) {
-            const balance = user.portfolio[asset].balance;
-            const currentPrice = rates[asset].price;
-            const currentValue = balance * currentPrice;
-            const investedValue = user.portfolio[asset].totalInvested;
-            const profit = currentValue - investedValue;
-            const profitPercent = investedValue > 0 ? (profit / investedValue) * 100 : 0;
+        const notifications = await listNotifications(req.user.userId, { unreadOnly: req.query.unread === 'true' });
+        res.json({ notifications });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch notifications');
+    }
+});
 
-            portfolio.assets[asset] = {
-                balance,
-                currentPrice,
-                currentValue,
-                investedValue,
-                profit,
-                profitPercent,
-                allocation: 0 // Will calculate after total value
-            };
+// Mark a notification as read
+app.post('/api/notifications/:notificationId/read', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await markNotificationRead(req.user.userId, req.params.notificationId));
+    } catch (error) {
+        sendError(res, error, 'Failed to update notification');
+    }
+});
 
-            portfolio.totalValue += currentValue;
-            portfolio.totalInvested += investedValue;
-        }
+// ==================== REDEMPTION ====================
 
-        // Calculate allocations
-        if (portfolio.totalValue > 0) {
-            for (const asset of ['gold', 'silver', 'platinum', 'stablecoin']) {
-                portfolio.assets[asset].allocation = 
-                    (portfolio.assets[asset].currentValue / portfolio.totalValue) * 100;
-            }
-        }
+// Coin and bar denominations per asset and the delivery methods
+app.get('/api/redemption/options', (req, res) => {
+    res.json({ denominations: REDEMPTION_DENOMINATIONS, deliveryMethods: DELIVERY_METHODS, statuses: REDEMPTION_STATUSES });
+});
 
-        portfolio.totalProfit = portfolio.totalValue - portfolio.totalInvested;
-        portfolio.totalProfitPercent = portfolio.totalInvested > 0 ? 
-            (portfolio.totalProfit / portfolio.totalInvested) * 100 : 0;
+// Delivery addresses
+app.get('/api/redemption/addresses', authenticateJWT, async (req, res) => {
+    try {
+        res.json({ addresses: await listAddresses(req.user.userId) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch addresses');
+    }
+});
 
-        res.json({
-            portfolio,
-            marketRates: rates,
-            lastUpdated: new Date(),
-            performance: {
-                dayChange: 0, // Calculate from historical data
-                weekChange: 0,
-                monthChange: 0,
-                yearChange: 0
-            }
-        });
+// { "name", "phone", "line1", "line2", "landmark", "city", "state", "pincode", "isDefault" }
+app.post('/api/redemption/addresses', authenticateJWT, async (req, res) => {
+    try {
+        res.status(201).json(await createAddress(req.user.userId, req.body));
+    } catch (error) {
+        sendError(res, error, 'Failed to save address');
+    }
+});
 
+app.put('/api/redemption/addresses/:addressId', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await updateAddress(req.user.userId, req.params.addressId, req.body));
     } catch (error) {
-        console.error('Portfolio error:', error);
-        res.status(500).json({ error: 'Failed to fetch portfolio' });
+        sendError(res, error, 'Failed to update address');
     }
 });
 
-// Get transaction history
-app.get('/api/transactions', authenticateJWT, async (req, res) => {
+app.delete('/api/redemption/addresses/:addressId', authenticateJWT, async (req, res) => {
     try {
-        const { userId } = req.user;
-        const { page = 1, limit = 50, asset, type } = req.query;
-        
-        const transactions = await getUserTransactions(userId, {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            asset,
-            type
-        });
+        res.json(await deleteAddress(req.user.userId, req.params.addressId));
+    } catch (error) {
+        sendError(res, error, 'Failed to delete address');
+    }
+});
+
+// Price a redemption, e.g. { "asset": "gold", "deliveryMethod": "HOME",
+// "items": [{ "form": "COIN", "denomination": 5, "quantity": 2 }] }
+app.post('/api/redemption/quote', authenticateJWT, async (req, res) => {
+    try {
+        const { asset, items, deliveryMethod } = req.body;
+        res.json(await quoteRedemption({ asset, items, deliveryMethod: String(deliveryMethod || '').toUpperCase() }));
+    } catch (error) {
+        sendError(res, error, 'Failed to quote redemption');
+    }
+});
+
+// Request delivery (same body as the quote plus "addressId" for HOME; defaults to the default address)
+// The metal is locked and the fees are charged from the INR balance
+app.post('/api/redemption', authenticateJWT, async (req, res) => {
+    try {
+        const { asset, items, deliveryMethod, addressId } = req.body;
+        const redemption = await createRedemption({
+            userId: req.user.userId,
+            asset,
+            items,
+            deliveryMethod: String(deliveryMethod || '').toUpperCase(),
+            addressId
+        });
+        res.status(201).json(redemption);
+    } catch (error) {
+        sendError(res, error, 'Failed to create redemption');
+    }
+});
+
+// List the user's redemptions (?status=SHIPPED)
+app.get('/api/redemption', authenticateJWT, async (req, res) => {
+    try {
+        const { status } = req.query;
+        res.json({ redemptions: await listRedemptions({ userId: req.user.userId, status }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch redemptions');
+    }
+});
+
+// Fulfilment queue across all users (admin, ?status=REQUESTED)
+app.get('/api/redemption/queue', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        res.json({ redemptions: await listRedemptions({ status }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch redemptions');
+    }
+});
+
+app.get('/api/redemption/:redemptionId', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await getRedemptionForUser(req.user.userId, req.params.redemptionId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch redemption');
+    }
+});
+
+// Cancel before packing; the metal and fees are returned
+app.post('/api/redemption/:redemptionId/cancel', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await cancelRedemption(req.user.userId, req.params.redemptionId));
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel redemption');
+    }
+});
+
+// Advance fulfilment (admin): { "status": "PACKED" | "SHIPPED" | "RETURNED", "note", "courier", "trackingNumber" }
+// SHIPPED sends the customer a handover OTP
+app.post('/api/redemption/:redemptionId/status', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { status, note, courier, trackingNumber } = req.body;
+        const redemption = await updateRedemptionStatus(req.params.redemptionId, {
+            status: String(status || '').toUpperCase(),
+            by: req.user.userId,
+            note,
+            courier,
+            trackingNumber
+        });
+        res.json(redemption);
+    } catch (error) {
+        sendError(res, error, 'Failed to update redemption');
+    }
+});
+
+// Confirm delivery with the OTP the customer reads out (admin / courier): { "otp": "123456" }
+app.post('/api/redemption/:redemptionId/handover', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await confirmHandover(req.params.redemptionId, { otp: req.body.otp, by: req.user.userId }));
+    } catch (error) {
+        sendError(res, error, 'Failed to confirm handover');
+    }
+});
+
+// Send the customer a new handover OTP (admin)
+app.post('/api/redemption/:redemptionId/handover/resend', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await resendHandoverOTP(req.params.redemptionId));
+    } catch (error) {
+        sendError(res, error, 'Failed to resend handover OTP');
+    }
+});
+
+// ==================== PAYMENTS ====================
+
+// Payment gateway webhooks (authenticated by signature, not JWT)
+app.post('/api/payments/webhooks/:provider', async (req, res) => {
+    try {
+        const result = await handleWebhook(req.params.provider, req);
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Webhook processing failed');
+    }
+});
+
+// Create a payment (INR deposit) with the chosen method
+// Payments for buy orders are created by /api/trade/buy; completed deposits are credited as INR balance
+app.post('/api/payments', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { amount, upiId, cardToken, bankCode, description } = req.body;
+        const method = String(req.body.method || 'UPI').toUpperCase();
+
+        assertValidPaymentRequest({ amount, method, upiId, cardToken, bankCode });
+
+        const payment = await paymentService.createPayment({
+            amount,
+            currency: 'INR',
+            method,
+            upiId,
+            cardToken,
+            bankCode,
+            userId,
+            description: description || 'INR deposit'
+        });
+
+        res.status(201).json(payment);
+
+    } catch (error) {
+        sendError(res, error, 'Payment creation failed');
+    }
+});
+
+// Payment history with optional status/method filters
+app.get('/api/payments', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { status, method } = req.query;
+        const page = parseInt(req.query.page || 1);
+        const limit = parseInt(req.query.limit || 50);
+
+        if (!(page >= 1) || !(limit >= 1 && limit <= 100)) {
+            return res.status(400).json({ error: 'page must be >= 1 and limit between 1 and 100' });
+        }
+        if (status && !PAYMENT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid payment status', allowed: PAYMENT_STATUSES });
+        }
+        if (method && !PAYMENT_METHODS.includes(method)) {
+            return res.status(400).json({ error: 'Invalid payment method', allowed: PAYMENT_METHODS });
+        }
+
+        const history = await paymentService.getPaymentHistory(userId, { page, limit, status, method });
+        res.json(history);
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch payments');
+    }
+});
+
+// Payment status (own payments only; admins can see any)
+app.get('/api/payments/:id', authenticateJWT, async (req, res) => {
+    try {
+        const payment = await getPaymentForUser(req.params.id, req.user);
+        res.json(await paymentService.getPaymentStatus(payment.paymentId));
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch payment');
+    }
+});
+
+// Refund part or all of a completed payment (admin)
+// Partial refunds may be repeated up to the payment's refundable balance
+app.post('/api/payments/:id/refund', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+        const payment = await getPaymentForUser(req.params.id, req.user);
+
+        if (!reason || typeof reason !== 'string') {
+            return res.status(400).json({ error: 'Refund reason is required' });
+        }
+
+        const refund = await processRefund({
+            originalPaymentId: payment.paymentId,
+            amount,
+            reason,
+            initiatedBy: req.user.userId
+        });
+
+        // A refund the provider rejected is kept as FAILED and can be retried; one whose
+        // outcome is unknown stays PROCESSING until the sweeper resolves it
+        res.status(refund.status === 'FAILED' ? 502 : refund.status === 'PROCESSING' ? 202 : 201).json(refund);
+
+    } catch (error) {
+        sendError(res, error, 'Refund failed');
+    }
+});
+
+// Refund history and refundable balance of a payment
+app.get('/api/payments/:id/refunds', authenticateJWT, async (req, res) => {
+    try {
+        const payment = await getPaymentForUser(req.params.id, req.user);
+        res.json(await getRefundSummary(payment));
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch refunds');
+    }
+});
+
+// Retry a FAILED refund (admin)
+app.post('/api/payments/:id/refunds/:refundId/retry', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const summary = await getRefundSummary(await getPaymentForUser(req.params.id, req.user));
+        if (!summary.refunds.some(refund => refund.refundId === req.params.refundId)) {
+            return res.status(404).json({ error: 'Refund not found' });
+        }
+
+        const refund = await retryRefund(req.params.refundId, { initiatedBy: req.user.userId });
+        res.status(refund.status === 'FAILED' ? 502 : refund.status === 'PROCESSING' ? 202 : 200).json(refund);
+
+    } catch (error) {
+        sendError(res, error, 'Refund retry failed');
+    }
+});
+
+// Check PROCESSING refunds with the provider now (admin), e.g. { "olderThanMinutes": 0 }
+app.post('/api/payments/refunds/sweep', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { olderThanMinutes } = req.body;
+        if (olderThanMinutes !== undefined && !(Number.isInteger(olderThanMinutes) && olderThanMinutes >= 0)) {
+            return res.status(400).json({ error: 'olderThanMinutes must be a non-negative integer' });
+        }
+        res.json(await sweepProcessingRefunds({ olderThanMinutes }));
+
+    } catch (error) {
+        sendError(res, error, 'Refund sweep failed');
+    }
+});
+
+// ==================== WALLET ====================
+
+// INR wallet: balance, INR held by open orders, today's withdrawal limits and bank accounts
+app.get('/api/wallet', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await getWallet(req.user.userId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch wallet');
+    }
+});
+
+// Deposit into the wallet with any payment method (credited when the payment completes)
+app.post('/api/wallet/deposits', authenticateJWT, async (req, res) => {
+    try {
+        const { amount, method, upiId, cardToken, bankCode } = req.body;
+        res.status(201).json(await createDeposit({ userId: req.user.userId, amount, method, upiId, cardToken, bankCode }));
+    } catch (error) {
+        sendError(res, error, 'Deposit failed');
+    }
+});
+
+// Bank accounts for withdrawals; new accounts are verified by a penny drop
+app.get('/api/wallet/bank-accounts', authenticateJWT, async (req, res) => {
+    try {
+        res.json({ bankAccounts: await listBankAccounts(req.user.userId) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch bank accounts');
+    }
+});
+
+app.post('/api/wallet/bank-accounts', authenticateJWT, async (req, res) => {
+    try {
+        res.status(201).json(await addBankAccount(req.user.userId, req.body));
+    } catch (error) {
+        sendError(res, error, 'Failed to add bank account');
+    }
+});
+
+app.delete('/api/wallet/bank-accounts/:bankAccountId', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await removeBankAccount(req.user.userId, req.params.bankAccountId));
+    } catch (error) {
+        sendError(res, error, 'Failed to remove bank account');
+    }
+});
+
+// Withdraw to a verified bank account, e.g. { "bankAccountId": "BNK_...", "amount": 5000, "mode": "IMPS" }
+// ("asset": "stablecoin" burns BINR for the payout). Limited per day by KYC level.
+// Optional Idempotency-Key header: retries with the same key return the original result
+app.post('/api/wallet/withdrawals', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { bankAccountId, amount, mode, asset } = req.body;
+
+        const result = await runIdempotent({
+            userId,
+            key: req.get('Idempotency-Key'),
+            scope: 'wallet.withdraw',
+            payload: req.body
+        }, async () => ({
+            statusCode: 201,
+            body: await createWithdrawal({ userId, bankAccountId, amount, mode, asset })
+        }));
+
+        // The payout goes to the bank only once the queued withdrawal and its idempotency record have committed
+        if (!result.replayed) {
+            result.body = await sendInstantPayout(result.body);
+        }
+
+        sendIdempotentResult(res, result);
+
+    } catch (error) {
+        sendError(res, error, 'Withdrawal failed');
+    }
+});
+
+app.get('/api/wallet/withdrawals', authenticateJWT, async (req, res) => {
+    try {
+        const withdrawals = await listWithdrawals({ userId: req.user.userId, status: req.query.status });
+        res.json({ withdrawals, statuses: WITHDRAWAL_STATUSES, modes: PAYOUT_MODES });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch withdrawals');
+    }
+});
+
+// All withdrawals (admin, ?status=PROCESSING)
+app.get('/api/wallet/withdrawals/queue', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json({ withdrawals: await listWithdrawals({ status: req.query.status, limit: 200 }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch withdrawals');
+    }
+});
+
+// Send queued withdrawals and check pending payouts now (admin)
+app.post('/api/wallet/withdrawals/process', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await processPayoutBatch());
+    } catch (error) {
+        sendError(res, error, 'Payout batch failed');
+    }
+});
+
+app.get('/api/wallet/withdrawals/:withdrawalId', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await getWithdrawalForUser(req.params.withdrawalId, req.user));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch withdrawal');
+    }
+});
+
+// Cancel a withdrawal that has not been sent to the bank yet
+app.post('/api/wallet/withdrawals/:withdrawalId/cancel', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await cancelWithdrawal(req.user.userId, req.params.withdrawalId));
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel withdrawal');
+    }
+});
+
+// Record a bank outcome (admin): { "status": "COMPLETED", "utr" } or { "status": "FAILED" | "REVERSED", "reason" }
+app.post('/api/wallet/withdrawals/:withdrawalId/status', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { status, utr, reason } = req.body;
+        res.json(await settleWithdrawal(req.params.withdrawalId, { status, utr, reason, by: req.user.userId }));
+    } catch (error) {
+        sendError(res, error, 'Failed to update withdrawal');
+    }
+});
+
+// ==================== SIP MANAGEMENT ====================
+
+// Create SIP Plan
+// Installments are bought by the SIP scheduler from the user's INR balance, or through the
+// optional auto-pay mandate when the balance is short
+app.post('/api/sip/create', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { asset, amount, frequency, startDate, autoPay } = req.body;
+
+        // Validate asset ("basket" splits each installment by target weights)
+        if (!['gold', 'silver', 'platinum', 'stablecoin', BASKET_ASSET].includes(asset)) {
+            return res.status(400).json({ error: 'Invalid asset type' });
+        }
+
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            return res.status(400).json({ error: 'SIP amount must be a positive number' });
+        }
+
+        const basket = asset === BASKET_ASSET ? normalizeBasket(req.body.basket) : undefined;
+
+        if (!SIP_FREQUENCIES.includes(frequency)) {
+            return res.status(400).json({ error: 'Invalid SIP frequency', allowed: SIP_FREQUENCIES });
+        }
+
+        if (startDate && isNaN(new Date(startDate).getTime())) {
+            return res.status(400).json({ error: 'Invalid start date' });
+        }
+
+        // FIXED unless a step-up, value-averaging or dip-buying strategy is given
+        const strategy = normalizeStrategy(req.body.strategy, amount, { basket: Boolean(basket) });
+
+        // Calculate SIP fee (₹50/month)
+        const sipFee = calculateSIPFee(frequency);
+
+        // Create SIP plan
+        const sipPlan = {
+            sipId: generateSIPId(),
+            userId,
+            asset,
+            ...(basket && { basket, quantities: {} }),
+            amount,
+            strategy,
+            frequency, // daily, weekly, monthly
+            sipFee,
+            startDate: startDate ? new Date(startDate) : new Date(),
+            ...initialSchedule(startDate),
+            status: 'ACTIVE',
+            createdAt: new Date(),
+            totalInvested: 0,
+            transactions: []
+        };
+
+        if (autoPay) {
+            sipPlan.mandate = await createMandate({
+                userId,
+                method: String(autoPay.method || 'UPI').toUpperCase(),
+                upiId: autoPay.upiId,
+                bankCode: autoPay.bankCode,
+                // Room for the largest installment the strategy makes plus its fee and GST
+                maxAmount: Math.ceil(strategyCeiling(amount, strategy) + sipFee * 1.18)
+            });
+        }
+
+        // Save SIP plan as version 1 of its history
+        recordPlanVersion(sipPlan, 'CREATED', { by: userId });
+        await saveSIPPlan(sipPlan);
+
+        // Update user's portfolio
+        const user = await findUserById(userId);
+        user.portfolio.sipPlans.push(sipPlan);
+        await saveUser(user);
+
+        res.json({
+            message: 'SIP created successfully',
+            sipId: sipPlan.sipId,
+            basket: sipPlan.basket,
+            strategy,
+            sipFee,
+            nextPurchaseDate: sipPlan.nextPurchaseDate,
+            autoPay: sipPlan.mandate ? { mandateId: sipPlan.mandate.mandateId, method: sipPlan.mandate.method } : null,
+            estimatedAnnualFee: sipFee * 12
+        });
+
+    } catch (error) {
+        sendError(res, error, 'SIP creation failed');
+    }
+});
+
+// Get user's SIP plans
+app.get('/api/sip/plans', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        const sipPlans = await getSIPPlansByUser(userId);
+        
+        res.json({
+            plans: sipPlans,
+            totalSIPs: sipPlans.length,
+            totalMonthlyInvestment: sipPlans.reduce((sum, plan) => {
+                return sum + (plan.frequency === 'monthly' ? plan.amount : 0);
+            }, 0),
+            totalMonthlyFees: sipPlans.reduce((sum, plan) => {
+                return sum + plan.sipFee;
+            }, 0),
+            annualFees: projectAnnualFees(sipPlans)
+        });
+
+    } catch (error) {
+        console.error('SIP plans error:', error);
+        res.status(500).json({ error: 'Failed to fetch SIP plans' });
+    }
+});
+
+// Dry-run a strategy against historical prices before creating a plan
+app.post('/api/sip/projection', authenticateJWT, async (req, res) => {
+    try {
+        const { asset, amount, frequency, strategy, period } = req.body;
+        if (!['gold', 'silver', 'platinum', 'stablecoin'].includes(asset)) {
+            return res.status(400).json({ error: 'Invalid asset type' });
+        }
+        res.json(await projectSIP({ asset, amount, frequency, strategy, period }));
+    } catch (error) {
+        sendError(res, error, 'SIP projection failed');
+    }
+});
+
+// Get one SIP plan with its version history
+app.get('/api/sip/:sipId', authenticateJWT, async (req, res) => {
+    try {
+        const plans = await getSIPPlansByUser(req.user.userId);
+        const plan = plans.find(item => item.sipId === req.params.sipId);
+        if (!plan) {
+            return res.status(404).json({ error: 'SIP plan not found' });
+        }
+        res.json(plan);
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch SIP plan');
+    }
+});
+
+// Dry-run an existing plan's terms against historical prices (?period=1M|3M|1Y)
+app.get('/api/sip/:sipId/projection', authenticateJWT, async (req, res) => {
+    try {
+        const plans = await getSIPPlansByUser(req.user.userId);
+        const plan = plans.find(item => item.sipId === req.params.sipId);
+        if (!plan) {
+            return res.status(404).json({ error: 'SIP plan not found' });
+        }
+        res.json(await projectSIP({
+            asset: plan.asset,
+            amount: plan.amount,
+            frequency: plan.frequency,
+            strategy: plan.strategy,
+            period: req.query.period || undefined
+        }));
+    } catch (error) {
+        sendError(res, error, 'SIP projection failed');
+    }
+});
+
+// Pause a SIP, optionally until { resumeOn }
+app.post('/api/sip/:sipId/pause', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await pauseSIP(req.user.userId, req.params.sipId, { resumeOn: req.body.resumeOn }));
+    } catch (error) {
+        sendError(res, error, 'Failed to pause SIP');
+    }
+});
+
+// Resume a paused SIP
+app.post('/api/sip/:sipId/resume', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await resumeSIP(req.user.userId, req.params.sipId));
+    } catch (error) {
+        sendError(res, error, 'Failed to resume SIP');
+    }
+});
+
+// Change amount, frequency, strategy and/or basket weights from the next installment
+app.patch('/api/sip/:sipId', authenticateJWT, async (req, res) => {
+    try {
+        const { amount, frequency, strategy, basket } = req.body;
+        res.json(await modifySIP(req.user.userId, req.params.sipId, { amount, frequency, strategy, basket }));
+    } catch (error) {
+        sendError(res, error, 'Failed to modify SIP');
+    }
+});
+
+// Skip the next installment
+app.post('/api/sip/:sipId/skip', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await skipNextSIP(req.user.userId, req.params.sipId));
+    } catch (error) {
+        sendError(res, error, 'Failed to skip SIP installment');
+    }
+});
+
+// Cancel a SIP
+app.post('/api/sip/:sipId/cancel', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await cancelSIP(req.user.userId, req.params.sipId, { reason: req.body.reason }));
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel SIP');
+    }
+});
+
+// ==================== PORTFOLIO MANAGEMENT ====================
+
+// Get user portfolio
+app.get('/api/portfolio', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        const user = await findUserById(userId);
+        const rates = await getMarketRates();
+        const balances = await getUserBalances(userId);
+        
+        // Calculate current portfolio values
+        const portfolio = {
+            ...user.portfolio,
+            inrBalance: balances.inr,
+            // Held by open orders; not included in balances below
+            reservedBalances: await getAccountBalances(reservedAccount(userId)),
+            assets: {},
+            totalValue: 0,
+            totalInvested: 0,
+            totalProfit: 0,
+            allocation: {}
+        };
+
+        // Calculate asset values
+        for (const asset of ['gold', 'silver', 'platinum', 'stablecoin']) {
+            const balance = balances[asset];
+            const currentPrice = rates[asset].price;
+            const currentValue = balance * currentPrice;
+            const investedValue = user.portfolio[asset].totalInvested;
+            const profit = currentValue - investedValue;
+            const profitPercent = investedValue > 0 ? (profit / investedValue) * 100 : 0;
+
+            portfolio.assets[asset] = {
+                balance,
+                currentPrice,
+                currentValue,
+                investedValue,
+                profit,
+                profitPercent,
+                allocation: 0 // Will calculate after total value
+            };
+
+            portfolio.totalValue += currentValue;
+            portfolio.totalInvested += investedValue;
+        }
+
+        // Calculate allocations
+        if (portfolio.totalValue > 0) {
+            for (const asset of ['gold', 'silver', 'platinum', 'stablecoin']) {
+                portfolio.assets[asset].allocation = 
+                    (portfolio.assets[asset].currentValue / portfolio.totalValue) * 100;
+            }
+        }
+
+        portfolio.totalProfit = portfolio.totalValue - portfolio.totalInvested;
+        portfolio.totalProfitPercent = portfolio.totalInvested > 0 ? 
+            (portfolio.totalProfit / portfolio.totalInvested) * 100 : 0;
+
+        res.json({
+            portfolio,
+            marketRates: rates,
+            lastUpdated: new Date(),
+            performance: {
+                dayChange: 0, // Calculate from historical data
+                weekChange: 0,
+                monthChange: 0,
+                yearChange: 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Portfolio error:', error);
+        res.status(500).json({ error: 'Failed to fetch portfolio' });
+    }
+});
+
+// Get transaction history
+app.get('/api/transactions', authenticateJWT, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { page = 1, limit = 50, asset, type } = req.query;
+        
+        const transactions = await getUserTransactions(userId, {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            asset,
+            type
+        });
 
         res.json({
             transactions: transactions.data,
@@ -613,89 +1357,409 @@ app.get('/api/transactions', authenticateJWT, async (req, res) => {
     }
 });
 
-// ==================== UTILITY FUNCTIONS ====================
+// ==================== REBALANCING ====================
 
-function generateUserId() {
-    return 'USER_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
+// Save the target allocation, e.g. { "target": { "gold": 60, "silver": 20, "platinum": 10, "stablecoin": 10 },
+// "autoRebalance": true, "driftThreshold": 5 }
+app.put('/api/portfolio/target', authenticateJWT, async (req, res) => {
+    try {
+        const { target, autoRebalance, driftThreshold } = req.body;
+        res.json(await saveTargetAllocation(req.user.userId, { target, autoRebalance, driftThreshold }));
+    } catch (error) {
+        sendError(res, error, 'Failed to save target allocation');
+    }
+});
 
-function generateTransactionId() {
-    return 'TXN_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
+// Get the saved target allocation
+app.get('/api/portfolio/target', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await getTargetAllocation(req.user.userId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch target allocation');
+    }
+});
 
-function generateSIPId() {
-    return 'SIP_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
+// Preview the swaps and sells that bring the portfolio back to target (prices quoted)
+app.post('/api/portfolio/rebalance/preview', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await previewRebalance(req.user.userId));
+    } catch (error) {
+        sendError(res, error, 'Rebalance preview failed');
+    }
+});
 
-function generateReferralCode() {
-    return 'MM' + Math.random().toString(36).substr(2, 6).toUpperCase();
-}
+// Execute a previewed rebalance: { rebalanceId }
+app.post('/api/portfolio/rebalance/confirm', authenticateJWT, async (req, res) => {
+    try {
+        if (!req.body.rebalanceId) {
+            return res.status(400).json({ error: 'rebalanceId is required' });
+        }
+        res.json(await confirmRebalance(req.user.userId, req.body.rebalanceId));
+    } catch (error) {
+        sendError(res, error, 'Rebalance failed');
+    }
+});
 
-function calculateNextPurchaseDate(sipPlan) {
-    const now = new Date();
-    const nextDate = new Date(now);
-    
-    switch (sipPlan.frequency) {
-        case 'daily':
-            nextDate.setDate(now.getDate() + 1);
-            break;
-        case 'weekly':
-            nextDate.setDate(now.getDate() + 7);
-            break;
-        case 'monthly':
-            nextDate.setMonth(now.getMonth() + 1);
-            break;
-    }
-    
-    return nextDate;
-}
+// Rebalance history (manual and drift-triggered)
+app.get('/api/portfolio/rebalances', authenticateJWT, async (req, res) => {
+    try {
+        res.json({ rebalances: await getRebalanceHistory(req.user.userId) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch rebalances');
+    }
+});
 
-// ==================== DATABASE OPERATIONS ====================
+// ==================== LEDGER ====================
 
-async function findUserByEmail(email) {
-    // Implementation for finding user by email
-    return null; // Placeholder
-}
+// Prove the ledger sums to zero per asset (auditor reconciliation)
+app.get('/api/ledger/reconciliation', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const report = await reconcileLedger();
+        res.status(report.balanced ? 200 : 409).json(report);
 
-async function findUserById(userId) {
-    // Implementation for finding user by ID
-    return null; // Placeholder
-}
+    } catch (error) {
+        console.error('Ledger reconciliation error:', error);
+        res.status(500).json({ error: 'Ledger reconciliation failed' });
+    }
+});
 
-async function saveUser(user) {
-    // Implementation for saving user
-    return true; // Placeholder
-}
+// ==================== BINR STABLECOIN ====================
+
+// Mint BINR against a confirmed INR deposit, e.g. { "paymentId": "PAY_...", "amount": 5000 }
+// (amount defaults to the deposit's unminted remainder)
+app.post('/api/binr/mint', authenticateJWT, async (req, res) => {
+    try {
+        const { paymentId, amount } = req.body;
+        res.status(201).json(await mintBINR({ userId: req.user.userId, paymentId, amount }));
+    } catch (error) {
+        sendError(res, error, 'BINR mint failed');
+    }
+});
+
+// Burn BINR back into the INR balance at par
+app.post('/api/binr/burn', authenticateJWT, async (req, res) => {
+    try {
+        res.status(201).json(await burnBINR({ userId: req.user.userId, amount: req.body.amount }));
+    } catch (error) {
+        sendError(res, error, 'BINR burn failed');
+    }
+});
+
+// The user's mints and burns
+app.get('/api/binr/issuances', authenticateJWT, async (req, res) => {
+    try {
+        res.json({ issuances: await listIssuances(req.user.userId) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch BINR issuances');
+    }
+});
+
+// Latest daily attestation of BINR supply against the INR reserve (public)
+app.get('/api/binr/attestation', async (req, res) => {
+    try {
+        res.json(await getLatestAttestation());
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch BINR attestation');
+    }
+});
+
+// Attestation history (public, ?limit=30)
+app.get('/api/binr/attestations', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit || 30);
+        if (!(limit >= 1 && limit <= 365)) {
+            return res.status(400).json({ error: 'limit must be between 1 and 365' });
+        }
+        res.json({ attestations: await listAttestations({ limit }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch BINR attestations');
+    }
+});
+
+// Publish an attestation now (admin)
+app.post('/api/binr/attestations', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.status(201).json(await createAttestation());
+    } catch (error) {
+        sendError(res, error, 'Failed to create BINR attestation');
+    }
+});
+
+// Live supply and reserve from the ledger (admin)
+app.get('/api/binr/reserve', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await getReserveStatus());
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch BINR reserve');
+    }
+});
+
+// Peg deviation alerts (admin, ?status=OPEN|RESOLVED)
+app.get('/api/binr/peg-alerts', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json({ alerts: await listPegAlerts({ status: req.query.status }), statuses: PEG_ALERT_STATUSES, band: PEG_BAND });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch peg alerts');
+    }
+});
+
+// ==================== VAULT & RESERVES ====================
+
+// Proof of reserves: customer metal balances against vault holdings and the
+// Merkle root of every customer's balances (public, latest snapshot)
+app.get('/api/reserves', async (req, res) => {
+    try {
+        res.json(await getLatestReserveSnapshot());
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch reserves');
+    }
+});
+
+// The user's leaf and Merkle path in the latest snapshot, to check their balance is included
+app.get('/api/reserves/proof', authenticateJWT, async (req, res) => {
+    try {
+        res.json(await getReserveProof(req.user.userId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch reserve proof');
+    }
+});
+
+// Publish a new snapshot now (admin)
+app.post('/api/reserves/snapshot', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.status(201).json(await createReserveSnapshot());
+    } catch (error) {
+        sendError(res, error, 'Failed to create reserve snapshot');
+    }
+});
+
+// Bar inventory (admin, ?asset=gold&location=MUMBAI-BKC&status=IN_VAULT)
+app.get('/api/vault/bars', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { asset, location, status } = req.query;
+        res.json({ bars: await listBars({ asset, location, status }), statuses: BAR_STATUSES });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch bars');
+    }
+});
+
+// Add a bar (admin): { "serialNumber", "refiner", "asset", "purity": 999.9, "weight": 1000, "location" }
+app.post('/api/vault/bars', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { serialNumber, refiner, asset, purity, weight, location } = req.body;
+        const bar = await addBar({ serialNumber, refiner, asset, purity, weight, location, addedBy: req.user.userId });
+        res.status(201).json(bar);
+    } catch (error) {
+        sendError(res, error, 'Failed to add bar');
+    }
+});
+
+app.get('/api/vault/bars/:barId', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await getBar(req.params.barId));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch bar');
+    }
+});
+
+// Move a bar to another vault (admin): { "location" }
+app.post('/api/vault/bars/:barId/move', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await moveBar(req.params.barId, { location: req.body.location, by: req.user.userId }));
+    } catch (error) {
+        sendError(res, error, 'Failed to move bar');
+    }
+});
+
+// Take a bar out of the vault (admin): { "reason" }
+app.post('/api/vault/bars/:barId/remove', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await removeBar(req.params.barId, { reason: req.body.reason, by: req.user.userId }));
+    } catch (error) {
+        sendError(res, error, 'Failed to remove bar');
+    }
+});
+
+// Re-allocate bars to customer holdings and summarize per metal and location (admin)
+app.post('/api/vault/allocate', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await allocateAllBars());
+    } catch (error) {
+        sendError(res, error, 'Failed to allocate bars');
+    }
+});
+
+// ==================== BLOCKCHAIN ====================
+
+// Token mirroring status: queued, failed and submitted operations, last reconciliation (admin)
+app.get('/api/chain/status', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await getChainStatus());
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch chain status');
+    }
+});
+
+// Token operations queued from settled journals (admin, ?status=FAILED)
+app.get('/api/chain/operations', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        res.json({ operations: await listChainOperations({ status }), statuses: CHAIN_OPERATION_STATUSES });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch chain operations');
+    }
+});
+
+// Submit queued operations now (admin)
+app.post('/api/chain/operations/submit', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await submitPendingChainOperations());
+    } catch (error) {
+        sendError(res, error, 'Failed to submit chain operations');
+    }
+});
+
+// Re-queue a FAILED operation (admin)
+app.post('/api/chain/operations/:journalId/retry', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        res.json(await retryChainOperation(req.params.journalId));
+    } catch (error) {
+        sendError(res, error, 'Failed to retry chain operation');
+    }
+});
+
+// Compare on-chain supply with the ledger now (admin); 409 on drift
+app.post('/api/chain/reconcile', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const report = await reconcileChain();
+        res.status(report.status === 'OK' ? 200 : 409).json(report);
+    } catch (error) {
+        sendError(res, error, 'Chain reconciliation failed');
+    }
+});
+
+// Past reconciliation reports (admin, ?status=DRIFT)
+app.get('/api/chain/reconciliations', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        res.json({ reconciliations: await listChainReconciliations({ status }) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch chain reconciliations');
+    }
+});
+
+// ==================== BANK RECONCILIATION ====================
+
+// Import a bank statement (CSV or MT940) and match its credits to bank transfers (admin)
+app.post('/api/reconciliation/statements', authenticateJWT, requireAdmin, statementUpload.single('statement'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Upload the statement file as "statement"' });
+        }
+
+        const { format } = req.body;
+        if (format && !STATEMENT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'Invalid statement format', allowed: STATEMENT_FORMATS });
+        }
+
+        const summary = await importStatement({
+            content: req.file.buffer,
+            format,
+            fileName: req.file.originalname,
+            importedBy: req.user.userId
+        });
+
+        res.status(201).json(summary);
+
+    } catch (error) {
+        sendError(res, error, 'Statement import failed');
+    }
+});
+
+// Exceptions queue: underpayments, overpayments and unmatched credits (admin)
+app.get('/api/reconciliation/exceptions', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { status = 'OPEN', type } = req.query;
+        if (type && !EXCEPTION_TYPES.includes(type)) {
+            return res.status(400).json({ error: 'Invalid exception type', allowed: EXCEPTION_TYPES });
+        }
+
+        const exceptions = await listExceptions({ status, type });
+        res.json({ exceptions, total: exceptions.length });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch reconciliation exceptions');
+    }
+});
+
+// Resolve an exception: ACCEPT (optionally onto a paymentId) or REJECT (admin)
+app.post('/api/reconciliation/exceptions/:id/resolve', authenticateJWT, requireAdmin, async (req, res) => {
+    try {
+        const { action, paymentId, note } = req.body;
+
+        const exception = await resolveException(req.params.id, {
+            action,
+            paymentId,
+            note,
+            resolvedBy: req.user.userId
+        });
+
+        res.json(exception);
+
+    } catch (error) {
+        sendError(res, error, 'Failed to resolve exception');
+    }
+});
+
+// ==================== UTILITY FUNCTIONS ====================
 
-async function saveTransaction(transaction) {
-    // Implementation for saving transaction
-    return true; // Placeholder
+function generateUserId() {
+    return 'USER_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-async function saveSIPPlan(sipPlan) {
-    // Implementation for saving SIP plan
-    return true; // Placeholder
+function generateSIPId() {
+    return 'SIP_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-async function getSIPPlansByUser(userId) {
-    // Implementation for getting SIP plans
-    return []; // Placeholder
+function generateReferralCode() {
+    return 'MM' + Math.random().toString(36).substr(2, 6).toUpperCase();
 }
 
-async function getUserTransactions(userId, options) {
-    // Implementation for getting user transactions
-    return { data: [], total: 0 }; // Placeholder
+async function getPortfolioWithBalances(user) {
+    const balances = await getUserBalances(user.userId);
+    const portfolio = { ...user.portfolio, inrBalance: balances.inr };
+
+    for (const asset of ['gold', 'silver', 'platinum', 'stablecoin']) {
+        portfolio[asset] = { ...user.portfolio[asset], balance: balances[asset] };
+    }
+
+    return portfolio;
 }
 
 // ==================== SERVER START ====================
 
-app.listen(PORT, () => {
-    console.log(`🚀 Multi-Metal Token App API Server running on port ${PORT}`);
-    console.log(`🥇 Gold Token Trading: Enabled`);
-    console.log(`🥈 Silver Token Trading: Enabled`);
-    console.log(`🥉 Platinum Token Trading: Enabled`);
-    console.log(`💰 Stablecoin (BINR) Trading: Enabled`);
-    console.log(`📊 Fee Structure: 1% spread, ₹50/month SIP, 0.1-0.5% swap`);
-});
+if (require.main === module) {
+    startSettlementJobs();
+    startRefundJobs();
+    startReconciliationJobs();
+    startSIPJobs();
+    startRebalancingJobs();
+    startMarketFeed();
+    startPriceHistoryJobs();
+    startReserveJobs();
+    startChainJobs();
+    startBINRJobs();
+    startWalletJobs();
+
+    const server = app.listen(PORT, () => {
+        console.log(`🚀 Multi-Metal Token App API Server running on port ${PORT}`);
+        console.log(`🥇 Gold Token Trading: Enabled`);
+        console.log(`🥈 Silver Token Trading: Enabled`);
+        console.log(`🥉 Platinum Token Trading: Enabled`);
+        console.log(`💰 Stablecoin (BINR) Trading: Enabled`);
+        console.log(`📊 Fee Structure: 1% spread, ₹50/month SIP, 0.1-0.5% swap`);
+    });
+    attachRealtime(server);
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,288 @@
+// Settlement Module for Multi-Metal Token App
+// Connects payment outcomes to BUY orders through an order state machine,
+// and credits payments made without an order as INR deposits
+
+const cron = require('node-cron');
+const { onPaymentStatusChange, updatePaymentStatus } = require('./payments');
+const { recordBuy, recordDeposit } = require('./ledger');
+const {
+    findUserById,
+    saveUser,
+    findTransactionById,
+    saveTransaction,
+    getPaymentById,
+    updatePaymentStatus: savePaymentStatus
+} = require('./repository');
+const { getStorage, withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+
+// Allowed order (BUY transaction) state transitions
+const ORDER_TRANSITIONS = {
+    PENDING: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: ['REFUNDED'],
+    CANCELLED: [],
+    REFUNDED: []
+};
+
+// Payment statuses that can still complete
+const OPEN_PAYMENT_STATUSES = ['INITIATED', 'PENDING_CONFIRMATION', 'REDIRECT_REQUIRED'];
+
+// Paid amounts may differ from the order total by rounding only
+const AMOUNT_TOLERANCE = 0.01;
+
+let handlersRegistered = false;
+
+/**
+ * Move an order to a new state, recording the transition
+ * @param {Object} order - BUY transaction
+ * @param {string} toState - Target state
+ * @param {Object} details - Why the transition happened ({ reason, paymentId, paymentStatus })
+ * @returns {Object} The updated order (not yet saved)
+ */
+function transitionOrder(order, toState, details = {}) {
+    const allowed = ORDER_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(toState)) {
+        throw new Error(`Invalid order transition ${order.status} -> ${toState}`);
+    }
+
+    order.stateHistory = order.stateHistory || [];
+    order.stateHistory.push({
+        from: order.status,
+        to: toState,
+        ...details,
+        at: new Date()
+    });
+    order.status = toState;
+    return order;
+}
+
+/**
+ * Finalize a BUY order whose payment completed
+ * Credits the metal at the price locked when the order was created, books the
+ * fees and updates totalInvested. Money that arrives for an order that can no
+ * longer settle is kept as INR balance so it can be refunded.
+ * @param {Object} payment - Completed payment
+ * @returns {Promise<Object|null>} Settled order or null
+ */
+async function settleBuyOrder(payment) {
+    const order = await findTransactionById(payment.orderId);
+    if (!order || order.type !== 'BUY') {
+        return null;
+    }
+
+    // Gateways and bank statements report what was actually received
+    const paidAmount = payment.paidAmount !== undefined ? payment.paidAmount : payment.amount;
+
+    return withUserLock(order.userId, () => withTransaction(async () => {
+        const current = await findTransactionById(order.transactionId);
+
+        if (current.status !== 'PENDING') {
+            // Late payment for a cancelled order: hold the money for refund
+            if (current.status === 'CANCELLED' && !current.lateDepositJournalId) {
+                const journal = await recordDeposit({
+                    userId: current.userId,
+                    reference: payment.paymentId,
+                    amount: paidAmount
+                });
+                current.lateDepositJournalId = journal.journalId;
+                await saveTransaction(current);
+            }
+            return current;
+        }
+
+        if (paidAmount + AMOUNT_TOLERANCE < current.totalCost) {
+            const journal = await recordDeposit({
+                userId: current.userId,
+                reference: payment.paymentId,
+                amount: paidAmount
+            });
+            transitionOrder(current, 'CANCELLED', {
+                reason: 'UNDERPAID',
+                paymentId: payment.paymentId,
+                paymentStatus: payment.status
+            });
+            current.lateDepositJournalId = journal.journalId;
+            await saveTransaction(current);
+            return current;
+        }
+
+        const journal = await recordBuy({
+            userId: current.userId,
+            transactionId: current.transactionId,
+            asset: current.asset,
+            amount: current.amount,
+            price: current.price,
+            fees: current.fees
+        });
+
+        // Anything paid above the order total stays with the user as INR
+        const excess = paidAmount - current.totalCost;
+        if (excess > AMOUNT_TOLERANCE) {
+            await recordDeposit({ userId: current.userId, reference: payment.paymentId, amount: excess });
+        }
+
+        transitionOrder(current, 'COMPLETED', {
+            reason: 'PAYMENT_COMPLETED',
+            paymentId: payment.paymentId,
+            paymentStatus: payment.status
+        });
+        current.journalId = journal.journalId;
+        current.settledAt = new Date();
+        await saveTransaction(current);
+
+        const user = await findUserById(current.userId);
+        user.portfolio[current.asset].totalInvested += current.amount * current.price;
+        await saveUser(user);
+
+        return current;
+    }));
+}
+
+/**
+ * Cancel a BUY order whose payment expired or failed
+ * @param {Object} payment - Expired or failed payment
+ * @returns {Promise<Object|null>} Cancelled order or null
+ */
+async function cancelBuyOrder(payment) {
+    const order = await findTransactionById(payment.orderId);
+    if (!order || order.type !== 'BUY') {
+        return null;
+    }
+
+    return withUserLock(order.userId, () => withTransaction(async () => {
+        const current = await findTransactionById(order.transactionId);
+        if (current.status !== 'PENDING') {
+            return current;
+        }
+
+        transitionOrder(current, 'CANCELLED', {
+            reason: payment.status === 'EXPIRED' ? 'PAYMENT_EXPIRED' : 'PAYMENT_FAILED',
+            paymentId: payment.paymentId,
+            paymentStatus: payment.status
+        });
+        current.cancelledAt = new Date();
+        await saveTransaction(current);
+        return current;
+    }));
+}
+
+/**
+ * Credit a completed payment that is not linked to an order as INR balance
+ * @param {Object} payment - Completed payment
+ * @returns {Promise<Object>} Payment with its depositJournalId
+ */
+async function creditDeposit(payment) {
+    const paidAmount = payment.paidAmount !== undefined ? payment.paidAmount : payment.amount;
+
+    return withUserLock(payment.userId, () => withTransaction(async () => {
+        const current = await getPaymentById(payment.paymentId);
+        if (current.depositJournalId) {
+            return current;
+        }
+
+        const journal = await recordDeposit({
+            userId: current.userId,
+            reference: current.paymentId,
+            amount: paidAmount
+        });
+        return savePaymentStatus(current.paymentId, current.status, { depositJournalId: journal.journalId });
+    }));
+}
+
+/**
+ * React to a payment status change
+ * @param {Object} payment - Payment after the change
+ * @returns {Promise<Object|null>} Affected order (or deposit payment) or null
+ */
+async function handlePaymentStatusChange(payment) {
+    if (!payment.orderId) {
+        return payment.status === 'COMPLETED' ? creditDeposit(payment) : null;
+    }
+
+    switch (payment.status) {
+        case 'COMPLETED':
+            return settleBuyOrder(payment);
+        case 'EXPIRED':
+        case 'FAILED':
+            return cancelBuyOrder(payment);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Expire open payments past their expiry time (which cancels their orders)
+ * @returns {Promise<number>} Number of payments expired
+ */
+async function expireStalePayments() {
+    const now = new Date();
+    const openPayments = await getStorage().find('payments', { status: OPEN_PAYMENT_STATUSES });
+
+    let expired = 0;
+    for (const payment of openPayments) {
+        if (payment.expiresAt && payment.expiresAt < now) {
+            await updatePaymentStatus(payment.paymentId, 'EXPIRED', { expiredAt: now });
+            expired++;
+        }
+    }
+    return expired;
+}
+
+/**
+ * Settle PENDING orders whose payment already completed
+ * Covers a crash between the payment update and its settlement.
+ * @returns {Promise<number>} Number of orders settled
+ */
+async function settleCompletedPayments() {
+    const pendingOrders = await getStorage().find('transactions', { type: 'BUY', status: 'PENDING' });
+
+    let settled = 0;
+    for (const order of pendingOrders) {
+        const payment = order.paymentId && await getPaymentById(order.paymentId);
+        if (payment && payment.status === 'COMPLETED') {
+            await settleBuyOrder(payment);
+            settled++;
+        }
+    }
+    return settled;
+}
+
+/**
+ * Connect settlement to payment status changes (safe to call more than once)
+ */
+function registerSettlementHandlers() {
+    if (!handlersRegistered) {
+        onPaymentStatusChange(handlePaymentStatusChange);
+        handlersRegistered = true;
+    }
+}
+
+/**
+ * Start the periodic settlement sweep: expire stale payments, retry unsettled ones
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default every minute)
+ * @returns {Object} Scheduled cron task
+ */
+function startSettlementJobs({ schedule = '* * * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        try {
+            await expireStalePayments();
+            await settleCompletedPayments();
+        } catch (error) {
+            console.error('Settlement sweep error:', error);
+        }
+    });
+}
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    transitionOrder,
+    settleBuyOrder,
+    cancelBuyOrder,
+    creditDeposit,
+    handlePaymentStatusChange,
+    expireStalePayments,
+    settleCompletedPayments,
+    registerSettlementHandlers,
+    startSettlementJobs
+};
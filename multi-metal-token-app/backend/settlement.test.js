@@ -0,0 +1,89 @@
+const { resetStorage, createTestUser, useFixedRates } = require('./test-utils');
+const { createBuyOrder } = require('./trading');
+const { updatePaymentStatus } = require('./payments');
+const { registerSettlementHandlers, transitionOrder, expireStalePayments, settleCompletedPayments } = require('./settlement');
+const { getUserBalances, reconcileLedger } = require('./ledger');
+const { findTransactionById, findUserById, getPaymentById, savePayment, updatePaymentStatus: savePaymentStatus } = require('./repository');
+
+let user;
+let order;
+
+registerSettlementHandlers();
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    user = await createTestUser();
+    order = await createBuyOrder({ userId: user.userId, asset: 'gold', amount: 1, paymentMethod: 'UPI', upiId: 'user@okaxis' });
+});
+
+test('a buy order waits PENDING for its payment', async () => {
+    const pending = await findTransactionById(order.transactionId);
+    expect(pending).toMatchObject({ status: 'PENDING', paymentId: order.paymentId });
+    expect((await getUserBalances(user.userId)).gold).toBe(0);
+});
+
+test('a completed payment credits the metal at the order price', async () => {
+    await updatePaymentStatus(order.paymentId, 'COMPLETED');
+
+    const settled = await findTransactionById(order.transactionId);
+    expect(settled.status).toBe('COMPLETED');
+    expect(settled.stateHistory).toEqual([expect.objectContaining({ from: 'PENDING', to: 'COMPLETED', reason: 'PAYMENT_COMPLETED' })]);
+    expect((await getUserBalances(user.userId)).gold).toBe(1);
+    expect((await findUserById(user.userId)).portfolio.gold.totalInvested).toBe(order.price);
+    expect((await reconcileLedger()).balanced).toBe(true);
+
+    // A repeated notification settles nothing twice
+    await updatePaymentStatus(order.paymentId, 'PENDING_CONFIRMATION');
+    await updatePaymentStatus(order.paymentId, 'COMPLETED');
+    expect((await getUserBalances(user.userId)).gold).toBe(1);
+});
+
+test('an underpaid order is cancelled and the money kept as INR', async () => {
+    await updatePaymentStatus(order.paymentId, 'COMPLETED', { paidAmount: 1000 });
+
+    expect(await findTransactionById(order.transactionId)).toMatchObject({ status: 'CANCELLED' });
+    const balances = await getUserBalances(user.userId);
+    expect(balances.gold).toBe(0);
+    expect(balances.inr).toBe(1000);
+});
+
+test('an overpayment leaves the excess as INR', async () => {
+    await updatePaymentStatus(order.paymentId, 'COMPLETED', { paidAmount: order.totalCost + 50 });
+
+    const balances = await getUserBalances(user.userId);
+    expect(balances.gold).toBe(1);
+    expect(balances.inr).toBeCloseTo(50, 2);
+});
+
+test('a failed payment cancels the order, and money arriving later is held for refund', async () => {
+    await updatePaymentStatus(order.paymentId, 'FAILED');
+    expect(await findTransactionById(order.transactionId)).toMatchObject({ status: 'CANCELLED' });
+
+    await updatePaymentStatus(order.paymentId, 'COMPLETED');
+    const cancelled = await findTransactionById(order.transactionId);
+    expect(cancelled.status).toBe('CANCELLED');
+    expect(cancelled.lateDepositJournalId).toBeDefined();
+    expect((await getUserBalances(user.userId)).inr).toBeCloseTo(order.totalCost, 2);
+});
+
+test('expired payments cancel their orders', async () => {
+    const payment = await getPaymentById(order.paymentId);
+    await savePayment({ ...payment, expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await expireStalePayments()).toBe(1);
+    expect((await getPaymentById(order.paymentId)).status).toBe('EXPIRED');
+    expect(await findTransactionById(order.transactionId)).toMatchObject({ status: 'CANCELLED' });
+});
+
+test('the sweep settles a completed payment whose settlement never ran', async () => {
+    // Saved without running the status-change handlers, as after a crash
+    await savePaymentStatus(order.paymentId, 'COMPLETED');
+
+    expect(await settleCompletedPayments()).toBe(1);
+    expect((await findTransactionById(order.transactionId)).status).toBe('COMPLETED');
+});
+
+test('transitionOrder refuses transitions the state machine does not allow', () => {
+    expect(() => transitionOrder({ status: 'CANCELLED' }, 'COMPLETED')).toThrow('Invalid order transition CANCELLED -> COMPLETED');
+});
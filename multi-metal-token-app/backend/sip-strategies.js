@@ -0,0 +1,340 @@
+// SIP Strategies Module for Multi-Metal Token App
+// Works out how much each installment invests under a plan's strategy and how a
+// basket plan splits it across assets
+
+const { calculateDiversification } = require('./fees');
+const { createError } = require('./errors');
+
+// FIXED invests plan.amount every time and is the default for plans without a strategy
+const SIP_STRATEGIES = ['FIXED', 'STEP_UP', 'VALUE_AVERAGING', 'DIP_BUYING'];
+
+// Value averaging invests at most this multiple of the plan amount unless maxAmount is set
+const VALUE_AVERAGING_MAX_MULTIPLE = 3;
+
+// Years of step-ups an auto-pay mandate is registered for when no cap is given
+const STEP_UP_MANDATE_YEARS = 5;
+
+// A basket plan is stored with this asset and its target weights in plan.basket
+const BASKET_ASSET = 'basket';
+const BASKET_ASSETS = ['gold', 'silver', 'platinum', 'stablecoin'];
+
+// SPLIT buys every asset by weight; MOST_UNDERWEIGHT buys only the asset furthest below target
+const BASKET_MODES = ['SPLIT', 'MOST_UNDERWEIGHT'];
+
+/**
+ * Round to paise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Whether a value is a positive finite number
+ * @param {*} value - Value
+ * @returns {boolean} Positive number
+ */
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validate a requested strategy and keep only the fields it uses
+ * @param {Object|undefined} input - { type, ...parameters }; missing means FIXED
+ * @param {number} amount - Plan amount the strategy starts from
+ * @param {Object} options - { basket: true } for basket plans
+ * @returns {Object} Strategy to store on the plan
+ */
+function normalizeStrategy(input, amount, { basket = false } = {}) {
+    if (input === undefined || input === null) {
+        return { type: 'FIXED' };
+    }
+
+    const type = String(input.type || '').toUpperCase();
+    if (!SIP_STRATEGIES.includes(type)) {
+        throw createError('Invalid SIP strategy', 400, { allowed: SIP_STRATEGIES });
+    }
+    if (basket && type === 'DIP_BUYING') {
+        throw createError('Dip buying follows a single asset\'s price and is not available for baskets');
+    }
+
+    switch (type) {
+        case 'STEP_UP': {
+            const { stepUpPercent, maxAmount } = input;
+            if (!isPositiveNumber(stepUpPercent) || stepUpPercent > 100) {
+                throw createError('stepUpPercent must be a number between 0 and 100');
+            }
+            if (maxAmount !== undefined && (!isPositiveNumber(maxAmount) || maxAmount < amount)) {
+                throw createError('maxAmount must be at least the SIP amount');
+            }
+            return { type, stepUpPercent, ...(maxAmount !== undefined && { maxAmount }) };
+        }
+        case 'VALUE_AVERAGING': {
+            const { minAmount, maxAmount } = input;
+            if (minAmount !== undefined && (typeof minAmount !== 'number' || !Number.isFinite(minAmount) || minAmount < 0)) {
+                throw createError('minAmount must be zero or a positive number');
+            }
+            if (maxAmount !== undefined && (!isPositiveNumber(maxAmount) || maxAmount < amount)) {
+                throw createError('maxAmount must be at least the SIP amount');
+            }
+            if (minAmount !== undefined && minAmount > amount) {
+                throw createError('minAmount cannot exceed the SIP amount');
+            }
+            return {
+                type,
+                ...(minAmount !== undefined && { minAmount }),
+                ...(maxAmount !== undefined && { maxAmount })
+            };
+        }
+        case 'DIP_BUYING': {
+            const { dropThresholdPercent, topUpAmount } = input;
+            if (!isPositiveNumber(dropThresholdPercent) || dropThresholdPercent > 50) {
+                throw createError('dropThresholdPercent must be a number between 0 and 50');
+            }
+            if (!isPositiveNumber(topUpAmount)) {
+                throw createError('topUpAmount must be a positive number');
+            }
+            return { type, dropThresholdPercent, topUpAmount };
+        }
+        default:
+            return { type };
+    }
+}
+
+/**
+ * Whole years between a plan's start and a day
+ * @param {Date|string} startDate - Plan start
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {number} Completed years
+ */
+function completedYears(startDate, dayKey) {
+    const start = new Date(startDate);
+    const day = new Date(`${dayKey}T00:00:00.000Z`);
+
+    let years = day.getUTCFullYear() - start.getUTCFullYear();
+    const anniversaryPending = day.getUTCMonth() < start.getUTCMonth() ||
+        (day.getUTCMonth() === start.getUTCMonth() && day.getUTCDate() < start.getUTCDate());
+    if (anniversaryPending) {
+        years--;
+    }
+    return Math.max(0, years);
+}
+
+/**
+ * Step-up amount after a number of years, capped at the strategy's maxAmount
+ * @param {number} amount - Starting amount
+ * @param {Object} strategy - STEP_UP strategy
+ * @param {number} years - Completed years
+ * @returns {number} Installment amount
+ */
+function stepUpAmount(amount, strategy, years) {
+    const stepped = roundInr(amount * Math.pow(1 + strategy.stepUpPercent / 100, years));
+    return strategy.maxAmount ? Math.min(stepped, strategy.maxAmount) : stepped;
+}
+
+/**
+ * Amount to invest in one installment
+ * Value averaging follows a target path where the plan's holding should be worth
+ * plan.amount × the installment number; only purchases are made, so when the
+ * holding is above the path the installment is held back (amount 0).
+ * @param {Object} plan - Plan terms ({ amount, startDate, strategy })
+ * @param {Object} context - Installment context
+ * @param {string} context.dayKey - Scheduled day
+ * @param {number} context.period - Installment number on the plan's path (1-based)
+ * @param {number} context.holdingValue - Current value of the metal the plan has bought
+ * @param {number} context.changePercent - Latest market move of the asset in percent
+ * @returns {Object} { amount, baseAmount, topUp, targetValue, reason }
+ */
+function resolveInstallmentAmount(plan, { dayKey, period, holdingValue, changePercent }) {
+    const strategy = plan.strategy || { type: 'FIXED' };
+    const base = plan.amount;
+
+    switch (strategy.type) {
+        case 'STEP_UP': {
+            const years = completedYears(plan.startDate || dayKey, dayKey);
+            const amount = stepUpAmount(base, strategy, years);
+            return { amount, baseAmount: amount, topUp: 0, reason: years > 0 ? `STEP_UP_YEAR_${years}` : null };
+        }
+        case 'VALUE_AVERAGING': {
+            const targetValue = roundInr(base * period);
+            const gap = roundInr(targetValue - (holdingValue || 0));
+            if (gap <= 0) {
+                return { amount: 0, baseAmount: 0, topUp: 0, targetValue, reason: 'ABOVE_TARGET_PATH' };
+            }
+            const maxAmount = strategy.maxAmount || base * VALUE_AVERAGING_MAX_MULTIPLE;
+            const amount = roundInr(Math.min(maxAmount, Math.max(strategy.minAmount || 0, gap)));
+            return {
+                amount,
+                baseAmount: amount,
+                topUp: 0,
+                targetValue,
+                reason: amount > base ? 'BELOW_TARGET_PATH' : amount < base ? 'NEAR_TARGET_PATH' : null
+            };
+        }
+        case 'DIP_BUYING': {
+            const dipped = typeof changePercent === 'number' && changePercent <= -strategy.dropThresholdPercent;
+            const topUp = dipped ? strategy.topUpAmount : 0;
+            return { amount: roundInr(base + topUp), baseAmount: base, topUp, reason: dipped ? 'DIP_TOP_UP' : null };
+        }
+        default:
+            return { amount: base, baseAmount: base, topUp: 0, reason: null };
+    }
+}
+
+/**
+ * Largest installment a strategy is expected to invest, used to size auto-pay mandates
+ * @param {number} amount - Plan amount
+ * @param {Object} strategy - Plan strategy
+ * @returns {number} Largest installment amount
+ */
+function strategyCeiling(amount, strategy = { type: 'FIXED' }) {
+    switch (strategy.type) {
+        case 'STEP_UP':
+            return strategy.maxAmount || stepUpAmount(amount, strategy, STEP_UP_MANDATE_YEARS);
+        case 'VALUE_AVERAGING':
+            return strategy.maxAmount || amount * VALUE_AVERAGING_MAX_MULTIPLE;
+        case 'DIP_BUYING':
+            return amount + strategy.topUpAmount;
+        default:
+            return amount;
+    }
+}
+
+/**
+ * Installment amount at the start of each plan year for a step-up plan
+ * @param {number} amount - Starting amount
+ * @param {Object} strategy - STEP_UP strategy
+ * @param {number} years - Years to list
+ * @returns {Array} [{ year, amount }]
+ */
+function stepUpSchedule(amount, strategy, years = STEP_UP_MANDATE_YEARS) {
+    return Array.from({ length: years }, (_, index) => ({
+        year: index + 1,
+        amount: stepUpAmount(amount, strategy, index)
+    }));
+}
+
+// ==================== BASKETS ====================
+
+/**
+ * Validate basket target weights
+ * @param {Object} input - { weights: { gold: 60, silver: 20, ... }, mode }
+ * @returns {Object} Basket to store on the plan (zero weights dropped)
+ */
+function normalizeBasket(input) {
+    if (!input || typeof input.weights !== 'object' || input.weights === null) {
+        throw createError('A basket SIP needs target weights, e.g. { "gold": 60, "silver": 40 }');
+    }
+
+    const weights = {};
+    for (const [asset, weight] of Object.entries(input.weights)) {
+        if (!BASKET_ASSETS.includes(asset)) {
+            throw createError(`Invalid basket asset: ${asset}`, 400, { allowed: BASKET_ASSETS });
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw createError(`Weight for ${asset} must be zero or a positive number`);
+        }
+        if (weight > 0) {
+            weights[asset] = weight;
+        }
+    }
+
+    if (Object.keys(weights).length < 2) {
+        throw createError('A basket needs at least two assets with a weight');
+    }
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+        throw createError('Basket weights must add up to 100', 400, { total });
+    }
+
+    const mode = String(input.mode || 'SPLIT').toUpperCase();
+    if (!BASKET_MODES.includes(mode)) {
+        throw createError('Invalid basket mode', 400, { allowed: BASKET_MODES });
+    }
+
+    return { weights, mode };
+}
+
+/**
+ * How far each basket asset is from its target weight
+ * Uses calculateDiversification over the metal the plan has bought so far.
+ * @param {Object} basket - Plan basket
+ * @param {Object} holdings - Quantity bought per asset
+ * @param {Object} rates - Market rates
+ * @returns {Object} { [asset]: { target, current, gap } } in percentage points
+ */
+function basketDrift(basket, holdings, rates) {
+    const portfolio = {};
+    for (const asset of BASKET_ASSETS) {
+        portfolio[asset] = { balance: holdings[asset] || 0, currentPrice: rates[asset].price };
+    }
+    const { allocation } = calculateDiversification(portfolio);
+
+    const drift = {};
+    for (const [asset, target] of Object.entries(basket.weights)) {
+        const current = allocation[asset] ? allocation[asset].weight : 0;
+        drift[asset] = { target, current, gap: Math.round((target - current) * 100) / 100 };
+    }
+    return drift;
+}
+
+/**
+ * Split one basket installment across its assets
+ * SPLIT divides the amount by target weight (the last asset takes the rounding
+ * remainder); MOST_UNDERWEIGHT puts the whole amount into the asset furthest
+ * below its target, the largest target winning a tie.
+ * @param {Object} basket - Plan basket
+ * @param {number} principal - INR to invest
+ * @param {Object} context - { holdings, rates }
+ * @returns {Array} [{ asset, principal, weight, gap }]
+ */
+function allocateBasket(basket, principal, { holdings = {}, rates }) {
+    const entries = Object.entries(basket.weights);
+
+    if (basket.mode === 'MOST_UNDERWEIGHT') {
+        const drift = basketDrift(basket, holdings, rates);
+        const [asset, weight] = entries.reduce((best, candidate) => {
+            const bestGap = drift[best[0]].gap;
+            const gap = drift[candidate[0]].gap;
+            return gap > bestGap || (gap === bestGap && candidate[1] > best[1]) ? candidate : best;
+        });
+        return [{ asset, principal, weight, gap: drift[asset].gap }];
+    }
+
+    let remaining = principal;
+    return entries.map(([asset, weight], index) => {
+        const share = index === entries.length - 1 ? roundInr(remaining) : roundInr(principal * weight / 100);
+        remaining -= share;
+        return { asset, principal: share, weight };
+    }).filter(leg => leg.principal > 0);
+}
+
+/**
+ * Current value of the metal a plan has bought
+ * @param {Object} plan - SIP plan
+ * @param {Object} rates - Market rates
+ * @returns {number} INR value
+ */
+function planHoldingValue(plan, rates) {
+    if (plan.asset !== BASKET_ASSET) {
+        return (plan.totalQuantity || 0) * rates[plan.asset].price;
+    }
+    return Object.entries(plan.quantities || {})
+        .reduce((sum, [asset, quantity]) => sum + quantity * rates[asset].price, 0);
+}
+
+module.exports = {
+    SIP_STRATEGIES,
+    BASKET_ASSET,
+    BASKET_ASSETS,
+    BASKET_MODES,
+    normalizeBasket,
+    basketDrift,
+    allocateBasket,
+    planHoldingValue,
+    normalizeStrategy,
+    resolveInstallmentAmount,
+    strategyCeiling,
+    stepUpSchedule
+};
@@ -0,0 +1,109 @@
+const { normalizeStrategy, resolveInstallmentAmount, strategyCeiling, stepUpSchedule, normalizeBasket, allocateBasket, basketDrift } = require('./sip-strategies');
+const { buildTestRates } = require('./test-utils');
+
+describe('normalizeStrategy', () => {
+    test('defaults to FIXED and keeps only the fields a strategy uses', () => {
+        expect(normalizeStrategy(undefined, 1000)).toEqual({ type: 'FIXED' });
+        expect(normalizeStrategy({ type: 'step_up', stepUpPercent: 10, topUpAmount: 500 }, 1000))
+            .toEqual({ type: 'STEP_UP', stepUpPercent: 10 });
+    });
+
+    test.each([
+        ['an unknown type', { type: 'MARTINGALE' }],
+        ['a step-up above 100%', { type: 'STEP_UP', stepUpPercent: 150 }],
+        ['a step-up cap below the amount', { type: 'STEP_UP', stepUpPercent: 10, maxAmount: 500 }],
+        ['a value-averaging floor above the amount', { type: 'VALUE_AVERAGING', minAmount: 2000 }],
+        ['a dip threshold above 50%', { type: 'DIP_BUYING', dropThresholdPercent: 60, topUpAmount: 500 }],
+        ['a dip without a top-up', { type: 'DIP_BUYING', dropThresholdPercent: 5 }]
+    ])('rejects %s', (label, input) => {
+        expect(() => normalizeStrategy(input, 1000)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('dip buying is not available for baskets', () => {
+        expect(() => normalizeStrategy({ type: 'DIP_BUYING', dropThresholdPercent: 5, topUpAmount: 500 }, 1000, { basket: true }))
+            .toThrow('not available for baskets');
+    });
+});
+
+describe('resolveInstallmentAmount', () => {
+    test('a step-up plan raises the amount on each plan anniversary up to its cap', () => {
+        const plan = { amount: 1000, startDate: '2023-03-17T00:00:00Z', strategy: { type: 'STEP_UP', stepUpPercent: 10, maxAmount: 1150 } };
+
+        expect(resolveInstallmentAmount(plan, { dayKey: '2024-03-16' })).toMatchObject({ amount: 1000, reason: null });
+        expect(resolveInstallmentAmount(plan, { dayKey: '2024-03-17' })).toMatchObject({ amount: 1100, reason: 'STEP_UP_YEAR_1' });
+        expect(resolveInstallmentAmount(plan, { dayKey: '2025-03-17' })).toMatchObject({ amount: 1150, reason: 'STEP_UP_YEAR_2' });
+    });
+
+    test('value averaging invests the gap to the target path within its limits', () => {
+        const plan = { amount: 1000, strategy: { type: 'VALUE_AVERAGING', minAmount: 200 } };
+
+        expect(resolveInstallmentAmount(plan, { period: 3, holdingValue: 1500 }))
+            .toMatchObject({ amount: 1500, targetValue: 3000, reason: 'BELOW_TARGET_PATH' });
+        expect(resolveInstallmentAmount(plan, { period: 3, holdingValue: 2900 }))
+            .toMatchObject({ amount: 200, reason: 'NEAR_TARGET_PATH' });
+        expect(resolveInstallmentAmount(plan, { period: 3, holdingValue: 3200 }))
+            .toMatchObject({ amount: 0, reason: 'ABOVE_TARGET_PATH' });
+        // Capped at three times the plan amount by default
+        expect(resolveInstallmentAmount(plan, { period: 10, holdingValue: 0 }).amount).toBe(3000);
+    });
+
+    test('dip buying tops up only when the drop reaches the threshold', () => {
+        const plan = { amount: 1000, strategy: { type: 'DIP_BUYING', dropThresholdPercent: 3, topUpAmount: 500 } };
+
+        expect(resolveInstallmentAmount(plan, { changePercent: -2.9 })).toMatchObject({ amount: 1000, topUp: 0 });
+        expect(resolveInstallmentAmount(plan, { changePercent: -3 })).toMatchObject({ amount: 1500, baseAmount: 1000, topUp: 500, reason: 'DIP_TOP_UP' });
+        expect(resolveInstallmentAmount(plan, {})).toMatchObject({ amount: 1000 });
+    });
+});
+
+test('strategyCeiling sizes mandates for the largest installment', () => {
+    expect(strategyCeiling(1000)).toBe(1000);
+    expect(strategyCeiling(1000, { type: 'DIP_BUYING', dropThresholdPercent: 3, topUpAmount: 500 })).toBe(1500);
+    expect(strategyCeiling(1000, { type: 'VALUE_AVERAGING' })).toBe(3000);
+    expect(strategyCeiling(1000, { type: 'STEP_UP', stepUpPercent: 10 })).toBe(1610.51);
+});
+
+test('stepUpSchedule lists the amount for each plan year', () => {
+    expect(stepUpSchedule(1000, { type: 'STEP_UP', stepUpPercent: 10 }, 3)).toEqual([
+        { year: 1, amount: 1000 },
+        { year: 2, amount: 1100 },
+        { year: 3, amount: 1210 }
+    ]);
+});
+
+describe('baskets', () => {
+    const rates = buildTestRates({ gold: 6000, silver: 75 });
+
+    test('normalizeBasket drops zero weights and defaults to SPLIT', () => {
+        expect(normalizeBasket({ weights: { gold: 60, silver: 40, platinum: 0 } }))
+            .toEqual({ weights: { gold: 60, silver: 40 }, mode: 'SPLIT' });
+    });
+
+    test.each([
+        ['weights that do not add up to 100', { weights: { gold: 60, silver: 30 } }],
+        ['a single asset', { weights: { gold: 100 } }],
+        ['an unknown asset', { weights: { gold: 50, copper: 50 } }],
+        ['an unknown mode', { weights: { gold: 50, silver: 50 }, mode: 'RANDOM' }]
+    ])('normalizeBasket rejects %s', (label, input) => {
+        expect(() => normalizeBasket(input)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('SPLIT divides by weight and gives the rounding remainder to the last asset', () => {
+        const legs = allocateBasket({ weights: { gold: 33.33, silver: 33.33, platinum: 33.34 }, mode: 'SPLIT' }, 1000, { rates });
+
+        expect(legs.map(leg => leg.principal)).toEqual([333.3, 333.3, 333.4]);
+        expect(legs.reduce((sum, leg) => sum + leg.principal, 0)).toBeCloseTo(1000, 2);
+    });
+
+    test('MOST_UNDERWEIGHT buys only the asset furthest below target', () => {
+        const basket = { weights: { gold: 60, silver: 40 }, mode: 'MOST_UNDERWEIGHT' };
+
+        // Nothing bought yet: gold is furthest below its target
+        expect(allocateBasket(basket, 1000, { holdings: {}, rates })).toEqual([{ asset: 'gold', principal: 1000, weight: 60, gap: 60 }]);
+
+        // 6,000 of gold and 1,500 of silver: silver is 20 points under its target
+        const holdings = { gold: 1, silver: 20 };
+        expect(basketDrift(basket, holdings, rates).silver).toEqual({ target: 40, current: 20, gap: 20 });
+        expect(allocateBasket(basket, 1000, { holdings, rates })).toMatchObject([{ asset: 'silver', principal: 1000 }]);
+    });
+});
@@ -0,0 +1,938 @@
+// SIP Module for Multi-Metal Token App
+// Schedules and executes Systematic Investment Plan installments
+
+const cron = require('node-cron');
+const { calculateSIPFee, calculateGST, calculateAnnualFees } = require('./fees');
+const { getMarketRates, isLiveRate } = require('./market-rates');
+const { getPriceHistory } = require('./price-history');
+const { getUserBalances, recordSIPDebit, roundAmount } = require('./ledger');
+const { executeMandateDebit, findMandateDebit } = require('./payments');
+const { findUserById, saveUser, saveTransaction, findTransactionById, saveSIPPlan } = require('./repository');
+const { getStorage, withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+const { createError } = require('./errors');
+const {
+    BASKET_ASSET,
+    BASKET_ASSETS,
+    normalizeStrategy,
+    normalizeBasket,
+    resolveInstallmentAmount,
+    allocateBasket,
+    planHoldingValue,
+    strategyCeiling,
+    stepUpSchedule
+} = require('./sip-strategies');
+
+const SIP_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Installments per month, matching how calculateSIPFee splits the ₹50 monthly fee
+const INSTALLMENTS_PER_MONTH = { daily: 30, weekly: 4, monthly: 1 };
+
+// Plan terms captured in every history version
+const VERSIONED_FIELDS = ['asset', 'basket', 'amount', 'strategy', 'frequency', 'sipFee', 'status', 'nextPurchaseDate', 'anchorDay', 'autoResumeDate'];
+
+// Installments are scheduled on Indian calendar days
+const IST_OFFSET_MINUTES = 330;
+
+// Exchange holidays (YYYY-MM-DD, comma separated); weekends are always closed
+const MARKET_HOLIDAYS = new Set((process.env.SIP_HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// History windows a strategy can be dry-run over
+const PROJECTION_PERIODS = ['1M', '3M', '1Y'];
+
+// Handlers called after each installment is recorded (streaming, alerts...)
+const executionHandlers = [];
+
+let jobRunning = false;
+
+/**
+ * Calendar day of a date as YYYY-MM-DD (schedule dates are stored at 00:00 UTC)
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+function toDayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Today's calendar day in India
+ * @param {Date} now - Current time
+ * @returns {string} Day key
+ */
+function todayKey(now = new Date()) {
+    return toDayKey(new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000));
+}
+
+/**
+ * Parse a day key into a Date at 00:00 UTC
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {Date} Date
+ */
+function fromDayKey(dayKey) {
+    return new Date(`${dayKey}T00:00:00.000Z`);
+}
+
+/**
+ * Whether the market is open on a day (not a weekend or listed holiday)
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {boolean} Business day
+ */
+function isBusinessDay(dayKey) {
+    const weekday = fromDayKey(dayKey).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !MARKET_HOLIDAYS.has(dayKey);
+}
+
+/**
+ * The scheduled day after a given one
+ * Monthly plans keep their anchor day: a plan started on the 31st runs on the
+ * last day of shorter months and returns to the 31st when the month has one.
+ * @param {string} dayKey - Current scheduled day
+ * @param {string} frequency - daily, weekly or monthly
+ * @param {number} anchorDay - Day of month the plan was started on
+ * @returns {string} Next scheduled day
+ */
+function nextScheduledDay(dayKey, frequency, anchorDay) {
+    const date = fromDayKey(dayKey);
+
+    switch (frequency) {
+        case 'daily':
+            return toDayKey(new Date(date.getTime() + DAY_MS));
+        case 'weekly':
+            return toDayKey(new Date(date.getTime() + 7 * DAY_MS));
+        case 'monthly':
+        default: {
+            const year = date.getUTCFullYear();
+            const month = date.getUTCMonth() + 1;
+            const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            return toDayKey(new Date(Date.UTC(year, month, Math.min(anchorDay, daysInMonth))));
+        }
+    }
+}
+
+/**
+ * Day an installment actually runs: the next business day on or after its
+ * scheduled day. Daily plans simply skip closed days (returns null).
+ * @param {string} dayKey - Scheduled day
+ * @param {string} frequency - Plan frequency
+ * @returns {string|null} Execution day
+ */
+function executionDay(dayKey, frequency) {
+    if (frequency === 'daily') {
+        return isBusinessDay(dayKey) ? dayKey : null;
+    }
+
+    let day = dayKey;
+    while (!isBusinessDay(day)) {
+        day = toDayKey(new Date(fromDayKey(day).getTime() + DAY_MS));
+    }
+    return day;
+}
+
+/**
+ * First scheduled day of a new plan (its start date, or today if that has passed)
+ * @param {Date|string} startDate - Requested start date
+ * @returns {Object} { nextPurchaseDate, anchorDay }
+ */
+function initialSchedule(startDate) {
+    const today = todayKey();
+    const requested = startDate ? toDayKey(startDate) : today;
+    const first = requested < today ? today : requested;
+
+    return {
+        nextPurchaseDate: fromDayKey(first),
+        anchorDay: fromDayKey(first).getUTCDate()
+    };
+}
+
+/**
+ * Scheduled days of a plan that are due on or before today
+ * @param {Object} plan - SIP plan
+ * @param {string} today - Today's day key
+ * @returns {Object} { due: [dayKey], next: dayKey } where next is the first future scheduled day
+ */
+function collectDueInstallments(plan, today) {
+    const due = [];
+    let day = toDayKey(plan.nextPurchaseDate);
+
+    while (true) {
+        const runsOn = executionDay(day, plan.frequency);
+        if (runsOn && runsOn > today) {
+            break;
+        }
+        if (!runsOn && day > today) {
+            break;
+        }
+        if (runsOn) {
+            due.push(day);
+        }
+        day = nextScheduledDay(day, plan.frequency, plan.anchorDay || fromDayKey(day).getUTCDate());
+    }
+
+    return { due, next: day };
+}
+
+/**
+ * Deterministic transaction ID of an installment, so it can never be bought twice
+ * @param {string} sipId - SIP ID
+ * @param {string} dayKey - Scheduled day
+ * @returns {string} Transaction ID
+ */
+function installmentTransactionId(sipId, dayKey) {
+    return `SIPTXN_${sipId}_${dayKey.replace(/-/g, '')}`;
+}
+
+/**
+ * Installment number of the next purchase on a plan's path
+ * Every scheduled cycle counts (missed, failed and held ones too) except those
+ * the user skipped.
+ * @param {Object} plan - SIP plan
+ * @returns {number} 1-based installment number
+ */
+function nextPeriod(plan) {
+    return (plan.transactions || []).filter(entry => entry.reason !== 'USER_SKIPPED').length + 1;
+}
+
+/**
+ * Buy one installment at the market price (call under the user's lock)
+ * The amount comes from the plan's strategy; a basket plan splits it across its
+ * assets and pays a single SIP fee for the whole installment. The user's INR
+ * balance is used first; otherwise the plan's mandate is debited. The mandate is
+ * never charged here: without mandatePayment a MANDATE_DEBIT_REQUIRED entry
+ * carrying the debit is returned, and the caller charges it outside the
+ * transaction and calls again with the resulting payment.
+ * @param {Object} plan - SIP plan
+ * @param {string} dayKey - Scheduled day being executed
+ * @param {Object} rates - Market rates
+ * @param {Object} mandatePayment - Mandate payment collected for this installment (optional)
+ * @returns {Promise<Object>} Plan transaction entry
+ */
+async function executeInstallment(plan, dayKey, rates, mandatePayment) {
+    const transactionId = installmentTransactionId(plan.sipId, dayKey);
+    const basket = plan.asset === BASKET_ASSET;
+    const sizing = resolveInstallmentAmount(plan, {
+        dayKey,
+        period: nextPeriod(plan),
+        holdingValue: planHoldingValue(plan, rates),
+        changePercent: basket ? undefined : rates[plan.asset].changePercent
+    });
+
+    if (sizing.amount <= 0) {
+        return {
+            transactionId,
+            scheduledFor: fromDayKey(dayKey),
+            recordedAt: new Date(),
+            targetValue: sizing.targetValue,
+            status: 'SKIPPED',
+            reason: sizing.reason
+        };
+    }
+
+    const principal = sizing.amount;
+    const sipFee = Math.round(calculateSIPFee(plan.frequency) * 100) / 100;
+    const gst = calculateGST(sipFee);
+    const totalDebit = Math.round((principal + sipFee + gst) * 100) / 100;
+
+    const legs = (basket
+        ? allocateBasket(plan.basket, principal, { holdings: plan.quantities, rates })
+        : [{ asset: plan.asset, principal }]
+    ).map(leg => {
+        const price = rates[leg.asset].price;
+        return { ...leg, price, quantity: roundAmount(leg.principal / price) };
+    });
+
+    const entry = {
+        transactionId,
+        scheduledFor: fromDayKey(dayKey),
+        executedAt: new Date(),
+        amount: principal,
+        ...(basket ? { legs } : { quantity: legs[0].quantity, price: legs[0].price }),
+        sipFee,
+        gst,
+        totalDebit,
+        strategy: { type: (plan.strategy || { type: 'FIXED' }).type, ...sizing }
+    };
+
+    let paymentId = null;
+    const balances = await getUserBalances(plan.userId);
+    // A debit left by an earlier attempt that rolled back is used rather than charged again
+    const collected = mandatePayment || await findMandateDebit(transactionId);
+    if (collected && collected.status !== 'INITIATED') {
+        // The completed mandate payment was credited to the INR balance this debits
+        paymentId = collected.paymentId;
+        entry.fundingSource = 'MANDATE';
+        if (collected.status !== 'COMPLETED') {
+            return { ...entry, paymentId, status: 'FAILED', reason: 'MANDATE_DEBIT_FAILED', ...failedQuantities(entry) };
+        }
+        if (balances.inr < totalDebit) {
+            return { ...entry, paymentId, status: 'FAILED', reason: 'INSUFFICIENT_FUNDS', ...failedQuantities(entry) };
+        }
+    } else if (balances.inr >= totalDebit) {
+        entry.fundingSource = 'INR_BALANCE';
+    } else if (plan.mandate && plan.mandate.status === 'ACTIVE') {
+        if (plan.mandate.maxAmount && totalDebit > plan.mandate.maxAmount) {
+            return { ...entry, status: 'FAILED', reason: 'MANDATE_LIMIT_EXCEEDED', ...failedQuantities(entry) };
+        }
+        return {
+            ...entry,
+            status: 'MANDATE_DEBIT_REQUIRED',
+            debit: {
+                mandate: plan.mandate,
+                amount: totalDebit,
+                reference: transactionId,
+                description: `SIP ${plan.sipId} installment ${dayKey}`
+            }
+        };
+    } else {
+        return { ...entry, status: 'FAILED', reason: 'INSUFFICIENT_FUNDS', ...failedQuantities(entry) };
+    }
+
+    const journal = await recordSIPDebit({
+        userId: plan.userId,
+        reference: transactionId,
+        purchases: legs.map(leg => ({ asset: leg.asset, amount: leg.quantity })),
+        principal,
+        sipFee,
+        gst
+    });
+
+    // A basket installment is one combined record with a leg per asset
+    await saveTransaction({
+        transactionId,
+        userId: plan.userId,
+        type: 'SIP',
+        asset: plan.asset,
+        ...(basket
+            ? { legs, amount: principal }
+            : { amount: legs[0].quantity, price: legs[0].price }),
+        totalCost: totalDebit,
+        fees: { sipFee, gst, totalFee: sipFee + gst },
+        sipId: plan.sipId,
+        scheduledFor: entry.scheduledFor,
+        fundingSource: entry.fundingSource,
+        paymentId,
+        journalId: journal.journalId,
+        status: 'COMPLETED',
+        createdAt: new Date()
+    });
+
+    const user = await findUserById(plan.userId);
+    for (const leg of legs) {
+        user.portfolio[leg.asset].totalInvested += leg.principal;
+    }
+    await saveUser(user);
+
+    return { ...entry, status: 'COMPLETED', journalId: journal.journalId, paymentId };
+}
+
+/**
+ * Zero the quantities of an installment that was not bought
+ * @param {Object} entry - Installment entry
+ * @returns {Object} Fields to override
+ */
+function failedQuantities(entry) {
+    return entry.legs
+        ? { legs: entry.legs.map(leg => ({ ...leg, quantity: 0 })) }
+        : { quantity: 0 };
+}
+
+/**
+ * Assets an installment of the plan buys
+ * @param {Object} plan - SIP plan
+ * @returns {Array} Assets (every basket leg for a basket plan)
+ */
+function planAssets(plan) {
+    return plan.asset === BASKET_ASSET ? Object.keys(plan.basket.weights) : [plan.asset];
+}
+
+/**
+ * Run the due installments of one plan
+ * After downtime only the latest due installment is bought; older ones are
+ * recorded as MISSED so a catch-up never buys several cycles at once.
+ * An installment funded by the mandate is charged between two transactions: the
+ * first stops before saving anything, the debit is committed on its own, and the
+ * second records the installment against it. A rollback can then never lose the
+ * record of money taken from the user's bank. While a plan's rates are stale or
+ * fallback nothing is recorded, so the installment is still due on a later run.
+ * @param {string} sipId - SIP ID
+ * @param {Object} options - { today, rates }
+ * @returns {Promise<Object|null>} { plan, installment, missed }, { deferred } or null if nothing was due
+ */
+async function processPlan(sipId, { today, rates }) {
+    const snapshot = await getStorage().get('sip_plans', sipId);
+
+    return withUserLock(snapshot.userId, async () => {
+        const result = await recordDueInstallments(sipId, { today, rates });
+        if (!result || !result.mandateDebit) {
+            return result;
+        }
+
+        const mandatePayment = await executeMandateDebit(result.mandateDebit);
+        return recordDueInstallments(sipId, { today, rates, mandatePayment });
+    });
+}
+
+/**
+ * Record the due installments of one plan in a single transaction (call under the user's lock)
+ * @param {string} sipId - SIP ID
+ * @param {Object} options - { today, rates, mandatePayment }
+ * @returns {Promise<Object|null>} { plan, installment, missed }, { mandateDebit } when
+ *   the installment needs a mandate debit first, { deferred } when its rates are not
+ *   live, or null if nothing was due
+ */
+async function recordDueInstallments(sipId, { today, rates, mandatePayment }) {
+    const storage = getStorage();
+
+    return withTransaction(async () => {
+        const plan = await storage.get('sip_plans', sipId);
+        if (plan.status !== 'ACTIVE') {
+            return null;
+        }
+
+        // Plans created before the scheduler existed have no stored schedule
+        if (!plan.nextPurchaseDate) {
+            Object.assign(plan, initialSchedule(plan.startDate));
+        }
+
+        const { due, next } = collectDueInstallments(plan, today);
+        if (due.length === 0 && toDayKey(plan.nextPurchaseDate) === next) {
+            return null;
+        }
+        // Never buy off stale or fallback prices: leave the schedule as it is for a later run
+        if (due.length > 0 && !planAssets(plan).every(asset => isLiveRate(rates[asset]))) {
+            return { deferred: true };
+        }
+
+        plan.transactions = plan.transactions || [];
+        const latest = due.pop();
+
+        for (const day of due) {
+            plan.transactions.push({
+                transactionId: installmentTransactionId(plan.sipId, day),
+                scheduledFor: fromDayKey(day),
+                status: 'MISSED',
+                reason: 'SCHEDULER_DOWNTIME',
+                recordedAt: new Date()
+            });
+        }
+
+        let installment = null;
+        if (latest && !(await findTransactionById(installmentTransactionId(plan.sipId, latest)))) {
+            installment = await executeInstallment(plan, latest, rates, mandatePayment);
+            if (installment.status === 'MANDATE_DEBIT_REQUIRED') {
+                return { mandateDebit: installment.debit };
+            }
+            plan.transactions.push(installment);
+            if (installment.status === 'COMPLETED') {
+                plan.totalInvested = (plan.totalInvested || 0) + installment.amount;
+                if (installment.legs) {
+                    plan.quantities = plan.quantities || {};
+                    for (const leg of installment.legs) {
+                        plan.quantities[leg.asset] = roundAmount((plan.quantities[leg.asset] || 0) + leg.quantity);
+                    }
+                } else {
+                    plan.totalQuantity = roundAmount((plan.totalQuantity || 0) + installment.quantity);
+                }
+                plan.lastExecutedAt = installment.executedAt;
+            }
+        }
+
+        plan.nextPurchaseDate = fromDayKey(next);
+        await saveSIPPlan(plan);
+        return { plan, installment, missed: due.length };
+    });
+}
+
+/**
+ * Register a handler for SIP installments
+ * Called after the plan is saved, for completed, failed and skipped installments.
+ * @param {Function} handler - async (plan, installment) => void
+ */
+function onSIPExecution(handler) {
+    executionHandlers.push(handler);
+}
+
+/**
+ * Hand a recorded installment to every handler
+ * One failing handler is logged and does not stop the others.
+ * @param {Object} plan - SIP plan
+ * @param {Object} installment - Installment entry
+ */
+async function publishSIPExecution(plan, installment) {
+    for (const handler of executionHandlers) {
+        try {
+            await handler(plan, installment);
+        } catch (error) {
+            console.error('SIP execution handler error:', error);
+        }
+    }
+}
+
+/**
+ * Execute every due installment across all active plans
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { processed, executed, failed, missed, deferred }
+ */
+async function runDueSIPs(now = new Date()) {
+    const today = todayKey(now);
+    await resumeDueSIPs(today);
+
+    const plans = await getStorage().find('sip_plans', { status: 'ACTIVE' });
+    const rates = await getMarketRates();
+
+    const summary = { processed: 0, executed: 0, failed: 0, missed: 0, deferred: 0 };
+    for (const { sipId } of plans) {
+        try {
+            const result = await processPlan(sipId, { today, rates });
+            if (!result) continue;
+            if (result.deferred) {
+                summary.deferred++;
+                continue;
+            }
+
+            summary.processed++;
+            summary.missed += result.missed;
+            if (result.installment) await publishSIPExecution(result.plan, result.installment);
+            if (result.installment && result.installment.status === 'COMPLETED') summary.executed++;
+            if (result.installment && result.installment.status === 'FAILED') summary.failed++;
+        } catch (error) {
+            summary.failed++;
+            console.error(`SIP ${sipId} execution error:`, error);
+        }
+    }
+    return summary;
+}
+
+// ==================== PROJECTION ====================
+
+/**
+ * Daily closing prices from stored 1d candles
+ * @param {Array} candles - Daily candles, oldest first
+ * @returns {Array} [{ day, price, changePercent }] in date order
+ */
+function dailyCloses(candles) {
+    let previous = null;
+    return candles.map(candle => {
+        const price = candle.close;
+        const changePercent = previous ? Math.round((price - previous) / previous * 10000) / 100 : 0;
+        previous = price;
+        // Daily candles open at IST midnight, so the IST calendar day names them
+        return { day: todayKey(new Date(candle.openTime)), price, changePercent };
+    });
+}
+
+/**
+ * Replay a plan's terms over a price series
+ * @param {Object} terms - { amount, frequency, startDate, strategy }
+ * @param {Array} closes - Daily closes from dailyCloses
+ * @returns {Object} { installments, summary }
+ */
+function replayPlan(terms, closes) {
+    const sipFee = Math.round(calculateSIPFee(terms.frequency) * 100) / 100;
+    const gst = calculateGST(sipFee);
+    const byDay = new Map(closes.map(close => [close.day, close]));
+    const lastDay = closes[closes.length - 1].day;
+    const anchorDay = fromDayKey(closes[0].day).getUTCDate();
+
+    const installments = [];
+    let quantity = 0;
+    let invested = 0;
+    let fees = 0;
+    let period = 0;
+
+    for (let day = closes[0].day; day <= lastDay; day = nextScheduledDay(day, terms.frequency, anchorDay)) {
+        // Prices are missing for some days in short periods; use the next close available
+        const close = byDay.get(day) || closes.find(item => item.day > day);
+        if (!close) break;
+
+        period++;
+        const sizing = resolveInstallmentAmount(terms, {
+            dayKey: day,
+            period,
+            holdingValue: quantity * close.price,
+            changePercent: close.changePercent
+        });
+
+        const bought = sizing.amount > 0 ? roundAmount(sizing.amount / close.price) : 0;
+        quantity = roundAmount(quantity + bought);
+        invested += sizing.amount;
+        fees += sizing.amount > 0 ? sipFee + gst : 0;
+        installments.push({ date: day, price: close.price, ...sizing, quantity: bought });
+    }
+
+    const finalPrice = closes[closes.length - 1].price;
+    const currentValue = Math.round(quantity * finalPrice * 100) / 100;
+    const totalFees = Math.round(fees * 100) / 100;
+    const gain = Math.round((currentValue - invested - totalFees) * 100) / 100;
+
+    return {
+        installments,
+        summary: {
+            installments: installments.filter(item => item.amount > 0).length,
+            invested: Math.round(invested * 100) / 100,
+            fees: totalFees,
+            quantity,
+            averageCost: quantity > 0 ? Math.round(invested / quantity * 100) / 100 : null,
+            currentValue,
+            gain,
+            gainPercent: invested > 0 ? Math.round(gain / (invested + totalFees) * 10000) / 100 : 0
+        }
+    };
+}
+
+/**
+ * Dry-run a SIP strategy against the recorded daily closes
+ * Nothing is bought. The same amount and frequency are also replayed as a FIXED
+ * plan so the strategy can be compared with a plain SIP.
+ * @param {Object} params - Projection parameters
+ * @param {string} params.asset - Asset
+ * @param {number} params.amount - Plan amount
+ * @param {string} params.frequency - daily, weekly or monthly
+ * @param {Object} params.strategy - Strategy (validated here)
+ * @param {string} params.period - Price history period: 1M, 3M or 1Y (default 1Y)
+ * @returns {Promise<Object>} Projection
+ */
+async function projectSIP({ asset, amount, frequency, strategy, period = '1Y' }) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        throw createError('SIP amount must be a positive number');
+    }
+    if (!SIP_FREQUENCIES.includes(frequency)) {
+        throw createError('Invalid SIP frequency', 400, { allowed: SIP_FREQUENCIES });
+    }
+    if (!PROJECTION_PERIODS.includes(period)) {
+        throw createError('Invalid projection period', 400, { allowed: PROJECTION_PERIODS });
+    }
+    if (!BASKET_ASSETS.includes(asset)) {
+        throw createError('Projections are available for single-asset plans');
+    }
+
+    const normalized = normalizeStrategy(strategy, amount);
+    const { candles } = await getPriceHistory(asset, period, { interval: '1d' });
+    const closes = dailyCloses(candles);
+    if (closes.length === 0) {
+        throw createError('No price history for this asset', 404);
+    }
+
+    const startDate = fromDayKey(closes[0].day);
+    const simulated = replayPlan({ amount, frequency, startDate, strategy: normalized }, closes);
+    const baseline = replayPlan({ amount, frequency, startDate, strategy: { type: 'FIXED' } }, closes);
+
+    return {
+        asset,
+        period,
+        frequency,
+        amount,
+        strategy: normalized,
+        from: closes[0].day,
+        to: closes[closes.length - 1].day,
+        finalPrice: closes[closes.length - 1].price,
+        result: simulated.summary,
+        baseline: baseline.summary,
+        installments: simulated.installments,
+        // A one-year history never reaches a step-up, so show the amounts to come
+        ...(normalized.type === 'STEP_UP' && { amountSchedule: stepUpSchedule(amount, normalized) })
+    };
+}
+
+// ==================== LIFECYCLE ====================
+
+/**
+ * Append a version to a plan's history (the plan is not saved)
+ * @param {Object} plan - SIP plan after the change
+ * @param {string} action - CREATED, PAUSED, RESUMED, MODIFIED, SKIPPED, CANCELLED...
+ * @param {Object} details - Who and why ({ by, reason, ... })
+ * @returns {Object} The plan
+ */
+function recordPlanVersion(plan, action, details = {}) {
+    const terms = {};
+    for (const field of VERSIONED_FIELDS) {
+        terms[field] = plan[field] === undefined ? null : plan[field];
+    }
+
+    plan.version = (plan.version || 0) + 1;
+    plan.history = plan.history || [];
+    plan.history.push({ version: plan.version, action, ...details, terms, at: new Date() });
+    return plan;
+}
+
+/**
+ * Project fees for a set of plans with calculateAnnualFees
+ * calculateAnnualFees expects monthly figures, so daily and weekly plans are
+ * converted to their monthly equivalents first.
+ * @param {Array} plans - SIP plans
+ * @returns {Object} Annual fee projection
+ */
+function projectAnnualFees(plans) {
+    return calculateAnnualFees(plans
+        .filter(plan => plan.status === 'ACTIVE')
+        .map(plan => {
+            const perMonth = INSTALLMENTS_PER_MONTH[plan.frequency] || 1;
+            return { sipFee: plan.sipFee * perMonth, amount: plan.amount * perMonth };
+        }));
+}
+
+/**
+ * First scheduled day on or after today, continuing a plan's schedule
+ * @param {Object} plan - SIP plan
+ * @param {string} today - Today's day key
+ * @returns {string} Day key
+ */
+function rescheduleFromToday(plan, today) {
+    let day = toDayKey(plan.nextPurchaseDate);
+    while (day < today) {
+        day = nextScheduledDay(day, plan.frequency, plan.anchorDay || fromDayKey(day).getUTCDate());
+    }
+    return day;
+}
+
+/**
+ * Apply a lifecycle change to a user's plan under their lock
+ * @param {string} userId - Owner
+ * @param {string} sipId - SIP ID
+ * @param {string} action - History action
+ * @param {Function} change - (plan) => details; mutates the plan, throws to refuse
+ * @returns {Promise<Object>} { plan, fees }
+ */
+async function changePlan(userId, sipId, action, change) {
+    return withUserLock(userId, () => withTransaction(async () => {
+        const storage = getStorage();
+        const plan = await storage.get('sip_plans', sipId);
+        if (!plan || plan.userId !== userId) {
+            throw createError('SIP plan not found', 404);
+        }
+        if (plan.status === 'CANCELLED') {
+            throw createError('SIP plan is cancelled', 409);
+        }
+
+        const details = (await change(plan)) || {};
+        recordPlanVersion(plan, action, { by: userId, ...details });
+        await saveSIPPlan(plan);
+
+        const plans = await storage.find('sip_plans', { userId });
+        return { plan, fees: { sipFee: plan.sipFee, annual: projectAnnualFees(plans) } };
+    }));
+}
+
+/**
+ * Pause a plan, optionally resuming automatically on a date
+ * @param {string} userId - Owner
+ * @param {string} sipId - SIP ID
+ * @param {Object} params - { resumeOn }
+ * @returns {Promise<Object>} { plan, fees }
+ */
+async function pauseSIP(userId, sipId, { resumeOn } = {}) {
+    const resumeDay = resumeOn ? new Date(resumeOn) : null;
+    if (resumeDay && (isNaN(resumeDay.getTime()) || toDayKey(resumeDay) <= todayKey())) {
+        throw createError('resumeOn must be a future date');
+    }
+
+    return changePlan(userId, sipId, 'PAUSED', plan => {
+        if (plan.status !== 'ACTIVE') {
+            throw createError('Only active plans can be paused', 409);
+        }
+        plan.status = 'PAUSED';
+        plan.pausedAt = new Date();
+        plan.autoResumeDate = resumeDay ? fromDayKey(toDayKey(resumeDay)) : null;
+    });
+}
+
+/**
+ * Resume a paused plan; installments scheduled during the pause are not bought
+ * @param {string} userId - Owner
+ * @param {string} sipId - SIP ID
+ * @param {Object} details - History details (e.g. { by: 'system', reason })
+ * @param {string} today - Today's day key
+ * @returns {Promise<Object>} { plan, fees }
+ */
+async function resumeSIP(userId, sipId, details = {}, today = todayKey()) {
+    return changePlan(userId, sipId, 'RESUMED', plan => {
+        if (plan.status !== 'PAUSED') {
+            throw createError('Only paused plans can be resumed', 409);
+        }
+        plan.status = 'ACTIVE';
+        plan.nextPurchaseDate = fromDayKey(rescheduleFromToday(plan, today));
+        plan.autoResumeDate = null;
+        plan.pausedAt = null;
+        return details;
+    });
+}
+
+/**
+ * Change the amount, frequency, strategy and/or basket weights from the next installment on
+ * The next purchase date is kept; the cycles after it follow the new frequency.
+ * @param {string} userId - Owner
+ * @param {string} sipId - SIP ID
+ * @param {Object} params - { amount, frequency, strategy, basket }
+ * @returns {Promise<Object>} { plan, fees }
+ */
+async function modifySIP(userId, sipId, { amount, frequency, strategy, basket }) {
+    if ([amount, frequency, strategy, basket].every(value => value === undefined)) {
+        throw createError('Nothing to change: provide amount, frequency, strategy and/or basket');
+    }
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+        throw createError('SIP amount must be a positive number');
+    }
+    if (frequency !== undefined && !SIP_FREQUENCIES.includes(frequency)) {
+        throw createError('Invalid SIP frequency', 400, { allowed: SIP_FREQUENCIES });
+    }
+
+    return changePlan(userId, sipId, 'MODIFIED', plan => {
+        const changes = {};
+        if (amount !== undefined && amount !== plan.amount) {
+            changes.amount = { from: plan.amount, to: amount };
+            plan.amount = amount;
+        }
+        if (frequency !== undefined && frequency !== plan.frequency) {
+            changes.frequency = { from: plan.frequency, to: frequency };
+            plan.frequency = frequency;
+            plan.sipFee = calculateSIPFee(frequency);
+            plan.anchorDay = fromDayKey(toDayKey(plan.nextPurchaseDate)).getUTCDate();
+        }
+
+        // Strategy limits are checked against the plan amount, so re-validate after an amount change
+        const current = plan.strategy || { type: 'FIXED' };
+        const next = normalizeStrategy(strategy === undefined ? current : strategy, plan.amount, {
+            basket: plan.asset === BASKET_ASSET
+        });
+        if (JSON.stringify(next) !== JSON.stringify(current)) {
+            changes.strategy = { from: current, to: next };
+            plan.strategy = next;
+        }
+
+        if (basket !== undefined) {
+            if (plan.asset !== BASKET_ASSET) {
+                throw createError('Only basket plans have target weights');
+            }
+            // Weights or mode may be changed on their own
+            const updated = normalizeBasket({ ...plan.basket, ...basket });
+            if (JSON.stringify(updated) !== JSON.stringify(plan.basket)) {
+                changes.basket = { from: plan.basket, to: updated };
+                plan.basket = updated;
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            throw createError('Plan already has these terms');
+        }
+        if (plan.mandate && plan.mandate.status === 'ACTIVE') {
+            const ceiling = strategyCeiling(plan.amount, plan.strategy);
+            plan.mandate.maxAmount = Math.max(plan.mandate.maxAmount, Math.ceil(ceiling + plan.sipFee * 1.18));
+        }
+        return { changes, effectiveFrom: plan.nextPurchaseDate };
+    });
+}
+
+/**
+ * Skip the next installment
+ * @param {string} userId - Owner
+ * @param {string} sipId - SIP ID
+ * @returns {Promise<Object>} { plan, fees }
+ */
+async function skipNextSIP(userId, sipId) {
+    return changePlan(userId, sipId, 'SKIPPED', plan => {
+        if (plan.status !== 'ACTIVE') {
+            throw createError('Only active plans can skip an installment', 409);
+        }
+        const skipped = toDayKey(plan.nextPurchaseDate);
+        plan.transactions = plan.transactions || [];
+        plan.transactions.push({
+            transactionId: installmentTransactionId(plan.sipId, skipped),
+            scheduledFor: fromDayKey(skipped),
+            status: 'SKIPPED',
+            reason: 'USER_SKIPPED',
+            recordedAt: new Date()
+        });
+        plan.nextPurchaseDate = fromDayKey(nextScheduledDay(skipped, plan.frequency, plan.anchorDay));
+        return { skippedDate: fromDayKey(skipped) };
+    });
+}
+
+/**
+ * Cancel a plan for good and revoke its auto-pay mandate
+ * @param {string} userId - Owner
+ * @param {string} sipId - SIP ID
+ * @param {Object} params - { reason }
+ * @returns {Promise<Object>} { plan, fees }
+ */
+async function cancelSIP(userId, sipId, { reason } = {}) {
+    return changePlan(userId, sipId, 'CANCELLED', plan => {
+        plan.status = 'CANCELLED';
+        plan.cancelledAt = new Date();
+        plan.autoResumeDate = null;
+        if (plan.mandate) {
+            plan.mandate.status = 'REVOKED';
+        }
+        return { reason: reason || null };
+    });
+}
+
+/**
+ * Resume paused plans whose auto-resume date has arrived
+ * @param {string} today - Today's day key
+ * @returns {Promise<number>} Plans resumed
+ */
+async function resumeDueSIPs(today) {
+    const paused = await getStorage().find('sip_plans', { status: 'PAUSED' });
+
+    let resumed = 0;
+    for (const plan of paused) {
+        if (plan.autoResumeDate && toDayKey(plan.autoResumeDate) <= today) {
+            await resumeSIP(plan.userId, plan.sipId, { by: 'system', reason: 'AUTO_RESUME' }, today);
+            resumed++;
+        }
+    }
+    return resumed;
+}
+
+/**
+ * Start the SIP scheduler
+ * Runs once at start-up (catching up after downtime) and then on the schedule.
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default 10:00 IST daily)
+ * @returns {Object} Scheduled cron task
+ */
+function startSIPJobs({ schedule = process.env.SIP_SCHEDULE || '0 10 * * *' } = {}) {
+    const run = async () => {
+        // A slow run must not overlap the next tick
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            const summary = await runDueSIPs();
+            if (summary.processed > 0 || summary.deferred > 0) {
+                console.log('SIP run:', summary);
+            }
+        } catch (error) {
+            console.error('SIP scheduler error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    };
+
+    run();
+    return cron.schedule(schedule, run, { timezone: 'Asia/Kolkata' });
+}
+
+module.exports = {
+    SIP_FREQUENCIES,
+    PROJECTION_PERIODS,
+    recordPlanVersion,
+    projectAnnualFees,
+    pauseSIP,
+    resumeSIP,
+    modifySIP,
+    skipNextSIP,
+    cancelSIP,
+    todayKey,
+    isBusinessDay,
+    nextScheduledDay,
+    executionDay,
+    initialSchedule,
+    collectDueInstallments,
+    executeInstallment,
+    processPlan,
+    runDueSIPs,
+    onSIPExecution,
+    projectSIP,
+    startSIPJobs
+};
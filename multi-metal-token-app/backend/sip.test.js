@@ -0,0 +1,273 @@
+jest.mock('./ledger', () => {
+    const actual = jest.requireActual('./ledger');
+    return { ...actual, recordSIPDebit: jest.fn(actual.recordSIPDebit) };
+});
+
+const request = require('supertest');
+const { resetStorage, createTestUser, authHeader, useFixedRates, buildTestRates, fundUser } = require('./test-utils');
+const { runDueSIPs, projectSIP, pauseSIP, resumeSIP, modifySIP, skipNextSIP, cancelSIP, todayKey } = require('./sip');
+const { BASKET_ASSET } = require('./sip-strategies');
+const { recordTicks } = require('./price-history');
+const ledger = require('./ledger');
+const { getPaymentById, findTransactionById } = require('./repository');
+const { getStorage } = require('./storage');
+const { setMarketProviders, MAX_DATA_AGE_MS } = require('./market-rates');
+const app = require('./server');
+
+const actualLedger = jest.requireActual('./ledger');
+
+// Monday; the plans below are due today
+const NOW = new Date('2025-03-17T06:00:00Z');
+const DUE_DAY = '2025-03-17';
+
+let user;
+
+/**
+ * Create a monthly gold plan through the API and make it due on DUE_DAY
+ * @param {Object} body - Extra request fields
+ * @returns {Promise<Object>} Saved plan
+ */
+async function createDuePlan(body = {}) {
+    const res = await request(app)
+        .post('/api/sip/create')
+        .set('Authorization', authHeader(user))
+        .send({ asset: 'gold', amount: 1000, frequency: 'monthly', ...body });
+    expect(res.status).toBe(200);
+
+    const storage = getStorage();
+    const plan = await storage.get('sip_plans', res.body.sipId);
+    plan.nextPurchaseDate = new Date(`${DUE_DAY}T00:00:00Z`);
+    plan.anchorDay = 17;
+    return storage.save('sip_plans', plan);
+}
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    ledger.recordSIPDebit.mockReset().mockImplementation(actualLedger.recordSIPDebit);
+    user = await createTestUser();
+});
+
+test('an installment is paid from the INR balance when it covers the debit', async () => {
+    await fundUser(user.userId, 'inr', 5000);
+    const plan = await createDuePlan({ autoPay: { method: 'UPI', upiId: 'user@okaxis' } });
+
+    expect(await runDueSIPs(NOW)).toMatchObject({ processed: 1, executed: 1 });
+
+    const installment = await findTransactionById(`SIPTXN_${plan.sipId}_20250317`);
+    expect(installment).toMatchObject({ status: 'COMPLETED', fundingSource: 'INR_BALANCE', paymentId: null });
+    expect(await getStorage().count('payments')).toBe(0);
+});
+
+test('a mandate debit is committed as a payment and credited before the installment buys', async () => {
+    const plan = await createDuePlan({ autoPay: { method: 'UPI', upiId: 'user@okaxis' } });
+
+    expect(await runDueSIPs(NOW)).toMatchObject({ processed: 1, executed: 1 });
+
+    const transactionId = `SIPTXN_${plan.sipId}_20250317`;
+    const installment = await findTransactionById(transactionId);
+    expect(installment).toMatchObject({ status: 'COMPLETED', fundingSource: 'MANDATE', paymentId: `PAY_MANDATE_${transactionId}` });
+
+    const payment = await getPaymentById(installment.paymentId);
+    expect(payment).toMatchObject({ status: 'COMPLETED', gateway: 'MANDATE', reference: transactionId, amount: installment.totalCost });
+    expect(payment.depositJournalId).toBeDefined();
+
+    const balances = await ledger.getUserBalances(user.userId);
+    expect(balances.inr).toBeCloseTo(0, 2);
+    expect(balances.gold).toBeGreaterThan(0);
+    expect((await ledger.reconcileLedger()).balanced).toBe(true);
+});
+
+test('a failure after the mandate debit keeps the payment, and the retry reuses it', async () => {
+    const plan = await createDuePlan({ autoPay: { method: 'UPI', upiId: 'user@okaxis' } });
+    const transactionId = `SIPTXN_${plan.sipId}_20250317`;
+    ledger.recordSIPDebit.mockRejectedValueOnce(new Error('database unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await runDueSIPs(NOW)).toMatchObject({ failed: 1, executed: 0 });
+    console.error.mockRestore();
+
+    // The installment rolled back, but the money taken from the bank is on record
+    expect(await findTransactionById(transactionId)).toBeNull();
+    const payment = await getPaymentById(`PAY_MANDATE_${transactionId}`);
+    expect(payment.status).toBe('COMPLETED');
+    expect((await ledger.getUserBalances(user.userId)).inr).toBeCloseTo(payment.amount, 2);
+
+    expect(await runDueSIPs(NOW)).toMatchObject({ executed: 1 });
+    expect(await findTransactionById(transactionId)).toMatchObject({ status: 'COMPLETED', paymentId: payment.paymentId });
+    expect(await getStorage().count('payments')).toBe(1);
+    expect((await getPaymentById(payment.paymentId)).transactionId).toBe(payment.transactionId);
+    expect((await ledger.getUserBalances(user.userId)).inr).toBeCloseTo(0, 2);
+});
+
+test('without funds or a mandate the installment fails and nothing is charged', async () => {
+    const plan = await createDuePlan();
+
+    expect(await runDueSIPs(NOW)).toMatchObject({ processed: 1, failed: 1 });
+
+    const saved = await getStorage().get('sip_plans', plan.sipId);
+    expect(saved.transactions.slice(-1)[0]).toMatchObject({ status: 'FAILED', reason: 'INSUFFICIENT_FUNDS', quantity: 0 });
+    expect(await getStorage().count('payments')).toBe(0);
+});
+
+test('a basket installment buys every asset by weight in one journal', async () => {
+    await fundUser(user.userId, 'inr', 5000);
+    const plan = await createDuePlan({ asset: BASKET_ASSET, basket: { weights: { gold: 60, silver: 40 } } });
+
+    expect(await runDueSIPs(NOW)).toMatchObject({ executed: 1 });
+
+    const installment = await findTransactionById(`SIPTXN_${plan.sipId}_20250317`);
+    expect(installment.legs.map(leg => [leg.asset, leg.principal])).toEqual([['gold', 600], ['silver', 400]]);
+    expect(ledger.recordSIPDebit).toHaveBeenCalledTimes(1);
+
+    const balances = await ledger.getUserBalances(user.userId);
+    expect(balances.gold).toBeCloseTo(600 / 6000, 6);
+    expect(balances.silver).toBeCloseTo(400 / 75, 6);
+    expect((await getStorage().get('sip_plans', plan.sipId)).quantities).toEqual({ gold: balances.gold, silver: balances.silver });
+});
+
+describe('stale and fallback rates', () => {
+    test('a fallback-priced run buys nothing and leaves the installment due', async () => {
+        await fundUser(user.userId, 'inr', 5000);
+        const plan = await createDuePlan();
+        useFixedRates({}, { provider: 'FALLBACK' });
+
+        expect(await runDueSIPs(NOW)).toMatchObject({ processed: 0, executed: 0, deferred: 1 });
+        const saved = await getStorage().get('sip_plans', plan.sipId);
+        expect(saved.transactions || []).toEqual([]);
+        expect(saved.nextPurchaseDate).toEqual(plan.nextPurchaseDate);
+        expect((await ledger.getUserBalances(user.userId)).gold).toBe(0);
+
+        useFixedRates({ gold: 6000 });
+        expect(await runDueSIPs(NOW)).toMatchObject({ executed: 1, deferred: 0 });
+    });
+
+    test('a basket waits while any of its legs is stale', async () => {
+        await fundUser(user.userId, 'inr', 5000);
+        await createDuePlan({ asset: BASKET_ASSET, basket: { weights: { gold: 60, silver: 40 } } });
+        // Silver was last quoted before the freshness window
+        const quotedAt = new Date(Date.now() - MAX_DATA_AGE_MS - 1000);
+        setMarketProviders([{
+            name: 'TEST',
+            assets: null,
+            fetchRates: async () => ({ ...buildTestRates(), silver: buildTestRates({}, { lastUpdate: quotedAt }).silver })
+        }]);
+
+        expect(await runDueSIPs(NOW)).toMatchObject({ executed: 0, deferred: 1 });
+        expect(await ledger.getUserBalances(user.userId)).toMatchObject({ gold: 0, silver: 0, inr: 5000 });
+    });
+});
+
+describe('projectSIP', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Record one gold tick a day at noon IST, the last one today
+     * @param {Array} prices - Closing price per day, oldest first
+     */
+    async function recordDailyGold(prices) {
+        const today = new Date();
+        today.setUTCHours(6, 30, 0, 0);
+        for (const [index, price] of prices.entries()) {
+            const lastUpdate = new Date(today.getTime() - (prices.length - 1 - index) * DAY_MS);
+            await recordTicks(buildTestRates({ gold: price }, { lastUpdate }));
+        }
+    }
+
+    test('replays the plan over the recorded daily closes', async () => {
+        const prices = Array.from({ length: 20 }, (_, index) => 6000 + index * 10);
+        await recordDailyGold(prices);
+
+        const projection = await projectSIP({ asset: 'gold', amount: 1000, frequency: 'weekly', period: '1M' });
+        expect(projection.finalPrice).toBe(prices[prices.length - 1]);
+        expect(projection.installments.length).toBe(3);
+        expect(projection.installments.map(item => item.price)).toEqual([prices[0], prices[7], prices[14]]);
+        expect(projection.result.invested).toBe(3000);
+
+        // The same history always projects the same result
+        expect(await projectSIP({ asset: 'gold', amount: 1000, frequency: 'weekly', period: '1M' })).toEqual(projection);
+    });
+
+    test('answers 404 while no daily closes are recorded', async () => {
+        await expect(projectSIP({ asset: 'silver', amount: 1000, frequency: 'monthly', period: '3M' }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('plan lifecycle', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    test('a paused plan is not executed, and resuming moves a missed date to today or later', async () => {
+        await fundUser(user.userId, 'inr', 5000);
+        const plan = await createDuePlan();
+
+        const paused = await pauseSIP(user.userId, plan.sipId);
+        expect(paused.plan).toMatchObject({ status: 'PAUSED', version: 2 });
+        expect(await runDueSIPs(NOW)).toMatchObject({ processed: 0 });
+        await expect(pauseSIP(user.userId, plan.sipId)).rejects.toMatchObject({ statusCode: 409 });
+
+        const { plan: resumed } = await resumeSIP(user.userId, plan.sipId);
+        expect(resumed.status).toBe('ACTIVE');
+        expect(todayKey(resumed.nextPurchaseDate) >= todayKey()).toBe(true);
+        expect(resumed.history.map(entry => entry.action)).toEqual(['CREATED', 'PAUSED', 'RESUMED']);
+    });
+
+    test('a pause with resumeOn is lifted by the scheduler on that day', async () => {
+        const plan = await createDuePlan();
+        const resumeOn = new Date(Date.now() + DAY_MS);
+        await pauseSIP(user.userId, plan.sipId, { resumeOn });
+        await expect(pauseSIP(user.userId, plan.sipId, { resumeOn: NOW })).rejects.toMatchObject({ statusCode: 400 });
+
+        await runDueSIPs(new Date(Date.now() + 2 * DAY_MS));
+        const saved = await getStorage().get('sip_plans', plan.sipId);
+        expect(saved).toMatchObject({ status: 'ACTIVE', autoResumeDate: null });
+        expect(saved.history.find(entry => entry.action === 'RESUMED')).toMatchObject({ by: 'system', reason: 'AUTO_RESUME' });
+    });
+
+    test('a modification records what changed and applies from the next installment', async () => {
+        const plan = await createDuePlan();
+
+        const { plan: modified } = await modifySIP(user.userId, plan.sipId, { amount: 2000, frequency: 'weekly' });
+        const entry = modified.history.slice(-1)[0];
+        expect(entry).toMatchObject({
+            action: 'MODIFIED',
+            changes: { amount: { from: 1000, to: 2000 }, frequency: { from: 'monthly', to: 'weekly' } },
+            terms: { amount: 2000, frequency: 'weekly' }
+        });
+        expect(modified.sipFee).toBeLessThan(plan.sipFee);
+
+        await expect(modifySIP(user.userId, plan.sipId, { amount: 2000 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(modifySIP(user.userId, plan.sipId, { amount: -5 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('skipping records the installment as SKIPPED and moves to the next date', async () => {
+        await fundUser(user.userId, 'inr', 5000);
+        const plan = await createDuePlan();
+
+        const { plan: skipped } = await skipNextSIP(user.userId, plan.sipId);
+        expect(skipped.transactions.slice(-1)[0]).toMatchObject({ status: 'SKIPPED', reason: 'USER_SKIPPED' });
+        expect(todayKey(skipped.nextPurchaseDate)).toBe('2025-04-17');
+
+        await runDueSIPs(NOW);
+        expect((await ledger.getUserBalances(user.userId)).inr).toBe(5000);
+    });
+
+    test('a cancelled plan revokes its mandate and accepts no further changes', async () => {
+        const plan = await createDuePlan({ autoPay: { method: 'UPI', upiId: 'user@okaxis' } });
+
+        const { plan: cancelled } = await cancelSIP(user.userId, plan.sipId, { reason: 'No longer needed' });
+        expect(cancelled).toMatchObject({ status: 'CANCELLED', mandate: { status: 'REVOKED' } });
+        await expect(resumeSIP(user.userId, plan.sipId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('plans of other users are not found', async () => {
+        const plan = await createDuePlan();
+        const other = await createTestUser();
+
+        const res = await request(app)
+            .post(`/api/sip/${plan.sipId}/pause`)
+            .set('Authorization', authHeader(other))
+            .send({});
+        expect(res.status).toBe(404);
+    });
+});
@@ -0,0 +1,519 @@
+// Storage Module for Multi-Metal Token App
+// Pluggable document store: file-backed JSON for dev/tests, knex (Postgres) for production
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Every collection is stored as one document per row. Only the key and the
+// listed columns can be used in queries; the rest of the document is opaque.
+const COLLECTIONS = {
+    users: { key: 'userId', columns: ['email', 'phone', 'status'] },
+    transactions: { key: 'transactionId', columns: ['userId', 'type', 'asset', 'status', 'createdAt'] },
+    sip_plans: { key: 'sipId', columns: ['userId', 'asset', 'status', 'createdAt'] },
+    payments: { key: 'paymentId', columns: ['userId', 'method', 'status', 'referenceNumber', 'createdAt'] },
+    refunds: { key: 'refundId', columns: ['originalPaymentId', 'userId', 'status', 'createdAt'] },
+    journals: { key: 'journalId', columns: ['type', 'reference', 'userId', 'createdAt'] },
+    ledger_lines: { key: 'lineId', columns: ['journalId', 'account', 'asset', 'amount', 'createdAt'] },
+    idempotency_keys: { key: 'idempotencyId', columns: ['userId', 'createdAt'] },
+    quotes: { key: 'quoteRef', columns: ['userId', 'createdAt'] },
+    webhook_events: { key: 'eventKey', columns: ['provider', 'createdAt'] },
+    bank_statement_lines: { key: 'lineId', columns: ['importId', 'status', 'createdAt'] },
+    reconciliation_exceptions: { key: 'exceptionId', columns: ['type', 'status', 'createdAt'] },
+    rebalance_targets: { key: 'userId', columns: ['autoRebalance'] },
+    rebalances: { key: 'rebalanceId', columns: ['userId', 'status', 'createdAt'] },
+    orders: { key: 'orderId', columns: ['userId', 'asset', 'status', 'createdAt'] },
+    notifications: { key: 'notificationId', columns: ['userId', 'createdAt'] },
+    price_ticks: { key: 'tickId', columns: ['asset', 'timestamp'] },
+    price_candles: { key: 'candleId', columns: ['asset', 'interval', 'openTime'] },
+    addresses: { key: 'addressId', columns: ['userId', 'createdAt'] },
+    redemptions: { key: 'redemptionId', columns: ['userId', 'status', 'createdAt'] },
+    vault_bars: { key: 'barId', columns: ['serialNumber', 'asset', 'location', 'status', 'createdAt'] },
+    reserve_snapshots: { key: 'snapshotId', columns: ['createdAt'] },
+    reserve_leaves: { key: 'leafId', columns: ['snapshotId', 'userId'] },
+    chain_operations: { key: 'journalId', columns: ['status', 'createdAt'] },
+    chain_reconciliations: { key: 'reconciliationId', columns: ['status', 'createdAt'] },
+    binr_issuances: { key: 'issuanceId', columns: ['userId', 'type', 'createdAt'] },
+    binr_attestations: { key: 'attestationId', columns: ['createdAt'] },
+    binr_peg_alerts: { key: 'alertId', columns: ['status', 'createdAt'] },
+    bank_accounts: { key: 'bankAccountId', columns: ['userId', 'status', 'createdAt'] },
+    withdrawals: { key: 'withdrawalId', columns: ['userId', 'status', 'createdAt'] }
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const transactionContext = new AsyncLocalStorage();
+let defaultStorage = null;
+
+/**
+ * Get the collection definition, failing loudly on unknown names
+ * @param {string} collection - Collection name
+ * @returns {Object} Collection definition
+ */
+function getCollection(collection) {
+    const definition = COLLECTIONS[collection];
+    if (!definition) {
+        throw new Error(`Unknown collection: ${collection}`);
+    }
+    return definition;
+}
+
+/**
+ * Check that a query only touches indexed fields
+ * @param {string} collection - Collection name
+ * @param {Object} where - Query conditions
+ */
+function assertQueryable(collection, where) {
+    const { key, columns } = getCollection(collection);
+    for (const field of Object.keys(where)) {
+        if (field !== key && !columns.includes(field)) {
+            throw new Error(`Field ${field} is not queryable on ${collection}`);
+        }
+    }
+}
+
+/**
+ * Convert a camelCase field name to its snake_case column name
+ * @param {string} field - Field name
+ * @returns {string} Column name
+ */
+function toColumn(field) {
+    return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Serialize a document, keeping dates round-trippable
+ * @param {Object} doc - Document
+ * @returns {string} JSON string
+ */
+function serialize(doc) {
+    return JSON.stringify(doc);
+}
+
+/**
+ * Deserialize a stored document, reviving ISO timestamps into Date objects
+ * @param {string|Object} value - Stored JSON string or parsed object
+ * @returns {Object} Document
+ */
+function deserialize(value) {
+    const json = typeof value === 'string' ? value : JSON.stringify(value);
+    return JSON.parse(json, (field, fieldValue) => {
+        if (typeof fieldValue === 'string' && ISO_DATE_PATTERN.test(fieldValue)) {
+            return new Date(fieldValue);
+        }
+        return fieldValue;
+    });
+}
+
+/**
+ * Compare two scalar values (dates compare by time)
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+}
+
+/**
+ * Test a document against query conditions
+ * Conditions are equality, an array (IN) or an operator object ({ lt, lte, gt, gte, ne })
+ * @param {Object} doc - Document
+ * @param {Object} where - Query conditions
+ * @returns {boolean} Whether the document matches
+ */
+function matches(doc, where) {
+    return Object.entries(where).every(([field, condition]) => {
+        const value = doc[field];
+
+        if (Array.isArray(condition)) {
+            return condition.some(option => compareValues(value, option) === 0);
+        }
+
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return Object.entries(condition).every(([operator, operand]) => {
+                const comparison = compareValues(value, operand);
+                switch (operator) {
+                    case 'lt': return comparison < 0;
+                    case 'lte': return comparison <= 0;
+                    case 'gt': return comparison > 0;
+                    case 'gte': return comparison >= 0;
+                    case 'ne': return comparison !== 0;
+                    default: throw new Error(`Unsupported operator: ${operator}`);
+                }
+            });
+        }
+
+        return compareValues(value, condition) === 0;
+    });
+}
+
+// ==================== FILE ADAPTER ====================
+
+/**
+ * Create a file-backed document store
+ * The whole dataset lives in memory and is flushed to a JSON file after every write.
+ * Use ':memory:' as the file name for a throwaway store (tests).
+ * @param {Object} options - Adapter options
+ * @param {string} options.filename - JSON file path or ':memory:'
+ * @returns {Object} Storage adapter
+ */
+function createFileAdapter({ filename = ':memory:' } = {}) {
+    const state = { collections: {} };
+    const inMemory = filename === ':memory:';
+    let writeQueue = Promise.resolve();
+
+    if (!inMemory && fs.existsSync(filename)) {
+        Object.assign(state, deserialize(fs.readFileSync(filename, 'utf8')));
+    }
+
+    function ensureCollections() {
+        for (const collection of Object.keys(COLLECTIONS)) {
+            state.collections[collection] = state.collections[collection] || {};
+        }
+    }
+
+    function flush() {
+        if (inMemory) return Promise.resolve();
+
+        writeQueue = writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+            const tempFile = `${filename}.tmp`;
+            await fs.promises.writeFile(tempFile, serialize(state));
+            await fs.promises.rename(tempFile, filename);
+        });
+        return writeQueue;
+    }
+
+    function commit(pending) {
+        for (const [collection, docs] of Object.entries(pending)) {
+            state.collections[collection] = state.collections[collection] || {};
+            for (const [id, doc] of Object.entries(docs)) {
+                if (doc === null) {
+                    delete state.collections[collection][id];
+                } else {
+                    state.collections[collection][id] = doc;
+                }
+            }
+        }
+        return flush();
+    }
+
+    // Reads see the pending overlay (if any) on top of committed state
+    function createView(pending) {
+        function allDocs(collection) {
+            getCollection(collection);
+            const merged = { ...(state.collections[collection] || {}), ...(pending ? pending[collection] : {}) };
+            return Object.values(merged).filter(doc => doc !== null).map(doc => deserialize(doc));
+        }
+
+        async function write(collection, id, doc) {
+            if (pending) {
+                pending[collection] = pending[collection] || {};
+                pending[collection][id] = doc;
+                return;
+            }
+            await commit({ [collection]: { [id]: doc } });
+        }
+
+        return {
+            client: 'file',
+
+            async get(collection, id) {
+                getCollection(collection);
+                const overlay = pending && pending[collection] && id in pending[collection]
+                    ? pending[collection][id]
+                    : (state.collections[collection] || {})[id];
+                return overlay ? deserialize(overlay) : null;
+            },
+
+            async save(collection, doc) {
+                const { key } = getCollection(collection);
+                if (!doc[key]) {
+                    throw new Error(`Missing ${key} for ${collection}`);
+                }
+                await write(collection, doc[key], serialize(doc));
+                return doc;
+            },
+
+            async remove(collection, id) {
+                getCollection(collection);
+                await write(collection, id, null);
+                return true;
+            },
+
+            async find(collection, where = {}, options = {}) {
+                assertQueryable(collection, where);
+                const { orderBy, order = 'asc', limit, offset = 0 } = options;
+
+                let docs = allDocs(collection).filter(doc => matches(doc, where));
+                if (orderBy) {
+                    const direction = order === 'desc' ? -1 : 1;
+                    docs.sort((a, b) => compareValues(a[orderBy], b[orderBy]) * direction);
+                }
+                docs = docs.slice(offset, limit ? offset + limit : undefined);
+                return docs;
+            },
+
+            async count(collection, where = {}) {
+                assertQueryable(collection, where);
+                return allDocs(collection).filter(doc => matches(doc, where)).length;
+            },
+
+            async sum(collection, field, where = {}, groupBy = []) {
+                assertQueryable(collection, { ...where, [field]: null });
+                groupBy.forEach(group => assertQueryable(collection, { [group]: null }));
+
+                const groups = new Map();
+                for (const doc of allDocs(collection).filter(item => matches(item, where))) {
+                    const groupKey = JSON.stringify(groupBy.map(group => doc[group]));
+                    if (!groups.has(groupKey)) {
+                        const row = { total: 0 };
+                        groupBy.forEach(group => { row[group] = doc[group]; });
+                        groups.set(groupKey, row);
+                    }
+                    groups.get(groupKey).total += Number(doc[field]) || 0;
+                }
+                return Array.from(groups.values());
+            },
+
+            async transaction(work) {
+                if (pending) {
+                    return work(this);
+                }
+                const trxPending = {};
+                const result = await work(createView(trxPending));
+                await commit(trxPending);
+                return result;
+            },
+
+            async migrate() {
+                ensureCollections();
+                await flush();
+                return { client: 'file', collections: Object.keys(state.collections) };
+            },
+
+            async close() {
+                await writeQueue;
+            }
+        };
+    }
+
+    ensureCollections();
+    return createView(null);
+}
+
+// ==================== KNEX ADAPTER ====================
+
+/**
+ * Create a knex-backed document store (Postgres in production)
+ * Tables are created by the migrations in ./migrations.
+ * @param {Object} knex - Knex instance or transaction
+ * @returns {Object} Storage adapter
+ */
+function createKnexAdapter(knex) {
+    function toRow(collection, doc) {
+        const { key, columns } = getCollection(collection);
+        const row = { [toColumn(key)]: doc[key], data: serialize(doc), updated_at: new Date() };
+        for (const field of columns) {
+            row[toColumn(field)] = doc[field] === undefined ? null : doc[field];
+        }
+        return row;
+    }
+
+    function applyWhere(query, where) {
+        for (const [field, condition] of Object.entries(where)) {
+            const column = toColumn(field);
+            if (Array.isArray(condition)) {
+                query.whereIn(column, condition);
+            } else if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+                const operators = { lt: '<', lte: '<=', gt: '>', gte: '>=', ne: '<>' };
+                for (const [operator, operand] of Object.entries(condition)) {
+                    if (!operators[operator]) {
+                        throw new Error(`Unsupported operator: ${operator}`);
+                    }
+                    query.where(column, operators[operator], operand);
+                }
+            } else if (condition === null || condition === undefined) {
+                query.whereNull(column);
+            } else {
+                query.where(column, condition);
+            }
+        }
+        return query;
+    }
+
+    return {
+        client: 'knex',
+
+        async get(collection, id) {
+            const { key } = getCollection(collection);
+            const row = await knex(collection).where(toColumn(key), id).first('data');
+            return row ? deserialize(row.data) : null;
+        },
+
+        async save(collection, doc) {
+            const { key } = getCollection(collection);
+            if (!doc[key]) {
+                throw new Error(`Missing ${key} for ${collection}`);
+            }
+            await knex(collection)
+                .insert(toRow(collection, doc))
+                .onConflict(toColumn(key))
+                .merge();
+            return doc;
+        },
+
+        async remove(collection, id) {
+            const { key } = getCollection(collection);
+            await knex(collection).where(toColumn(key), id).del();
+            return true;
+        },
+
+        async find(collection, where = {}, options = {}) {
+            assertQueryable(collection, where);
+            const { orderBy, order = 'asc', limit, offset = 0 } = options;
+
+            const query = applyWhere(knex(collection).select('data'), where);
+            if (orderBy) {
+                query.orderBy(toColumn(orderBy), order);
+            }
+            if (limit) {
+                query.limit(limit);
+            }
+            if (offset) {
+                query.offset(offset);
+            }
+
+            const rows = await query;
+            return rows.map(row => deserialize(row.data));
+        },
+
+        async count(collection, where = {}) {
+            assertQueryable(collection, where);
+            const [{ total }] = await applyWhere(knex(collection), where).count({ total: '*' });
+            return parseInt(total, 10);
+        },
+
+        async sum(collection, field, where = {}, groupBy = []) {
+            assertQueryable(collection, { ...where, [field]: null });
+            groupBy.forEach(group => assertQueryable(collection, { [group]: null }));
+
+            const selection = {};
+            groupBy.forEach(group => { selection[group] = toColumn(group); });
+
+            const rows = await applyWhere(knex(collection), where)
+                .select(selection)
+                .sum({ total: toColumn(field) })
+                .groupBy(groupBy.map(toColumn));
+            return rows.map(row => ({ ...row, total: parseFloat(row.total) || 0 }));
+        },
+
+        async transaction(work) {
+            if (knex.isTransaction) {
+                return work(this);
+            }
+            return knex.transaction(trx => work(createKnexAdapter(trx)));
+        },
+
+        async migrate() {
+            const [batch, migrations] = await knex.migrate.latest({
+                directory: path.join(__dirname, 'migrations')
+            });
+            return { client: 'knex', batch, migrations };
+        },
+
+        async close() {
+            await knex.destroy();
+        }
+    };
+}
+
+// ==================== STORAGE SELECTION ====================
+
+/**
+ * Create the storage adapter configured by the environment
+ * DB_CLIENT=file (default) uses DATA_FILE; DB_CLIENT=pg uses DATABASE_URL.
+ * @returns {Object} Storage adapter
+ */
+function createStorageFromEnv() {
+    const databaseUrl = process.env.DATABASE_URL || '';
+    const client = process.env.DB_CLIENT || (/^postgres(ql)?:/.test(databaseUrl) ? 'pg' : 'file');
+
+    if (client === 'file') {
+        return createFileAdapter({
+            filename: process.env.DATA_FILE || path.join(__dirname, 'data', 'multimetal.json')
+        });
+    }
+
+    const knex = require('knex')({
+        client,
+        connection: databaseUrl,
+        pool: { min: 0, max: parseInt(process.env.DB_POOL_MAX || '10', 10) }
+    });
+    return createKnexAdapter(knex);
+}
+
+/**
+ * Get the active storage adapter
+ * Inside withTransaction() this returns the transaction-bound adapter.
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+    const transactional = transactionContext.getStore();
+    if (transactional) {
+        return transactional;
+    }
+    if (!defaultStorage) {
+        defaultStorage = createStorageFromEnv();
+    }
+    return defaultStorage;
+}
+
+/**
+ * Replace the default storage adapter (tests, scripts)
+ * @param {Object} storage - Storage adapter
+ */
+function setStorage(storage) {
+    defaultStorage = storage;
+}
+
+/**
+ * Run work inside a storage transaction
+ * Repository calls made inside `work` automatically use the transaction.
+ * Nested calls join the outer transaction.
+ * @param {Function} work - Async function to run
+ * @returns {Promise<*>} Result of work
+ */
+async function withTransaction(work) {
+    if (transactionContext.getStore()) {
+        return work();
+    }
+    return getStorage().transaction(trx => transactionContext.run(trx, work));
+}
+
+/**
+ * Close the default storage adapter
+ */
+async function closeStorage() {
+    if (defaultStorage) {
+        await defaultStorage.close();
+        defaultStorage = null;
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    createFileAdapter,
+    createKnexAdapter,
+    createStorageFromEnv,
+    getStorage,
+    setStorage,
+    withTransaction,
+    closeStorage
+};
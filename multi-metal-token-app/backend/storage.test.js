@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { COLLECTIONS, createFileAdapter, setStorage, getStorage, withTransaction } = require('./storage');
+
+describe('file adapter', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createFileAdapter({ filename: ':memory:' });
+        setStorage(storage);
+    });
+
+    test('saves, reads and removes documents, reviving dates', async () => {
+        const createdAt = new Date('2025-01-02T03:04:05.000Z');
+        await storage.save('users', { userId: 'U1', email: 'a@example.com', createdAt, nested: { n: 1 } });
+
+        const user = await storage.get('users', 'U1');
+        expect(user.createdAt).toEqual(createdAt);
+        expect(user.nested).toEqual({ n: 1 });
+
+        await storage.remove('users', 'U1');
+        expect(await storage.get('users', 'U1')).toBeNull();
+    });
+
+    test('requires the collection key and a known collection', async () => {
+        await expect(storage.save('users', { email: 'a@example.com' })).rejects.toThrow('Missing userId');
+        await expect(storage.get('nope', 'x')).rejects.toThrow('Unknown collection');
+    });
+
+    test('finds by equality, IN and operators with ordering and paging', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await storage.save('transactions', {
+                transactionId: `T${i}`,
+                userId: i % 2 ? 'A' : 'B',
+                type: 'BUY',
+                asset: i > 3 ? 'silver' : 'gold',
+                status: 'COMPLETED',
+                createdAt: new Date(Date.UTC(2025, 0, i))
+            });
+        }
+
+        expect((await storage.find('transactions', { userId: 'A' })).map(t => t.transactionId)).toEqual(['T1', 'T3', 'T5']);
+        expect(await storage.count('transactions', { asset: ['gold', 'platinum'] })).toBe(3);
+
+        const recent = await storage.find('transactions', { createdAt: { gte: new Date(Date.UTC(2025, 0, 2)) } }, {
+            orderBy: 'createdAt',
+            order: 'desc',
+            limit: 2,
+            offset: 1
+        });
+        expect(recent.map(t => t.transactionId)).toEqual(['T4', 'T3']);
+        expect(await storage.count('transactions', { asset: { ne: 'gold' } })).toBe(2);
+    });
+
+    test('only queries the key and listed columns', async () => {
+        await expect(storage.find('users', { passwordHash: 'x' })).rejects.toThrow('not queryable');
+    });
+
+    test('sums a column grouped by other columns', async () => {
+        const lines = [['L1', 'user:A', 'gold', 2], ['L2', 'user:A', 'gold', -0.5], ['L3', 'user:A', 'inr', 100], ['L4', 'user:B', 'gold', 1]];
+        for (const [lineId, account, asset, amount] of lines) {
+            await storage.save('ledger_lines', { lineId, journalId: 'J', account, asset, amount, createdAt: new Date() });
+        }
+
+        const rows = await storage.sum('ledger_lines', 'amount', { account: 'user:A' }, ['asset']);
+        expect(rows).toEqual(expect.arrayContaining([
+            { asset: 'gold', total: 1.5 },
+            { asset: 'inr', total: 100 }
+        ]));
+    });
+
+    test('withTransaction commits on success and discards everything on error', async () => {
+        await withTransaction(async () => {
+            await getStorage().save('users', { userId: 'U1', email: 'a@example.com' });
+            // Reads inside the transaction see its own writes
+            expect(await getStorage().get('users', 'U1')).not.toBeNull();
+        });
+        expect(await storage.get('users', 'U1')).not.toBeNull();
+
+        await expect(withTransaction(async () => {
+            await getStorage().save('users', { userId: 'U2', email: 'b@example.com' });
+            await withTransaction(async () => {
+                await getStorage().save('users', { userId: 'U3', email: 'c@example.com' });
+            });
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        // The nested transaction joined the outer one and rolled back with it
+        expect(await storage.get('users', 'U2')).toBeNull();
+        expect(await storage.get('users', 'U3')).toBeNull();
+    });
+
+    test('persists to and reloads from a JSON file', async () => {
+        const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mmt-')), 'data.json');
+        const fileStorage = createFileAdapter({ filename });
+        await fileStorage.save('users', { userId: 'U1', email: 'a@example.com', createdAt: new Date(0) });
+        await fileStorage.close();
+
+        const reloaded = createFileAdapter({ filename });
+        expect(await reloaded.get('users', 'U1')).toEqual({ userId: 'U1', email: 'a@example.com', createdAt: new Date(0) });
+        fs.rmSync(path.dirname(filename), { recursive: true, force: true });
+    });
+});
+
+describe('migrations', () => {
+    test('create a table for every collection', () => {
+        const directory = path.join(__dirname, 'migrations');
+        const source = fs.readdirSync(directory).map(file => fs.readFileSync(path.join(directory, file), 'utf8')).join('\n');
+        const created = new Set(Array.from(source.matchAll(/createTable\('([a-z_]+)'/g), match => match[1]));
+
+        expect(Object.keys(COLLECTIONS).filter(collection => !created.has(collection))).toEqual([]);
+    });
+});
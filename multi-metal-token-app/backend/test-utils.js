@@ -0,0 +1,131 @@
+// Test Utilities for Multi-Metal Token App
+// Fresh in-memory storage, fixture users, fixed market rates and ledger funding for jest tests
+
+const { createFileAdapter, setStorage } = require('./storage');
+const { buildRate } = require('./market-providers');
+const { setMarketProviders } = require('./market-rates');
+const { ACCOUNTS, userAccount, postJournal } = require('./ledger');
+const { saveUser } = require('./repository');
+const { hashPassword, generateToken } = require('./auth');
+
+// Mid prices the fixed provider quotes unless a test overrides them
+const TEST_PRICES = { gold: 6000, silver: 75, platinum: 2800, stablecoin: 1 };
+
+let userSequence = 0;
+let passwordHash = null;
+
+/**
+ * Replace the default storage with an empty in-memory store
+ * @returns {Object} Storage adapter
+ */
+function resetStorage() {
+    const storage = createFileAdapter({ filename: ':memory:' });
+    setStorage(storage);
+    return storage;
+}
+
+/**
+ * Save a user with an empty portfolio
+ * @param {Object} overrides - Fields to set (userId, email, kycLevel, role...)
+ * @returns {Promise<Object>} Saved user
+ */
+async function createTestUser(overrides = {}) {
+    userSequence += 1;
+    const suffix = String(userSequence).padStart(4, '0');
+    passwordHash = passwordHash || await hashPassword('Test@12345');
+    return saveUser({
+        userId: `USER_TEST_${suffix}`,
+        email: `user${suffix}@example.com`,
+        phone: `98765${suffix.padStart(5, '0')}`,
+        passwordHash,
+        kycLevel: 2,
+        role: 'USER',
+        status: 'ACTIVE',
+        createdAt: new Date(),
+        portfolio: {
+            gold: { totalInvested: 0, tokens: [] },
+            silver: { totalInvested: 0, tokens: [] },
+            platinum: { totalInvested: 0, tokens: [] },
+            stablecoin: { totalInvested: 0 },
+            sipPlans: [],
+            totalValue: 0,
+            totalProfit: 0
+        },
+        transactions: [],
+        sipFees: { lastPaid: null, totalPaid: 0 },
+        ...overrides
+    });
+}
+
+/**
+ * Bearer header value for a user
+ * @param {Object} user - User
+ * @returns {string} Authorization header
+ */
+function authHeader(user) {
+    return `Bearer ${generateToken({ userId: user.userId, email: user.email, role: user.role || 'USER' })}`;
+}
+
+/**
+ * Build fresh rates at the given mid prices (1% bid/ask spread)
+ * @param {Object} prices - Mid price per asset (defaults to TEST_PRICES)
+ * @param {Object} fields - Extra fields for every rate (provider, stale...)
+ * @returns {Object} Rates keyed by asset
+ */
+function buildTestRates(prices = {}, fields = {}) {
+    const merged = { ...TEST_PRICES, ...prices };
+    return Object.fromEntries(Object.entries(merged).map(([asset, price]) => [asset, {
+        ...buildRate({ price, exchange: 'TEST', source: 'TEST', lastUpdate: new Date(), unit: asset === 'stablecoin' ? 'BINR' : 'gram' }),
+        provider: 'TEST',
+        stale: false,
+        ...fields
+    }]));
+}
+
+/**
+ * Make getMarketRates return fixed prices (with an empty rate cache)
+ * @param {Object} prices - Mid price per asset (defaults to TEST_PRICES)
+ * @param {Object} fields - Extra fields for every rate; fields.provider also names the provider
+ */
+function useFixedRates(prices = {}, fields = {}) {
+    setMarketProviders([{
+        name: fields.provider || 'TEST',
+        assets: null,
+        fetchRates: async () => buildTestRates(prices, fields)
+    }]);
+}
+
+/**
+ * Credit a customer with an asset out of platform accounts
+ * Metal and BINR come from vault custody, INR from payment clearing.
+ * @param {string} userId - User ID
+ * @param {string} asset - Asset (gold, silver, platinum, stablecoin, inr)
+ * @param {number} amount - Quantity
+ * @returns {Promise<Object>} Posted journal
+ */
+async function fundUser(userId, asset, amount) {
+    const source = asset === 'inr' ? ACCOUNTS.PAYMENT_CLEARING : ACCOUNTS.VAULT_CUSTODY;
+    const lines = [
+        { account: source, asset, amount: -amount },
+        { account: userAccount(userId), asset, amount }
+    ];
+    if (asset === 'stablecoin') {
+        // BINR is issued against the reserve like every other issuance
+        lines[0] = { account: ACCOUNTS.BINR_ISSUANCE, asset, amount: -amount };
+        lines.push(
+            { account: ACCOUNTS.PAYMENT_CLEARING, asset: 'inr', amount: -amount },
+            { account: ACCOUNTS.BINR_RESERVE, asset: 'inr', amount }
+        );
+    }
+    return postJournal({ type: 'TEST_FUNDING', reference: `FUND_${userId}_${asset}`, userId, description: `Test funding ${amount} ${asset}`, lines });
+}
+
+module.exports = {
+    TEST_PRICES,
+    resetStorage,
+    createTestUser,
+    authHeader,
+    buildTestRates,
+    useFixedRates,
+    fundUser
+};
@@ -0,0 +1,455 @@
+// Trading Module for Multi-Metal Token App
+// Creates buy orders and executes sells and swaps as single atomic units against the ledger
+
+const { calculateFees, calculateSwapFee } = require('./fees');
+const { getMarketRates, assertLiveRates } = require('./market-rates');
+const {
+    getUserBalances,
+    getAccountBalances,
+    userAccount,
+    reservedAccount,
+    roundAmount,
+    recordBuy,
+    recordSell,
+    recordSwap
+} = require('./ledger');
+const { findUserById, saveUser, saveTransaction } = require('./repository');
+const { createPayment, assertValidPaymentRequest } = require('./payments');
+const { transitionOrder } = require('./settlement');
+const { verifyQuote, consumeQuote } = require('./quotes');
+const { withTransaction } = require('./storage');
+const { withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+const TRADABLE_ASSETS = ['gold', 'silver', 'platinum', 'stablecoin'];
+
+// Buy payment method that pays from the INR wallet balance instead of a new payment
+const WALLET_PAYMENT_METHOD = 'WALLET';
+
+/**
+ * Generate transaction ID
+ * @returns {string} Transaction ID
+ */
+function generateTransactionId() {
+    return 'TXN_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Validate a trade quantity
+ * @param {number} amount - Quantity
+ */
+function assertValidAmount(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        throw createError('Amount must be a positive number');
+    }
+}
+
+/**
+ * Check the user holds enough of an asset (call under the user's lock)
+ * @param {string} userId - User ID
+ * @param {string} asset - Asset
+ * @param {number} amount - Quantity required
+ */
+async function assertSufficientBalance(userId, asset, amount) {
+    const balances = await getUserBalances(userId);
+    if (balances[asset] < amount) {
+        throw createError('Insufficient balance', 400, { available: balances[asset] });
+    }
+}
+
+/**
+ * Take the cost of a quantity leaving a holding off its totalInvested, in proportion
+ * to the quantity held (available plus reserved), so the average cost is unchanged.
+ * Call under the user's lock before the ledger posting; the caller saves the user.
+ * @param {Object} user - User
+ * @param {string} asset - Asset leaving the holding
+ * @param {number} amount - Quantity leaving
+ * @returns {Promise<number>} Cost basis removed in INR
+ */
+async function releaseCostBasis(user, asset, amount) {
+    const holding = user.portfolio[asset];
+    const [balances, reserved] = await Promise.all([
+        getUserBalances(user.userId),
+        getAccountBalances(reservedAccount(user.userId))
+    ]);
+    const held = balances[asset] + (reserved[asset] || 0);
+    if (!(held > 0) || !(holding.totalInvested > 0)) {
+        return 0;
+    }
+
+    const cost = Math.round(holding.totalInvested * Math.min(1, amount / held) * 100) / 100;
+    holding.totalInvested = Math.max(0, Math.round((holding.totalInvested - cost) * 100) / 100);
+    return cost;
+}
+
+/**
+ * Get mid prices for a trade: from a verified quote when given, else live rates
+ * Without a quote the trade is refused (503) while any of its rates is stale or fallback.
+ * @param {Object} params - Price parameters
+ * @param {string} params.quoteId - Signed quote (optional)
+ * @param {Object} params.expected - Trade the quote must match
+ * @returns {Promise<Object>} { price, toPrice, quote }
+ */
+async function resolvePrices({ quoteId, expected }) {
+    if (quoteId) {
+        const quote = verifyQuote(quoteId, expected);
+        return { price: quote.price, toPrice: quote.toPrice, quote };
+    }
+
+    const rates = assertLiveRates(await getMarketRates(), expected.toAsset ? [expected.asset, expected.toAsset] : [expected.asset]);
+    return {
+        price: rates[expected.asset].price,
+        toPrice: expected.toAsset ? rates[expected.toAsset].price : undefined,
+        quote: null
+    };
+}
+
+/**
+ * Settle a buy order straight from the user's INR wallet (call under the user's lock)
+ * @param {Object} transaction - PENDING BUY transaction
+ * @param {Object} user - User
+ * @returns {Promise<Object>} Completed transaction
+ */
+async function settleFromWallet(transaction, user) {
+    const { fees } = transaction;
+    // Exactly what recordBuy takes from the wallet
+    const debit = roundAmount(transaction.amount * transaction.price) + fees.spreadFee + fees.platformFee + fees.gst;
+    const balances = await getUserBalances(transaction.userId);
+    if (balances.inr + 1e-8 < debit) {
+        throw createError('Insufficient INR balance', 400, { available: balances.inr, required: transaction.totalCost });
+    }
+
+    const journal = await recordBuy({
+        userId: transaction.userId,
+        transactionId: transaction.transactionId,
+        asset: transaction.asset,
+        amount: transaction.amount,
+        price: transaction.price,
+        fees,
+        fundingAccount: userAccount(transaction.userId)
+    });
+    transitionOrder(transaction, 'COMPLETED', { reason: 'PAID_FROM_WALLET' });
+    transaction.fundingSource = 'INR_BALANCE';
+    transaction.journalId = journal.journalId;
+    transaction.settledAt = new Date();
+    await saveTransaction(transaction);
+
+    user.portfolio[transaction.asset].totalInvested += transaction.amount * transaction.price;
+    await saveUser(user);
+    return transaction;
+}
+
+/**
+ * Create a PENDING buy order and the payment that funds it
+ * The metal is credited later by the settlement engine when the payment completes.
+ * With paymentMethod WALLET the order is paid from the INR wallet and settles at once.
+ * @param {Object} params - Buy parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.asset - Asset to buy
+ * @param {number} params.amount - Quantity to buy
+ * @param {string} params.paymentMethod - Payment method (default UPI) or WALLET
+ * @param {string} params.quoteId - Signed quote locking the price (optional)
+ * @returns {Promise<Object>} Order and payment details
+ */
+async function createBuyOrder({ userId, asset, amount, paymentMethod, upiId, cardToken, bankCode, quoteId }) {
+    assertValidAmount(amount);
+    const method = String(paymentMethod || 'UPI').toUpperCase();
+
+    return withUserLock(userId, () => withTransaction(async () => {
+        const user = await findUserById(userId);
+        const { price: marketPrice, quote } = await resolvePrices({
+            quoteId,
+            expected: { userId, asset, side: 'buy', amount }
+        });
+
+        // Calculate fees
+        const fees = calculateFees({
+            type: 'buy',
+            asset,
+            amount,
+            marketPrice,
+            user
+        });
+
+        const totalCost = Math.round(((amount * marketPrice) + fees.totalFee) * 100) / 100;
+        if (method !== WALLET_PAYMENT_METHOD) {
+            assertValidPaymentRequest({ amount: totalCost, method, upiId, cardToken, bankCode });
+        }
+
+        const transaction = {
+            transactionId: generateTransactionId(),
+            userId,
+            type: 'BUY',
+            asset,
+            amount,
+            price: marketPrice,
+            totalCost,
+            fees,
+            quoteRef: quote ? quote.ref : null,
+            status: 'PENDING',
+            stateHistory: [],
+            createdAt: new Date()
+        };
+
+        if (quote) {
+            await consumeQuote(quote, transaction.transactionId);
+        }
+
+        const breakdown = {
+            principalAmount: amount * marketPrice,
+            spreadFee: fees.spreadFee,
+            platformFee: fees.platformFee,
+            gst: fees.gst
+        };
+
+        if (method === WALLET_PAYMENT_METHOD) {
+            await settleFromWallet(transaction, user);
+            return {
+                message: 'Buy order completed',
+                transactionId: transaction.transactionId,
+                status: transaction.status,
+                fundingSource: transaction.fundingSource,
+                amount,
+                price: marketPrice,
+                totalCost,
+                fees,
+                breakdown
+            };
+        }
+
+        // Create payment intent linked to the order
+        const payment = await createPayment({
+            amount: totalCost,
+            currency: 'INR',
+            method,
+            upiId,
+            cardToken,
+            bankCode,
+            userId,
+            orderId: transaction.transactionId,
+            description: `Buy ${amount} ${asset}`
+        });
+
+        transaction.paymentId = payment.paymentId;
+        await saveTransaction(transaction);
+
+        return {
+            message: 'Buy order created',
+            transactionId: transaction.transactionId,
+            paymentId: payment.paymentId,
+            payment,
+            amount,
+            price: marketPrice,
+            totalCost,
+            fees,
+            breakdown
+        };
+    }));
+}
+
+/**
+ * Sell an asset at the quoted or market price
+ * The balance check, ledger posting and transaction record happen under the
+ * user's lock in one storage transaction.
+ * @param {Object} params - Sell parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.asset - Asset to sell
+ * @param {number} params.amount - Quantity to sell
+ * @param {string} params.quoteId - Signed quote locking the price (optional)
+ * @returns {Promise<Object>} Sell result
+ */
+async function executeSell({ userId, asset, amount, quoteId }) {
+    assertValidAmount(amount);
+
+    return withUserLock(userId, () => withTransaction(async () => {
+        const user = await findUserById(userId);
+        await assertSufficientBalance(userId, asset, amount);
+
+        const { price: marketPrice, quote } = await resolvePrices({
+            quoteId,
+            expected: { userId, asset, side: 'sell', amount }
+        });
+
+        // Calculate fees
+        const fees = calculateFees({
+            type: 'sell',
+            asset,
+            amount,
+            marketPrice,
+            user
+        });
+
+        const netAmount = (amount * marketPrice) - fees.totalFee;
+        const costBasis = await releaseCostBasis(user, asset, amount);
+
+        const transaction = {
+            transactionId: generateTransactionId(),
+            userId,
+            type: 'SELL',
+            asset,
+            amount,
+            price: marketPrice,
+            netAmount,
+            costBasis,
+            fees,
+            quoteRef: quote ? quote.ref : null,
+            // Proceeds are credited to the INR wallet by the sell journal
+            status: 'COMPLETED',
+            settledTo: 'WALLET',
+            createdAt: new Date()
+        };
+
+        if (quote) {
+            await consumeQuote(quote, transaction.transactionId);
+        }
+
+        const journal = await recordSell({
+            userId,
+            transactionId: transaction.transactionId,
+            asset,
+            amount,
+            price: marketPrice,
+            fees
+        });
+        transaction.journalId = journal.journalId;
+        await saveTransaction(transaction);
+        await saveUser(user);
+
+        return {
+            message: 'Sell order processed',
+            transactionId: transaction.transactionId,
+            amount,
+            price: marketPrice,
+            netAmount,
+            settledTo: 'WALLET',
+            fees,
+            breakdown: {
+                grossAmount: amount * marketPrice,
+                spreadFee: fees.spreadFee,
+                platformFee: fees.platformFee,
+                gst: fees.gst,
+                netAmount
+            }
+        };
+    }));
+}
+
+/**
+ * Swap one asset for another at quoted or market prices
+ * Both legs, the ledger journal and both transaction records are written in one
+ * storage transaction under the user's lock, so a failure leaves nothing behind.
+ * @param {Object} params - Swap parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.fromAsset - Asset to give up
+ * @param {string} params.toAsset - Asset to receive
+ * @param {number} params.amount - Quantity of fromAsset
+ * @param {string} params.quoteId - Signed swap quote locking both prices (optional)
+ * @returns {Promise<Object>} Swap result
+ */
+async function executeSwap({ userId, fromAsset, toAsset, amount, quoteId }) {
+    assertValidAmount(amount);
+
+    return withUserLock(userId, () => withTransaction(async () => {
+        const user = await findUserById(userId);
+        await assertSufficientBalance(userId, fromAsset, amount);
+
+        const { price: fromPrice, toPrice, quote } = await resolvePrices({
+            quoteId,
+            expected: { userId, asset: fromAsset, side: 'swap', amount, toAsset }
+        });
+
+        // Calculate swap
+        const fromValue = amount * fromPrice;
+        const receivedAmount = fromValue / toPrice;
+
+        // Calculate swap fees (0.1-0.5%)
+        const swapFees = calculateSwapFee(fromValue);
+
+        const finalAmount = receivedAmount - (receivedAmount * swapFees.percentage);
+        const finalFee = receivedAmount * swapFees.percentage;
+
+        // The cost of what is given up becomes the cost of what is received
+        const costBasis = await releaseCostBasis(user, fromAsset, amount);
+        user.portfolio[toAsset].totalInvested += costBasis;
+
+        // Create transaction records for both assets
+        const sellTransaction = {
+            transactionId: generateTransactionId(),
+            userId,
+            type: 'SWAP_SELL',
+            asset: fromAsset,
+            amount,
+            price: fromPrice,
+            costBasis,
+            fees: { swapFee: finalFee },
+            quoteRef: quote ? quote.ref : null,
+            status: 'COMPLETED',
+            createdAt: new Date()
+        };
+
+        if (quote) {
+            await consumeQuote(quote, sellTransaction.transactionId);
+        }
+
+        const buyTransaction = {
+            transactionId: generateTransactionId(),
+            userId,
+            type: 'SWAP_BUY',
+            asset: toAsset,
+            amount: finalAmount,
+            price: toPrice,
+            fees: { swapFee: finalFee },
+            status: 'COMPLETED',
+            createdAt: new Date()
+        };
+
+        // Post both legs to the ledger
+        const journal = await recordSwap({
+            userId,
+            reference: sellTransaction.transactionId,
+            fromAsset,
+            fromAmount: amount,
+            toAsset,
+            receivedAmount,
+            feeAmount: finalFee
+        });
+        sellTransaction.journalId = journal.journalId;
+        buyTransaction.journalId = journal.journalId;
+
+        await saveTransaction(sellTransaction);
+        await saveTransaction(buyTransaction);
+        await saveUser(user);
+
+        return {
+            message: 'Swap completed',
+            swapRate: toPrice / fromPrice,
+            fromAsset: {
+                amount,
+                price: fromPrice,
+                value: fromValue
+            },
+            toAsset: {
+                amount: finalAmount,
+                price: toPrice,
+                value: finalAmount * toPrice
+            },
+            fees: {
+                swapFee: finalFee,
+                swapPercentage: swapFees.percentage * 100
+            },
+            transactions: [sellTransaction, buyTransaction]
+        };
+    }));
+}
+
+module.exports = {
+    TRADABLE_ASSETS,
+    WALLET_PAYMENT_METHOD,
+    generateTransactionId,
+    assertValidAmount,
+    assertSufficientBalance,
+    releaseCostBasis,
+    createBuyOrder,
+    executeSell,
+    executeSwap
+};
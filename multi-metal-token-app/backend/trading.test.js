@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { resetStorage, createTestUser, authHeader, useFixedRates, fundUser } = require('./test-utils');
+const { executeSell, executeSwap } = require('./trading');
+const { getUserBalances, reconcileLedger } = require('./ledger');
+const { findUserById, saveUser } = require('./repository');
+const { getStorage } = require('./storage');
+const app = require('./server');
+
+let user;
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000, silver: 75 });
+    user = await createTestUser();
+    await fundUser(user.userId, 'gold', 2);
+    user.portfolio.gold.totalInvested = 12000;
+    await saveUser(user);
+});
+
+describe('executeSell', () => {
+    test('moves the metal to custody and the net proceeds to the wallet', async () => {
+        const result = await executeSell({ userId: user.userId, asset: 'gold', amount: 1 });
+
+        expect(result.settledTo).toBe('WALLET');
+        expect(result.netAmount).toBeCloseTo(6000 - result.fees.totalFee, 2);
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(1);
+        expect(balances.inr).toBeCloseTo(result.netAmount, 2);
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('rejects overselling and leaves nothing behind', async () => {
+        await expect(executeSell({ userId: user.userId, asset: 'gold', amount: 3 })).rejects.toMatchObject({ statusCode: 400 });
+        expect(await getStorage().count('transactions')).toBe(0);
+        expect((await getUserBalances(user.userId)).gold).toBe(2);
+    });
+
+    test('concurrent sells cannot spend the same balance twice', async () => {
+        const results = await Promise.allSettled([1, 2].map(() => executeSell({ userId: user.userId, asset: 'gold', amount: 1.5 })));
+
+        expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+        expect((await getUserBalances(user.userId)).gold).toBe(0.5);
+    });
+
+    test('takes the cost of the sold quantity off totalInvested', async () => {
+        const result = await executeSell({ userId: user.userId, asset: 'gold', amount: 1.5 });
+
+        const [transaction] = await getStorage().find('transactions', { userId: user.userId });
+        expect(transaction.costBasis).toBe(9000);
+        expect(result.settledTo).toBe('WALLET');
+        expect((await findUserById(user.userId)).portfolio.gold.totalInvested).toBe(3000);
+    });
+});
+
+describe('executeSwap', () => {
+    test('posts both legs in one journal and carries the cost basis across', async () => {
+        const result = await executeSwap({ userId: user.userId, fromAsset: 'gold', toAsset: 'silver', amount: 1 });
+
+        const balances = await getUserBalances(user.userId);
+        expect(balances.gold).toBe(1);
+        expect(balances.silver).toBeCloseTo(result.toAsset.amount, 6);
+        expect(result.transactions.map(t => t.type)).toEqual(['SWAP_SELL', 'SWAP_BUY']);
+        expect(result.transactions[0].journalId).toBe(result.transactions[1].journalId);
+
+        const { portfolio } = await findUserById(user.userId);
+        expect(portfolio.gold.totalInvested).toBe(6000);
+        expect(portfolio.silver.totalInvested).toBe(6000);
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+
+    test('fails atomically when the balance is short', async () => {
+        await expect(executeSwap({ userId: user.userId, fromAsset: 'gold', toAsset: 'silver', amount: 5 })).rejects.toMatchObject({ statusCode: 400 });
+        expect(await getStorage().count('journals')).toBe(1);
+        expect((await findUserById(user.userId)).portfolio.silver.totalInvested).toBe(0);
+    });
+});
+
+describe('POST /api/trade/swap', () => {
+    test('replays the original result for a repeated Idempotency-Key', async () => {
+        const send = key => request(app)
+            .post('/api/trade/swap')
+            .set('Authorization', authHeader(user))
+            .set('Idempotency-Key', key)
+            .send({ fromAsset: 'gold', toAsset: 'silver', amount: 0.5 });
+
+        const first = await send('swap-key-0001');
+        const second = await send('swap-key-0001');
+        expect(first.status).toBe(200);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(second.body).toEqual(first.body);
+        expect((await getUserBalances(user.userId)).gold).toBe(1.5);
+
+        const conflict = await request(app)
+            .post('/api/trade/swap')
+            .set('Authorization', authHeader(user))
+            .set('Idempotency-Key', 'swap-key-0001')
+            .send({ fromAsset: 'gold', toAsset: 'silver', amount: 1 });
+        expect(conflict.status).toBe(422);
+    });
+});
+
+describe('GET /api/portfolio', () => {
+    test('reports invested value for what is still held after a sell', async () => {
+        await executeSell({ userId: user.userId, asset: 'gold', amount: 1.5 });
+
+        const res = await request(app).get('/api/portfolio').set('Authorization', authHeader(user));
+        expect(res.status).toBe(200);
+        expect(res.body.portfolio.assets.gold.balance).toBe(0.5);
+        expect(res.body.portfolio.assets.gold.investedValue).toBe(3000);
+        expect(res.body.portfolio.assets.gold.profit).toBeCloseTo(0, 2);
+    });
+});
+
+describe('POST /api/trade/buy', () => {
+    const buy = body => request(app)
+        .post('/api/trade/buy')
+        .set('Authorization', authHeader(user))
+        .send({ asset: 'gold', amount: 0.1, ...body });
+
+    test('rejects a payment method that is not a string with 400', async () => {
+        for (const paymentMethod of [42, ['UPI'], { method: 'UPI' }]) {
+            const res = await buy({ paymentMethod });
+            expect(res.status).toBe(400);
+        }
+        expect(await getStorage().count('payments')).toBe(0);
+    });
+
+    test('validates the payment details like a deposit before creating a payment', async () => {
+        const missing = await buy({ paymentMethod: 'upi' });
+        expect(missing.status).toBe(400);
+        expect(await getStorage().count('payments')).toBe(0);
+
+        const res = await buy({ paymentMethod: 'upi', upiId: 'user@okaxis' });
+        expect(res.status).toBe(200);
+        expect(await getStorage().count('payments')).toBe(1);
+    });
+});
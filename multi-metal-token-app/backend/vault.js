@@ -0,0 +1,303 @@
+// Vault Module for Multi-Metal Token App
+// Physical bar inventory per vault location and its allocation to customer holdings
+
+const { getStorage, withTransaction } = require('./storage');
+const { withLock } = require('./locks');
+const { roundAmount } = require('./ledger');
+const { createError } = require('./errors');
+
+const VAULT_METALS = ['gold', 'silver', 'platinum'];
+
+// Lowest fineness (parts per thousand) accepted into the vault: LBMA / LPPM good delivery
+const MIN_FINENESS = {
+    gold: 995,
+    silver: 999,
+    platinum: 999.5
+};
+
+// IN_VAULT bars back customer holdings; REMOVED bars have left the vault (sold, melted into coins...)
+const BAR_STATUSES = ['IN_VAULT', 'REMOVED'];
+
+/**
+ * Generate bar ID
+ * @returns {string} Bar ID
+ */
+function generateBarId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `BAR_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Normalize a vault location code
+ * @param {string} location - Location, e.g. MUMBAI-BKC
+ * @returns {string} Upper-case code
+ */
+function normalizeLocation(location) {
+    const code = String(location || '').trim().toUpperCase();
+    if (!code) {
+        throw createError('Vault location is required');
+    }
+    return code;
+}
+
+/**
+ * Fine metal content of a bar in grams
+ * @param {number} weight - Gross weight in grams
+ * @param {number} purity - Fineness in parts per thousand
+ * @returns {number} Fine grams
+ */
+function fineWeight(weight, purity) {
+    return roundAmount(weight * purity / 1000);
+}
+
+/**
+ * Add a bar to the inventory
+ * @param {Object} params - Bar details
+ * @param {string} params.serialNumber - Refiner's serial number
+ * @param {string} params.refiner - Refiner, e.g. MMTC-PAMP
+ * @param {string} params.asset - gold, silver or platinum
+ * @param {number} params.purity - Fineness in parts per thousand, e.g. 999.9
+ * @param {number} params.weight - Gross weight in grams
+ * @param {string} params.location - Vault location code
+ * @param {string} params.addedBy - Operator
+ * @returns {Promise<Object>} Bar
+ */
+async function addBar({ serialNumber, refiner, asset, purity, weight, location, addedBy }) {
+    if (!VAULT_METALS.includes(asset)) {
+        throw createError('Invalid vault metal', 400, { allowed: VAULT_METALS });
+    }
+    const serial = String(serialNumber || '').trim().toUpperCase();
+    const refinerName = String(refiner || '').trim();
+    if (!serial || !refinerName) {
+        throw createError('serialNumber and refiner are required');
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+        throw createError('weight must be a positive number of grams');
+    }
+    if (typeof purity !== 'number' || purity < MIN_FINENESS[asset] || purity > 1000) {
+        throw createError(`purity must be between ${MIN_FINENESS[asset]} and 1000`);
+    }
+    const vaultLocation = normalizeLocation(location);
+
+    return withLock('vault', () => withTransaction(async () => {
+        // Serial numbers are only unique per refiner
+        const existing = await getStorage().find('vault_bars', { serialNumber: serial });
+        if (existing.some(bar => bar.refiner.toLowerCase() === refinerName.toLowerCase())) {
+            throw createError('Bar already in inventory', 409, { serialNumber: serial, refiner: refinerName });
+        }
+
+        const bar = {
+            barId: generateBarId(),
+            serialNumber: serial,
+            refiner: refinerName,
+            asset,
+            purity,
+            weight,
+            fineWeight: fineWeight(weight, purity),
+            location: vaultLocation,
+            status: 'IN_VAULT',
+            allocatedGrams: 0,
+            addedBy,
+            createdAt: new Date()
+        };
+        await getStorage().save('vault_bars', bar);
+        return bar;
+    }));
+}
+
+/**
+ * Load a bar
+ * @param {string} barId - Bar ID
+ * @returns {Promise<Object>} Bar
+ */
+async function getBar(barId) {
+    const bar = await getStorage().get('vault_bars', barId);
+    if (!bar) {
+        throw createError('Bar not found', 404);
+    }
+    return bar;
+}
+
+/**
+ * Move a bar to another vault location
+ * @param {string} barId - Bar ID
+ * @param {Object} params - { location, by }
+ * @returns {Promise<Object>} Bar
+ */
+async function moveBar(barId, { location, by }) {
+    const vaultLocation = normalizeLocation(location);
+    return withLock('vault', async () => {
+        const bar = await getBar(barId);
+        if (bar.status !== 'IN_VAULT') {
+            throw createError(`Bar is ${bar.status}`, 409);
+        }
+        const moved = {
+            ...bar,
+            location: vaultLocation,
+            movements: [...(bar.movements || []), { from: bar.location, to: vaultLocation, by, at: new Date() }],
+            updatedAt: new Date()
+        };
+        await getStorage().save('vault_bars', moved);
+        return moved;
+    });
+}
+
+/**
+ * Take a bar out of the vault; holdings are re-allocated over the remaining bars
+ * @param {string} barId - Bar ID
+ * @param {Object} params - { reason, by }
+ * @returns {Promise<Object>} Bar
+ */
+async function removeBar(barId, { reason, by }) {
+    if (!reason || typeof reason !== 'string') {
+        throw createError('A reason is required to remove a bar');
+    }
+    const bar = await withLock('vault', async () => {
+        const current = await getBar(barId);
+        if (current.status !== 'IN_VAULT') {
+            throw createError(`Bar is ${current.status}`, 409);
+        }
+        const removed = {
+            ...current,
+            status: 'REMOVED',
+            allocatedGrams: 0,
+            removal: { reason, by, at: new Date() },
+            updatedAt: new Date()
+        };
+        await getStorage().save('vault_bars', removed);
+        return removed;
+    });
+    await allocateBars(bar.asset);
+    return bar;
+}
+
+/**
+ * List bars
+ * @param {Object} filters - { asset, location, status }
+ * @returns {Promise<Array>} Bars, oldest first
+ */
+async function listBars({ asset, location, status } = {}) {
+    if (status && !BAR_STATUSES.includes(status)) {
+        throw createError('Invalid bar status', 400, { allowed: BAR_STATUSES });
+    }
+    const where = {};
+    if (asset) where.asset = asset;
+    if (location) where.location = normalizeLocation(location);
+    if (status) where.status = status;
+    return getStorage().find('vault_bars', where, { orderBy: 'createdAt', order: 'asc' });
+}
+
+/**
+ * Metal balances of every customer (available plus reserved)
+ * @returns {Promise<Map>} userId -> { gold, silver, platinum }
+ */
+async function getCustomerHoldings() {
+    const rows = await getStorage().sum('ledger_lines', 'amount', { asset: VAULT_METALS }, ['account', 'asset']);
+    const holdings = new Map();
+    for (const row of rows) {
+        const match = /^(user|reserved):(.+)$/.exec(row.account);
+        if (!match) continue;
+        const userId = match[2];
+        if (!holdings.has(userId)) {
+            holdings.set(userId, Object.fromEntries(VAULT_METALS.map(metal => [metal, 0])));
+        }
+        holdings.get(userId)[row.asset] += row.total;
+    }
+    for (const balances of holdings.values()) {
+        VAULT_METALS.forEach(metal => { balances[metal] = roundAmount(balances[metal]); });
+    }
+    return holdings;
+}
+
+/**
+ * Total customer holdings per metal
+ * @param {Map} holdings - Output of getCustomerHoldings (loaded when omitted)
+ * @returns {Promise<Object>} Grams keyed by metal
+ */
+async function getCustomerLiabilities(holdings) {
+    const liabilities = Object.fromEntries(VAULT_METALS.map(metal => [metal, 0]));
+    for (const balances of (holdings || await getCustomerHoldings()).values()) {
+        VAULT_METALS.forEach(metal => { liabilities[metal] += balances[metal]; });
+    }
+    return Object.fromEntries(VAULT_METALS.map(metal => [metal, roundAmount(liabilities[metal])]));
+}
+
+/**
+ * Allocate bars of one metal to the aggregate customer holding
+ * Bars are taken oldest first until the holding is covered; the last one may be
+ * partly allocated. Anything left over is unallocated (house) metal.
+ * @param {string} asset - gold, silver or platinum
+ * @param {number} liabilities - Customer holding to cover (loaded from the ledger when omitted)
+ * @returns {Promise<Object>} { asset, liabilities, holdings, allocated, unallocated, shortfall }
+ */
+async function allocateBars(asset, liabilities) {
+    if (!VAULT_METALS.includes(asset)) {
+        throw createError('Invalid vault metal', 400, { allowed: VAULT_METALS });
+    }
+    return withLock('vault', () => withTransaction(async () => {
+        if (liabilities === undefined) {
+            liabilities = (await getCustomerLiabilities())[asset];
+        }
+        const bars = await listBars({ asset, status: 'IN_VAULT' });
+
+        let remaining = liabilities;
+        let holdings = 0;
+        for (const bar of bars) {
+            const allocatedGrams = roundAmount(Math.max(0, Math.min(bar.fineWeight, remaining)));
+            remaining = roundAmount(remaining - allocatedGrams);
+            holdings += bar.fineWeight;
+            if (allocatedGrams !== bar.allocatedGrams) {
+                await getStorage().save('vault_bars', { ...bar, allocatedGrams, allocatedAt: new Date() });
+            }
+        }
+
+        const allocated = roundAmount(liabilities - Math.max(remaining, 0));
+        return {
+            asset,
+            liabilities,
+            holdings: roundAmount(holdings),
+            allocated,
+            unallocated: roundAmount(holdings - allocated),
+            shortfall: roundAmount(Math.max(remaining, 0)),
+            bars: bars.length
+        };
+    }));
+}
+
+/**
+ * Allocate every metal and summarize holdings per location
+ * @param {Object} liabilities - Grams keyed by metal (loaded from the ledger when omitted)
+ * @returns {Promise<Object>} Allocation keyed by metal, with holdings per location
+ */
+async function allocateAllBars(liabilities) {
+    const totals = liabilities || await getCustomerLiabilities();
+    const allocation = {};
+    for (const metal of VAULT_METALS) {
+        allocation[metal] = await allocateBars(metal, totals[metal]);
+        const bars = await listBars({ asset: metal, status: 'IN_VAULT' });
+        const locations = {};
+        for (const bar of bars) {
+            locations[bar.location] = locations[bar.location] || { bars: 0, fineWeight: 0 };
+            locations[bar.location].bars += 1;
+            locations[bar.location].fineWeight = roundAmount(locations[bar.location].fineWeight + bar.fineWeight);
+        }
+        allocation[metal].locations = locations;
+    }
+    return allocation;
+}
+
+module.exports = {
+    VAULT_METALS,
+    MIN_FINENESS,
+    BAR_STATUSES,
+    addBar,
+    getBar,
+    moveBar,
+    removeBar,
+    listBars,
+    getCustomerHoldings,
+    getCustomerLiabilities,
+    allocateBars,
+    allocateAllBars
+};
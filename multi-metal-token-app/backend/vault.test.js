@@ -0,0 +1,82 @@
+const { resetStorage, createTestUser, fundUser } = require('./test-utils');
+const { addBar, moveBar, removeBar, listBars, getCustomerLiabilities, allocateBars, allocateAllBars } = require('./vault');
+
+const KILO_BAR = { refiner: 'MMTC-PAMP', asset: 'gold', purity: 999.9, weight: 1000, location: 'mumbai-bkc', addedBy: 'OPS' };
+
+beforeEach(() => {
+    resetStorage();
+});
+
+describe('addBar', () => {
+    test('records the fine weight and normalizes the serial and location', async () => {
+        const bar = await addBar({ ...KILO_BAR, serialNumber: ' ab123 ' });
+
+        expect(bar).toMatchObject({ serialNumber: 'AB123', location: 'MUMBAI-BKC', fineWeight: 999.9, status: 'IN_VAULT', allocatedGrams: 0 });
+    });
+
+    test('serial numbers are unique per refiner only', async () => {
+        await addBar({ ...KILO_BAR, serialNumber: 'AB123' });
+
+        await expect(addBar({ ...KILO_BAR, serialNumber: 'ab123', refiner: 'mmtc-pamp' })).rejects.toMatchObject({ statusCode: 409 });
+        await expect(addBar({ ...KILO_BAR, serialNumber: 'AB123', refiner: 'Valcambi' })).resolves.toMatchObject({ refiner: 'Valcambi' });
+    });
+
+    test.each([
+        ['a metal without bars', { asset: 'stablecoin' }],
+        ['gold below good delivery fineness', { purity: 990 }],
+        ['a zero weight', { weight: 0 }],
+        ['a missing location', { location: ' ' }]
+    ])('rejects %s', async (label, overrides) => {
+        await expect(addBar({ ...KILO_BAR, serialNumber: 'AB123', ...overrides })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+test('moved bars keep their history and removed bars cannot move', async () => {
+    const bar = await addBar({ ...KILO_BAR, serialNumber: 'AB123' });
+
+    const moved = await moveBar(bar.barId, { location: 'delhi-aerocity', by: 'OPS' });
+    expect(moved.location).toBe('DELHI-AEROCITY');
+    expect(moved.movements).toEqual([expect.objectContaining({ from: 'MUMBAI-BKC', to: 'DELHI-AEROCITY' })]);
+    expect(await listBars({ location: 'Delhi-Aerocity' })).toHaveLength(1);
+
+    await expect(removeBar(bar.barId, {})).rejects.toMatchObject({ statusCode: 400 });
+    await removeBar(bar.barId, { reason: 'Minted into coins', by: 'OPS' });
+    await expect(moveBar(bar.barId, { location: 'MUMBAI-BKC', by: 'OPS' })).rejects.toMatchObject({ statusCode: 409 });
+});
+
+describe('allocation', () => {
+    test('customer liabilities include reserved metal', async () => {
+        const user = await createTestUser();
+        await fundUser(user.userId, 'gold', 600);
+        await fundUser(user.userId, 'silver', 40);
+
+        expect(await getCustomerLiabilities()).toEqual({ gold: 600, silver: 40, platinum: 0 });
+    });
+
+    test('bars are allocated oldest first and the last one partly', async () => {
+        const first = await addBar({ ...KILO_BAR, serialNumber: 'AB1', purity: 1000 });
+        const second = await addBar({ ...KILO_BAR, serialNumber: 'AB2', purity: 1000 });
+        const third = await addBar({ ...KILO_BAR, serialNumber: 'AB3', purity: 1000 });
+
+        expect(await allocateBars('gold', 1500)).toMatchObject({ liabilities: 1500, holdings: 3000, allocated: 1500, unallocated: 1500, shortfall: 0 });
+        const bars = await listBars({ asset: 'gold' });
+        expect(Object.fromEntries(bars.map(bar => [bar.barId, bar.allocatedGrams])))
+            .toEqual({ [first.barId]: 1000, [second.barId]: 500, [third.barId]: 0 });
+
+        // Removing a bar re-allocates the holding over the bars that remain
+        const user = await createTestUser();
+        await fundUser(user.userId, 'gold', 1500);
+        await removeBar(first.barId, { reason: 'Sold', by: 'OPS' });
+        expect((await listBars({ asset: 'gold', status: 'IN_VAULT' })).map(bar => bar.allocatedGrams)).toEqual([1000, 500]);
+    });
+
+    test('a holding larger than the vault is reported as a shortfall', async () => {
+        await addBar({ ...KILO_BAR, serialNumber: 'AB1' });
+        const user = await createTestUser();
+        await fundUser(user.userId, 'gold', 1200);
+
+        const allocation = await allocateAllBars();
+        expect(allocation.gold).toMatchObject({ allocated: 999.9, unallocated: 0, shortfall: 200.1, locations: { 'MUMBAI-BKC': { bars: 1, fineWeight: 999.9 } } });
+        expect(allocation.silver).toMatchObject({ holdings: 0, shortfall: 0, bars: 0 });
+    });
+});
@@ -0,0 +1,729 @@
+// Wallet Module for Multi-Metal Token App
+// INR wallet: deposits through the payment rails, verified bank accounts, and IMPS/NEFT
+// withdrawals within daily limits set by the user's KYC level
+
+const cron = require('node-cron');
+const {
+    assertValidPaymentRequest,
+    createPayment,
+    sendProviderPayout,
+    getProviderPayoutStatus,
+    verifyProviderBankAccount
+} = require('./payments');
+const { getUserBalances, getAccountBalances, reservedAccount, recordWithdrawal, reverseJournal } = require('./ledger');
+const { findUserById } = require('./repository');
+const { executeSell } = require('./trading');
+const { burnBINR } = require('./binr');
+const { notifyUser } = require('./notifications');
+const { getStorage, withTransaction } = require('./storage');
+const { withLock, withUserLock } = require('./locks');
+const { createError } = require('./errors');
+
+const PAYOUT_MODES = ['IMPS', 'NEFT'];
+
+// IMPS is capped per transfer; larger withdrawals go by NEFT
+const IMPS_MAX_AMOUNT = 500000;
+const MIN_WITHDRAWAL = 100;
+
+// Daily withdrawal limit in INR by KYC level (1 basic, 2 verified, 3 premium, 4 VIP)
+const DAILY_WITHDRAWAL_LIMITS = {
+    1: 25000,
+    2: 200000,
+    3: 1000000,
+    4: 2500000
+};
+
+const BANK_ACCOUNT_STATUSES = ['VERIFIED', 'VERIFICATION_FAILED', 'REMOVED'];
+
+// QUEUED: waiting to be sent (NEFT waits for the next batch); PROCESSING: with the bank;
+// COMPLETED: UTR received; REVERSED: returned by the beneficiary bank after completion
+const WITHDRAWAL_STATUSES = ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED', 'REVERSED', 'CANCELLED'];
+
+const WITHDRAWAL_TRANSITIONS = {
+    QUEUED: ['PROCESSING', 'FAILED', 'CANCELLED'],
+    PROCESSING: ['COMPLETED', 'FAILED'],
+    COMPLETED: ['REVERSED'],
+    FAILED: [],
+    REVERSED: [],
+    CANCELLED: []
+};
+
+// Withdrawals that count against the daily limit
+const ACTIVE_WITHDRAWAL_STATUSES = ['QUEUED', 'PROCESSING', 'COMPLETED'];
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+let jobRunning = false;
+
+/**
+ * Generate an ID with a prefix
+ * @param {string} prefix - ID prefix
+ * @returns {string} ID
+ */
+function generateId(prefix) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `${prefix}_${timestamp}_${random}`.toUpperCase();
+}
+
+/**
+ * Round to paise
+ * @param {number} amount - INR amount
+ * @returns {number} Rounded amount
+ */
+function roundInr(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Start of the current day in India
+ * @param {Date} now - Current time
+ * @returns {Date} 00:00 IST today
+ */
+function startOfISTDay(now = new Date()) {
+    const ist = new Date(now.getTime() + IST_OFFSET_MS);
+    return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - IST_OFFSET_MS);
+}
+
+// ==================== BANK ACCOUNTS ====================
+
+/**
+ * Hide all but the last four digits of an account number
+ * @param {string} accountNumber - Account number
+ * @returns {string} Masked number
+ */
+function maskAccountNumber(accountNumber) {
+    return 'X'.repeat(Math.max(0, accountNumber.length - 4)) + accountNumber.slice(-4);
+}
+
+/**
+ * Bank account as shown to its owner
+ * @param {Object} bankAccount - Stored bank account
+ * @returns {Object} Bank account with the number masked
+ */
+function toPublicBankAccount(bankAccount) {
+    return { ...bankAccount, accountNumber: maskAccountNumber(bankAccount.accountNumber) };
+}
+
+/**
+ * Name tokens for matching the holder name against the name at the bank
+ * @param {string} name - Name
+ * @returns {Array} Upper-case words
+ */
+function nameTokens(name) {
+    return String(name || '').toUpperCase().replace(/[^A-Z ]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Whether the bank's name for the account matches the holder name given
+ * Banks abbreviate and reorder names, so one name's words must all appear in the other.
+ * @param {string} given - Holder name entered by the user
+ * @param {string} atBank - Name returned by the bank
+ * @returns {boolean} Names match
+ */
+function namesMatch(given, atBank) {
+    const a = nameTokens(given);
+    const b = nameTokens(atBank);
+    if (a.length === 0 || b.length === 0) return false;
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    return shorter.every(token => longer.includes(token));
+}
+
+/**
+ * Add a bank account and verify it with a penny drop
+ * Only VERIFIED accounts can receive withdrawals.
+ * @param {string} userId - Owner
+ * @param {Object} fields - { accountHolderName, accountNumber, ifscCode, nickname }
+ * @returns {Promise<Object>} Bank account (number masked)
+ */
+async function addBankAccount(userId, { accountHolderName, accountNumber, ifscCode, nickname }) {
+    const holder = String(accountHolderName || '').trim();
+    const number = String(accountNumber || '').replace(/\s/g, '');
+    const ifsc = String(ifscCode || '').trim().toUpperCase();
+    if (!holder) {
+        throw createError('accountHolderName is required');
+    }
+    if (!ACCOUNT_NUMBER_PATTERN.test(number)) {
+        throw createError('Account number must be 9 to 18 digits');
+    }
+    if (!IFSC_PATTERN.test(ifsc)) {
+        throw createError('Invalid IFSC code');
+    }
+
+    return withUserLock(userId, async () => {
+        const existing = await getStorage().find('bank_accounts', { userId });
+        if (existing.some(item => item.status !== 'REMOVED' && item.accountNumber === number && item.ifscCode === ifsc)) {
+            throw createError('Bank account already added', 409);
+        }
+
+        const bankAccount = {
+            bankAccountId: generateId('BNK'),
+            userId,
+            accountHolderName: holder,
+            accountNumber: number,
+            ifscCode: ifsc,
+            bankCode: ifsc.slice(0, 4),
+            nickname: nickname ? String(nickname).trim() : null,
+            createdAt: new Date()
+        };
+
+        try {
+            const result = await verifyProviderBankAccount(bankAccount);
+            const matched = namesMatch(holder, result.nameAtBank);
+            bankAccount.status = matched ? 'VERIFIED' : 'VERIFICATION_FAILED';
+            bankAccount.verification = {
+                reference: result.reference,
+                nameAtBank: result.nameAtBank,
+                reason: matched ? null : 'NAME_MISMATCH',
+                at: new Date()
+            };
+        } catch (error) {
+            bankAccount.status = 'VERIFICATION_FAILED';
+            bankAccount.verification = { reason: error.message, at: new Date() };
+        }
+
+        await getStorage().save('bank_accounts', bankAccount);
+        return toPublicBankAccount(bankAccount);
+    });
+}
+
+/**
+ * List a user's bank accounts (removed ones excluded)
+ * @param {string} userId - Owner
+ * @returns {Promise<Array>} Bank accounts, numbers masked
+ */
+async function listBankAccounts(userId) {
+    const accounts = await getStorage().find('bank_accounts', { userId }, { orderBy: 'createdAt', order: 'asc' });
+    return accounts.filter(account => account.status !== 'REMOVED').map(toPublicBankAccount);
+}
+
+/**
+ * Load one of a user's bank accounts
+ * @param {string} userId - Owner
+ * @param {string} bankAccountId - Bank account ID
+ * @returns {Promise<Object>} Stored bank account
+ */
+async function getBankAccountForUser(userId, bankAccountId) {
+    const bankAccount = bankAccountId && await getStorage().get('bank_accounts', bankAccountId);
+    if (!bankAccount || bankAccount.userId !== userId || bankAccount.status === 'REMOVED') {
+        throw createError('Bank account not found', 404);
+    }
+    return bankAccount;
+}
+
+/**
+ * Remove a bank account; withdrawals still on their way to it must finish first
+ * @param {string} userId - Owner
+ * @param {string} bankAccountId - Bank account ID
+ * @returns {Promise<Object>} Removed bank account (number masked)
+ */
+async function removeBankAccount(userId, bankAccountId) {
+    return withUserLock(userId, async () => {
+        const bankAccount = await getBankAccountForUser(userId, bankAccountId);
+        const inFlight = await getStorage().find('withdrawals', { userId, status: ['QUEUED', 'PROCESSING'] });
+        if (inFlight.some(withdrawal => withdrawal.bankAccountId === bankAccountId)) {
+            throw createError('A withdrawal to this account is still in progress', 409);
+        }
+        const removed = { ...bankAccount, status: 'REMOVED', removedAt: new Date() };
+        await getStorage().save('bank_accounts', removed);
+        return toPublicBankAccount(removed);
+    });
+}
+
+// ==================== WALLET ====================
+
+/**
+ * Withdrawal limits for a user today
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { kycLevel, dailyLimit, withdrawnToday, remainingToday, minWithdrawal, impsMaxAmount }
+ */
+async function getWithdrawalLimits(userId) {
+    const user = await findUserById(userId);
+    const dailyLimit = DAILY_WITHDRAWAL_LIMITS[user.kycLevel] || DAILY_WITHDRAWAL_LIMITS[1];
+    const today = await getStorage().find('withdrawals', {
+        userId,
+        status: ACTIVE_WITHDRAWAL_STATUSES,
+        createdAt: { gte: startOfISTDay() }
+    });
+    const withdrawnToday = roundInr(today.reduce((sum, withdrawal) => sum + withdrawal.amount, 0));
+
+    return {
+        kycLevel: user.kycLevel,
+        dailyLimit,
+        withdrawnToday,
+        remainingToday: roundInr(Math.max(0, dailyLimit - withdrawnToday)),
+        minWithdrawal: MIN_WITHDRAWAL,
+        impsMaxAmount: IMPS_MAX_AMOUNT
+    };
+}
+
+/**
+ * Wallet overview: INR available and held by open orders, today's limits and bank accounts
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Wallet
+ */
+async function getWallet(userId) {
+    const [balances, reserved, limits, bankAccounts] = await Promise.all([
+        getUserBalances(userId),
+        getAccountBalances(reservedAccount(userId)),
+        getWithdrawalLimits(userId),
+        listBankAccounts(userId)
+    ]);
+    return {
+        currency: 'INR',
+        balance: balances.inr,
+        reserved: reserved.inr,
+        limits,
+        bankAccounts
+    };
+}
+
+/**
+ * Start a deposit into the wallet through any payment method
+ * The INR is credited by the settlement engine when the payment completes.
+ * @param {Object} params - { userId, amount, method, upiId, cardToken, bankCode }
+ * @returns {Promise<Object>} Payment details from the method-specific creator
+ */
+async function createDeposit({ userId, amount, method = 'UPI', upiId, cardToken, bankCode }) {
+    const paymentMethod = String(method).toUpperCase();
+    assertValidPaymentRequest({ amount, method: paymentMethod, upiId, cardToken, bankCode });
+    return createPayment({
+        amount,
+        currency: 'INR',
+        method: paymentMethod,
+        upiId,
+        cardToken,
+        bankCode,
+        userId,
+        description: 'Wallet deposit'
+    });
+}
+
+// ==================== WITHDRAWALS ====================
+
+/**
+ * Move a withdrawal to a new state, recording the transition
+ * @param {Object} withdrawal - Withdrawal
+ * @param {string} toState - Target state
+ * @param {Object} details - Fields to merge and record ({ reason, utr, by... })
+ * @returns {Object} Updated withdrawal (not yet saved)
+ */
+function transitionWithdrawal(withdrawal, toState, details = {}) {
+    if (!(WITHDRAWAL_TRANSITIONS[withdrawal.status] || []).includes(toState)) {
+        throw createError(`Cannot move a ${withdrawal.status} withdrawal to ${toState}`, 409);
+    }
+    return {
+        ...withdrawal,
+        ...details,
+        status: toState,
+        history: [...(withdrawal.history || []), { from: withdrawal.status, to: toState, ...details, at: new Date() }],
+        updatedAt: new Date()
+    };
+}
+
+/**
+ * Validate a withdrawal and debit the wallet (call under the user's lock)
+ * @param {Object} params - Withdrawal parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.bankAccountId - Verified bank account
+ * @param {number} params.amount - INR to withdraw
+ * @param {string} params.mode - IMPS or NEFT (IMPS when the amount allows it)
+ * @param {Object} params.source - What funded it, e.g. { type: 'SELL', transactionId }
+ * @returns {Promise<Object>} QUEUED withdrawal
+ */
+async function queueWithdrawal({ userId, bankAccountId, amount, mode, source }) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < MIN_WITHDRAWAL) {
+        throw createError(`Withdrawal amount must be at least ${MIN_WITHDRAWAL} INR`);
+    }
+    if (roundInr(amount) !== amount) {
+        throw createError('Withdrawal amount cannot have more than 2 decimal places');
+    }
+    const payoutMode = mode ? String(mode).toUpperCase() : amount <= IMPS_MAX_AMOUNT ? 'IMPS' : 'NEFT';
+    if (!PAYOUT_MODES.includes(payoutMode)) {
+        throw createError('Invalid payout mode', 400, { allowed: PAYOUT_MODES });
+    }
+    if (payoutMode === 'IMPS' && amount > IMPS_MAX_AMOUNT) {
+        throw createError(`IMPS transfers are limited to ${IMPS_MAX_AMOUNT} INR; use NEFT`, 400, { impsMaxAmount: IMPS_MAX_AMOUNT });
+    }
+
+    const bankAccount = await getBankAccountForUser(userId, bankAccountId);
+    if (bankAccount.status !== 'VERIFIED') {
+        throw createError('Withdrawals can only go to a verified bank account', 409, { status: bankAccount.status });
+    }
+
+    const limits = await getWithdrawalLimits(userId);
+    if (amount > limits.remainingToday) {
+        throw createError('Daily withdrawal limit exceeded', 400, limits);
+    }
+    const balances = await getUserBalances(userId);
+    if (balances.inr < amount) {
+        throw createError('Insufficient INR balance', 400, { available: balances.inr });
+    }
+
+    const withdrawalId = generateId('WDL');
+    const journal = await recordWithdrawal({ userId, withdrawalId, amount });
+    const withdrawal = {
+        withdrawalId,
+        userId,
+        amount,
+        mode: payoutMode,
+        bankAccountId,
+        bankAccount: {
+            accountHolderName: bankAccount.accountHolderName,
+            accountNumber: maskAccountNumber(bankAccount.accountNumber),
+            ifscCode: bankAccount.ifscCode
+        },
+        source: source || null,
+        journalId: journal.journalId,
+        status: 'QUEUED',
+        history: [],
+        createdAt: new Date()
+    };
+    await getStorage().save('withdrawals', withdrawal);
+    return withdrawal;
+}
+
+/**
+ * Apply a bank outcome to a withdrawal
+ * FAILED and REVERSED withdrawals are credited back to the wallet.
+ * @param {string} withdrawalId - Withdrawal ID
+ * @param {Object} outcome - { status: COMPLETED | FAILED | REVERSED, utr, reason, by }
+ * @returns {Promise<Object>} Updated withdrawal
+ */
+async function settleWithdrawal(withdrawalId, { status, utr, reason, by }) {
+    if (!['COMPLETED', 'FAILED', 'REVERSED'].includes(status)) {
+        throw createError('Invalid withdrawal outcome', 400, { allowed: ['COMPLETED', 'FAILED', 'REVERSED'] });
+    }
+    if (status === 'COMPLETED' && !utr) {
+        throw createError('A UTR is required to complete a withdrawal');
+    }
+    if (status !== 'COMPLETED' && !reason) {
+        throw createError('A reason is required');
+    }
+
+    const existing = await getWithdrawal(withdrawalId);
+    const settled = await withUserLock(existing.userId, () => withTransaction(async () => {
+        const current = await getWithdrawal(withdrawalId);
+        const details = status === 'COMPLETED'
+            ? { utr, completedAt: new Date() }
+            : { reason, [status === 'FAILED' ? 'failedAt' : 'reversedAt']: new Date() };
+        const updated = transitionWithdrawal(current, status, { ...details, by: by || null });
+
+        if (status !== 'COMPLETED') {
+            const reversal = await reverseJournal(current.journalId, {
+                reference: withdrawalId,
+                description: `${status === 'FAILED' ? 'Failed' : 'Reversed'} withdrawal ${withdrawalId}`
+            });
+            updated.reversalJournalId = reversal.journalId;
+        }
+        await getStorage().save('withdrawals', updated);
+        return updated;
+    }));
+
+    await notifyUser(settled.userId, {
+        type: `WITHDRAWAL_${status}`,
+        title: status === 'COMPLETED' ? 'Withdrawal credited' : 'Withdrawal returned to wallet',
+        message: status === 'COMPLETED'
+            ? `₹${settled.amount} was sent to ${settled.bankAccount.accountNumber} by ${settled.mode} (UTR ${utr}).`
+            : `₹${settled.amount} to ${settled.bankAccount.accountNumber} ${status === 'FAILED' ? 'failed' : 'was returned by the bank'} and is back in your wallet: ${reason}.`,
+        data: { withdrawalId, status, utr: settled.utr || null }
+    });
+    return settled;
+}
+
+/**
+ * Send a PROCESSING withdrawal to the provider and apply the answer
+ * The withdrawal ID is the payout reference, so a resend is never paid twice. When
+ * the call throws the outcome is unknown: the withdrawal stays PROCESSING with the
+ * error noted, and the payout batch resolves it by asking the provider.
+ * @param {Object} withdrawal - PROCESSING withdrawal
+ * @returns {Promise<Object>} Withdrawal after the attempt
+ */
+async function sendPayout(withdrawal) {
+    const { withdrawalId } = withdrawal;
+    const bankAccount = await getStorage().get('bank_accounts', withdrawal.bankAccountId);
+    let result;
+    try {
+        result = await sendProviderPayout({
+            mode: withdrawal.mode,
+            amount: withdrawal.amount,
+            bankAccount: {
+                accountHolderName: bankAccount.accountHolderName,
+                accountNumber: bankAccount.accountNumber,
+                ifscCode: bankAccount.ifscCode
+            },
+            reference: withdrawalId
+        });
+    } catch (error) {
+        console.error(`Withdrawal ${withdrawalId} outcome unknown at provider:`, error.message);
+        return withUserLock(withdrawal.userId, async () => {
+            const updated = { ...await getWithdrawal(withdrawalId), lastError: error.message, updatedAt: new Date() };
+            await getStorage().save('withdrawals', updated);
+            return updated;
+        });
+    }
+
+    const sent = await withUserLock(withdrawal.userId, async () => {
+        const updated = { ...await getWithdrawal(withdrawalId), providerReference: result.reference, lastError: null, updatedAt: new Date() };
+        await getStorage().save('withdrawals', updated);
+        return updated;
+    });
+    return applyPayoutResult(sent, result);
+}
+
+/**
+ * Settle a PROCESSING withdrawal from a provider answer (SUCCESS or FAILED; anything else leaves it)
+ * @param {Object} withdrawal - PROCESSING withdrawal
+ * @param {Object} result - { status, utr, reason }
+ * @returns {Promise<Object>} Withdrawal
+ */
+async function applyPayoutResult(withdrawal, result) {
+    if (result.status === 'SUCCESS') {
+        return settleWithdrawal(withdrawal.withdrawalId, { status: 'COMPLETED', utr: result.utr });
+    }
+    if (result.status === 'FAILED') {
+        return settleWithdrawal(withdrawal.withdrawalId, { status: 'FAILED', reason: result.reason || 'Rejected by bank' });
+    }
+    return withdrawal;
+}
+
+/**
+ * Send a QUEUED withdrawal to the bank (call outside any transaction)
+ * It is marked PROCESSING and committed before the provider call, so it can no
+ * longer be cancelled; an IMPS transfer usually completes in the same call.
+ * @param {string} withdrawalId - Withdrawal ID
+ * @returns {Promise<Object>} Withdrawal after the attempt
+ */
+async function dispatchWithdrawal(withdrawalId) {
+    const existing = await getWithdrawal(withdrawalId);
+    const sending = await withUserLock(existing.userId, async () => {
+        const current = await getWithdrawal(withdrawalId);
+        if (current.status !== 'QUEUED') {
+            return null;
+        }
+        const updated = transitionWithdrawal(current, 'PROCESSING', { sentAt: new Date() });
+        await getStorage().save('withdrawals', updated);
+        return updated;
+    });
+    if (!sending) {
+        return existing;
+    }
+    return sendPayout(sending);
+}
+
+/**
+ * Send an IMPS withdrawal straight away; NEFT ones wait for the payout batch
+ * Call once the QUEUED withdrawal has committed, outside any transaction. An error
+ * here is logged and the stored withdrawal returned: the payout batch picks up
+ * anything left QUEUED or PROCESSING.
+ * @param {Object} withdrawal - QUEUED withdrawal
+ * @returns {Promise<Object>} Withdrawal
+ */
+async function sendInstantPayout(withdrawal) {
+    if (withdrawal.mode !== 'IMPS') {
+        return withdrawal;
+    }
+    try {
+        return await dispatchWithdrawal(withdrawal.withdrawalId);
+    } catch (error) {
+        console.error(`Withdrawal ${withdrawal.withdrawalId} dispatch error:`, error);
+        return getWithdrawal(withdrawal.withdrawalId);
+    }
+}
+
+/**
+ * Queue a withdrawal from the wallet to a verified bank account
+ * With asset 'stablecoin' the amount is first burned from BINR into the wallet.
+ * Nothing is sent to the bank here, so this can run inside the caller's
+ * transaction; pass the result to sendInstantPayout after it commits.
+ * @param {Object} params - { userId, bankAccountId, amount, mode, asset }
+ * @returns {Promise<Object>} QUEUED withdrawal
+ */
+async function createWithdrawal({ userId, bankAccountId, amount, mode, asset = 'inr' }) {
+    if (!['inr', 'stablecoin'].includes(asset)) {
+        throw createError('Withdrawals are paid from INR or BINR', 400, { allowed: ['inr', 'stablecoin'] });
+    }
+    return withUserLock(userId, () => withTransaction(async () => {
+        let source = null;
+        if (asset === 'stablecoin') {
+            const burn = await burnBINR({ userId, amount, reference: 'WITHDRAWAL' });
+            source = { type: 'BINR_BURN', issuanceId: burn.issuanceId };
+        }
+        return queueWithdrawal({ userId, bankAccountId, amount, mode, source });
+    }));
+}
+
+/**
+ * Sell an asset and queue the proceeds for withdrawal to a bank account
+ * The sale and the withdrawal commit together, so a withdrawal that is not allowed
+ * (limit, unverified account) leaves the asset unsold. Paise below the rounding stay
+ * in the wallet. Pass the withdrawal to sendInstantPayout after it commits.
+ * @param {Object} params - { userId, asset, amount, quoteId, bankAccountId, mode }
+ * @returns {Promise<Object>} Sell result with the QUEUED withdrawal
+ */
+async function sellToBankAccount({ userId, asset, amount, quoteId, bankAccountId, mode }) {
+    return withUserLock(userId, () => withTransaction(async () => {
+        const sale = await executeSell({ userId, asset, amount, quoteId });
+        const withdrawal = await queueWithdrawal({
+            userId,
+            bankAccountId,
+            amount: Math.floor(sale.netAmount * 100) / 100,
+            mode,
+            source: { type: 'SELL', transactionId: sale.transactionId }
+        });
+        return { ...sale, withdrawal };
+    }));
+}
+
+/**
+ * Cancel a withdrawal that has not been sent yet; the amount returns to the wallet
+ * @param {string} userId - Owner
+ * @param {string} withdrawalId - Withdrawal ID
+ * @returns {Promise<Object>} Cancelled withdrawal
+ */
+async function cancelWithdrawal(userId, withdrawalId) {
+    return withUserLock(userId, () => withTransaction(async () => {
+        const current = await getWithdrawal(withdrawalId);
+        if (current.userId !== userId) {
+            throw createError('Withdrawal not found', 404);
+        }
+        const cancelled = transitionWithdrawal(current, 'CANCELLED', { cancelledAt: new Date() });
+        const reversal = await reverseJournal(current.journalId, {
+            reference: withdrawalId,
+            description: `Cancelled withdrawal ${withdrawalId}`
+        });
+        cancelled.reversalJournalId = reversal.journalId;
+        await getStorage().save('withdrawals', cancelled);
+        return cancelled;
+    }));
+}
+
+/**
+ * Load a withdrawal
+ * @param {string} withdrawalId - Withdrawal ID
+ * @returns {Promise<Object>} Withdrawal
+ */
+async function getWithdrawal(withdrawalId) {
+    const withdrawal = await getStorage().get('withdrawals', withdrawalId);
+    if (!withdrawal) {
+        throw createError('Withdrawal not found', 404);
+    }
+    return withdrawal;
+}
+
+/**
+ * Load a withdrawal the user may see: their own, or any for admins
+ * @param {string} withdrawalId - Withdrawal ID
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<Object>} Withdrawal
+ */
+async function getWithdrawalForUser(withdrawalId, user) {
+    const withdrawal = await getStorage().get('withdrawals', withdrawalId);
+    if (!withdrawal || (withdrawal.userId !== user.userId && user.role !== 'ADMIN')) {
+        throw createError('Withdrawal not found', 404);
+    }
+    return withdrawal;
+}
+
+/**
+ * List withdrawals, newest first
+ * @param {Object} filters - { userId, status, limit }
+ * @returns {Promise<Array>} Withdrawals
+ */
+async function listWithdrawals({ userId, status, limit = 50 } = {}) {
+    if (status && !WITHDRAWAL_STATUSES.includes(status)) {
+        throw createError('Invalid withdrawal status', 400, { allowed: WITHDRAWAL_STATUSES });
+    }
+    const where = {};
+    if (userId) where.userId = userId;
+    if (status) where.status = status;
+    return getStorage().find('withdrawals', where, { orderBy: 'createdAt', order: 'desc', limit });
+}
+
+/**
+ * Run a payout batch: send every QUEUED withdrawal (the NEFT batch) and ask the
+ * provider about those still PROCESSING, resending any it never received
+ * @returns {Promise<Object>} { sent, completed, failed, resent }
+ */
+async function processPayoutBatch() {
+    return withLock('wallet:payouts', async () => {
+        const summary = { sent: 0, completed: 0, failed: 0, resent: 0 };
+        const count = withdrawal => {
+            if (withdrawal.status === 'COMPLETED') summary.completed += 1;
+            if (withdrawal.status === 'FAILED') summary.failed += 1;
+        };
+
+        for (const queued of await listWithdrawals({ status: 'QUEUED', limit: 500 })) {
+            try {
+                const withdrawal = await dispatchWithdrawal(queued.withdrawalId);
+                summary.sent += 1;
+                count(withdrawal);
+            } catch (error) {
+                console.error(`Payout dispatch failed for ${queued.withdrawalId}:`, error.message);
+            }
+        }
+
+        for (const processing of await listWithdrawals({ status: 'PROCESSING', limit: 500 })) {
+            try {
+                // Looked up by the withdrawal ID it was sent with, so payouts whose send threw are found too
+                const result = await getProviderPayoutStatus({ mode: processing.mode, reference: processing.withdrawalId });
+                if (result.status === 'NOT_FOUND') {
+                    // The provider never received it; the same reference makes the resend safe
+                    summary.resent += 1;
+                    count(await sendPayout(processing));
+                } else {
+                    count(await applyPayoutResult(processing, result));
+                }
+            } catch (error) {
+                console.error(`Payout status check failed for ${processing.withdrawalId}:`, error.message);
+            }
+        }
+        return summary;
+    });
+}
+
+/**
+ * Schedule payout batches
+ * @param {Object} options - Options
+ * @param {string} options.schedule - Cron expression (default PAYOUT_BATCH_SCHEDULE or every 30 minutes, like NEFT clearing)
+ * @returns {Object} Scheduled cron task
+ */
+function startWalletJobs({ schedule = process.env.PAYOUT_BATCH_SCHEDULE || '*/30 * * * *' } = {}) {
+    return cron.schedule(schedule, async () => {
+        if (jobRunning) return;
+        jobRunning = true;
+        try {
+            await processPayoutBatch();
+        } catch (error) {
+            console.error('Payout batch error:', error);
+        } finally {
+            jobRunning = false;
+        }
+    });
+}
+
+module.exports = {
+    PAYOUT_MODES,
+    IMPS_MAX_AMOUNT,
+    DAILY_WITHDRAWAL_LIMITS,
+    BANK_ACCOUNT_STATUSES,
+    WITHDRAWAL_STATUSES,
+    addBankAccount,
+    listBankAccounts,
+    removeBankAccount,
+    getWithdrawalLimits,
+    getWallet,
+    createDeposit,
+    createWithdrawal,
+    sellToBankAccount,
+    sendInstantPayout,
+    settleWithdrawal,
+    cancelWithdrawal,
+    getWithdrawalForUser,
+    listWithdrawals,
+    processPayoutBatch,
+    startWalletJobs
+};
@@ -0,0 +1,173 @@
+jest.mock('./payments', () => {
+    const actual = jest.requireActual('./payments');
+    return {
+        ...actual,
+        sendProviderPayout: jest.fn(actual.sendProviderPayout),
+        getProviderPayoutStatus: jest.fn(actual.getProviderPayoutStatus)
+    };
+});
+
+const request = require('supertest');
+const payments = require('./payments');
+const { resetStorage, createTestUser, authHeader, useFixedRates, fundUser } = require('./test-utils');
+const { addBankAccount, createWithdrawal, sendInstantPayout, processPayoutBatch } = require('./wallet');
+const { getUserBalances, reconcileLedger } = require('./ledger');
+const { getStorage } = require('./storage');
+const app = require('./server');
+
+let user;
+let bankAccount;
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    const actual = jest.requireActual('./payments');
+    payments.sendProviderPayout.mockReset().mockImplementation(actual.sendProviderPayout);
+    payments.getProviderPayoutStatus.mockReset().mockImplementation(actual.getProviderPayoutStatus);
+    user = await createTestUser();
+    await fundUser(user.userId, 'inr', 20000);
+    bankAccount = await addBankAccount(user.userId, {
+        accountHolderName: 'Test User',
+        accountNumber: '123456789012',
+        ifscCode: 'HDFC0001234'
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+/**
+ * Request a withdrawal through the API
+ * @param {Object} body - Extra request fields
+ * @param {string} key - Optional Idempotency-Key
+ * @returns {Promise<Object>} Response
+ */
+function postWithdrawal(body = {}, key) {
+    const req = request(app)
+        .post('/api/wallet/withdrawals')
+        .set('Authorization', authHeader(user));
+    if (key) {
+        req.set('Idempotency-Key', key);
+    }
+    return req.send({ bankAccountId: bankAccount.bankAccountId, amount: 5000, mode: 'IMPS', ...body });
+}
+
+describe('POST /api/wallet/withdrawals', () => {
+    test('the withdrawal and its idempotency record commit before the payout is sent', async () => {
+        let storedAtSend;
+        payments.sendProviderPayout.mockImplementation(async ({ reference }) => {
+            storedAtSend = {
+                withdrawal: await getStorage().get('withdrawals', reference),
+                idempotencyKeys: await getStorage().count('idempotency_keys')
+            };
+            return { reference: `PAYOUT_${reference}`, status: 'SUCCESS', utr: '123456789012' };
+        });
+
+        const res = await postWithdrawal({}, 'withdraw-1');
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ status: 'COMPLETED', utr: '123456789012' });
+        expect(storedAtSend.withdrawal.status).toBe('PROCESSING');
+        expect(storedAtSend.idempotencyKeys).toBe(1);
+
+        // A replay returns the stored result and sends nothing
+        const replay = await postWithdrawal({}, 'withdraw-1');
+        expect(replay.body.withdrawalId).toBe(res.body.withdrawalId);
+        expect(payments.sendProviderPayout).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failing payout call does not roll back the committed withdrawal', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        payments.sendProviderPayout.mockRejectedValue(new Error('connection reset'));
+
+        const res = await postWithdrawal({}, 'withdraw-2');
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ status: 'PROCESSING', lastError: 'connection reset' });
+        expect(await getStorage().count('withdrawals')).toBe(1);
+        expect(await getStorage().count('idempotency_keys')).toBe(1);
+        expect((await getUserBalances(user.userId)).inr).toBe(15000);
+    });
+
+    test('an NEFT withdrawal waits QUEUED for the payout batch', async () => {
+        const res = await postWithdrawal({ mode: 'NEFT' });
+        expect(res.body.status).toBe('QUEUED');
+        expect(payments.sendProviderPayout).not.toHaveBeenCalled();
+
+        expect(await processPayoutBatch()).toMatchObject({ sent: 1, completed: 1 });
+        expect((await getStorage().get('withdrawals', res.body.withdrawalId)).status).toBe('COMPLETED');
+    });
+
+    test('one withdrawal failing to dispatch does not stop the rest of the batch', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const other = await addBankAccount(user.userId, { accountHolderName: 'Test User', accountNumber: '999988887777', ifscCode: 'SBIN0000001' });
+        const broken = await postWithdrawal({ mode: 'NEFT', bankAccountId: other.bankAccountId });
+        const healthy = await postWithdrawal({ mode: 'NEFT' });
+
+        const storage = getStorage();
+        const get = storage.get.bind(storage);
+        jest.spyOn(storage, 'get').mockImplementation((collection, id) => (collection === 'bank_accounts' && id === other.bankAccountId
+            ? Promise.reject(new Error('storage unavailable'))
+            : get(collection, id)));
+        const actualStatus = jest.requireActual('./payments').getProviderPayoutStatus;
+        payments.getProviderPayoutStatus.mockImplementation(async query => (query.reference === broken.body.withdrawalId
+            ? { status: 'PENDING' }
+            : actualStatus(query)));
+
+        expect(await processPayoutBatch()).toMatchObject({ sent: 1, completed: 1 });
+        expect((await get('withdrawals', healthy.body.withdrawalId)).status).toBe('COMPLETED');
+        // Moved to PROCESSING before the send failed, and still checked with the provider in the same batch
+        expect((await get('withdrawals', broken.body.withdrawalId)).status).toBe('PROCESSING');
+        expect(payments.getProviderPayoutStatus).toHaveBeenCalledWith({ mode: 'NEFT', reference: broken.body.withdrawalId });
+    });
+});
+
+describe('payouts with an unknown outcome', () => {
+    /**
+     * Queue an IMPS withdrawal whose provider call throws
+     * @returns {Promise<Object>} Withdrawal left PROCESSING
+     */
+    async function createTimedOutWithdrawal() {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        payments.sendProviderPayout.mockRejectedValueOnce(new Error('gateway timeout'));
+        const queued = await createWithdrawal({ userId: user.userId, bankAccountId: bankAccount.bankAccountId, amount: 5000, mode: 'IMPS' });
+        return sendInstantPayout(queued);
+    }
+
+    test('a thrown provider call leaves the withdrawal PROCESSING, not FAILED', async () => {
+        const withdrawal = await createTimedOutWithdrawal();
+
+        expect(withdrawal).toMatchObject({ status: 'PROCESSING', lastError: 'gateway timeout' });
+        // Nothing is refunded while the bank may still pay it out
+        expect((await getUserBalances(user.userId)).inr).toBe(15000);
+    });
+
+    test('the batch settles it from the provider status looked up by withdrawal ID', async () => {
+        const withdrawal = await createTimedOutWithdrawal();
+        payments.getProviderPayoutStatus.mockResolvedValueOnce({ status: 'SUCCESS', utr: '998877665544' });
+
+        expect(await processPayoutBatch()).toMatchObject({ completed: 1, resent: 0 });
+        expect(payments.getProviderPayoutStatus).toHaveBeenCalledWith({ mode: 'IMPS', reference: withdrawal.withdrawalId });
+        expect(await getStorage().get('withdrawals', withdrawal.withdrawalId)).toMatchObject({ status: 'COMPLETED', utr: '998877665544' });
+        expect(payments.sendProviderPayout).toHaveBeenCalledTimes(1);
+    });
+
+    test('a payout the provider never received is resent under the same reference', async () => {
+        const withdrawal = await createTimedOutWithdrawal();
+        payments.getProviderPayoutStatus.mockResolvedValueOnce({ status: 'NOT_FOUND' });
+
+        expect(await processPayoutBatch()).toMatchObject({ resent: 1, completed: 1 });
+        expect(payments.sendProviderPayout).toHaveBeenCalledTimes(2);
+        expect(payments.sendProviderPayout.mock.calls[1][0].reference).toBe(withdrawal.withdrawalId);
+        expect(await getStorage().get('withdrawals', withdrawal.withdrawalId)).toMatchObject({ status: 'COMPLETED', lastError: null });
+    });
+
+    test('a payout the provider failed is refunded to the wallet', async () => {
+        const withdrawal = await createTimedOutWithdrawal();
+        payments.getProviderPayoutStatus.mockResolvedValueOnce({ status: 'FAILED', reason: 'Account closed' });
+
+        expect(await processPayoutBatch()).toMatchObject({ failed: 1 });
+        expect((await getStorage().get('withdrawals', withdrawal.withdrawalId)).status).toBe('FAILED');
+        expect((await getUserBalances(user.userId)).inr).toBe(20000);
+        expect((await reconcileLedger()).balanced).toBe(true);
+    });
+});
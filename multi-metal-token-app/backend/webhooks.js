@@ -0,0 +1,207 @@
+// Webhooks Module for Multi-Metal Token App
+// Receives payment gateway callbacks: signature check, replay protection, status mapping
+
+const crypto = require('crypto');
+const { updatePaymentStatus } = require('./payments');
+const { getPaymentById } = require('./repository');
+const { getStorage, withTransaction } = require('./storage');
+const { withLock } = require('./locks');
+const { createError } = require('./errors');
+
+// Events older (or newer) than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+
+// A payment in one of these states never changes again
+const FINAL_PAYMENT_STATUSES = ['COMPLETED', 'FAILED', 'EXPIRED', 'REFUNDED'];
+
+/**
+ * Compute an HMAC-SHA256 hex digest
+ * @param {string} secret - Shared secret
+ * @param {string|Buffer} data - Signed content
+ * @returns {string} Hex digest
+ */
+function hmacHex(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex strings
+ * @param {string} expected - Expected value
+ * @param {string} given - Value from the request
+ * @returns {boolean} Whether they are equal
+ */
+function safeEqual(expected, given) {
+    const a = Buffer.from(expected || '');
+    const b = Buffer.from(given || '');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Build the signature header for the MMT webhook scheme (used by the mock gateway)
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} rawBody - Exact request body
+ * @returns {string} Header value `t=<timestamp>,v1=<signature>`
+ */
+function signWebhook(secret, timestamp, rawBody) {
+    return `t=${timestamp},v1=${hmacHex(secret, `${timestamp}.${rawBody}`)}`;
+}
+
+// ==================== PROVIDERS ====================
+
+// Each provider verifies its own signature format ({ valid, timestamp }) and
+// maps its events to { eventId, paymentId, status, details }. A provider with
+// `enabled()` returning false answers like an unknown one.
+const PROVIDERS = {
+    // Generic scheme: X-MMT-Signature: t=<unix>,v1=hmac(secret, `${t}.${body}`)
+    // Development gateway: off in production unless WEBHOOK_SECRET_MOCK is set
+    mock: {
+        enabled: () => Boolean(process.env.WEBHOOK_SECRET_MOCK) || process.env.NODE_ENV !== 'production',
+
+        secret: () => process.env.WEBHOOK_SECRET_MOCK,
+
+        verify(req, secret) {
+            const header = req.get('X-MMT-Signature') || '';
+            const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+            const timestamp = parseInt(parts.t, 10);
+            const expected = hmacHex(secret, `${parts.t}.${req.rawBody || ''}`);
+            return { valid: safeEqual(expected, parts.v1), timestamp };
+        },
+
+        parse(body) {
+            const statusByType = {
+                'payment.completed': 'COMPLETED',
+                'payment.failed': 'FAILED',
+                'payment.expired': 'EXPIRED'
+            };
+            const data = body.data || {};
+            return {
+                eventId: body.id,
+                paymentId: data.paymentId,
+                status: statusByType[body.type] || null,
+                details: {
+                    transactionId: data.providerReference,
+                    paidAmount: data.amount,
+                    failureReason: data.failureReason
+                }
+            };
+        }
+    },
+
+    // Razorpay: X-Razorpay-Signature = hmac(secret, body); our paymentId travels in notes
+    razorpay: {
+        secret: () => process.env.WEBHOOK_SECRET_RAZORPAY,
+
+        verify(req, secret) {
+            const expected = hmacHex(secret, req.rawBody || '');
+            return {
+                valid: safeEqual(expected, req.get('X-Razorpay-Signature')),
+                timestamp: (req.body || {}).created_at
+            };
+        },
+
+        parse(body, req) {
+            const statusByEvent = {
+                'payment.captured': 'COMPLETED',
+                'payment.failed': 'FAILED'
+            };
+            const entity = (((body.payload || {}).payment || {}).entity) || {};
+            return {
+                eventId: req.get('X-Razorpay-Event-Id'),
+                paymentId: (entity.notes || {}).paymentId,
+                status: statusByEvent[body.event] || null,
+                details: {
+                    transactionId: entity.id,
+                    paidAmount: entity.amount !== undefined ? entity.amount / 100 : undefined, // paise
+                    failureReason: entity.error_description
+                }
+            };
+        }
+    }
+};
+
+/**
+ * Process a payment webhook
+ * Verifies the signature, rejects stale timestamps and already-seen event IDs,
+ * then applies the status through updatePaymentStatus (which triggers settlement).
+ * @param {string} providerName - Provider from the URL
+ * @param {Object} req - Express request (needs rawBody)
+ * @returns {Promise<Object>} Processing result
+ */
+async function handleWebhook(providerName, req) {
+    const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, providerName) ? PROVIDERS[providerName] : null;
+    if (!provider || (provider.enabled && !provider.enabled())) {
+        throw createError('Unknown payment provider', 404);
+    }
+
+    const secret = provider.secret();
+    if (!secret) {
+        throw createError('Webhook secret not configured for provider', 503);
+    }
+
+    const { valid, timestamp } = provider.verify(req, secret);
+    if (!valid) {
+        throw createError('Invalid webhook signature', 401);
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestamp);
+    if (!Number.isFinite(ageSeconds) || ageSeconds > WEBHOOK_TOLERANCE_SECONDS) {
+        throw createError('Webhook timestamp outside tolerance', 401);
+    }
+
+    const event = provider.parse(req.body || {}, req);
+    if (!event.eventId) {
+        throw createError('Webhook event ID missing');
+    }
+
+    // Gateways retry deliveries; the lock keeps concurrent retries from both applying
+    const eventKey = `${providerName}:${event.eventId}`;
+    const storage = getStorage();
+
+    return withLock(`webhook:${eventKey}`, () => withTransaction(async () => {
+        if (await storage.get('webhook_events', eventKey)) {
+            return { received: true, duplicate: true };
+        }
+
+        const payment = event.paymentId ? await getPaymentById(event.paymentId) : null;
+
+        let result;
+        if (!payment) {
+            result = 'UNKNOWN_PAYMENT';
+        } else if (!event.status) {
+            result = 'UNHANDLED_EVENT';
+        } else if (FINAL_PAYMENT_STATUSES.includes(payment.status)) {
+            result = payment.status === event.status ? 'ALREADY_APPLIED' : 'IGNORED_FINAL_STATE';
+        } else {
+            const details = { gateway: providerName };
+            for (const [field, value] of Object.entries(event.details)) {
+                if (value !== undefined) details[field] = value;
+            }
+            if (event.status === 'COMPLETED') details.completedAt = new Date();
+            if (event.status === 'FAILED') details.failedAt = new Date();
+
+            await updatePaymentStatus(payment.paymentId, event.status, details);
+            result = 'APPLIED';
+        }
+
+        await storage.save('webhook_events', {
+            eventKey,
+            provider: providerName,
+            eventId: event.eventId,
+            paymentId: event.paymentId || null,
+            status: event.status,
+            result,
+            payload: req.body,
+            createdAt: new Date()
+        });
+
+        return { received: true, result };
+    }));
+}
+
+module.exports = {
+    PROVIDERS,
+    WEBHOOK_TOLERANCE_SECONDS,
+    signWebhook,
+    handleWebhook
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { resetStorage, createTestUser, useFixedRates } = require('./test-utils');
+const { signWebhook } = require('./webhooks');
+const { createBuyOrder } = require('./trading');
+const { getPaymentById, findTransactionById } = require('./repository');
+const { getUserBalances } = require('./ledger');
+const app = require('./server');
+
+const SECRET = 'test-mock-webhook-secret';
+
+let user;
+let order;
+
+/**
+ * POST a signed mock-gateway event
+ * @param {Object} event - Event body
+ * @param {Object} options - { secret, timestamp }
+ * @returns {Promise<Object>} supertest response
+ */
+function deliver(event, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const rawBody = JSON.stringify(event);
+    return request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-MMT-Signature', signWebhook(secret, timestamp, rawBody))
+        .send(rawBody);
+}
+
+/**
+ * Build a payment.completed event for the current order
+ * @param {string} id - Event ID
+ * @returns {Object} Event
+ */
+function completedEvent(id = 'evt_1') {
+    return { id, type: 'payment.completed', data: { paymentId: order.paymentId, amount: order.totalCost, providerReference: 'gw_1' } };
+}
+
+beforeEach(async () => {
+    resetStorage();
+    useFixedRates({ gold: 6000 });
+    process.env.WEBHOOK_SECRET_MOCK = SECRET;
+    user = await createTestUser();
+    order = await createBuyOrder({ userId: user.userId, asset: 'gold', amount: 1, paymentMethod: 'UPI', upiId: 'user@okaxis' });
+});
+
+afterEach(() => {
+    delete process.env.WEBHOOK_SECRET_MOCK;
+    process.env.NODE_ENV = 'test';
+});
+
+test('a signed payment.completed event settles the buy order', async () => {
+    const res = await deliver(completedEvent());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, result: 'APPLIED' });
+    expect((await getPaymentById(order.paymentId)).status).toBe('COMPLETED');
+    expect((await findTransactionById(order.transactionId)).status).toBe('COMPLETED');
+    expect((await getUserBalances(user.userId)).gold).toBe(1);
+});
+
+test('redelivered events are applied once', async () => {
+    await deliver(completedEvent());
+    const again = await deliver(completedEvent());
+
+    expect(again.body).toEqual({ received: true, duplicate: true });
+    expect((await getUserBalances(user.userId)).gold).toBe(1);
+});
+
+test('wrong signatures and stale timestamps are rejected', async () => {
+    expect((await deliver(completedEvent(), { secret: 'guessed' })).status).toBe(401);
+    expect((await deliver(completedEvent(), { timestamp: Math.floor(Date.now() / 1000) - 3600 })).status).toBe(401);
+    expect((await getPaymentById(order.paymentId)).status).not.toBe('COMPLETED');
+});
+
+test('the mock provider has no built-in secret', async () => {
+    delete process.env.WEBHOOK_SECRET_MOCK;
+
+    const res = await deliver(completedEvent(), { secret: 'mock-gateway-webhook-secret' });
+    expect(res.status).toBe(503);
+    expect((await getPaymentById(order.paymentId)).status).not.toBe('COMPLETED');
+});
+
+test('the mock provider is disabled in production unless its secret is set', async () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.WEBHOOK_SECRET_MOCK;
+    expect((await deliver(completedEvent())).status).toBe(404);
+
+    process.env.WEBHOOK_SECRET_MOCK = SECRET;
+    expect((await deliver(completedEvent())).status).toBe(200);
+});
+
+test('unknown providers answer 404', async () => {
+    const res = await request(app).post('/api/payments/webhooks/constructor').send({});
+    expect(res.status).toBe(404);
+});
+
+test('razorpay captures are verified against their own secret', async () => {
+    process.env.WEBHOOK_SECRET_RAZORPAY = 'razorpay-secret';
+    const body = JSON.stringify({
+        event: 'payment.captured',
+        created_at: Math.floor(Date.now() / 1000),
+        payload: { payment: { entity: { id: 'pay_1', amount: Math.round(order.totalCost * 100), notes: { paymentId: order.paymentId } } } }
+    });
+
+    const res = await request(app)
+        .post('/api/payments/webhooks/razorpay')
+        .set('Content-Type', 'application/json')
+        .set('X-Razorpay-Event-Id', 'rzp_evt_1')
+        .set('X-Razorpay-Signature', crypto.createHmac('sha256', 'razorpay-secret').update(body).digest('hex'))
+        .send(body);
+    delete process.env.WEBHOOK_SECRET_RAZORPAY;
+
+    expect(res.body.result).toBe('APPLIED');
+    expect((await getPaymentById(order.paymentId)).paidAmount).toBeCloseTo(order.totalCost, 2);
+});
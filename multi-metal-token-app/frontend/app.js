@@ -19,8 +19,10 @@ const AppState = {
     },
     sipPlans: [],
     transactions: [],
+    activeQuote: null, // Signed price quote shown in the trade form
     currentSection: 'dashboard',
-    isAuthenticated: false
+    isAuthenticated: false,
+    realtimeConnected: false // Rates and account events are streamed instead of polled
 };
 
 // Asset Configuration
@@ -393,6 +395,48 @@ function calculateTrade() {
     }
     
     updateFeeDisplay(inrAmount, activeAsset);
+
+    if (amountUnit !== 'inr') {
+        const tradeType = document.querySelector('.tab-btn.active').textContent.toLowerCase();
+        refreshTradeQuote(activeAsset, tradeType, amount);
+    }
+}
+
+// Lock the displayed price with a signed server quote (valid 30-60 seconds)
+async function refreshTradeQuote(asset, side, amount) {
+    AppState.activeQuote = null;
+    if (!AppState.isAuthenticated || !['buy', 'sell'].includes(side)) return;
+    
+    try {
+        const response = await fetch('/api/quotes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({ asset, side, amount })
+        });
+        
+        if (response.ok) {
+            const quote = await response.json();
+            AppState.activeQuote = quote;
+            
+            const currentRate = document.getElementById('currentRate');
+            if (currentRate) currentRate.textContent = formatPrice(quote.price, asset);
+            updateFeeDisplay(amount * quote.mid, asset);
+        }
+    } catch (error) {
+        console.error('Quote error:', error);
+    }
+}
+
+function getValidQuoteId(asset, side, amount) {
+    const quote = AppState.activeQuote;
+    if (quote && quote.asset === asset && quote.side === side && quote.amount === amount &&
+        new Date(quote.expiresAt) > new Date()) {
+        return quote.quoteId;
+    }
+    return undefined;
 }
 
 function updateFeeDisplay(inrAmount, asset) {
@@ -440,17 +484,20 @@ async function executeTrade() {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${getAuthToken()}`
+                'Authorization': `Bearer ${getAuthToken()}`,
+                'Idempotency-Key': generateIdempotencyKey()
             },
             body: JSON.stringify({
                 asset,
                 amount,
-                paymentMethod: 'UPI' // Default payment method
+                paymentMethod: 'UPI', // Default payment method
+                quoteId: getValidQuoteId(asset, tradeType, amount)
             })
         });
         
         if (response.ok) {
             const result = await response.json();
+            AppState.activeQuote = null;
             showNotification(`${tradeType.charAt(0).toUpperCase() + tradeType.slice(1)} order created successfully`, 'success');
             
             // Reset form
@@ -782,7 +829,8 @@ async function executeModalTrade(asset, action, amount, paymentMethod) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${getAuthToken()}`
+                'Authorization': `Bearer ${getAuthToken()}`,
+                'Idempotency-Key': generateIdempotencyKey()
             },
             body: JSON.stringify({
                 asset,
@@ -807,16 +855,103 @@ async function executeModalTrade(asset, action, amount, paymentMethod) {
 }
 
 // Real-time Updates
+let realtimeSocket = null;
+let marketPollTimer = null;
+let portfolioPollTimer = null;
+
 function startRealTimeUpdates() {
-    // Update market rates every 30 seconds
-    setInterval(loadMarketData, 30000);
+    // Signed-in users get a stream; polling is only the fallback while it is down
+    if (!connectRealtime()) {
+        startPolling();
+    }
+}
+
+function startPolling() {
+    if (!marketPollTimer) {
+        // Update market rates every 30 seconds
+        marketPollTimer = setInterval(loadMarketData, 30000);
+    }
+    if (!portfolioPollTimer) {
+        // Update portfolio every 5 minutes
+        portfolioPollTimer = setInterval(() => {
+            if (AppState.isAuthenticated) {
+                loadUserData();
+            }
+        }, 300000);
+    }
+}
+
+function stopPolling() {
+    clearInterval(marketPollTimer);
+    clearInterval(portfolioPollTimer);
+    marketPollTimer = null;
+    portfolioPollTimer = null;
+}
+
+function connectRealtime() {
+    // The Socket.IO client is served by the API at /socket.io/socket.io.js
+    if (!AppState.isAuthenticated || typeof io === 'undefined') return false;
     
-    // Update portfolio every 5 minutes
-    setInterval(() => {
-        if (AppState.isAuthenticated) {
-            loadUserData();
+    realtimeSocket = io({ auth: { token: getAuthToken() } });
+    
+    realtimeSocket.on('connect', () => {
+        AppState.realtimeConnected = true;
+        stopPolling();
+        realtimeSocket.emit('subscribe', { assets: Object.keys(AppState.marketRates) });
+        // Catch up on anything missed while disconnected
+        loadUserData();
+    });
+    
+    realtimeSocket.on('disconnect', () => {
+        AppState.realtimeConnected = false;
+        startPolling();
+    });
+    
+    realtimeSocket.on('connect_error', (error) => {
+        console.error('Realtime connection failed:', error.message);
+        AppState.realtimeConnected = false;
+        startPolling();
+    });
+    
+    realtimeSocket.on('rate', (tick) => {
+        AppState.marketRates[tick.asset] = tick.price;
+        updateMarketDisplays();
+    });
+    
+    realtimeSocket.on('order', (order) => {
+        if (order.status === 'FILLED') {
+            showNotification(`${AssetConfig[order.asset].name} ${order.side} order filled`, 'success');
         }
-    }, 300000);
+        loadUserData();
+    });
+    
+    realtimeSocket.on('payment', (payment) => {
+        if (payment.status === 'COMPLETED') {
+            showNotification(`Payment of ₹${payment.amount} received`, 'success');
+        } else if (payment.status === 'FAILED') {
+            showNotification('Payment failed', 'error');
+        }
+        loadUserData();
+    });
+    
+    realtimeSocket.on('sip', (installment) => {
+        if (installment.status === 'COMPLETED') {
+            showNotification(`SIP installment of ₹${installment.amount} invested`, 'success');
+        } else if (installment.status === 'FAILED') {
+            showNotification('SIP installment failed', 'error');
+        }
+        loadUserData();
+    });
+    
+    return true;
+}
+
+function disconnectRealtime() {
+    if (realtimeSocket) {
+        realtimeSocket.disconnect();
+        realtimeSocket = null;
+    }
+    AppState.realtimeConnected = false;
 }
 
 // Utility Functions
@@ -824,6 +959,14 @@ function getAuthToken() {
     return localStorage.getItem('authToken') || '';
 }
 
+// One key per trade attempt so a retried request is not executed twice
+function generateIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).substring(2, 12)}`;
+}
+
 function showNotification(message, type = 'info') {
     // Create notification element
     const notification = document.createElement('div');
@@ -886,6 +1029,10 @@ function logout() {
     AppState.isAuthenticated = false;
     AppState.currentUser = null;
     
+    // Rates keep updating by polling once the stream is closed
+    disconnectRealtime();
+    startPolling();
+    
     // Update UI to show logged-out state
     document.getElementById('userName').textContent = 'Guest User';
     
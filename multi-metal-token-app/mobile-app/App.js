@@ -22,12 +22,14 @@ import Icon from 'react-native-vector-icons/FontAwesome5';
 import LinearGradient from 'react-native-linear-gradient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { LineChart, PieChart } from 'react-native-chart-kit';
+import { io } from 'socket.io-client';
 
 // Screen dimensions
 const { width, height } = Dimensions.get('window');
 
 // API Configuration
 const API_BASE_URL = 'http://localhost:3001/api';
+const SOCKET_URL = 'http://localhost:3001';
 
 // Asset Configuration
 const ASSETS = {
@@ -79,6 +81,53 @@ const App = () => {
     loadMarketData();
   }, []);
 
+  // Stream rates and account events while signed in instead of refetching
+  useEffect(() => {
+    if (!user?.token) return undefined;
+
+    const socket = io(SOCKET_URL, { auth: { token: user.token }, transports: ['websocket'] });
+
+    socket.on('connect', () => {
+      socket.emit('subscribe', { assets: Object.keys(ASSETS) });
+      // Catch up on anything missed while disconnected
+      loadUserData();
+    });
+
+    socket.on('connect_error', (error) => {
+      console.error('Realtime connection failed:', error.message);
+    });
+
+    socket.on('rate', (tick) => {
+      setMarketData(current => ({
+        ...current,
+        [tick.asset]: { ...current[tick.asset], ...tick },
+      }));
+    });
+
+    socket.on('order', (order) => {
+      if (order.status === 'FILLED') {
+        Alert.alert('Order Filled', `Your ${ASSETS[order.asset].name} ${order.side} order has been filled.`);
+      }
+      loadUserData();
+    });
+
+    socket.on('payment', (payment) => {
+      if (payment.status === 'FAILED') {
+        Alert.alert('Payment Failed', `Your payment of ₹${payment.amount} could not be completed.`);
+      }
+      loadUserData();
+    });
+
+    socket.on('sip', (installment) => {
+      if (installment.status === 'FAILED') {
+        Alert.alert('SIP Failed', 'Your SIP installment could not be processed.');
+      }
+      loadUserData();
+    });
+
+    return () => socket.disconnect();
+  }, [user?.token]);
+
   const checkAuthStatus = async () => {
     try {
       const token = await AsyncStorage.getItem('authToken');